@@ -136,6 +136,11 @@ if [ ! -f "/app/config/config.yaml.example" ]; then
     echo "✅ Sample config available at ./config/config.yaml.example"
 fi
 
+# Keep the editor schema in step with this version
+if [ -f "/app/.config-template/config.schema.json" ]; then
+    cp /app/.config-template/config.schema.json /app/config/config.schema.json 2>/dev/null || true
+fi
+
 # Show configuration guidance without auto-creating config.yaml
 echo ""
 echo "🚀 SHELFBRIDGE CONFIGURATION OPTIONS:"
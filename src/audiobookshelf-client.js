@@ -1,7 +1,9 @@
 import axios from 'axios';
+import { io } from 'socket.io-client';
 import { RateLimiter, Semaphore } from './utils/concurrency.js';
 import { normalizeApiToken, createHttpAgent } from './utils/network.js';
 import { AudiobookshelfRetryManager } from './utils/retry-manager.js';
+import { appMetrics } from './utils/metrics.js';
 import ProgressManager from './progress-manager.js';
 import logger from './logger.js';
 import { detectUserBookFormat } from './matching/utils/audiobookshelf-extractor.js';
@@ -195,8 +197,18 @@ export class AudiobookshelfClient {
     }
   }
 
-  async getReadingProgress() {
-    logger.debug('Fetching reading progress from Audiobookshelf');
+  /**
+   * Fetch the books with reading progress, with their item details
+   * @param {Object} options - { since }: only fetch items whose progress
+   *   `lastUpdate` is newer than this timestamp (ms). Falls back to a full
+   *   fetch when the server does not list mediaProgress in /api/me.
+   * @returns {Promise<Array>} - Library items with progress applied. Full
+   *   fetches attach library statistics to the first entry (`_filteringStats`).
+   *   `lastProgressFetch` records whether the fetch was incremental and the
+   *   newest `lastUpdate` seen.
+   */
+  async getReadingProgress({ since = null } = {}) {
+    logger.debug('Fetching reading progress from Audiobookshelf', { since });
 
     try {
       // Get user info first
@@ -205,6 +217,18 @@ export class AudiobookshelfClient {
         throw new Error('Could not get current user data, aborting sync.');
       }
 
+      const incremental =
+        since !== null && Array.isArray(userData.mediaProgress);
+      this.lastProgressFetch = {
+        incremental,
+        latestUpdate: Array.isArray(userData.mediaProgress)
+          ? userData.mediaProgress.reduce(
+              (latest, progress) => Math.max(latest, progress.lastUpdate || 0),
+              0,
+            ) || null
+          : null,
+      };
+
       // Get all libraries and apply filtering
       const allLibraries = await this.getLibraries();
       const libraryFilter = this.filterLibraries(allLibraries);
@@ -243,6 +267,22 @@ export class AudiobookshelfClient {
         return [];
       }
 
+      if (incremental) {
+        const changedProgress = userData.mediaProgress.filter(
+          progress => (progress.lastUpdate || 0) > since,
+        );
+        logger.debug('Fetching only progress changed since last sync', {
+          since: new Date(since).toISOString(),
+          changed: changedProgress.length,
+          total: userData.mediaProgress.length,
+        });
+        // Library statistics need a full fetch, the sync reuses cached ones
+        return await this._getProgressBooksFromMediaProgress(
+          changedProgress,
+          librariesToProcess,
+        );
+      }
+
       // Get total library size for complete filtering stats (only from libraries being processed)
       let totalBooksInLibrary = 0;
       for (const library of librariesToProcess) {
@@ -750,6 +790,16 @@ export class AudiobookshelfClient {
       : existingProgress;
   }
 
+  /**
+   * Get a single library item with the user's progress applied
+   * @param {string} itemId - Library item ID
+   * @param {Object|null} knownProgress - Media progress to apply instead of fetching it
+   * @returns {Promise<Object|null>} - Library item, or null when it does not exist
+   */
+  async getLibraryItem(itemId, knownProgress = null) {
+    return await this._getLibraryItemDetails(itemId, knownProgress);
+  }
+
   async _getLibraryItemDetails(itemId, knownProgress = null) {
     try {
       const itemData = await this._makeRequest('GET', `/api/items/${itemId}`);
@@ -795,6 +845,8 @@ export class AudiobookshelfClient {
 
     itemData.current_time = progressData.currentTime;
     itemData.is_finished = progressData.isFinished;
+    itemData.hide_from_continue_listening =
+      progressData.hideFromContinueListening === true;
 
     // Use media progress startedAt if available
     if (progressData.startedAt) {
@@ -877,7 +929,25 @@ export class AudiobookshelfClient {
     }
   }
 
-  async _getPlaybackSessions() {
+  /**
+   * Fetch the current user's listening sessions, newest first
+   * @param {number|null} since - Only sessions updated after this timestamp (ms)
+   * @returns {Promise<Array>} - Sessions with timeListening, startTime, currentTime and date
+   */
+  async getListeningSessions(since = null) {
+    const result = await this._getPlaybackSessions({
+      endpoint: '/api/me/listening-sessions',
+      itemsPerPage: 100,
+      since,
+    });
+    return result ? result.sessions : [];
+  }
+
+  async _getPlaybackSessions({
+    endpoint = '/api/sessions',
+    itemsPerPage = null,
+    since = null,
+  } = {}) {
     try {
       // Get all user's listening sessions with pagination - this gives us updatedAt timestamps
       let page = 0;
@@ -888,7 +958,7 @@ export class AudiobookshelfClient {
       while (true) {
         const response = await this._makeRequest(
           'GET',
-          `/api/sessions?page=${page}`,
+          `${endpoint}?page=${page}${itemsPerPage ? `&itemsPerPage=${itemsPerPage}` : ''}`,
           null,
           [404],
         );
@@ -899,12 +969,21 @@ export class AudiobookshelfClient {
           _itemsPerPage = response.itemsPerPage;
         }
 
-        allSessions = allSessions.concat(response.sessions || []);
+        const sessions = response.sessions || [];
+        allSessions = allSessions.concat(sessions);
 
-        if (allSessions.length >= total) break;
+        if (allSessions.length >= total || sessions.length === 0) break;
+        // Sessions come newest first, so older pages are all outside the window
+        if (since && sessions.some(session => session.updatedAt < since)) {
+          break;
+        }
         page++;
       }
 
+      if (since) {
+        allSessions = allSessions.filter(session => session.updatedAt >= since);
+      }
+
       logger.debug('Fetched playback sessions', {
         totalSessions: allSessions.length,
         pages: page + 1,
@@ -934,6 +1013,175 @@ export class AudiobookshelfClient {
     }
   }
 
+  /**
+   * Fetch the items of every library this user syncs, with or without progress
+   * @returns {Promise<Array>} - Library items
+   */
+  async getAllLibraryItems() {
+    const { libraries } = this.filterLibraries(await this.getLibraries());
+    const items = [];
+    for (const library of libraries) {
+      items.push(...(await this.getLibraryItems(library.id, null)));
+    }
+    return items;
+  }
+
+  /**
+   * Fetch the collections of every library this user syncs
+   * @returns {Promise<Array>} - Collections with their library items in `books`
+   */
+  async getCollections() {
+    const { libraries } = this.filterLibraries(await this.getLibraries());
+    const collections = [];
+    for (const library of libraries) {
+      // limit=0 returns every collection of the library in one page
+      const response = await this._makeRequest(
+        'GET',
+        `/api/libraries/${library.id}/collections?limit=0`,
+        null,
+        [404],
+      );
+      collections.push(...(response?.results || []));
+    }
+    logger.debug('Fetched collections', {
+      libraries: libraries.length,
+      collections: collections.length,
+    });
+    return collections;
+  }
+
+  /**
+   * Fetch the items carrying a tag from every library this user syncs
+   * @param {string} tag - Tag as shown in Audiobookshelf
+   * @returns {Promise<Array>} - Library items
+   */
+  async getItemsWithTag(tag) {
+    const { libraries } = this.filterLibraries(await this.getLibraries());
+    // Audiobookshelf filters are "<group>.<base64 value>"
+    const filter = `tags.${encodeURIComponent(Buffer.from(tag).toString('base64'))}`;
+    const items = [];
+    for (const library of libraries) {
+      const response = await this._makeRequest(
+        'GET',
+        `/api/libraries/${library.id}/items?filter=${filter}&limit=0`,
+        null,
+        [404],
+      );
+      items.push(...(response?.results || []));
+    }
+    logger.debug(`Fetched items tagged "${tag}"`, { items: items.length });
+    return items;
+  }
+
+  /**
+   * Fetch the current user's playlists
+   * @returns {Promise<Array>} - Playlists with `items` of { libraryItemId, episodeId, libraryItem }
+   */
+  async getPlaylists() {
+    const response = await this._makeRequest(
+      'GET',
+      '/api/playlists',
+      null,
+      [404],
+    );
+    return response?.playlists || [];
+  }
+
+  /**
+   * Subscribe to the current user's progress updates over the Audiobookshelf
+   * socket. Reconnects with exponential backoff until closed; an
+   * authentication failure stops the listener instead of retrying.
+   * @param {Function} onProgress - Called with the mediaProgress of each `user_item_progress_updated` event
+   * @param {Object} options - { reconnectDelay, reconnectDelayMax, onStateChange } (delays in ms)
+   * @returns {Object} - Listener with `close()`
+   */
+  listenForProgressUpdates(onProgress, options = {}) {
+    const {
+      reconnectDelay = 1000,
+      reconnectDelayMax = 60000,
+      onStateChange,
+    } = options;
+    // The socket lives under the server's base path, e.g. /audiobookshelf/socket.io
+    const url = new URL(this.baseUrl);
+    const socket = io(url.origin, {
+      path: `${url.pathname.replace(/\/$/, '')}/socket.io`,
+      transports: ['websocket'],
+      reconnection: true,
+      reconnectionDelay: reconnectDelay,
+      reconnectionDelayMax: reconnectDelayMax,
+    });
+    let closed = false;
+
+    const setState = (state, details = {}) => {
+      logger.debug(`Audiobookshelf socket ${state}`, details);
+      onStateChange?.(state, details);
+    };
+
+    socket.on('connect', () => {
+      socket.emit('auth', this.token);
+    });
+    socket.on('init', () => setState('connected'));
+    socket.on('auth_failed', () => {
+      closed = true;
+      socket.disconnect();
+      logger.error('Audiobookshelf rejected the socket authentication');
+      setState('auth_failed');
+    });
+    socket.on('disconnect', reason => {
+      if (closed) return;
+      setState('disconnected', { reason });
+      // Server-initiated disconnects are not retried by socket.io itself
+      if (reason === 'io server disconnect') {
+        setTimeout(() => !closed && socket.connect(), reconnectDelay);
+      }
+    });
+    socket.on('connect_error', error => {
+      logger.warn('Audiobookshelf socket connection failed', {
+        error: error.message,
+      });
+    });
+    socket.io.on('reconnect_attempt', attempt => {
+      setState('reconnecting', { attempt });
+    });
+    socket.on('user_item_progress_updated', payload => {
+      const progress = payload?.data;
+      if (!progress?.libraryItemId) return;
+      onProgress(progress);
+    });
+
+    return {
+      close: () => {
+        closed = true;
+        socket.disconnect();
+      },
+    };
+  }
+
+  /**
+   * Update the current user's media progress for a library item
+   * @param {string} itemId - Library item ID
+   * @param {Object} progress - Fields to patch (progress, currentTime, isFinished, ...)
+   * @returns {Promise<boolean>} - True when the server accepted the update
+   */
+  async updateMediaProgress(itemId, progress) {
+    try {
+      await this._makeRequest('PATCH', `/api/me/progress/${itemId}`, progress);
+      logger.debug('Updated Audiobookshelf media progress', {
+        itemId,
+        progress: progress.progress,
+        currentTime: progress.currentTime,
+        isFinished: progress.isFinished,
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error updating Audiobookshelf media progress', {
+        itemId,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
   /**
    * Filter libraries based on configuration
    * @param {Array} allLibraries - All available libraries
@@ -1220,7 +1468,19 @@ export class AudiobookshelfClient {
           config.data = data;
         }
 
-        const response = await this.axios.request(config);
+        const requestStart = performance.now();
+        let response;
+        try {
+          response = await this.axios.request(config);
+        } finally {
+          appMetrics.apiRequestDuration.observe(
+            {
+              service: 'audiobookshelf',
+              outcome: response ? 'success' : 'error',
+            },
+            (performance.now() - requestStart) / 1000,
+          );
+        }
 
         // Validate response (but allow suppressed error codes)
         if (
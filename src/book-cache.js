@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import logger from './logger.js';
 import ProgressManager from './progress-manager.js';
+import { appMetrics } from './utils/metrics.js';
 
 export class BookCache {
   constructor(cacheFile = 'data/.book_cache.db') {
@@ -499,6 +500,291 @@ export class BookCache {
       throw err;
     }
 
+    // Migration 8: Add match review queue for rejected/low-confidence matches
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS match_reviews (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          abs_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          author TEXT,
+          identifiers TEXT,
+          reason TEXT NOT NULL,
+          best_score REAL,
+          candidates TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          book_id INTEGER,
+          edition_id INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          resolved_at TIMESTAMP,
+          UNIQUE(user_id, abs_id)
+        )
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_match_reviews_status
+        ON match_reviews(user_id, status)
+      `);
+      logger.debug('Migration 8: match_reviews table ready');
+    } catch (err) {
+      logger.error(`Migration 8 failed: ${err.message}`);
+      throw err;
+    }
+
+    // Migration 9: Add persistent sync run history with per-book actions
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS sync_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          trigger TEXT NOT NULL DEFAULT 'cli',
+          status TEXT NOT NULL,
+          dry_run INTEGER NOT NULL DEFAULT 0,
+          version TEXT,
+          started_at TEXT NOT NULL,
+          finished_at TEXT NOT NULL,
+          duration_seconds REAL,
+          books_processed INTEGER DEFAULT 0,
+          books_synced INTEGER DEFAULT 0,
+          books_completed INTEGER DEFAULT 0,
+          books_auto_added INTEGER DEFAULT 0,
+          books_skipped INTEGER DEFAULT 0,
+          books_delayed INTEGER DEFAULT 0,
+          books_failed INTEGER DEFAULT 0,
+          errors TEXT
+        )
+      `);
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS sync_run_books (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          run_id INTEGER NOT NULL,
+          user_id TEXT NOT NULL,
+          abs_id TEXT,
+          title TEXT NOT NULL,
+          author TEXT,
+          status TEXT,
+          reason TEXT,
+          progress_before REAL,
+          progress_after REAL,
+          edition_id INTEGER,
+          actions TEXT,
+          errors TEXT
+        )
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_sync_runs_user
+        ON sync_runs(user_id, started_at)
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_sync_run_books_run
+        ON sync_run_books(run_id)
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_sync_run_books_book
+        ON sync_run_books(user_id, abs_id)
+      `);
+      logger.debug('Migration 9: sync_runs tables ready');
+    } catch (err) {
+      logger.error(`Migration 9 failed: ${err.message}`);
+      throw err;
+    }
+
+    // Migration 10: Journal prior Hardcover state so a sync run can be undone
+    try {
+      const runColumns = this.db
+        .prepare('PRAGMA table_info(sync_runs)')
+        .all()
+        .map(column => column.name);
+      if (!runColumns.includes('run_key')) {
+        this.db.exec('ALTER TABLE sync_runs ADD COLUMN run_key TEXT');
+      }
+      if (!runColumns.includes('undone_at')) {
+        this.db.exec('ALTER TABLE sync_runs ADD COLUMN undone_at TEXT');
+      }
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS sync_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          run_key TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          abs_id TEXT,
+          title TEXT NOT NULL,
+          identifier TEXT,
+          identifier_type TEXT,
+          change_type TEXT NOT NULL,
+          user_book_id INTEGER NOT NULL,
+          book_id INTEGER,
+          edition_id INTEGER,
+          prior_state TEXT,
+          new_read_id INTEGER,
+          new_status_id INTEGER,
+          created_at TEXT NOT NULL,
+          undone_at TEXT,
+          undo_error TEXT
+        )
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_sync_changes_run
+        ON sync_changes(run_key)
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_sync_changes_user_book
+        ON sync_changes(user_id, user_book_id)
+      `);
+      logger.debug('Migration 10: sync_changes table ready');
+    } catch (err) {
+      logger.error(`Migration 10 failed: ${err.message}`);
+      throw err;
+    }
+
+    // Migration 11: Remember listening sessions written to the reading journal
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS journaled_sessions (
+          user_id TEXT NOT NULL,
+          session_id TEXT NOT NULL,
+          abs_id TEXT,
+          user_book_id INTEGER,
+          journal_id INTEGER,
+          session_date TEXT,
+          listened_seconds INTEGER,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, session_id)
+        )
+      `);
+      logger.debug('Migration 11: journaled_sessions table ready');
+    } catch (err) {
+      logger.error(`Migration 11 failed: ${err.message}`);
+      throw err;
+    }
+
+    // Migration 12: Count completed reads per book for re-read support
+    try {
+      this.db.prepare('SELECT read_count FROM books LIMIT 1').get();
+      logger.debug('Migration 12: read_count column already exists');
+    } catch (err) {
+      if (err.message.includes('no such column: read_count')) {
+        try {
+          this.db.exec(
+            'ALTER TABLE books ADD COLUMN read_count INTEGER DEFAULT 0',
+          );
+          logger.debug('Migration 12: Added read_count column');
+        } catch (alterErr) {
+          logger.error(`Migration 12 failed: ${alterErr.message}`);
+          throw alterErr;
+        }
+      } else {
+        logger.error(`Migration 12 check failed: ${err.message}`);
+        throw err;
+      }
+    }
+
+    // Migration 13: Map Audiobookshelf collections/playlists to Hardcover lists
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS list_mappings (
+          user_id TEXT NOT NULL,
+          source_type TEXT NOT NULL,
+          source_id TEXT NOT NULL,
+          source_name TEXT,
+          list_id INTEGER NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, source_type, source_id)
+        )
+      `);
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS list_entries (
+          user_id TEXT NOT NULL,
+          list_id INTEGER NOT NULL,
+          book_id INTEGER NOT NULL,
+          abs_id TEXT,
+          list_book_id INTEGER,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, list_id, book_id)
+        )
+      `);
+      logger.debug('Migration 13: list_mappings and list_entries tables ready');
+    } catch (err) {
+      logger.error(`Migration 13 failed: ${err.message}`);
+      throw err;
+    }
+
+    // Migration 14: Progress watermark for incremental syncs
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS sync_watermarks (
+          user_id TEXT PRIMARY KEY,
+          last_progress_update INTEGER,
+          last_full_sync_at TEXT,
+          updated_at TEXT NOT NULL
+        )
+      `);
+      logger.debug('Migration 14: sync_watermarks table ready');
+    } catch (err) {
+      logger.error(`Migration 14 failed: ${err.message}`);
+      throw err;
+    }
+
+    // Migration 15: Stored Hardcover library snapshot
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS hardcover_library (
+          user_id TEXT NOT NULL,
+          user_book_id INTEGER NOT NULL,
+          data TEXT NOT NULL,
+          updated_at TEXT,
+          PRIMARY KEY (user_id, user_book_id)
+        )
+      `);
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS hardcover_library_state (
+          user_id TEXT PRIMARY KEY,
+          account_id INTEGER,
+          schema_version INTEGER NOT NULL,
+          last_updated_at TEXT,
+          last_full_refresh_at TEXT NOT NULL,
+          fetched_at TEXT NOT NULL
+        )
+      `);
+      logger.debug('Migration 15: hardcover_library tables ready');
+    } catch (err) {
+      logger.error(`Migration 15 failed: ${err.message}`);
+      throw err;
+    }
+
+    // Migration 16: Outbox of Hardcover writes waiting to be (re)sent
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS hardcover_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          idempotency_key TEXT NOT NULL,
+          operation TEXT NOT NULL,
+          target TEXT NOT NULL,
+          title TEXT,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          result TEXT,
+          next_attempt_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          completed_at TEXT,
+          UNIQUE(user_id, idempotency_key)
+        )
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_hardcover_outbox_status
+        ON hardcover_outbox(user_id, status, id)
+      `);
+      logger.debug('Migration 16: hardcover_outbox table ready');
+    } catch (err) {
+      logger.error(`Migration 16 failed: ${err.message}`);
+      throw err;
+    }
+
     logger.debug('Database migrations completed successfully');
   }
 
@@ -1336,130 +1622,1044 @@ export class BookCache {
     }
   }
 
-  async clearCachedBookInfo(
+  /**
+   * Queue a title/author match for manual review
+   * Re-queuing an item refreshes its candidates while it is still pending;
+   * items that already have a decision are left untouched.
+   * @param {Object} review - Review data
+   * @param {string} review.userId - User ID
+   * @param {string} review.absId - Audiobookshelf library item ID
+   * @param {string} review.title - Book title
+   * @param {string} review.author - Book author
+   * @param {Object} review.identifiers - Identifiers from Audiobookshelf
+   * @param {string} review.reason - 'rejected' or 'low_confidence'
+   * @param {number} review.bestScore - Score of the best candidate
+   * @param {Array} review.candidates - Scored candidates (with breakdown)
+   */
+  async storeMatchReview({
     userId,
-    identifier,
+    absId,
     title,
-    identifierType = 'isbn',
-  ) {
+    author = null,
+    identifiers = {},
+    reason,
+    bestScore = null,
+    candidates = [],
+  }) {
     await this.init();
 
-    const validationErrors = this._validateBookData(
-      userId,
-      identifier,
-      title,
-      identifierType,
-    );
-    if (validationErrors.length > 0) {
+    if (!userId || !absId || !title || !reason) {
       throw new Error(
-        `Invalid cached book clear data: ${validationErrors.join(', ')}`,
+        'Invalid match review data: userId, absId, title and reason are required',
       );
     }
 
     try {
-      const normalizedTitle = title.toLowerCase().trim();
+      const currentTime = new Date().toISOString();
       const stmt = this.db.prepare(`
-        DELETE FROM books
-        WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
+        INSERT INTO match_reviews (
+          user_id,
+          abs_id,
+          title,
+          author,
+          identifiers,
+          reason,
+          best_score,
+          candidates,
+          status,
+          created_at,
+          updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+        ON CONFLICT(user_id, abs_id)
+        DO UPDATE SET
+          title = excluded.title,
+          author = excluded.author,
+          identifiers = excluded.identifiers,
+          reason = excluded.reason,
+          best_score = excluded.best_score,
+          candidates = excluded.candidates,
+          updated_at = excluded.updated_at
+        WHERE match_reviews.status = 'pending'
       `);
+
       const result = stmt.run(
         userId,
-        identifier,
-        identifierType,
-        normalizedTitle,
+        String(absId),
+        title,
+        author,
+        JSON.stringify(identifiers || {}),
+        reason,
+        bestScore,
+        JSON.stringify(candidates),
+        currentTime,
+        currentTime,
       );
 
-      logger.debug(`Cleared cached book info for ${title}`, {
-        identifier,
-        identifierType,
+      logger.debug(`Queued ${title} for match review (${reason})`, {
+        absId,
+        candidates: candidates.length,
         changes: result.changes,
       });
       return result;
     } catch (err) {
-      logger.error(
-        `Error clearing cached book info for ${title}: ${err.message}`,
-      );
+      logger.error(`Error queuing match review for ${title}: ${err.message}`);
       throw err;
     }
   }
 
   /**
-   * Check if a book needs to be synced based on multiple conditions:
-   * - Progress changed
-   * - Status is "Want to Read" (needs status update)
-   * - Edition changed
-   *
-   * @param {string} userId - User ID
-   * @param {string} identifier - Book identifier (ISBN/ASIN)
-   * @param {string} title - Book title
-   * @param {number} currentProgress - Current progress percentage
-   * @param {string} identifierType - Type of identifier
-   * @param {number} currentEditionId - Current edition ID from Hardcover
-   * @returns {Promise<Object>} - Object with needsSync flag, reason, and changes breakdown
+   * Get queued match reviews
+   * @param {Object} options - Filter options
+   * @param {string|null} options.userId - Only reviews for this user
+   * @param {string|null} options.status - 'pending', 'accepted', 'ignored' or null for all
+   * @returns {Promise<Array>} - Reviews with parsed identifiers and candidates
    */
-  async needsSyncCheck(
-    userId,
-    identifier,
-    title,
-    currentProgress,
-    identifierType = 'isbn',
-    currentEditionId = null,
-  ) {
+  async getMatchReviews({ userId = null, status = 'pending' } = {}) {
     await this.init();
 
-    const result = {
-      needsSync: false,
-      reason: '',
-      changes: {
-        progressChanged: false,
-        statusChanged: false,
-        editionChanged: false,
-      },
-    };
-
     try {
-      const stmt = this.db.prepare(`
-        SELECT progress_percent, status_id, hardcover_edition_id
-        FROM books
-        WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
-      `);
+      let query = 'SELECT * FROM match_reviews WHERE 1 = 1';
+      const params = [];
+      if (userId) {
+        query += ' AND user_id = ?';
+        params.push(userId);
+      }
+      if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+      }
+      query += ' ORDER BY created_at ASC, id ASC';
 
-      const normalizedTitle = title.toLowerCase().trim();
-      const cached = stmt.get(
-        userId,
-        identifier,
-        identifierType,
-        normalizedTitle,
-      );
+      return this.db
+        .prepare(query)
+        .all(...params)
+        .map(row => this._parseMatchReview(row));
+    } catch (err) {
+      logger.error(`Error reading match reviews: ${err.message}`);
+      return [];
+    }
+  }
 
-      if (!cached) {
-        result.needsSync = true;
-        result.reason = 'No cached data';
-        result.changes.progressChanged = true;
-        return result;
-      }
+  /**
+   * Record the decision for a queued review
+   * @param {number} reviewId - Review ID
+   * @param {Object} decision - { status: 'accepted'|'ignored'|'pending', bookId, editionId }
+   * @returns {Promise<boolean>} - True when the review was updated
+   */
+  async resolveMatchReview(
+    reviewId,
+    { status, bookId = null, editionId = null },
+  ) {
+    await this.init();
 
-      // Check 1: Progress change
-      const progressChangeResult = ProgressManager.detectProgressChange(
-        cached.progress_percent,
-        currentProgress,
-        {
-          threshold: 0.01, // 0.01% tolerance
-          context: `${title} sync check`,
-        },
-      );
-      result.changes.progressChanged = progressChangeResult.hasChange;
+    if (!['accepted', 'ignored', 'pending'].includes(status)) {
+      throw new Error(`Invalid match review status: ${status}`);
+    }
+    if (status === 'accepted' && !bookId && !editionId) {
+      throw new Error('Accepting a match review requires a book or edition ID');
+    }
 
-      // Check 2: Status is "Want to Read" (always needs sync to update status)
-      if (cached.status_id === 1) {
-        result.changes.statusChanged = true;
-        logger.debug(
-          `Status check for ${title}: Want to Read status detected, needs sync`,
+    try {
+      const currentTime = new Date().toISOString();
+      const result = this.db
+        .prepare(
+          `
+        UPDATE match_reviews
+        SET status = ?, book_id = ?, edition_id = ?, updated_at = ?, resolved_at = ?
+        WHERE id = ?
+      `,
+        )
+        .run(
+          status,
+          status === 'accepted' ? bookId : null,
+          status === 'accepted' ? editionId : null,
+          currentTime,
+          status === 'pending' ? null : currentTime,
+          reviewId,
         );
-      }
-
-      // Check 3: Edition changed
-      if (
+      return result.changes > 0;
+    } catch (err) {
+      logger.error(`Error resolving match review ${reviewId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Get review decisions as match override entries
+   * Accepted reviews pin the item to the chosen book/edition, ignored ones
+   * mark it as never sync.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Override entries keyed by ABS item ID
+   */
+  async getMatchReviewOverrides(userId) {
+    await this.init();
+
+    try {
+      const rows = this.db
+        .prepare(
+          `
+        SELECT abs_id, title, status, book_id, edition_id
+        FROM match_reviews
+        WHERE user_id = ? AND status IN ('accepted', 'ignored')
+      `,
+        )
+        .all(userId);
+
+      return rows.map(row => {
+        const entry = { abs_id: row.abs_id, users: [userId] };
+        if (row.status === 'ignored') {
+          entry.skip = true;
+        } else {
+          if (row.book_id) entry.book_id = row.book_id;
+          if (row.edition_id) entry.edition_id = row.edition_id;
+        }
+        return entry;
+      });
+    } catch (err) {
+      logger.error(`Error reading match review decisions: ${err.message}`);
+      return [];
+    }
+  }
+
+  _parseMatchReview(row) {
+    return {
+      ...row,
+      identifiers: this._parseJson(row.identifiers, {}),
+      candidates: this._parseJson(row.candidates, []),
+    };
+  }
+
+  _parseJson(value, fallback) {
+    try {
+      return value ? JSON.parse(value) : fallback;
+    } catch (_error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Record a finished sync run and the outcome for every book it processed
+   * @param {Object} run - Run summary from SyncResultFormatter.buildRunSummary()
+   * @param {string} run.status - 'success' or 'failed'
+   * @param {string} run.trigger - What started the run (cli, schedule, api)
+   * @param {string} run.version - ShelfBridge version that ran the sync
+   * @param {string} run.started_at - ISO timestamp of when the run started
+   * @param {string} run.finished_at - ISO timestamp of when the run finished
+   * @param {string} run.run_key - SyncManager run key linking journaled Hardcover changes
+   * @param {Array} bookDetails - Book results from SyncManager (result.book_details)
+   * @returns {Promise<number>} - ID of the stored run
+   */
+  async recordSyncRun(run, bookDetails = []) {
+    await this.init();
+
+    if (!run?.user_id || !run.started_at) {
+      throw new Error(
+        'Invalid sync run data: user_id and started_at are required',
+      );
+    }
+
+    try {
+      const insertRun = this.db.prepare(`
+        INSERT INTO sync_runs (
+          user_id,
+          trigger,
+          status,
+          dry_run,
+          version,
+          started_at,
+          finished_at,
+          duration_seconds,
+          books_processed,
+          books_synced,
+          books_completed,
+          books_auto_added,
+          books_skipped,
+          books_delayed,
+          books_failed,
+          errors,
+          run_key
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertBook = this.db.prepare(`
+        INSERT INTO sync_run_books (
+          run_id,
+          user_id,
+          abs_id,
+          title,
+          author,
+          status,
+          reason,
+          progress_before,
+          progress_after,
+          edition_id,
+          actions,
+          errors
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      const errors = run.errors || [];
+      const transaction = this.db.transaction(() => {
+        const { lastInsertRowid } = insertRun.run(
+          run.user_id,
+          run.trigger || 'cli',
+          run.status || (errors.length > 0 ? 'failed' : 'success'),
+          run.dry_run ? 1 : 0,
+          run.version || null,
+          run.started_at,
+          run.finished_at || new Date().toISOString(),
+          run.duration_seconds ?? null,
+          run.books_processed || 0,
+          run.books_synced || 0,
+          run.books_completed || 0,
+          run.books_auto_added || 0,
+          run.books_skipped || 0,
+          run.books_delayed || 0,
+          run.books_failed || 0,
+          JSON.stringify(errors),
+          run.run_key || null,
+        );
+
+        for (const book of bookDetails) {
+          insertBook.run(
+            lastInsertRowid,
+            run.user_id,
+            book.abs_id ? String(book.abs_id) : null,
+            book.title || 'Unknown Title',
+            book.author || null,
+            book.status || null,
+            book.reason || null,
+            book.progress?.before ?? null,
+            book.progress?.after ?? null,
+            book.hardcover_info?.edition_id || null,
+            JSON.stringify(book.actions || []),
+            JSON.stringify(book.errors || []),
+          );
+        }
+        return Number(lastInsertRowid);
+      });
+
+      const runId = transaction();
+      logger.debug(`Recorded sync run ${runId} for ${run.user_id}`, {
+        books: bookDetails.length,
+      });
+      return runId;
+    } catch (err) {
+      logger.error(
+        `Error recording sync run for ${run.user_id}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * List recorded sync runs, newest first
+   * @param {Object} options - Filter options
+   * @param {string|null} options.userId - Only runs for this user
+   * @param {number} options.limit - Maximum number of runs to return
+   * @returns {Promise<Array>} - Runs with parsed errors
+   */
+  async getSyncRuns({ userId = null, limit = 20 } = {}) {
+    await this.init();
+
+    try {
+      let query = 'SELECT * FROM sync_runs';
+      const params = [];
+      if (userId) {
+        query += ' WHERE user_id = ?';
+        params.push(userId);
+      }
+      query += ' ORDER BY started_at DESC, id DESC LIMIT ?';
+      params.push(limit);
+
+      return this.db
+        .prepare(query)
+        .all(...params)
+        .map(row => this._parseSyncRun(row));
+    } catch (err) {
+      logger.error(`Error reading sync runs: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get one recorded sync run with its per-book actions
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object|null>} - Run with a books array, or null if unknown
+   */
+  async getSyncRun(runId) {
+    await this.init();
+
+    try {
+      const row = this.db
+        .prepare('SELECT * FROM sync_runs WHERE id = ?')
+        .get(runId);
+      if (!row) {
+        return null;
+      }
+
+      const books = this.db
+        .prepare(
+          'SELECT * FROM sync_run_books WHERE run_id = ? ORDER BY title ASC, id ASC',
+        )
+        .all(runId)
+        .map(book => this._parseSyncRunBook(book));
+      return { ...this._parseSyncRun(row), books };
+    } catch (err) {
+      logger.error(`Error reading sync run ${runId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the recorded actions for one book across runs, newest first
+   * @param {string} userId - User ID
+   * @param {string} book - ABS item ID or (case-insensitive) title
+   * @param {Object} options - Filter options
+   * @param {number} options.limit - Maximum number of entries to return
+   * @returns {Promise<Array>} - Book rows joined with their run's metadata
+   */
+  async getBookSyncHistory(userId, book, { limit = 50 } = {}) {
+    await this.init();
+
+    try {
+      return this.db
+        .prepare(
+          `
+        SELECT b.*, r.started_at, r.trigger, r.dry_run, r.version
+        FROM sync_run_books b
+        JOIN sync_runs r ON r.id = b.run_id
+        WHERE b.user_id = ?
+          AND (b.abs_id = ? OR LOWER(b.title) = LOWER(?))
+        ORDER BY r.started_at DESC, b.id DESC
+        LIMIT ?
+      `,
+        )
+        .all(userId, String(book), String(book), limit)
+        .map(row => ({
+          ...this._parseSyncRunBook(row),
+          dry_run: row.dry_run === 1,
+        }));
+    } catch (err) {
+      logger.error(`Error reading sync history for ${book}: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Delete sync runs (with their book rows and change journal) older than the retention period.
+   * Journal entries of runs that were never recorded, e.g. of a sync that
+   * crashed, are deleted once they are as old.
+   * @param {number} retentionDays - Keep runs started within this many days
+   * @returns {Promise<number>} - Number of runs deleted
+   */
+  async pruneSyncRuns(retentionDays) {
+    await this.init();
+
+    try {
+      const cutoff = new Date(
+        Date.now() - retentionDays * 24 * 60 * 60 * 1000,
+      ).toISOString();
+      const transaction = this.db.transaction(() => {
+        this.db
+          .prepare(
+            'DELETE FROM sync_run_books WHERE run_id IN (SELECT id FROM sync_runs WHERE started_at < ?)',
+          )
+          .run(cutoff);
+        this.db
+          .prepare(
+            'DELETE FROM sync_changes WHERE run_key IN (SELECT run_key FROM sync_runs WHERE started_at < ?)',
+          )
+          .run(cutoff);
+        this.db
+          .prepare(
+            'DELETE FROM sync_changes WHERE created_at < ? AND run_key NOT IN (SELECT run_key FROM sync_runs WHERE run_key IS NOT NULL)',
+          )
+          .run(cutoff);
+        return this.db
+          .prepare('DELETE FROM sync_runs WHERE started_at < ?')
+          .run(cutoff).changes;
+      });
+
+      const deleted = transaction();
+      if (deleted > 0) {
+        logger.debug(
+          `Pruned ${deleted} sync runs older than ${retentionDays} days`,
+        );
+      }
+      return deleted;
+    } catch (err) {
+      logger.error(`Error pruning sync runs: ${err.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Journal a Hardcover change together with the state it replaced
+   * @param {Object} change - Change details
+   * @param {string} change.runKey - Run key of the SyncManager making the change
+   * @param {string} change.userId - User ID
+   * @param {string} change.changeType - 'add_book', 'progress' or 'complete'
+   * @param {number} change.userBookId - Hardcover user book ID that was changed
+   * @param {Object|null} change.priorState - { status_id, read } before the change (null for add_book)
+   * @param {number|null} change.newReadId - user_book_read written by the change
+   * @param {number|null} change.newStatusId - Status after the change
+   * @returns {Promise<number>} - ID of the journal entry
+   */
+  async recordSyncChange({
+    runKey,
+    userId,
+    absId = null,
+    title,
+    identifier = null,
+    identifierType = null,
+    changeType,
+    userBookId,
+    bookId = null,
+    editionId = null,
+    priorState = null,
+    newReadId = null,
+    newStatusId = null,
+  }) {
+    await this.init();
+
+    if (!runKey || !userId || !title || !changeType || !userBookId) {
+      throw new Error(
+        'Invalid sync change data: runKey, userId, title, changeType and userBookId are required',
+      );
+    }
+
+    try {
+      const result = this.db
+        .prepare(
+          `
+        INSERT INTO sync_changes (
+          run_key,
+          user_id,
+          abs_id,
+          title,
+          identifier,
+          identifier_type,
+          change_type,
+          user_book_id,
+          book_id,
+          edition_id,
+          prior_state,
+          new_read_id,
+          new_status_id,
+          created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        )
+        .run(
+          runKey,
+          userId,
+          absId ? String(absId) : null,
+          title,
+          identifier,
+          identifierType,
+          changeType,
+          userBookId,
+          bookId,
+          editionId,
+          priorState ? JSON.stringify(priorState) : null,
+          newReadId,
+          newStatusId,
+          new Date().toISOString(),
+        );
+      return Number(result.lastInsertRowid);
+    } catch (err) {
+      logger.error(
+        `Error journaling ${changeType} for ${title}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get the journaled Hardcover changes of a recorded run, oldest first
+   * @param {number} runId - Run ID
+   * @returns {Promise<Array>} - Changes with parsed prior state
+   */
+  async getSyncChanges(runId) {
+    await this.init();
+
+    try {
+      return this.db
+        .prepare(
+          `
+        SELECT c.*
+        FROM sync_changes c
+        JOIN sync_runs r ON r.run_key = c.run_key
+        WHERE r.id = ?
+        ORDER BY c.id ASC
+      `,
+        )
+        .all(runId)
+        .map(row => ({
+          ...row,
+          prior_state: this._parseJson(row.prior_state, null),
+        }));
+    } catch (err) {
+      logger.error(
+        `Error reading changes of sync run ${runId}: ${err.message}`,
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Find which listening sessions already have a reading journal entry
+   * @param {string} userId - User ID
+   * @param {Array<string>} sessionIds - Audiobookshelf session IDs
+   * @returns {Promise<Set<string>>} - The session IDs that were journaled
+   */
+  async getJournaledSessionIds(userId, sessionIds) {
+    await this.init();
+
+    const journaled = new Set();
+    try {
+      const lookup = this.db.prepare(
+        'SELECT 1 FROM journaled_sessions WHERE user_id = ? AND session_id = ?',
+      );
+      for (const sessionId of sessionIds) {
+        if (lookup.get(userId, String(sessionId))) {
+          journaled.add(String(sessionId));
+        }
+      }
+    } catch (err) {
+      logger.error(`Error reading journaled sessions: ${err.message}`);
+      throw err;
+    }
+    return journaled;
+  }
+
+  /**
+   * Remember that a listening session was written to the reading journal
+   * @param {Object} session - { userId, sessionId, absId, userBookId, journalId, sessionDate, listenedSeconds }
+   */
+  async recordJournaledSession({
+    userId,
+    sessionId,
+    absId = null,
+    userBookId = null,
+    journalId = null,
+    sessionDate = null,
+    listenedSeconds = null,
+  }) {
+    await this.init();
+
+    try {
+      this.db
+        .prepare(
+          `
+        INSERT OR REPLACE INTO journaled_sessions (
+          user_id, session_id, abs_id, user_book_id, journal_id,
+          session_date, listened_seconds, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        )
+        .run(
+          userId,
+          String(sessionId),
+          absId ? String(absId) : null,
+          userBookId,
+          journalId,
+          sessionDate,
+          listenedSeconds,
+          new Date().toISOString(),
+        );
+    } catch (err) {
+      logger.error(
+        `Error recording journaled session ${sessionId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get the Hardcover list an Audiobookshelf collection or playlist syncs to
+   * @param {string} userId - User ID
+   * @param {string} sourceType - 'collection' or 'playlist'
+   * @param {string} sourceId - Audiobookshelf collection/playlist ID
+   * @returns {Promise<Object|null>} - Mapping row or null
+   */
+  async getListMapping(userId, sourceType, sourceId) {
+    await this.init();
+
+    try {
+      return (
+        this.db
+          .prepare(
+            `
+        SELECT * FROM list_mappings
+        WHERE user_id = ? AND source_type = ? AND source_id = ?
+      `,
+          )
+          .get(userId, sourceType, String(sourceId)) || null
+      );
+    } catch (err) {
+      logger.error(
+        `Error reading list mapping for ${sourceType} ${sourceId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Remember which Hardcover list a collection or playlist syncs to
+   * @param {Object} mapping - { userId, sourceType, sourceId, sourceName, listId }
+   */
+  async saveListMapping({ userId, sourceType, sourceId, sourceName, listId }) {
+    await this.init();
+
+    try {
+      const now = new Date().toISOString();
+      this.db
+        .prepare(
+          `
+        INSERT INTO list_mappings (
+          user_id, source_type, source_id, source_name, list_id, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, source_type, source_id) DO UPDATE SET
+          source_name = excluded.source_name,
+          list_id = excluded.list_id,
+          updated_at = excluded.updated_at
+      `,
+        )
+        .run(
+          userId,
+          sourceType,
+          String(sourceId),
+          sourceName,
+          listId,
+          now,
+          now,
+        );
+    } catch (err) {
+      logger.error(
+        `Error saving list mapping for ${sourceType} ${sourceId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get the list entries ShelfBridge added to a Hardcover list
+   * @param {string} userId - User ID
+   * @param {number} listId - Hardcover list ID
+   * @returns {Promise<Array>} - Rows with book_id, abs_id and list_book_id
+   */
+  async getListEntries(userId, listId) {
+    await this.init();
+
+    try {
+      return this.db
+        .prepare('SELECT * FROM list_entries WHERE user_id = ? AND list_id = ?')
+        .all(userId, listId);
+    } catch (err) {
+      logger.error(`Error reading entries of list ${listId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Remember a book ShelfBridge added to a Hardcover list
+   * @param {Object} entry - { userId, listId, bookId, absId, listBookId }
+   */
+  async recordListEntry({
+    userId,
+    listId,
+    bookId,
+    absId = null,
+    listBookId = null,
+  }) {
+    await this.init();
+
+    try {
+      this.db
+        .prepare(
+          `
+        INSERT OR REPLACE INTO list_entries (
+          user_id, list_id, book_id, abs_id, list_book_id, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `,
+        )
+        .run(
+          userId,
+          listId,
+          bookId,
+          absId ? String(absId) : null,
+          listBookId,
+          new Date().toISOString(),
+        );
+    } catch (err) {
+      logger.error(`Error recording entry of list ${listId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Forget list entries, e.g. after removing them or when the list was deleted
+   * @param {string} userId - User ID
+   * @param {number} listId - Hardcover list ID
+   * @param {number|null} bookId - Only this book's entry (default: all entries)
+   */
+  async removeListEntries(userId, listId, bookId = null) {
+    await this.init();
+
+    try {
+      if (bookId === null) {
+        this.db
+          .prepare('DELETE FROM list_entries WHERE user_id = ? AND list_id = ?')
+          .run(userId, listId);
+      } else {
+        this.db
+          .prepare(
+            'DELETE FROM list_entries WHERE user_id = ? AND list_id = ? AND book_id = ?',
+          )
+          .run(userId, listId, bookId);
+      }
+    } catch (err) {
+      logger.error(`Error removing entries of list ${listId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Get the newest still active journaled change of a type for a user book
+   * @param {string} userId - User ID
+   * @param {number} userBookId - Hardcover user book ID
+   * @param {string} changeType - Change type (e.g. 'abandon')
+   * @returns {Promise<Object|null>} - Journal entry or null
+   */
+  async getLatestSyncChange(userId, userBookId, changeType) {
+    await this.init();
+
+    try {
+      const row = this.db
+        .prepare(
+          `
+        SELECT * FROM sync_changes
+        WHERE user_id = ? AND user_book_id = ? AND change_type = ?
+          AND undone_at IS NULL
+        ORDER BY id DESC
+        LIMIT 1
+      `,
+        )
+        .get(userId, userBookId, changeType);
+      return row
+        ? { ...row, prior_state: this._parseJson(row.prior_state, null) }
+        : null;
+    } catch (err) {
+      logger.error(
+        `Error reading ${changeType} changes for user book ${userBookId}: ${err.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a later, still active change touched the same user book
+   * @param {Object} change - Journal entry from getSyncChanges()
+   * @returns {Promise<boolean>} - True if undoing the change would overwrite newer state
+   */
+  async hasNewerSyncChange(change) {
+    await this.init();
+
+    const row = this.db
+      .prepare(
+        `
+        SELECT 1 FROM sync_changes
+        WHERE user_id = ? AND user_book_id = ? AND id > ?
+          AND run_key != ? AND undone_at IS NULL
+        LIMIT 1
+      `,
+      )
+      .get(change.user_id, change.user_book_id, change.id, change.run_key);
+    return !!row;
+  }
+
+  /**
+   * Mark a journaled change as undone, or record why undoing it failed
+   * @param {number} changeId - Journal entry ID
+   * @param {string|null} error - Failure reason (leaves the change active)
+   */
+  async markSyncChangeUndone(changeId, error = null) {
+    await this.init();
+
+    try {
+      this.db
+        .prepare(
+          'UPDATE sync_changes SET undone_at = ?, undo_error = ? WHERE id = ?',
+        )
+        .run(error ? null : new Date().toISOString(), error, changeId);
+    } catch (err) {
+      logger.error(`Error updating sync change ${changeId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Flag a recorded run as undone
+   * @param {number} runId - Run ID
+   */
+  async markSyncRunUndone(runId) {
+    await this.init();
+
+    try {
+      this.db
+        .prepare('UPDATE sync_runs SET undone_at = ? WHERE id = ?')
+        .run(new Date().toISOString(), runId);
+    } catch (err) {
+      logger.error(`Error updating sync run ${runId}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  _parseSyncRun(row) {
+    return {
+      ...row,
+      dry_run: row.dry_run === 1,
+      errors: this._parseJson(row.errors, []),
+    };
+  }
+
+  _parseSyncRunBook(row) {
+    return {
+      ...row,
+      actions: this._parseJson(row.actions, []),
+      errors: this._parseJson(row.errors, []),
+    };
+  }
+
+  async clearCachedBookInfo(
+    userId,
+    identifier,
+    title,
+    identifierType = 'isbn',
+  ) {
+    await this.init();
+
+    const validationErrors = this._validateBookData(
+      userId,
+      identifier,
+      title,
+      identifierType,
+    );
+    if (validationErrors.length > 0) {
+      throw new Error(
+        `Invalid cached book clear data: ${validationErrors.join(', ')}`,
+      );
+    }
+
+    try {
+      const normalizedTitle = title.toLowerCase().trim();
+      const stmt = this.db.prepare(`
+        DELETE FROM books
+        WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
+      `);
+      const result = stmt.run(
+        userId,
+        identifier,
+        identifierType,
+        normalizedTitle,
+      );
+
+      logger.debug(`Cleared cached book info for ${title}`, {
+        identifier,
+        identifierType,
+        changes: result.changes,
+      });
+      return result;
+    } catch (err) {
+      logger.error(
+        `Error clearing cached book info for ${title}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Check if a book needs to be synced based on multiple conditions:
+   * - Progress changed
+   * - Status is "Want to Read" (needs status update)
+   * - Edition changed
+   *
+   * @param {string} userId - User ID
+   * @param {string} identifier - Book identifier (ISBN/ASIN)
+   * @param {string} title - Book title
+   * @param {number} currentProgress - Current progress percentage
+   * @param {string} identifierType - Type of identifier
+   * @param {number} currentEditionId - Current edition ID from Hardcover
+   * @returns {Promise<Object>} - Object with needsSync flag, reason, and changes breakdown
+   */
+  async needsSyncCheck(
+    userId,
+    identifier,
+    title,
+    currentProgress,
+    identifierType = 'isbn',
+    currentEditionId = null,
+  ) {
+    await this.init();
+
+    const result = {
+      needsSync: false,
+      reason: '',
+      changes: {
+        progressChanged: false,
+        statusChanged: false,
+        editionChanged: false,
+      },
+    };
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT progress_percent, status_id, hardcover_edition_id
+        FROM books
+        WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
+      `);
+
+      const normalizedTitle = title.toLowerCase().trim();
+      const cached = stmt.get(
+        userId,
+        identifier,
+        identifierType,
+        normalizedTitle,
+      );
+
+      if (!cached) {
+        result.needsSync = true;
+        result.reason = 'No cached data';
+        result.changes.progressChanged = true;
+        return result;
+      }
+
+      // Check 1: Progress change
+      const progressChangeResult = ProgressManager.detectProgressChange(
+        cached.progress_percent,
+        currentProgress,
+        {
+          threshold: 0.01, // 0.01% tolerance
+          context: `${title} sync check`,
+        },
+      );
+      result.changes.progressChanged = progressChangeResult.hasChange;
+
+      // Check 2: Status is "Want to Read" (always needs sync to update status)
+      if (cached.status_id === 1) {
+        result.changes.statusChanged = true;
+        logger.debug(
+          `Status check for ${title}: Want to Read status detected, needs sync`,
+        );
+      }
+
+      // Check 3: Edition changed
+      if (
         cached.hardcover_edition_id &&
         currentEditionId &&
         currentEditionId !== cached.hardcover_edition_id
@@ -1501,6 +2701,10 @@ export class BookCache {
     try {
       this.db.exec('DELETE FROM books');
       this.db.exec('DELETE FROM sync_skips');
+      // Without cached books the next sync must look at every book again
+      this.db.exec('DELETE FROM sync_watermarks');
+      this.db.exec('DELETE FROM hardcover_library');
+      this.db.exec('DELETE FROM hardcover_library_state');
       logger.info('Cache cleared successfully');
     } catch (err) {
       logger.error(`Error clearing cache: ${err.message}`);
@@ -1642,48 +2846,158 @@ export class BookCache {
     }
   }
 
+  /**
+   * Get cached books for a user, most recently updated first
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of books (default: 100)
+   * @param {number} options.offset - Number of books to skip (default: 0)
+   * @returns {Promise<Array>} Cached book rows
+   */
+  async getBooksForUser(userId, { limit = 100, offset = 0 } = {}) {
+    await this.init();
+
+    try {
+      const stmt = this.db.prepare(`
+                SELECT * FROM books
+                WHERE user_id = ?
+                ORDER BY updated_at DESC
+                LIMIT ? OFFSET ?
+            `);
+
+      return stmt.all(userId, limit, offset);
+    } catch (err) {
+      logger.error(`Error getting books for user ${userId}: ${err.message}`);
+      return [];
+    }
+  }
+
   async getCachedBookInfo(userId, identifier, title, identifierType = 'isbn') {
     await this.init();
 
     try {
-      const stmt = this.db.prepare(`
-                SELECT * FROM books 
-                WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
-            `);
-
+      const stmt = this.db.prepare(`
+                SELECT * FROM books 
+                WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
+            `);
+
+      const normalizedTitle = title.toLowerCase().trim();
+      const result = stmt.get(
+        userId,
+        identifier,
+        identifierType,
+        normalizedTitle,
+      );
+
+      appMetrics.cacheLookups.inc({ result: result ? 'hit' : 'miss' });
+
+      if (result) {
+        return {
+          exists: true,
+          edition_id: result.edition_id,
+          author: result.author,
+          progress_percent: result.progress_percent,
+          last_sync: result.last_sync,
+          started_at: result.started_at,
+          finished_at: result.finished_at,
+          last_listened_at: result.last_listened_at,
+          updated_at: result.updated_at,
+          read_count: result.read_count || 0,
+        };
+      } else {
+        return {
+          exists: false,
+        };
+      }
+    } catch (err) {
+      logger.error(
+        `Error getting cached book info for ${title}: ${err.message}`,
+      );
+      return {
+        exists: false,
+        error: err.message,
+      };
+    }
+  }
+
+  /**
+   * Record that a finished book was restarted. Clears the cached completion so
+   * the re-read's own completion is synced, and counts the earlier read if it
+   * was completed before read counts were tracked.
+   * @param {string} userId - User ID
+   * @param {string} identifier - Book identifier
+   * @param {string} title - Book title
+   * @param {string} identifierType - Type of identifier
+   * @returns {Promise<number>} - Completed reads so far
+   */
+  async startReread(userId, identifier, title, identifierType = 'isbn') {
+    await this.init();
+
+    try {
+      const normalizedTitle = title.toLowerCase().trim();
+      this.db
+        .prepare(
+          `
+        UPDATE books
+        SET finished_at = NULL, read_count = MAX(COALESCE(read_count, 0), 1), updated_at = ?
+        WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
+      `,
+        )
+        .run(
+          new Date().toISOString(),
+          userId,
+          identifier,
+          identifierType,
+          normalizedTitle,
+        );
+      return (
+        await this.getCachedBookInfo(userId, identifier, title, identifierType)
+      ).read_count;
+    } catch (err) {
+      logger.error(`Error starting re-read of ${title}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Count a newly completed read of a book
+   * @param {string} userId - User ID
+   * @param {string} identifier - Book identifier
+   * @param {string} title - Book title
+   * @param {string} identifierType - Type of identifier
+   * @returns {Promise<number>} - Completed reads including this one
+   */
+  async recordCompletedRead(
+    userId,
+    identifier,
+    title,
+    identifierType = 'isbn',
+  ) {
+    await this.init();
+
+    try {
       const normalizedTitle = title.toLowerCase().trim();
-      const result = stmt.get(
-        userId,
-        identifier,
-        identifierType,
-        normalizedTitle,
-      );
-
-      if (result) {
-        return {
-          exists: true,
-          edition_id: result.edition_id,
-          author: result.author,
-          progress_percent: result.progress_percent,
-          last_sync: result.last_sync,
-          started_at: result.started_at,
-          finished_at: result.finished_at,
-          last_listened_at: result.last_listened_at,
-          updated_at: result.updated_at,
-        };
-      } else {
-        return {
-          exists: false,
-        };
-      }
+      this.db
+        .prepare(
+          `
+        UPDATE books
+        SET read_count = COALESCE(read_count, 0) + 1, updated_at = ?
+        WHERE user_id = ? AND identifier = ? AND identifier_type = ? AND title = ?
+      `,
+        )
+        .run(
+          new Date().toISOString(),
+          userId,
+          identifier,
+          identifierType,
+          normalizedTitle,
+        );
+      return (
+        await this.getCachedBookInfo(userId, identifier, title, identifierType)
+      ).read_count;
     } catch (err) {
-      logger.error(
-        `Error getting cached book info for ${title}: ${err.message}`,
-      );
-      return {
-        exists: false,
-        error: err.message,
-      };
+      logger.error(`Error counting completed read of ${title}: ${err.message}`);
+      throw err;
     }
   }
 
@@ -1801,6 +3115,490 @@ export class BookCache {
     }
   }
 
+  /**
+   * Get the incremental sync watermark of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - { last_progress_update, last_full_sync_at } or null
+   */
+  async getSyncWatermark(userId) {
+    await this.init();
+
+    try {
+      return (
+        this.db
+          .prepare('SELECT * FROM sync_watermarks WHERE user_id = ?')
+          .get(userId) || null
+      );
+    } catch (err) {
+      logger.error(
+        `Error reading sync watermark for user ${userId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Store the incremental sync watermark of a user. Omitted values keep
+   * their stored value.
+   * @param {string} userId - User ID
+   * @param {Object} watermark - { lastProgressUpdate, lastFullSyncAt }
+   */
+  async saveSyncWatermark(
+    userId,
+    { lastProgressUpdate = null, lastFullSyncAt = null },
+  ) {
+    await this.init();
+
+    try {
+      this.db
+        .prepare(
+          `
+        INSERT INTO sync_watermarks (
+          user_id, last_progress_update, last_full_sync_at, updated_at
+        ) VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          last_progress_update = COALESCE(excluded.last_progress_update, last_progress_update),
+          last_full_sync_at = COALESCE(excluded.last_full_sync_at, last_full_sync_at),
+          updated_at = excluded.updated_at
+      `,
+        )
+        .run(
+          userId,
+          lastProgressUpdate,
+          lastFullSyncAt,
+          new Date().toISOString(),
+        );
+    } catch (err) {
+      logger.error(
+        `Error saving sync watermark for user ${userId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get the bookkeeping of a user's stored Hardcover library
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - { account_id, schema_version, last_updated_at, last_full_refresh_at } or null
+   */
+  async getHardcoverLibraryState(userId) {
+    await this.init();
+
+    try {
+      return (
+        this.db
+          .prepare('SELECT * FROM hardcover_library_state WHERE user_id = ?')
+          .get(userId) || null
+      );
+    } catch (err) {
+      logger.error(
+        `Error reading Hardcover library state for user ${userId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get a user's stored Hardcover library
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - User books as returned by getUserBooks()
+   */
+  async getHardcoverLibrary(userId) {
+    await this.init();
+
+    try {
+      return this.db
+        .prepare(
+          'SELECT data FROM hardcover_library WHERE user_id = ? ORDER BY user_book_id',
+        )
+        .all(userId)
+        .map(row => JSON.parse(row.data));
+    } catch (err) {
+      logger.error(
+        `Error reading Hardcover library for user ${userId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Store user books fetched from Hardcover. A full refresh replaces the
+   * whole stored library; otherwise the books are merged into it.
+   * @param {string} userId - User ID
+   * @param {Array} userBooks - User books as returned by getUserBooks()
+   * @param {Object} state - { fullRefresh, accountId, schemaVersion, lastUpdatedAt }
+   */
+  async saveHardcoverLibrary(
+    userId,
+    userBooks,
+    { fullRefresh, accountId = null, schemaVersion, lastUpdatedAt = null },
+  ) {
+    await this.init();
+
+    try {
+      const now = new Date().toISOString();
+      const upsertBook = this.db.prepare(`
+        INSERT INTO hardcover_library (user_id, user_book_id, data, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id, user_book_id) DO UPDATE SET
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `);
+      const upsertState = this.db.prepare(`
+        INSERT INTO hardcover_library_state (
+          user_id, account_id, schema_version, last_updated_at, last_full_refresh_at, fetched_at
+        ) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          account_id = excluded.account_id,
+          schema_version = excluded.schema_version,
+          last_updated_at = COALESCE(excluded.last_updated_at, last_updated_at),
+          last_full_refresh_at = CASE WHEN ? THEN excluded.last_full_refresh_at
+            ELSE last_full_refresh_at END,
+          fetched_at = excluded.fetched_at
+      `);
+
+      const transaction = this.db.transaction(() => {
+        if (fullRefresh) {
+          this.db
+            .prepare('DELETE FROM hardcover_library WHERE user_id = ?')
+            .run(userId);
+        }
+        for (const userBook of userBooks) {
+          upsertBook.run(
+            userId,
+            userBook.id,
+            JSON.stringify(userBook),
+            userBook.updated_at || null,
+          );
+        }
+        upsertState.run(
+          userId,
+          accountId,
+          schemaVersion,
+          lastUpdatedAt,
+          now,
+          now,
+          fullRefresh ? 1 : 0,
+        );
+      });
+      transaction();
+    } catch (err) {
+      logger.error(
+        `Error saving Hardcover library for user ${userId}: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Drop a user book from the stored Hardcover library (e.g. after removing it)
+   * @param {string} userId - User ID
+   * @param {number} userBookId - Hardcover user book ID
+   * @returns {Promise<number>} - Number of rows removed
+   */
+  async removeHardcoverLibraryBook(userId, userBookId) {
+    await this.init();
+
+    try {
+      return this.db
+        .prepare(
+          'DELETE FROM hardcover_library WHERE user_id = ? AND user_book_id = ?',
+        )
+        .run(userId, userBookId).changes;
+    } catch (err) {
+      logger.error(
+        `Error removing user book ${userBookId} from Hardcover library: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Add a Hardcover write to the outbox. A write with the same idempotency
+   * key is never queued twice: a pending entry is returned as is, a finished
+   * or dead one is queued again for a fresh round of attempts.
+   * @param {string} userId - User ID
+   * @param {Object} entry - { idempotencyKey, operation, target, title, payload }
+   * @param {Object} options - { replacesPending } drops pending entries of the
+   *   same operation and target that the new write makes obsolete
+   * @returns {Promise<Object>} - The stored outbox entry
+   */
+  async enqueueOutboxEntry(
+    userId,
+    { idempotencyKey, operation, target, title = null, payload },
+    { replacesPending = false } = {},
+  ) {
+    await this.init();
+
+    try {
+      const now = new Date().toISOString();
+      const transaction = this.db.transaction(() => {
+        const existing = this.db
+          .prepare(
+            'SELECT * FROM hardcover_outbox WHERE user_id = ? AND idempotency_key = ?',
+          )
+          .get(userId, idempotencyKey);
+        if (existing?.status === 'pending') {
+          return existing;
+        }
+        if (existing) {
+          this.db
+            .prepare(
+              `
+            UPDATE hardcover_outbox
+            SET status = 'pending', attempts = 0, last_error = NULL, result = NULL,
+                next_attempt_at = NULL, completed_at = NULL, updated_at = ?
+            WHERE id = ?
+          `,
+            )
+            .run(now, existing.id);
+          return this.db
+            .prepare('SELECT * FROM hardcover_outbox WHERE id = ?')
+            .get(existing.id);
+        }
+
+        if (replacesPending) {
+          this.db
+            .prepare(
+              `DELETE FROM hardcover_outbox
+               WHERE user_id = ? AND operation = ? AND target = ? AND status = 'pending'`,
+            )
+            .run(userId, operation, target);
+        }
+
+        const { lastInsertRowid } = this.db
+          .prepare(
+            `
+          INSERT INTO hardcover_outbox (
+            user_id, idempotency_key, operation, target, title, payload,
+            created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+          )
+          .run(
+            userId,
+            idempotencyKey,
+            operation,
+            target,
+            title,
+            JSON.stringify(payload),
+            now,
+            now,
+          );
+        return this.db
+          .prepare('SELECT * FROM hardcover_outbox WHERE id = ?')
+          .get(lastInsertRowid);
+      });
+      return this._parseOutboxEntry(transaction());
+    } catch (err) {
+      logger.error(
+        `Error queueing ${operation} for ${target} in the outbox: ${err.message}`,
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * List outbox entries, oldest first
+   * @param {Object} filter - { userId, status, ids, dueBefore } where
+   *   dueBefore only keeps entries whose next attempt is due by then
+   * @returns {Promise<Array>} - Outbox entries with parsed payload and result
+   */
+  async getOutboxEntries({
+    userId = null,
+    status = null,
+    ids = null,
+    dueBefore = null,
+  } = {}) {
+    await this.init();
+
+    try {
+      const conditions = [];
+      const params = [];
+      if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+      }
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (ids) {
+        conditions.push(`id IN (${ids.map(() => '?').join(', ')})`);
+        params.push(...ids);
+      }
+      if (dueBefore) {
+        conditions.push('(next_attempt_at IS NULL OR next_attempt_at <= ?)');
+        params.push(dueBefore);
+      }
+
+      return this.db
+        .prepare(
+          `SELECT * FROM hardcover_outbox
+           ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+           ORDER BY id`,
+        )
+        .all(...params)
+        .map(row => this._parseOutboxEntry(row));
+    } catch (err) {
+      logger.error(`Error reading the outbox: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Record that an outbox entry reached Hardcover
+   * @param {number} id - Outbox entry ID
+   * @param {*} result - Value returned by the Hardcover client
+   */
+  async markOutboxEntryDone(id, result) {
+    await this.init();
+
+    try {
+      const now = new Date().toISOString();
+      this.db
+        .prepare(
+          `
+        UPDATE hardcover_outbox
+        SET status = 'done', attempts = attempts + 1, last_error = NULL,
+            result = ?, next_attempt_at = NULL, updated_at = ?, completed_at = ?
+        WHERE id = ?
+      `,
+        )
+        .run(JSON.stringify(result ?? null), now, now, id);
+    } catch (err) {
+      logger.error(`Error completing outbox entry ${id}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Record a failed attempt of an outbox entry
+   * @param {number} id - Outbox entry ID
+   * @param {Object} failure - { error, dead, nextAttemptAt }; dead entries are
+   *   not retried until `outbox --retry`
+   */
+  async markOutboxEntryFailed(
+    id,
+    { error, dead = false, nextAttemptAt = null },
+  ) {
+    await this.init();
+
+    try {
+      this.db
+        .prepare(
+          `
+        UPDATE hardcover_outbox
+        SET status = ?, attempts = attempts + 1, last_error = ?,
+            next_attempt_at = ?, updated_at = ?
+        WHERE id = ?
+      `,
+        )
+        .run(
+          dead ? 'dead' : 'pending',
+          error,
+          dead ? null : nextAttemptAt,
+          new Date().toISOString(),
+          id,
+        );
+    } catch (err) {
+      logger.error(`Error recording outbox failure for ${id}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Queue outbox entries for another round of attempts
+   * @param {Object} filter - { userId, ids }; without IDs every dead entry is retried
+   * @returns {Promise<number>} - Number of entries queued again
+   */
+  async retryOutboxEntries({ userId = null, ids = null } = {}) {
+    await this.init();
+
+    try {
+      const conditions = ["status != 'done'"];
+      const params = [new Date().toISOString()];
+      if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+      }
+      if (ids) {
+        conditions.push(`id IN (${ids.map(() => '?').join(', ')})`);
+        params.push(...ids);
+      } else {
+        conditions.push("status = 'dead'");
+      }
+
+      return this.db
+        .prepare(
+          `
+        UPDATE hardcover_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = NULL, updated_at = ?
+        WHERE ${conditions.join(' AND ')}
+      `,
+        )
+        .run(...params).changes;
+    } catch (err) {
+      logger.error(`Error retrying outbox entries: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete outbox entries
+   * @param {Object} filter - { userId, ids, status, completedBefore }
+   * @returns {Promise<number>} - Number of entries deleted
+   */
+  async deleteOutboxEntries({
+    userId = null,
+    ids = null,
+    status = null,
+    completedBefore = null,
+  } = {}) {
+    await this.init();
+
+    try {
+      const conditions = [];
+      const params = [];
+      if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+      }
+      if (ids) {
+        conditions.push(`id IN (${ids.map(() => '?').join(', ')})`);
+        params.push(...ids);
+      }
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (completedBefore) {
+        conditions.push('completed_at < ?');
+        params.push(completedBefore);
+      }
+      if (conditions.length === 0) {
+        throw new Error('Refusing to delete the whole outbox without a filter');
+      }
+
+      return this.db
+        .prepare(
+          `DELETE FROM hardcover_outbox WHERE ${conditions.join(' AND ')}`,
+        )
+        .run(...params).changes;
+    } catch (err) {
+      logger.error(`Error deleting outbox entries: ${err.message}`);
+      throw err;
+    }
+  }
+
+  _parseOutboxEntry(row) {
+    return {
+      ...row,
+      payload: JSON.parse(row.payload),
+      result: row.result ? JSON.parse(row.result) : null,
+    };
+  }
+
   /**
    * Get cached library statistics
    * @param {string} userId - User ID
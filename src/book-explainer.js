@@ -0,0 +1,561 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BookCache } from './book-cache.js';
+import { SyncManager } from './sync-manager.js';
+import ProgressManager from './progress-manager.js';
+import logger from './logger.js';
+import {
+  calculateBookIdentificationScore,
+  detectUserBookFormat,
+  extractAudioDurationFromAudiobookshelf,
+  extractAuthor,
+  extractAuthorFromSearchResult,
+  extractBookIdentifiers,
+  extractNarrator,
+  extractPublicationYear,
+  extractSeries,
+  extractTitle,
+  normalizeTitle,
+} from './matching/index.js';
+import {
+  PROFILES,
+  scoreEdition,
+} from './matching/utils/unified-edition-scorer.js';
+
+// ABS library item IDs: legacy "li_..." IDs or UUIDs
+const ABS_ITEM_ID_PATTERN =
+  /^(li_[a-z0-9]+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Replace a method on an object
+ * @param {Object} target - Object owning the method
+ * @param {string} method - Method name
+ * @param {Function} createReplacement - Receives the original, returns the replacement
+ * @returns {Function} - Restores the original method
+ */
+function replaceMethod(target, method, createReplacement) {
+  const original = target[method];
+  const hadOwnProperty = Object.prototype.hasOwnProperty.call(target, method);
+  target[method] = createReplacement(original);
+
+  return () => {
+    if (hadOwnProperty) {
+      target[method] = original;
+    } else {
+      delete target[method];
+    }
+  };
+}
+
+/**
+ * Wrap a method so every call is reported to `record`
+ * Works for sync and async methods.
+ * @param {Object} target - Object owning the method
+ * @param {string} method - Method name
+ * @param {Function} record - Called with { args, result, error, durationMs }
+ * @returns {Function} - Restores the original method
+ */
+function spyOn(target, method, record) {
+  return replaceMethod(
+    target,
+    method,
+    original =>
+      function (...args) {
+        const started = performance.now();
+        const finish = (result, error = null) =>
+          record({
+            args,
+            result,
+            error,
+            durationMs: Math.round(performance.now() - started),
+          });
+
+        let returned;
+        try {
+          returned = original.apply(this, args);
+        } catch (error) {
+          finish(undefined, error);
+          throw error;
+        }
+
+        if (returned && typeof returned.then === 'function') {
+          return returned.then(
+            result => {
+              finish(result);
+              return result;
+            },
+            error => {
+              finish(undefined, error);
+              throw error;
+            },
+          );
+        }
+        finish(returned);
+        return returned;
+      },
+  );
+}
+
+function round(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? Math.round(value * 10) / 10
+    : null;
+}
+
+/**
+ * Summarize a scorer breakdown as { factor: { score, weight, detail } }
+ */
+function summarizeBreakdown(breakdown = {}) {
+  const components = {};
+  for (const [factor, value] of Object.entries(breakdown)) {
+    if (!value || typeof value !== 'object') {
+      continue;
+    }
+    components[factor] = {
+      score: round(value.score),
+      weight: value.weight ?? null,
+      detail: value.comparison || value.reason || null,
+    };
+  }
+  return components;
+}
+
+/**
+ * BookExplainer - runs one Audiobookshelf book through the sync pipeline in
+ * dry-run mode and records every decision along the way.
+ *
+ * The run works on a throwaway copy of the book cache so explaining a book
+ * never changes what the next real sync does. Hardcover mutations are
+ * refused outright.
+ */
+export class BookExplainer {
+  /**
+   * @param {Object} user - User configuration
+   * @param {Object} globalConfig - Global configuration
+   * @param {Object} options - Explain options
+   * @param {boolean} options.fresh - Start from an empty cache instead of a snapshot
+   * @param {string} options.cacheFile - Cache to snapshot (default: data/.book_cache.db)
+   */
+  constructor(user, globalConfig, options = {}) {
+    this.user = user;
+    this.globalConfig = { ...globalConfig, dry_run: true };
+    this.fresh = options.fresh === true;
+    this.cacheFile = options.cacheFile || 'data/.book_cache.db';
+    this.scratchDir = null;
+    this.syncManager = null;
+    this._matcherResult = null;
+  }
+
+  /**
+   * Explain how a book is matched and synced
+   * @param {string} query - ABS library item ID or (part of) a title
+   * @returns {Promise<Object>} - Structured trace
+   */
+  async explain(query) {
+    const cache = await this._createScratchCache();
+    this.syncManager = this._createSyncManager(cache);
+
+    const trace = {
+      user_id: this.user.id,
+      query,
+      cache: this.fresh ? 'fresh' : 'snapshot',
+      book: null,
+      override: null,
+      tiers: [],
+      searches: [],
+      candidates: [],
+      match: null,
+      progress: { checks: [], regression: null, completion: null },
+      queries: [],
+      result: null,
+    };
+
+    const absBook = await this.findBook(query);
+    trace.book = this._describeBook(absBook);
+    logger.debug('Explaining book sync', {
+      user_id: this.user.id,
+      abs_id: absBook.id,
+      title: trace.book.title,
+      cache: trace.cache,
+    });
+
+    await this.syncManager._loadReviewDecisions();
+    await this.syncManager._loadHardcoverLibrary();
+
+    const restore = this._instrument(trace, absBook);
+    try {
+      const syncResult = await this.syncManager._syncSingleBook(
+        absBook,
+        null,
+        this._createRunResult(),
+      );
+      trace.result = {
+        status: syncResult.status,
+        reason: syncResult.reason || null,
+        actions: syncResult.actions || [],
+        errors: syncResult.errors || [],
+        progress_before: syncResult.progress_before ?? null,
+        progress_after: syncResult.progress_after ?? null,
+        hardcover_status: syncResult.hardcover_status || null,
+      };
+    } finally {
+      restore();
+    }
+
+    trace.override = this._describeOverride(absBook);
+    trace.candidates = this._scoreCandidates(trace.searches, absBook);
+    trace.match = this._describeMatch(
+      this._matcherResult?.match,
+      trace.tiers,
+      trace.override,
+      absBook,
+    );
+    return trace;
+  }
+
+  /**
+   * Find the book by ABS item ID, exact title or unique partial title
+   * @param {string} query - ABS library item ID or title
+   * @returns {Promise<Object>} - Audiobookshelf book
+   */
+  async findBook(query) {
+    const audiobookshelf = this.syncManager.audiobookshelf;
+    const trimmed = String(query || '').trim();
+    if (!trimmed) {
+      throw new Error('A book title or Audiobookshelf item ID is required');
+    }
+
+    if (ABS_ITEM_ID_PATTERN.test(trimmed)) {
+      const item = await audiobookshelf.getLibraryItem(trimmed);
+      if (item) {
+        return item;
+      }
+    }
+
+    const books = (await audiobookshelf.getReadingProgress()).filter(
+      book => !book._isMetadataOnly,
+    );
+    const wanted = normalizeTitle(trimmed);
+    const titled = books.map(book => ({
+      book,
+      title: normalizeTitle(extractTitle(book) || ''),
+    }));
+
+    const exact = titled.filter(entry => entry.title === wanted);
+    const matches =
+      exact.length > 0
+        ? exact
+        : titled.filter(entry => wanted && entry.title.includes(wanted));
+
+    if (matches.length === 1) {
+      return matches[0].book;
+    }
+    if (matches.length === 0) {
+      throw new Error(
+        `No book matching "${trimmed}" found for user ${this.user.id}. Use the Audiobookshelf item ID for books without progress.`,
+      );
+    }
+    const options = matches
+      .slice(0, 10)
+      .map(entry => `  ${entry.book.id}  ${extractTitle(entry.book)}`)
+      .join('\n');
+    throw new Error(
+      `"${trimmed}" matches ${matches.length} books - use an item ID:\n${options}`,
+    );
+  }
+
+  close() {
+    if (this.syncManager) {
+      this.syncManager.cleanup();
+      this.syncManager = null;
+    }
+    if (this.scratchDir) {
+      fs.rmSync(this.scratchDir, { recursive: true, force: true });
+      this.scratchDir = null;
+    }
+  }
+
+  _createSyncManager(cache) {
+    return new SyncManager(this.user, this.globalConfig, true, false, {
+      cache,
+    });
+  }
+
+  async _createScratchCache() {
+    this.scratchDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), 'shelfbridge-explain-'),
+    );
+    const scratchFile = path.join(this.scratchDir, 'cache.db');
+
+    if (!this.fresh && fs.existsSync(this.cacheFile)) {
+      const source = new BookCache(this.cacheFile);
+      try {
+        await source.init();
+        await source.db.backup(scratchFile);
+      } finally {
+        source.close();
+      }
+    }
+
+    return new BookCache(scratchFile);
+  }
+
+  _createRunResult() {
+    return {
+      books_processed: 1,
+      books_synced: 0,
+      books_completed: 0,
+      books_auto_added: 0,
+      books_skipped: 0,
+      errors: [],
+      book_details: [],
+      failed_books: [],
+      books_not_found: 0,
+      books_match_rejected: 0,
+      books_already_in_library: 0,
+    };
+  }
+
+  _describeBook(absBook) {
+    const series = extractSeries(absBook);
+    return {
+      abs_id: absBook.id || null,
+      title: extractTitle(absBook) || null,
+      author: extractAuthor(absBook) || null,
+      narrator: extractNarrator(absBook) || null,
+      series: series?.name
+        ? `${series.name}${series.position ? ` #${series.position}` : ''}`
+        : null,
+      year: extractPublicationYear(absBook) || null,
+      format: detectUserBookFormat(absBook),
+      duration_seconds: extractAudioDurationFromAudiobookshelf(absBook) || null,
+      identifiers: extractBookIdentifiers(absBook),
+      progress_percent: round(
+        ProgressManager.extractProgressPercentage(absBook),
+      ),
+      is_finished: ProgressManager.extractFinishedFlag(absBook),
+      last_listened_at: absBook.last_listened_at
+        ? new Date(absBook.last_listened_at).toISOString()
+        : null,
+    };
+  }
+
+  _instrument(trace, absBook) {
+    const { hardcover, bookMatcher } = this.syncManager;
+    const restorers = [];
+    this._matcherResult = null;
+
+    // Refuse mutations outright; dry-run should never get here
+    restorers.push(
+      replaceMethod(
+        hardcover,
+        '_executeQuery',
+        original =>
+          function (query, variables = null) {
+            const operation = String(query).match(/\b(query|mutation)\s+(\w+)/);
+            const entry = {
+              type: operation?.[1] || 'query',
+              operation: operation?.[2] || 'anonymous',
+              variables,
+              blocked: false,
+              duration_ms: null,
+            };
+            trace.queries.push(entry);
+            if (entry.type === 'mutation') {
+              entry.blocked = true;
+              return Promise.reject(
+                new Error(
+                  `explain blocked Hardcover mutation ${entry.operation}`,
+                ),
+              );
+            }
+            const started = performance.now();
+            return original.call(this, query, variables).finally(() => {
+              entry.duration_ms = Math.round(performance.now() - started);
+            });
+          },
+      ),
+    );
+
+    restorers.push(
+      spyOn(hardcover, 'searchBooksForMatching', ({ args, result }) => {
+        trace.searches.push({
+          title: args[0],
+          author: args[1] || null,
+          narrator: args[2] || null,
+          results: Array.isArray(result) ? result : [],
+        });
+      }),
+    );
+
+    restorers.push(
+      spyOn(bookMatcher, 'findMatch', ({ result }) => {
+        this._matcherResult = result || null;
+      }),
+    );
+
+    for (const strategy of bookMatcher.strategies) {
+      restorers.push(
+        spyOn(strategy, 'findMatch', ({ result, error }) => {
+          trace.tiers.push({
+            tier: strategy.getTier(),
+            strategy: strategy.getName(),
+            outcome: error ? 'error' : result ? 'match' : 'no_match',
+            match_type: result?._matchType || null,
+            error: error?.message || null,
+          });
+        }),
+      );
+    }
+
+    restorers.push(
+      spyOn(ProgressManager, 'detectProgressChange', ({ args, result }) => {
+        trace.progress.checks.push({
+          check: args[2]?.context || 'progress change',
+          old_progress: round(args[0]),
+          new_progress: round(args[1]),
+          changed: !!result?.hasChange,
+        });
+      }),
+      spyOn(ProgressManager, 'analyzeProgressRegression', ({ result }) => {
+        trace.progress.regression = {
+          old_progress: round(result.oldProgress),
+          new_progress: round(result.newProgress),
+          is_regression: result.isRegression,
+          should_block: result.shouldBlock,
+          should_warn: result.shouldWarn,
+          potential_reread: result.isPotentialReread,
+          reason: result.reason,
+        };
+      }),
+      spyOn(ProgressManager, 'isBookComplete', ({ args, result }) => {
+        if (args[0] === absBook) {
+          trace.progress.completion = {
+            complete: !!result,
+            finished_flag: ProgressManager.extractFinishedFlag(absBook),
+          };
+        }
+      }),
+    );
+
+    return () => {
+      for (const restore of restorers.reverse()) {
+        restore();
+      }
+    };
+  }
+
+  _describeOverride(absBook) {
+    const metadata = {
+      title: extractTitle(absBook),
+      author: extractAuthor(absBook),
+      identifiers: extractBookIdentifiers(absBook),
+    };
+    const override = this.syncManager.bookMatcher.findOverride(
+      absBook,
+      this.user.id,
+      metadata,
+    );
+    if (!override) {
+      return null;
+    }
+    return {
+      skip: override.skip,
+      book_id: override.book_id,
+      edition_id: override.edition_id,
+      keyed_by: override.abs_id
+        ? 'abs_id'
+        : override.asin
+          ? 'asin'
+          : override.isbn
+            ? 'isbn'
+            : 'title',
+    };
+  }
+
+  _scoreCandidates(searches, absBook) {
+    const title = extractTitle(absBook);
+    const author = extractAuthor(absBook);
+    const threshold =
+      (this.globalConfig.title_author_matching?.confidence_threshold || 0.7) *
+      100;
+
+    return searches
+      .flatMap(search => search.results)
+      .map(result => {
+        const score = calculateBookIdentificationScore(
+          result,
+          title,
+          author,
+          absBook,
+        );
+        return {
+          book_id: result.id,
+          title: result.title,
+          author: extractAuthorFromSearchResult(result) || null,
+          score: round(score.totalScore),
+          confidence: score.confidence,
+          is_book_match: score.isBookMatch,
+          passes_threshold: score.isBookMatch && score.totalScore >= threshold,
+          components: summarizeBreakdown(score.breakdown),
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  _describeMatch(match, tiers, override, absBook) {
+    if (!match) {
+      return null;
+    }
+    const matched = tiers.find(tier => tier.outcome === 'match');
+
+    const edition = match.edition || {};
+    const userBook = match.userBook || null;
+    const libraryEdition = userBook?.book?.editions?.find(
+      candidate => String(candidate.id) === String(edition.id),
+    );
+    const scoredEdition = libraryEdition || edition;
+    const context = {
+      sourceFormat: detectUserBookFormat(absBook),
+      sourceDuration: extractAudioDurationFromAudiobookshelf(absBook),
+      sourceNarrator: extractNarrator(absBook),
+      profile: PROFILES.TITLE_AUTHOR,
+      formatMapper: this.syncManager._mapHardcoverFormatToInternal.bind(
+        this.syncManager,
+      ),
+    };
+
+    const editionScore = edition.id
+      ? scoreEdition(scoredEdition, context)
+      : null;
+    const alternatives = (userBook?.book?.editions || [])
+      .filter(candidate => String(candidate.id) !== String(edition.id))
+      .map(candidate => {
+        const scored = scoreEdition(candidate, context);
+        return { edition_id: candidate.id, score: round(scored.score) };
+      });
+
+    return {
+      strategy: matched?.strategy || (override ? 'Match override' : null),
+      tier: matched?.tier ?? null,
+      match_type: match._matchType || null,
+      via_override: !!override && !override.skip,
+      book_id: match.book?.id || userBook?.book?.id || edition.book?.id || null,
+      title: match.book?.title || userBook?.book?.title || null,
+      edition_id: edition.id || null,
+      edition_format: edition.format || null,
+      in_library: !!userBook,
+      user_book_id: userBook?.id || null,
+      edition_score: editionScore
+        ? {
+            score: round(editionScore.score),
+            components: summarizeBreakdown(editionScore.breakdown),
+          }
+        : null,
+      alternative_editions: alternatives,
+    };
+  }
+}
+
+export default BookExplainer;
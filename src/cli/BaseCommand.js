@@ -81,6 +81,9 @@ export class BaseCommand {
         console.log('Configuration Help:');
         console.log('='.repeat(50));
         console.log(validator.generateHelpText());
+        console.log(
+          "Run 'shelfbridge init' to set up config/config.yaml with a guided wizard.",
+        );
 
         this.exitError();
       }
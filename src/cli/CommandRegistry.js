@@ -11,6 +11,15 @@ import {
   SchemaInputsCommand,
 } from './commands/SchemaCommands.js';
 import { CronCommand, StartCommand } from './commands/CronCommand.js';
+import { ServeCommand } from './commands/ServeCommand.js';
+import { ListenCommand } from './commands/ListenCommand.js';
+import { ReviewCommand } from './commands/ReviewCommand.js';
+import { ExplainCommand } from './commands/ExplainCommand.js';
+import { HistoryCommand } from './commands/HistoryCommand.js';
+import { UndoCommand } from './commands/UndoCommand.js';
+import { BackfillDatesCommand } from './commands/BackfillDatesCommand.js';
+import { OutboxCommand } from './commands/OutboxCommand.js';
+import { InitCommand } from './commands/InitCommand.js';
 
 /**
  * Registry for all CLI commands
@@ -51,6 +60,28 @@ export class CommandRegistry {
     this.register(
       new StartCommand(runScheduledSyncFn, showNextScheduledSyncFn),
     );
+    this.register(
+      new ServeCommand(
+        syncUserFn,
+        runScheduledSyncFn,
+        showNextScheduledSyncFn,
+        registerCleanupFn,
+      ),
+    );
+    this.register(
+      new ListenCommand(
+        runScheduledSyncFn,
+        showNextScheduledSyncFn,
+        registerCleanupFn,
+      ),
+    );
+    this.register(new ReviewCommand(registerCleanupFn));
+    this.register(new ExplainCommand(registerCleanupFn));
+    this.register(new HistoryCommand(registerCleanupFn));
+    this.register(new UndoCommand(registerCleanupFn));
+    this.register(new BackfillDatesCommand(registerCleanupFn));
+    this.register(new OutboxCommand(registerCleanupFn));
+    this.register(new InitCommand());
   }
 
   /**
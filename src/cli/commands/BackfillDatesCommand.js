@@ -0,0 +1,114 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { SyncManager } from '../../sync-manager.js';
+import { applyUserOverrides } from '../../config.js';
+import { currentVersion } from '../../version.js';
+
+/**
+ * Backfill-dates command - corrects the started/finished dates of reads that
+ * were already synced, using the Audiobookshelf listening session history
+ */
+export class BackfillDatesCommand extends BaseCommand {
+  constructor(registerCleanupFn) {
+    super(
+      'backfill-dates',
+      'Correct synced read dates from the listening session history',
+    );
+    this.registerCleanup = registerCleanupFn;
+  }
+
+  addOptions(command) {
+    command
+      .option('-u, --user <userId>', 'Only backfill a specific user')
+      .option('--dry-run', 'Show the corrections without changing Hardcover');
+  }
+
+  async execute(options) {
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config, globalConfig, users } = this.getConfiguration();
+    const targets = options.user ? [config.getUser(options.user)] : users;
+    const forceDryRun = options.dryRun || this.isDryRun();
+
+    const summaries = [];
+    for (const user of targets) {
+      // dry_run in config.yaml, also per user, is honoured like in a sync
+      const dryRun =
+        forceDryRun || applyUserOverrides(globalConfig, user).dry_run === true;
+      summaries.push(await this.backfillUser(user, globalConfig, dryRun));
+    }
+    return summaries;
+  }
+
+  async backfillUser(user, globalConfig, dryRun) {
+    const startedAt = new Date();
+    const syncManager = new SyncManager(user, globalConfig, dryRun, false);
+    const unregister = this.registerCleanup(() => syncManager.cleanup());
+
+    try {
+      const absBooks = (
+        (await syncManager.audiobookshelf.getReadingProgress()) || []
+      ).filter(book => !book._isMetadataOnly);
+      await syncManager._loadHardcoverLibrary();
+      if (!(await syncManager._loadSessionDates())) {
+        throw new Error(
+          `Could not load listening sessions from Audiobookshelf for ${user.id}`,
+        );
+      }
+
+      const summary = await syncManager.backfillReadDates(absBooks);
+      console.log(this.formatSummary(user, summary, dryRun));
+
+      if (!dryRun && summary.updated > 0) {
+        const finishedAt = new Date();
+        const runId = await syncManager.cache.recordSyncRun(
+          {
+            user_id: user.id,
+            trigger: 'backfill-dates',
+            version: currentVersion,
+            started_at: startedAt.toISOString(),
+            finished_at: finishedAt.toISOString(),
+            duration_seconds: Math.round((finishedAt - startedAt) / 100) / 10,
+            books_processed: absBooks.length,
+            books_synced: summary.updated,
+            books_skipped: summary.unchanged + summary.skipped,
+            books_failed: summary.failed,
+            run_key: syncManager.runKey,
+          },
+          summary.book_details.filter(detail => detail.status !== 'skipped'),
+        );
+        console.log(
+          `Recorded as run #${runId} (revert with: undo --run ${runId})`,
+        );
+        summary.run_id = runId;
+      }
+      return { user_id: user.id, ...summary };
+    } finally {
+      syncManager.cleanup();
+      unregister();
+    }
+  }
+
+  formatSummary(user, summary, dryRun) {
+    const lines = [
+      `=== ${dryRun ? '[DRY RUN] ' : ''}Backfill dates: ${user.id} ===`,
+      '',
+    ];
+
+    for (const detail of summary.book_details) {
+      if (detail.status === 'synced') {
+        lines.push(`📅 ${detail.title}: ${detail.actions.join(', ')}`);
+      } else if (detail.status === 'error') {
+        lines.push(`❌ ${detail.title}: ${detail.errors.join(', ')}`);
+      }
+    }
+
+    if (summary.updated === 0 && summary.failed === 0) {
+      lines.push('No read dates need correcting');
+    }
+    lines.push('');
+    lines.push(
+      `${summary.updated} ${dryRun ? 'to correct' : 'corrected'}, ${summary.unchanged} already correct, ${summary.skipped} skipped, ${summary.failed} failed`,
+    );
+    return lines.join('\n');
+  }
+}
@@ -1,8 +1,11 @@
+import fs from 'fs';
 import { BaseCommand } from '../BaseCommand.js';
+import { generateJsonSchema } from '../../config-schema.js';
 import logger from '../../logger.js';
 
 /**
- * Config command - shows current configuration
+ * Config command - shows current configuration, or with `config schema`
+ * prints the JSON Schema of config.yaml
  */
 export class ConfigCommand extends BaseCommand {
   constructor(showConfigFn) {
@@ -10,7 +13,41 @@ export class ConfigCommand extends BaseCommand {
     this.showConfig = showConfigFn;
   }
 
-  async execute(_options) {
+  configure(program) {
+    this.program = program;
+    const command = program
+      .command(`${this.name} [action]`)
+      .description(
+        `${this.description}, or print its JSON Schema with "config schema"`,
+      )
+      .action(async (action, options) => {
+        try {
+          await this.execute({ ...options, action });
+          this.exitSuccess();
+        } catch (error) {
+          this.handleError(error, options);
+        }
+      });
+
+    this.addOptions(command);
+    return command;
+  }
+
+  addOptions(command) {
+    command.option(
+      '-o, --output <file>',
+      'Write the schema to a file instead of printing it',
+    );
+  }
+
+  async execute(options) {
+    if (options.action === 'schema') {
+      return this.writeSchema(options.output);
+    }
+    if (options.action) {
+      throw new Error(`Unknown config action "${options.action}" (use schema)`);
+    }
+
     try {
       // Validate configuration first
       await this.validateConfiguration(this.shouldSkipValidation());
@@ -25,4 +62,22 @@ export class ConfigCommand extends BaseCommand {
       throw error;
     }
   }
+
+  /**
+   * Print the JSON Schema of config.yaml or write it to a file. The schema
+   * does not depend on the current configuration, so none is loaded.
+   * @param {string} output - File to write, prints to stdout when omitted
+   * @returns {Object} - The schema
+   */
+  writeSchema(output = null) {
+    const schema = generateJsonSchema();
+    const json = `${JSON.stringify(schema, null, 2)}\n`;
+    if (output) {
+      fs.writeFileSync(output, json);
+      console.log(`JSON Schema written to ${output}`);
+    } else {
+      process.stdout.write(json);
+    }
+    return schema;
+  }
 }
@@ -1,9 +1,77 @@
 import { BaseCommand } from '../BaseCommand.js';
 import { formatStartupMessage } from '../../utils/github-helper.js';
 import { currentVersion } from '../../version.js';
+import { startMetricsServer } from '../../server/metrics-server.js';
+import { ConfigReloader } from '../../config-reloader.js';
 import logger from '../../logger.js';
 import cron from 'node-cron';
 
+/**
+ * Run syncs on the configured schedules and follow changes to config.yaml.
+ * Users with their own sync_schedule or timezone get their own cron job;
+ * users sharing a schedule are synced together. Every run uses the
+ * configuration that was current when it started; a reloaded configuration
+ * is swapped in as a whole for the next run.
+ * @param {BaseCommand} command - Cron, start, listen or serve command
+ * @param {Config} initialConfig - Validated configuration
+ * @param {Function} onReload - (newConfig, previous) => called after each
+ *   applied reload, for commands with more state than the schedules
+ * @returns {Promise<ConfigReloader>} - Reloader watching the config file
+ */
+export async function scheduleSyncs(command, initialConfig, onReload = null) {
+  let config = initialConfig;
+  let tasks = [];
+
+  const schedule = async () => {
+    await Promise.all(tasks.map(task => task.destroy()));
+    const schedules = config.getSchedules();
+    // One schedule for everyone also covers users added later
+    const separate = schedules.length > 1;
+
+    tasks = schedules.map(cronConfig => {
+      const userIds = separate ? cronConfig.userIds : null;
+      return cron.schedule(
+        cronConfig.schedule,
+        async () => {
+          logger.info('Scheduled sync triggered', userIds ? { userIds } : {});
+          const runConfig = config;
+          await command.runScheduledSync(runConfig, userIds);
+          await command.showNextScheduledSync({ ...cronConfig, userIds });
+        },
+        {
+          timezone: cronConfig.timezone,
+        },
+      );
+    });
+
+    for (const cronConfig of schedules) {
+      await command.showNextScheduledSync({
+        ...cronConfig,
+        userIds: separate ? cronConfig.userIds : null,
+      });
+    }
+  };
+  await schedule();
+
+  const reloader = new ConfigReloader({
+    config,
+    onReload: async (newConfig, previous) => {
+      config = newConfig;
+      command._config = newConfig;
+
+      const before = JSON.stringify(previous.getSchedules());
+      const after = newConfig.getSchedules();
+      if (before !== JSON.stringify(after)) {
+        logger.info('Sync schedules updated', { schedules: after });
+        await schedule();
+      }
+      await onReload?.(newConfig, previous);
+    },
+  });
+  reloader.start();
+  return reloader;
+}
+
 /**
  * Cron command - starts scheduled sync in background
  */
@@ -39,9 +107,12 @@ export class CronCommand extends BaseCommand {
     // Validate configuration first
     await this.validateConfiguration(this.shouldSkipValidation());
 
-    const { config } = this.getConfiguration();
+    const { config, globalConfig } = this.getConfiguration();
     const cronConfig = config.getCronConfig();
 
+    // Expose Prometheus metrics when enabled
+    await startMetricsServer(globalConfig);
+
     logger.info('Starting scheduled sync service', {
       service: 'shelfbridge',
       version: currentVersion,
@@ -52,20 +123,9 @@ export class CronCommand extends BaseCommand {
     // Run initial sync
     logger.info('Running initial sync...');
     await this.runScheduledSync(config);
-    await this.showNextScheduledSync(cronConfig);
-
-    // Schedule recurring sync
-    cron.schedule(
-      cronConfig.schedule,
-      async () => {
-        logger.info('Scheduled sync triggered');
-        await this.runScheduledSync(config);
-        await this.showNextScheduledSync(cronConfig);
-      },
-      {
-        timezone: cronConfig.timezone,
-      },
-    );
+
+    // Schedule recurring syncs, following edits to config.yaml
+    await scheduleSyncs(this, config);
 
     logger.info('Scheduled sync started. Press Ctrl+C to stop.');
 
@@ -118,27 +178,18 @@ export class StartCommand extends BaseCommand {
     // Validate configuration first
     await this.validateConfiguration(this.shouldSkipValidation());
 
-    const { config } = this.getConfiguration();
-    const cronConfig = config.getCronConfig();
+    const { config, globalConfig } = this.getConfiguration();
+
+    // Expose Prometheus metrics when enabled
+    await startMetricsServer(globalConfig);
 
     // StartCommand will use the main.js runScheduledSync logging
 
     // Run initial sync
     await this.runScheduledSync(config);
-    await this.showNextScheduledSync(cronConfig);
-
-    // Schedule recurring sync
-    cron.schedule(
-      cronConfig.schedule,
-      async () => {
-        logger.info('Scheduled sync triggered');
-        await this.runScheduledSync(config);
-        await this.showNextScheduledSync(cronConfig);
-      },
-      {
-        timezone: cronConfig.timezone,
-      },
-    );
+
+    // Schedule recurring syncs, following edits to config.yaml
+    await scheduleSyncs(this, config);
 
     logger.info('Scheduled sync started. Press Ctrl+C to stop.');
 
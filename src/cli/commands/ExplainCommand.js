@@ -0,0 +1,72 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { BookExplainer } from '../../book-explainer.js';
+import { ExplainTraceFormatter } from '../../display/ExplainTraceFormatter.js';
+
+/**
+ * Explain command - traces how a single book is matched and synced
+ */
+export class ExplainCommand extends BaseCommand {
+  constructor(registerCleanupFn) {
+    super('explain', 'Trace how one book is matched and synced (dry run)');
+    this.registerCleanup = registerCleanupFn;
+  }
+
+  configure(program) {
+    this.program = program;
+    const command = program
+      .command(`${this.name} <book>`)
+      .description(this.description)
+      .action(async (book, options) => {
+        try {
+          await this.execute({ ...options, book });
+          this.exitSuccess();
+        } catch (error) {
+          this.handleError(error, options);
+        }
+      });
+
+    this.addOptions(command);
+    return command;
+  }
+
+  addOptions(command) {
+    command
+      .option('-u, --user <userId>', 'User whose library holds the book')
+      .option('--fresh', 'Ignore the book cache and match from scratch')
+      .option('--json', 'Print the trace as JSON');
+  }
+
+  async execute(options) {
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config, globalConfig, users } = this.getConfiguration();
+    let user;
+    if (options.user) {
+      user = config.getUser(options.user);
+    } else if (users.length === 1) {
+      user = users[0];
+    } else {
+      throw new Error(
+        `Multiple users configured - choose one with -u (${users.map(u => u.id).join(', ')})`,
+      );
+    }
+
+    const explainer = new BookExplainer(user, globalConfig, {
+      fresh: options.fresh,
+    });
+    const unregister = this.registerCleanup(() => explainer.close());
+
+    try {
+      const trace = await explainer.explain(options.book);
+      console.log(
+        options.json
+          ? JSON.stringify(trace, null, 2)
+          : new ExplainTraceFormatter().format(trace),
+      );
+      return trace;
+    } finally {
+      explainer.close();
+      unregister();
+    }
+  }
+}
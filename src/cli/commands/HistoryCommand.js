@@ -0,0 +1,305 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { BookCache } from '../../book-cache.js';
+
+/**
+ * History command - browse the sync runs recorded in the cache database
+ * Every sync stores a run row plus the outcome for each book it processed,
+ * so this answers questions like "when was this book marked finished and why".
+ */
+export class HistoryCommand extends BaseCommand {
+  constructor(registerCleanupFn) {
+    super('history', 'Show past sync runs and what they changed');
+    this.registerCleanup = registerCleanupFn;
+  }
+
+  addOptions(command) {
+    command
+      .option('-u, --user <userId>', 'Only show runs for a specific user')
+      .option('-n, --limit <count>', 'Number of runs to list', '20')
+      .option('--run <runId>', 'Show the book actions of one run')
+      .option('--diff <runIds...>', 'Compare the book outcomes of two runs')
+      .option(
+        '--book <book>',
+        'Show one book across runs (ABS item ID or exact title)',
+      )
+      .option('--json', 'Print the history as JSON');
+  }
+
+  async execute(options) {
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config, users } = this.getConfiguration();
+    const userId = options.user ? config.getUser(options.user).id : null;
+
+    const cache = new BookCache();
+    const unregister = this.registerCleanup(() => cache.close());
+
+    try {
+      let output;
+      if (options.diff) {
+        output = await this.diffRuns(cache, options.diff);
+      } else if (options.run) {
+        output = await this.showRun(cache, options.run);
+      } else if (options.book) {
+        const bookUser = userId || (users.length === 1 ? users[0].id : null);
+        if (!bookUser) {
+          throw new Error(
+            `Multiple users configured - choose one with -u (${users.map(u => u.id).join(', ')})`,
+          );
+        }
+        output = await this.showBook(cache, bookUser, options.book);
+      } else {
+        output = await this.listRuns(cache, userId, options.limit);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(output.data, null, 2));
+      } else {
+        console.log(output.text);
+      }
+      return output.data;
+    } finally {
+      cache.close();
+      unregister();
+    }
+  }
+
+  async listRuns(cache, userId = null, limit = 20) {
+    const count = this.parseId(limit, 'Limit');
+    const runs = await cache.getSyncRuns({ userId, limit: count });
+    if (runs.length === 0) {
+      return { data: runs, text: 'No sync runs recorded yet' };
+    }
+
+    const lines = [`=== Sync History (${runs.length}) ===`, ''];
+    for (const run of runs) {
+      lines.push(this.formatRunHeader(run));
+      lines.push(`   ${this.formatCounts(run)}`);
+      for (const error of run.errors) {
+        lines.push(`   ❌ ${error}`);
+      }
+    }
+    return { data: runs, text: lines.join('\n') };
+  }
+
+  async showRun(cache, runId) {
+    const run = await this.loadRun(cache, runId);
+
+    const lines = [this.formatRunHeader(run), `   ${this.formatCounts(run)}`];
+    if (run.version) {
+      lines.push(`   Version: ${run.version}`);
+    }
+    for (const error of run.errors) {
+      lines.push(`   ❌ ${error}`);
+    }
+    lines.push('');
+
+    if (run.books.length === 0) {
+      lines.push('No books were processed in this run');
+    }
+    for (const book of run.books) {
+      lines.push(
+        `${this.statusIcon(book.status)} ${book.title}${book.author ? ` by ${book.author}` : ''} - ${book.status || 'unknown'}${this.formatProgress(book)}`,
+      );
+      if (book.reason) {
+        lines.push(`   Reason: ${book.reason}`);
+      }
+      for (const action of book.actions) {
+        lines.push(`   • ${action}`);
+      }
+      for (const error of book.errors) {
+        lines.push(`   ❌ ${error}`);
+      }
+    }
+    return { data: run, text: lines.join('\n') };
+  }
+
+  async showBook(cache, userId, book) {
+    const entries = await cache.getBookSyncHistory(userId, book);
+    if (entries.length === 0) {
+      return {
+        data: entries,
+        text: `No recorded runs touched "${book}" for ${userId}`,
+      };
+    }
+
+    const lines = [`=== History: ${entries[0].title} (${userId}) ===`, ''];
+    for (const entry of entries) {
+      lines.push(
+        `Run #${entry.run_id} ${entry.started_at}${entry.dry_run ? ' (dry run)' : ''}: ${this.statusIcon(entry.status)} ${entry.status || 'unknown'}${this.formatProgress(entry)}`,
+      );
+      if (entry.reason) {
+        lines.push(`   Reason: ${entry.reason}`);
+      }
+      for (const action of entry.actions) {
+        lines.push(`   • ${action}`);
+      }
+    }
+    return { data: entries, text: lines.join('\n') };
+  }
+
+  async diffRuns(cache, runIds) {
+    if (runIds.length !== 2) {
+      throw new Error('--diff needs exactly two run IDs');
+    }
+    const [from, to] = await Promise.all(
+      runIds.map(runId => this.loadRun(cache, runId)),
+    );
+    const diff = this.compareRuns(from, to);
+
+    const lines = [
+      `=== Diff: run #${from.id} → run #${to.id} ===`,
+      `From: ${this.formatRunHeader(from)}`,
+      `To:   ${this.formatRunHeader(to)}`,
+      '',
+    ];
+    for (const change of diff.changed) {
+      lines.push(
+        `~ ${change.title}: ${change.before.status} → ${change.after.status}${this.formatProgressChange(change)}`,
+      );
+      if (change.after.reason) {
+        lines.push(`   Reason: ${change.after.reason}`);
+      }
+    }
+    for (const book of diff.added) {
+      lines.push(`+ ${book.title}: ${book.status}${this.formatProgress(book)}`);
+    }
+    for (const book of diff.removed) {
+      lines.push(`- ${book.title}: not processed in run #${to.id}`);
+    }
+    lines.push('');
+    lines.push(
+      `${diff.changed.length} changed, ${diff.added.length} only in #${to.id}, ${diff.removed.length} only in #${from.id}, ${diff.unchanged} unchanged`,
+    );
+    return { data: diff, text: lines.join('\n') };
+  }
+
+  /**
+   * Compare the book outcomes of two runs
+   * Books are paired by ABS item ID, falling back to the title.
+   * @param {Object} from - Older run from BookCache.getSyncRun()
+   * @param {Object} to - Newer run from BookCache.getSyncRun()
+   * @returns {Object} - { from, to, changed, added, removed, unchanged }
+   */
+  compareRuns(from, to) {
+    const keyOf = book => book.abs_id || book.title.toLowerCase();
+    const before = new Map(from.books.map(book => [keyOf(book), book]));
+    const diff = {
+      from: from.id,
+      to: to.id,
+      changed: [],
+      added: [],
+      removed: [],
+      unchanged: 0,
+    };
+
+    for (const book of to.books) {
+      const key = keyOf(book);
+      const previous = before.get(key);
+      before.delete(key);
+
+      if (!previous) {
+        diff.added.push(book);
+      } else if (
+        previous.status !== book.status ||
+        previous.progress_after !== book.progress_after
+      ) {
+        diff.changed.push({
+          abs_id: book.abs_id,
+          title: book.title,
+          before: this.outcome(previous),
+          after: this.outcome(book),
+        });
+      } else {
+        diff.unchanged++;
+      }
+    }
+    diff.removed = [...before.values()];
+    return diff;
+  }
+
+  async loadRun(cache, runId) {
+    const id = this.parseId(runId, 'Run ID');
+    const run = await cache.getSyncRun(id);
+    if (!run) {
+      throw new Error(`Sync run #${id} not found`);
+    }
+    return run;
+  }
+
+  parseId(value, label) {
+    const id = parseInt(value, 10);
+    if (isNaN(id) || id < 1) {
+      throw new Error(`${label} must be a positive number`);
+    }
+    return id;
+  }
+
+  outcome(book) {
+    return {
+      status: book.status,
+      progress: book.progress_after,
+      reason: book.reason,
+    };
+  }
+
+  formatRunHeader(run) {
+    const flags = [
+      run.trigger,
+      run.dry_run ? 'dry run' : null,
+      run.undone_at ? 'undone' : null,
+    ]
+      .filter(Boolean)
+      .join(', ');
+    return `${run.status === 'failed' ? '❌' : '✅'} #${run.id} ${run.started_at} ${run.user_id} (${flags}) ${run.duration_seconds ?? '?'}s`;
+  }
+
+  formatCounts(run) {
+    return [
+      `${run.books_processed} processed`,
+      `${run.books_synced} synced`,
+      `${run.books_completed} completed`,
+      `${run.books_auto_added} auto-added`,
+      `${run.books_skipped} skipped`,
+      `${run.books_failed} failed`,
+    ].join(', ');
+  }
+
+  formatProgress(book) {
+    if (book.progress_after === null || book.progress_after === undefined) {
+      return '';
+    }
+    if (
+      book.progress_before !== null &&
+      book.progress_before !== book.progress_after
+    ) {
+      return ` (${this.percent(book.progress_before)} → ${this.percent(book.progress_after)})`;
+    }
+    return ` (${this.percent(book.progress_after)})`;
+  }
+
+  formatProgressChange(change) {
+    if (change.before.progress === change.after.progress) {
+      return '';
+    }
+    return ` (${this.percent(change.before.progress)} → ${this.percent(change.after.progress)})`;
+  }
+
+  percent(value) {
+    return value === null || value === undefined
+      ? 'N/A'
+      : `${Math.round(value * 10) / 10}%`;
+  }
+
+  statusIcon(status) {
+    const icons = {
+      synced: '🔄',
+      completed: '✅',
+      auto_added: '➕',
+      skipped: '⏭️',
+      delayed: '⏳',
+      error: '❌',
+    };
+    return icons[status] || '•';
+  }
+}
@@ -0,0 +1,465 @@
+import fs from 'fs';
+import path from 'path';
+import * as yaml from 'js-yaml';
+import { isMap, isSeq, parseDocument } from 'yaml';
+import inquirer from 'inquirer';
+import { BaseCommand } from '../BaseCommand.js';
+import { AudiobookshelfClient } from '../../audiobookshelf-client.js';
+import { HardcoverClient } from '../../hardcover-client.js';
+import { Config } from '../../config.js';
+import { ConfigValidator } from '../../config-validator.js';
+import {
+  findUserPlaceholderValues,
+  isPlaceholderValue,
+} from '../../config-placeholders.js';
+import { normalizeApiToken } from '../../utils/network.js';
+
+const CONFIG_HEADER = `# yaml-language-server: $schema=./config.schema.json
+# ShelfBridge configuration, written by \`shelfbridge init\`
+#
+# Every setting is described in config/config.yaml.example and in the
+# Configuration Reference on the wiki. Check your edits with:
+#   shelfbridge validate --connections
+`;
+
+// Shown instead of an empty global section so the common settings are easy to find
+const GLOBAL_HINT = `# Settings for all users - uncomment to change the defaults:
+# global:
+#   sync_schedule: "0 3 * * *"         # When scheduled sync runs (cron syntax)
+#   timezone: "UTC"                    # Timezone of the schedule
+#   min_progress_threshold: 5.0        # Only sync books with at least this much progress
+#   auto_add_books: false              # Add books missing from your Hardcover library
+#   dry_run: false                     # Show what would change without changing it
+`;
+
+/**
+ * Init command - guided setup that asks for the server and tokens of a user,
+ * checks them against Audiobookshelf and Hardcover, and writes config.yaml.
+ * Users already in the file are kept.
+ */
+export class InitCommand extends BaseCommand {
+  constructor() {
+    super('init', 'Set up config.yaml with a guided wizard');
+    this.validator = new ConfigValidator();
+  }
+
+  addOptions(command) {
+    command.option(
+      '-c, --config <file>',
+      'Configuration file to write',
+      'config/config.yaml',
+    );
+  }
+
+  async execute(options) {
+    const configPath = options.config;
+    const document = this.readExistingConfig(configPath);
+
+    console.log('\n🛠️  ShelfBridge setup\n');
+    if (document.users.length > 0) {
+      console.log(
+        `${configPath} has ${document.users.length} user(s): ${document.users.map(user => user.id).join(', ')}. They are kept.\n`,
+      );
+    }
+    await this.removeExampleUsers(document);
+
+    const abs = await this.promptAudiobookshelf();
+    const hardcover = await this.promptHardcover();
+    const libraries = await this.promptLibraryFilter(abs.libraries);
+    const id = await this.promptUserId(
+      document.users,
+      hardcover.username || abs.username,
+    );
+
+    const user = {
+      id,
+      abs_url: abs.url,
+      abs_token: abs.token,
+      hardcover_token: hardcover.token,
+      ...(libraries ? { libraries } : {}),
+    };
+    const users = document.users.filter(existing => existing.id !== id);
+    const index = document.users.findIndex(existing => existing.id === id);
+    users.splice(index === -1 ? users.length : index, 0, user);
+
+    this.writeConfig(configPath, { ...document, users });
+    await this.checkWrittenConfig(configPath);
+    return user;
+  }
+
+  /**
+   * Read the raw YAML of an existing config file. Secret references and
+   * anything else in it are kept as written, and the parsed document is
+   * kept so comments and layout survive the update.
+   * @param {string} configPath - Config file
+   * @returns {Object} - { global, users, yamlDocument, userNodes }
+   */
+  readExistingConfig(configPath) {
+    const empty = { global: {}, users: [], yamlDocument: null };
+    if (!fs.existsSync(configPath)) {
+      return empty;
+    }
+
+    const yamlDocument = parseDocument(fs.readFileSync(configPath, 'utf8'));
+    if (yamlDocument.errors.length > 0) {
+      throw new Error(
+        `Cannot read ${configPath}: ${yamlDocument.errors[0].message}. Fix or move the file, then run init again.`,
+      );
+    }
+    // Anything but a mapping is no configuration to keep
+    if (!isMap(yamlDocument.contents)) {
+      return empty;
+    }
+
+    const parsed = yamlDocument.toJS();
+    const usersNode = yamlDocument.get('users');
+    const users = isSeq(usersNode) ? parsed.users : [];
+    return {
+      global: parsed.global || {},
+      users,
+      yamlDocument,
+      // Each user read from the file remembers its node, comments included
+      userNodes: new Map(users.map((user, i) => [user, usersNode.items[i]])),
+    };
+  }
+
+  /**
+   * Offer to drop users still holding the placeholder values of
+   * config.yaml.example, which would fail validation
+   * @param {Object} document - { global, users }, changed in place
+   */
+  async removeExampleUsers(document) {
+    const indexes = new Set(
+      findUserPlaceholderValues(document.users).map(({ index }) => index),
+    );
+    if (indexes.size === 0) {
+      return;
+    }
+
+    const ids = [...indexes].map(index => document.users[index].id);
+    const { remove } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'remove',
+        message: `Remove the example user(s) ${ids.join(', ')} that still hold placeholder values?`,
+        default: true,
+      },
+    ]);
+    if (remove) {
+      document.users = document.users.filter(
+        (_user, index) => !indexes.has(index),
+      );
+    }
+  }
+
+  /**
+   * Ask for the Audiobookshelf URL and token until both work
+   * @returns {Promise<Object>} - { url, token, username, libraries }
+   */
+  async promptAudiobookshelf() {
+    let answers = {};
+    while (true) {
+      answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'url',
+          message: 'Audiobookshelf URL:',
+          default: answers.url,
+          filter: value => value.trim(),
+          validate: value => {
+            if (isPlaceholderValue(value, 'urls')) {
+              return 'That is the example URL - enter the address of your server';
+            }
+            return this.validator.validateUrl('abs_url', value) || true;
+          },
+        },
+        {
+          type: 'password',
+          name: 'token',
+          mask: '*',
+          message:
+            'Audiobookshelf API token (Settings > Users > your user > API Token):',
+          filter: value => normalizeApiToken(value.trim(), 'Audiobookshelf'),
+          validate: value => this.validateToken(value),
+        },
+      ]);
+
+      process.stdout.write('Checking Audiobookshelf... ');
+      const result = await this.verifyAudiobookshelf(
+        answers.url,
+        answers.token,
+      );
+      if (result.error) {
+        console.log(`❌ ${result.error}`);
+        continue;
+      }
+      console.log(
+        `✅ Connected as ${result.username}, ${result.libraries.length} library(ies)`,
+      );
+      return { ...answers, ...result };
+    }
+  }
+
+  /**
+   * Check that the server answers and accepts the token
+   * @param {string} url - Audiobookshelf URL
+   * @param {string} token - API token
+   * @returns {Promise<Object>} - { username, libraries } or { error }
+   */
+  async verifyAudiobookshelf(url, token) {
+    const client = new AudiobookshelfClient(url, token, 1, null, 100);
+    try {
+      // /ping does not need a token, so the token is checked separately
+      if (!(await client.testConnection())) {
+        return { error: `Could not reach Audiobookshelf at ${url}` };
+      }
+      const me = await client._getCurrentUser();
+      return { username: me?.username, libraries: await client.getLibraries() };
+    } catch (error) {
+      if ([401, 403].includes(error.response?.status)) {
+        return { error: 'Audiobookshelf did not accept the token' };
+      }
+      return { error: `Audiobookshelf request failed: ${error.message}` };
+    } finally {
+      client.cleanup();
+    }
+  }
+
+  /**
+   * Ask for the Hardcover token until it works
+   * @returns {Promise<Object>} - { token, username }
+   */
+  async promptHardcover() {
+    while (true) {
+      const { token } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'token',
+          mask: '*',
+          message:
+            'Hardcover API token (hardcover.app > Settings > Hardcover API):',
+          filter: value => normalizeApiToken(value.trim(), 'Hardcover'),
+          validate: value => this.validateToken(value),
+        },
+      ]);
+
+      process.stdout.write('Checking Hardcover... ');
+      const result = await this.verifyHardcover(token);
+      if (result.error) {
+        console.log(`❌ ${result.error}`);
+        continue;
+      }
+      console.log(`✅ Connected as @${result.username}`);
+      return { token, username: result.username };
+    }
+  }
+
+  /**
+   * Check that Hardcover accepts the token
+   * @param {string} token - API token
+   * @returns {Promise<Object>} - { username } or { error }
+   */
+  async verifyHardcover(token) {
+    const client = new HardcoverClient(token);
+    try {
+      if (!(await client.testConnection())) {
+        return { error: 'Hardcover did not accept the token' };
+      }
+      const me = await client.getCurrentUser();
+      const account = Array.isArray(me) ? me[0] : me;
+      return { username: account?.username };
+    } finally {
+      client.cleanup();
+    }
+  }
+
+  /**
+   * Let the user pick which libraries to sync
+   * @param {Array<Object>} libraries - Libraries from Audiobookshelf
+   * @returns {Promise<Object|null>} - { include } or { exclude }, null for all
+   */
+  async promptLibraryFilter(libraries) {
+    if (libraries.length < 2) {
+      return null;
+    }
+
+    const { mode } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'mode',
+        message: 'Which libraries should be synced?',
+        choices: [
+          { name: 'All libraries', value: 'all' },
+          { name: 'Only the ones I pick', value: 'include' },
+          { name: 'All except the ones I pick', value: 'exclude' },
+        ],
+      },
+    ]);
+    if (mode === 'all') {
+      return null;
+    }
+
+    const { names } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'names',
+        message:
+          mode === 'include' ? 'Libraries to sync:' : 'Libraries to skip:',
+        choices: libraries.map(library => ({
+          name: `${library.name} (${library.mediaType || 'book'})`,
+          value: library.name,
+        })),
+        validate: value => value.length > 0 || 'Pick at least one library',
+      },
+    ]);
+    return { [mode]: names };
+  }
+
+  /**
+   * Ask for the user ID; reusing an existing ID replaces that user
+   * @param {Array<Object>} users - Users already in the file
+   * @param {string} suggestion - Default ID
+   * @returns {Promise<string>} - User ID
+   */
+  async promptUserId(users, suggestion) {
+    while (true) {
+      const { id } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'id',
+          message: 'User ID for this account:',
+          default: suggestion,
+          filter: value => value.trim(),
+          validate: value => {
+            if (!value) {
+              return 'Enter an ID, e.g. your first name';
+            }
+            return (
+              !isPlaceholderValue(value, 'userIds') ||
+              'That is the example user ID - pick your own'
+            );
+          },
+        },
+      ]);
+
+      if (!users.some(user => user.id === id)) {
+        return id;
+      }
+      const { replace } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'replace',
+          message: `User ${id} already exists. Replace it?`,
+          default: false,
+        },
+      ]);
+      if (replace) {
+        return id;
+      }
+    }
+  }
+
+  validateToken(value) {
+    if (isPlaceholderValue(value, 'tokens')) {
+      return 'That is the example token - paste your own';
+    }
+    return value.length >= 10 || 'The token looks too short';
+  }
+
+  /**
+   * Render the configuration as commented YAML
+   * @param {Object} document - { global, users }
+   * @returns {string} - File content
+   */
+  renderConfig({ global, users }) {
+    const dump = value => yaml.dump(value, { lineWidth: -1 });
+    const sections = [CONFIG_HEADER];
+
+    sections.push(
+      Object.keys(global).length > 0 ? dump({ global }) : GLOBAL_HINT,
+    );
+
+    const userBlocks = users.map(user => {
+      const lines = dump([user]).trimEnd().split('\n');
+      return lines.map(line => `  ${line}`).join('\n');
+    });
+    sections.push(
+      `# One entry per person; each user can override global settings\nusers:\n${userBlocks.join('\n\n')}\n`,
+    );
+
+    return sections.join('\n');
+  }
+
+  /**
+   * Update the users of an existing file in its parsed document. Users kept
+   * from the file keep their comments; only new users are rendered.
+   * @param {Object} document - { users, yamlDocument, userNodes }
+   * @returns {string} - File content
+   */
+  updateConfig({ users, yamlDocument, userNodes }) {
+    const usersNode = yamlDocument.get('users');
+    const seq = isSeq(usersNode) ? usersNode : yamlDocument.createNode([]);
+    // `users: []` would otherwise be filled in flow style
+    if (seq.items.length === 0) {
+      seq.flow = false;
+    }
+
+    seq.items = users.map((user, index) => {
+      if (userNodes.has(user)) {
+        return userNodes.get(user);
+      }
+      const node = yamlDocument.createNode(user);
+      node.spaceBefore = index > 0;
+      return node;
+    });
+    yamlDocument.set('users', seq);
+
+    return yamlDocument.toString({ lineWidth: 0 });
+  }
+
+  /**
+   * Write the configuration, keeping a backup of the previous file
+   * @param {string} configPath - Config file
+   * @param {Object} document - { global, users, yamlDocument, userNodes }
+   */
+  writeConfig(configPath, document) {
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    if (fs.existsSync(configPath)) {
+      fs.copyFileSync(configPath, `${configPath}.bak`);
+      console.log(`\nPrevious configuration saved as ${configPath}.bak`);
+    }
+    const content = document.yamlDocument
+      ? this.updateConfig(document)
+      : this.renderConfig(document);
+    // The file holds tokens, so only the owner may read it. The mode only
+    // applies to new files, so an existing one is narrowed as well.
+    fs.writeFileSync(configPath, content, { mode: 0o600 });
+    fs.chmodSync(configPath, 0o600);
+    console.log(`✅ Wrote ${configPath}`);
+  }
+
+  /**
+   * Validate the written file the way every other command will
+   * @param {string} configPath - Config file
+   * @returns {Promise<boolean>} - Whether the configuration is valid
+   */
+  async checkWrittenConfig(configPath) {
+    let result;
+    try {
+      result = await this.validator.validateConfiguration(
+        new Config(configPath),
+      );
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      return false;
+    }
+
+    console.log(this.validator.formatErrors(result));
+    if (result.valid) {
+      console.log(
+        '\nNext: run `shelfbridge sync --dry-run` to preview the first sync.',
+      );
+    }
+    return result.valid;
+  }
+}
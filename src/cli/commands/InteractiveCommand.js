@@ -2,6 +2,7 @@ import { BaseCommand } from '../BaseCommand.js';
 import { AudiobookshelfClient } from '../../audiobookshelf-client.js';
 import { HardcoverClient } from '../../hardcover-client.js';
 import { BookCache } from '../../book-cache.js';
+import { ReviewCommand } from './ReviewCommand.js';
 import { Semaphore } from '../../utils/concurrency.js';
 import { formatWelcomeMessage } from '../../utils/github-helper.js';
 import { currentVersion } from '../../version.js';
@@ -45,6 +46,7 @@ export class InteractiveCommand extends BaseCommand {
             { name: 'Test connections', value: 'test_connections' },
             { name: 'Show configuration', value: 'show_config' },
             { name: 'Manage cache', value: 'cache' },
+            { name: 'Review match queue', value: 'review' },
             { name: 'Exit', value: 'exit' },
           ],
         },
@@ -66,6 +68,9 @@ export class InteractiveCommand extends BaseCommand {
         case 'cache':
           await this.handleCacheManagement();
           break;
+        case 'review':
+          await this.handleMatchReview(config);
+          break;
         case 'exit':
           exit = true;
           break;
@@ -276,6 +281,18 @@ export class InteractiveCommand extends BaseCommand {
     process.stdout.write('\n✅ Configuration validation: Passed\n');
   }
 
+  async handleMatchReview(config) {
+    const cache = new BookCache();
+    const unregisterCache = this.registerCleanup(() => cache.close());
+    try {
+      const review = new ReviewCommand(this.registerCleanup);
+      await review.runReviewQueue(cache, config);
+    } finally {
+      cache.close();
+      unregisterCache();
+    }
+  }
+
   async handleCacheManagement() {
     let cacheExit = false;
     while (!cacheExit) {
@@ -0,0 +1,282 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { scheduleSyncs } from './CronCommand.js';
+import { SyncManager } from '../../sync-manager.js';
+import { applyUserOverrides } from '../../config.js';
+import { ConfigReloader } from '../../config-reloader.js';
+import { SyncResultFormatter } from '../../display/SyncResultFormatter.js';
+import { formatStartupMessage } from '../../utils/github-helper.js';
+import { currentVersion } from '../../version.js';
+import logger from '../../logger.js';
+
+/**
+ * Listen command - syncs single books as Audiobookshelf reports progress over
+ * its socket, with the scheduled full sync as a safety net for missed events
+ */
+export class ListenCommand extends BaseCommand {
+  constructor(runScheduledSyncFn, showNextScheduledSyncFn, registerCleanupFn) {
+    super('listen', 'Sync books as soon as Audiobookshelf reports progress');
+    this.runScheduledSync = runScheduledSyncFn;
+    this.showNextScheduledSync = showNextScheduledSyncFn;
+    this.registerCleanup = registerCleanupFn;
+  }
+
+  configure(program) {
+    const command = program
+      .command(this.name)
+      .description(this.description)
+      .action(async options => {
+        try {
+          await this.execute(options);
+          // Do NOT call exitSuccess() - the open sockets keep the process running
+        } catch (error) {
+          this.handleError(error, options);
+        }
+      });
+
+    this.addOptions(command);
+    return command;
+  }
+
+  addOptions(command) {
+    command
+      .option('-u, --user <userId>', 'Only listen for a specific user')
+      .option('--dry-run', 'Show what would be synced without making changes')
+      .option('--no-schedule', 'Do not run the sync_schedule full syncs');
+  }
+
+  async execute(options) {
+    console.log(formatStartupMessage('Listener', currentVersion));
+
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config } = this.getConfiguration();
+    if (options.user) {
+      config.getUser(options.user);
+    }
+    const dryRun = options.dryRun || this.isDryRun();
+
+    this.listeners = new Map();
+    await this.updateListeners(config, options.user, dryRun);
+    const onReload = newConfig =>
+      this.updateListeners(newConfig, options.user, dryRun);
+
+    let reloader;
+    if (options.schedule !== false) {
+      // Same schedules as cron, per user and following edits to config.yaml
+      reloader = await scheduleSyncs(this, config, onReload);
+    } else {
+      logger.info('Scheduled sync disabled (--no-schedule)');
+      reloader = new ConfigReloader({
+        config,
+        onReload: async newConfig => {
+          this._config = newConfig;
+          await onReload(newConfig);
+        },
+      });
+      reloader.start();
+    }
+    this.registerCleanup(() => reloader.stop());
+
+    logger.info('Listening for progress updates. Press Ctrl+C to stop.');
+    return [...this.listeners.values()];
+  }
+
+  /**
+   * Start a listener for every target user, and replace the listeners of
+   * users whose settings changed in a reloaded configuration, e.g. a rotated
+   * token or an edited override. Listeners of removed users are stopped.
+   * @param {Config} config - Current configuration
+   * @param {string} userId - Only listen for this user (default: all)
+   * @param {boolean} forceDryRun - Dry run for every user (--dry-run)
+   */
+  async updateListeners(config, userId, forceDryRun) {
+    const globalConfig = config.getGlobal();
+    const wanted = new Map(
+      config
+        .getUsers()
+        .filter(user => !userId || user.id === userId)
+        .map(user => {
+          const settings = applyUserOverrides(globalConfig, user);
+          const key = JSON.stringify([user, settings]);
+          return [user.id, { user, settings, key }];
+        }),
+    );
+
+    for (const [id, listener] of this.listeners) {
+      if (wanted.get(id)?.key === listener.key) {
+        continue;
+      }
+      this.listeners.delete(id);
+      await listener.stop();
+      logger.info(
+        wanted.has(id)
+          ? 'Restarting listener with the reloaded settings'
+          : 'Stopped listener of a removed user',
+        { user_id: id },
+      );
+    }
+
+    for (const [id, { user, settings, key }] of wanted) {
+      if (!this.listeners.has(id)) {
+        const dryRun = forceDryRun || settings.dry_run === true;
+        this.listeners.set(id, {
+          ...this.listenUser(user, globalConfig, dryRun),
+          key,
+        });
+      }
+    }
+  }
+
+  /**
+   * Open the progress socket for one user. Events are handled one at a time;
+   * while a book is syncing only the newest event per item is kept.
+   * @returns {Object} - Listener with `close()`, `stop()` and `idle()`
+   */
+  listenUser(user, globalConfig, dryRun) {
+    const syncManager = new SyncManager(user, globalConfig, dryRun, false);
+    const pending = new Map();
+    let draining = null;
+
+    const drain = async () => {
+      while (pending.size > 0) {
+        const [itemId, progress] = pending.entries().next().value;
+        pending.delete(itemId);
+        try {
+          const startedAt = new Date();
+          syncManager.startRun();
+          const result = await syncManager.syncItemProgress(progress);
+          if (result) {
+            await this.recordRun(syncManager, user, dryRun, result, startedAt);
+          }
+          const detail = result?.book_details?.[0];
+          if (detail && detail.status !== 'skipped') {
+            console.log(
+              `📡 ${user.id}: ${detail.title} → ${detail.status}${detail.reason ? ` (${detail.reason})` : ''}`,
+            );
+          }
+        } catch (error) {
+          logger.error('Failed to sync progress event', {
+            user_id: user.id,
+            itemId,
+            error: error.message,
+          });
+        }
+      }
+      draining = null;
+    };
+
+    const listener = syncManager.audiobookshelf.listenForProgressUpdates(
+      progress => {
+        pending.set(progress.libraryItemId, progress);
+        draining ||= drain();
+      },
+      {
+        onStateChange: (state, details) => {
+          if (state === 'connected') {
+            console.log(`🔌 ${user.id}: listening to ${user.abs_url}`);
+          } else if (state === 'auth_failed') {
+            console.error(
+              `❌ ${user.id}: Audiobookshelf rejected the API token, not listening`,
+            );
+          } else if (state === 'disconnected') {
+            logger.warn(`Lost Audiobookshelf socket for ${user.id}`, details);
+          }
+        },
+      },
+    );
+
+    // Delayed updates only reach Hardcover once their session expires
+    let sessionTimer = null;
+    if (syncManager.sessionManager.isEnabled()) {
+      const flushSessions = async () => {
+        const startedAt = new Date();
+        syncManager.startRun();
+        const { processed = 0 } =
+          (await syncManager._processExpiredSessions()) || {};
+        if (processed > 0) {
+          const result = syncManager._createSyncResult();
+          result.books_processed = processed;
+          result.books_synced = processed;
+          await this.recordRun(syncManager, user, dryRun, result, startedAt);
+        }
+        await drain();
+      };
+      sessionTimer = setInterval(() => {
+        draining ||= flushSessions();
+      }, 60 * 1000);
+    }
+
+    const close = () => {
+      clearInterval(sessionTimer);
+      listener.close();
+      syncManager.cleanup();
+    };
+    const unregister = this.registerCleanup(close);
+    const idle = () => draining || Promise.resolve();
+
+    // Stop taking events and let the book being synced finish first
+    const stop = async () => {
+      clearInterval(sessionTimer);
+      listener.close();
+      await idle();
+      syncManager.cleanup();
+      unregister();
+    };
+
+    return { close, stop, idle };
+  }
+
+  /**
+   * Record an event-driven sync in the run history like a scheduled run, so
+   * `history` shows it, `undo --run` can revert it and it is pruned with the
+   * other runs. Events that left Hardcover alone are not recorded.
+   * @param {SyncManager} syncManager - Manager that made the changes
+   * @param {Object} user - User configuration
+   * @param {boolean} dryRun - Whether the listener runs dry
+   * @param {Object} result - Sync result of the event
+   * @param {Date} startedAt - When the event sync started
+   * @returns {Promise<number|null>} - Run ID, or null when not recorded
+   */
+  async recordRun(syncManager, user, dryRun, result, startedAt) {
+    const changed =
+      result.errors.length > 0 ||
+      result.books_synced > 0 ||
+      result.book_details.some(detail => detail.status !== 'skipped');
+    if (!changed) {
+      return null;
+    }
+
+    const { globalConfig } = syncManager;
+    const finishedAt = new Date();
+    const summary = new SyncResultFormatter().buildRunSummary(
+      user,
+      result,
+      globalConfig,
+      (finishedAt - startedAt) / 1000,
+    );
+    try {
+      const runId = await syncManager.cache.recordSyncRun(
+        {
+          ...summary,
+          dry_run: dryRun,
+          trigger: 'listen',
+          version: currentVersion,
+          started_at: startedAt.toISOString(),
+          finished_at: finishedAt.toISOString(),
+          run_key: syncManager.runKey,
+        },
+        result.book_details,
+      );
+      await syncManager.cache.pruneSyncRuns(
+        globalConfig.history_retention_days ?? 90,
+      );
+      return runId;
+    } catch (error) {
+      logger.warn('Could not record sync run history', {
+        user_id: user.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+}
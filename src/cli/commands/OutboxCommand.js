@@ -0,0 +1,235 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { BookCache } from '../../book-cache.js';
+import { HardcoverClient } from '../../hardcover-client.js';
+import { HardcoverOutbox, replayedChange } from '../../hardcover-outbox.js';
+import { currentVersion } from '../../version.js';
+import { randomUUID } from 'crypto';
+
+const STATUS_ICONS = {
+  pending: '⏳',
+  dead: '💀',
+  done: '✅',
+};
+
+/**
+ * Outbox command - inspect, retry and drop Hardcover writes waiting in the
+ * outbox (see the hardcover_outbox setting)
+ */
+export class OutboxCommand extends BaseCommand {
+  constructor(registerCleanupFn) {
+    super('outbox', 'Inspect, retry or drop queued Hardcover writes');
+    this.registerCleanup = registerCleanupFn;
+  }
+
+  addOptions(command) {
+    command
+      .option('-u, --user <userId>', 'Only show entries for a specific user')
+      .option(
+        '--status <status>',
+        'Only list entries with this status (pending, dead, done)',
+      )
+      .option('--show <id>', 'Show one entry including its payload')
+      .option(
+        '--retry [ids...]',
+        'Send entries again now (default: every dead entry)',
+      )
+      .option('--drop <ids...>', 'Delete entries without sending them')
+      .option('--json', 'Print the entries as JSON');
+  }
+
+  async execute(options) {
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config, globalConfig } = this.getConfiguration();
+    const userId = options.user ? config.getUser(options.user).id : null;
+    if (options.status && !STATUS_ICONS[options.status]) {
+      throw new Error(
+        `Unknown status "${options.status}" (use ${Object.keys(STATUS_ICONS).join(', ')})`,
+      );
+    }
+
+    const cache = new BookCache();
+    const unregister = this.registerCleanup(() => cache.close());
+
+    try {
+      let output;
+      if (options.drop) {
+        output = await this.dropEntries(cache, userId, options.drop);
+      } else if (options.retry) {
+        output = await this.retryEntries(
+          cache,
+          config,
+          globalConfig,
+          userId,
+          options.retry,
+        );
+      } else if (options.show) {
+        output = await this.showEntry(cache, options.show);
+      } else {
+        output = await this.listEntries(cache, userId, options.status);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(output.data, null, 2));
+      } else {
+        console.log(output.text);
+      }
+      return output.data;
+    } finally {
+      cache.close();
+      unregister();
+    }
+  }
+
+  async listEntries(cache, userId = null, status = null) {
+    const entries = (await cache.getOutboxEntries({ userId, status })).filter(
+      // Sent writes are only listed when asked for
+      entry => status || entry.status !== 'done',
+    );
+    if (entries.length === 0) {
+      return { data: entries, text: 'The outbox is empty' };
+    }
+
+    const lines = [`=== Hardcover Outbox (${entries.length}) ===`, ''];
+    for (const entry of entries) {
+      lines.push(...this.formatEntry(entry));
+    }
+
+    const dead = entries.filter(entry => entry.status === 'dead').length;
+    if (dead > 0) {
+      lines.push('');
+      lines.push(
+        `${dead} dead ${dead === 1 ? 'entry' : 'entries'}: send again with \`outbox --retry\` or delete with \`outbox --drop <id>\``,
+      );
+    }
+    return { data: entries, text: lines.join('\n') };
+  }
+
+  async showEntry(cache, id) {
+    const entryId = this.parseId(id);
+    const [entry] = await cache.getOutboxEntries({ ids: [entryId] });
+    if (!entry) {
+      throw new Error(`Outbox entry #${entryId} not found`);
+    }
+
+    const lines = [
+      ...this.formatEntry(entry),
+      `   Created: ${entry.created_at}`,
+      `   Key: ${entry.idempotency_key}`,
+      `   Payload: ${JSON.stringify(entry.payload)}`,
+    ];
+    if (entry.result) {
+      lines.push(`   Result: ${JSON.stringify(entry.result)}`);
+    }
+    return { data: entry, text: lines.join('\n') };
+  }
+
+  async retryEntries(cache, config, globalConfig, userId, ids) {
+    const entryIds = Array.isArray(ids)
+      ? ids.map(id => this.parseId(id))
+      : null;
+    const requeued = await cache.retryOutboxEntries({ userId, ids: entryIds });
+
+    const pending = await cache.getOutboxEntries({
+      userId,
+      status: 'pending',
+    });
+    const summary = { requeued, sent: 0, dead: 0, pending: 0 };
+
+    for (const pendingUserId of new Set(pending.map(entry => entry.user_id))) {
+      const user = config.getUser(pendingUserId);
+      const hardcover = new HardcoverClient(
+        user.hardcover_token,
+        globalConfig.hardcover_semaphore || 1,
+        globalConfig.hardcover_rate_limit || 55,
+      );
+      // Retried writes form a run of their own, so `undo --run` can revert them
+      const runKey = randomUUID();
+      const startedAt = new Date();
+      const bookDetails = [];
+      try {
+        const outbox = new HardcoverOutbox({
+          cache,
+          hardcover,
+          userId: user.id,
+          config: { ...globalConfig.hardcover_outbox, enabled: true },
+          onReplay: async (entry, result, priorState) => {
+            await cache.recordSyncChange({
+              runKey,
+              userId: user.id,
+              ...replayedChange(entry, result, priorState),
+            });
+            bookDetails.push({
+              title: entry.title || entry.target,
+              status: 'synced',
+              reason: 'Replayed from the Hardcover outbox',
+              actions: [`Sent queued ${entry.operation} write #${entry.id}`],
+            });
+          },
+        });
+        const result = await outbox.drain();
+        summary.sent += result.sent;
+        summary.dead += result.dead;
+        summary.pending += result.pending;
+
+        if (result.sent > 0) {
+          const finishedAt = new Date();
+          await cache.recordSyncRun(
+            {
+              user_id: user.id,
+              trigger: 'outbox',
+              version: currentVersion,
+              started_at: startedAt.toISOString(),
+              finished_at: finishedAt.toISOString(),
+              duration_seconds: (finishedAt - startedAt) / 1000,
+              books_processed: result.sent,
+              books_synced: result.sent,
+              run_key: runKey,
+            },
+            bookDetails,
+          );
+        }
+      } finally {
+        hardcover.cleanup();
+      }
+    }
+
+    return {
+      data: summary,
+      text: `${requeued} queued again: ${summary.sent} sent, ${summary.dead} dead, ${summary.pending} still waiting`,
+    };
+  }
+
+  async dropEntries(cache, userId, ids) {
+    const entryIds = ids.map(id => this.parseId(id));
+    const dropped = await cache.deleteOutboxEntries({ userId, ids: entryIds });
+    return {
+      data: { dropped },
+      text: `Dropped ${dropped} outbox ${dropped === 1 ? 'entry' : 'entries'}`,
+    };
+  }
+
+  parseId(value) {
+    const id = parseInt(value, 10);
+    if (isNaN(id) || id < 1) {
+      throw new Error('Outbox entry ID must be a positive number');
+    }
+    return id;
+  }
+
+  formatEntry(entry) {
+    const lines = [
+      `${STATUS_ICONS[entry.status] || '•'} #${entry.id} ${entry.user_id} ${entry.operation}: ${entry.title || entry.target} (${entry.target}) - ${entry.status}, ${entry.attempts} ${entry.attempts === 1 ? 'attempt' : 'attempts'}`,
+    ];
+    if (entry.status === 'pending' && entry.next_attempt_at) {
+      lines.push(`   Next attempt: ${entry.next_attempt_at}`);
+    }
+    if (entry.status === 'done' && entry.completed_at) {
+      lines.push(`   Sent: ${entry.completed_at}`);
+    }
+    if (entry.last_error) {
+      lines.push(`   Last error: ${entry.last_error}`);
+    }
+    return lines;
+  }
+}
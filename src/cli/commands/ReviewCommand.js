@@ -0,0 +1,312 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { BookCache } from '../../book-cache.js';
+import { HardcoverClient } from '../../hardcover-client.js';
+import { extractAuthorFromSearchResult } from '../../matching/utils/hardcover-extractor.js';
+import logger from '../../logger.js';
+import inquirer from 'inquirer';
+
+const BREAKDOWN_FACTORS = ['title', 'author', 'series', 'activity', 'year'];
+
+/**
+ * Review command - works through the match review queue
+ * Title/author matches that were rejected or accepted with low confidence
+ * are queued during sync; decisions made here become permanent mappings.
+ */
+export class ReviewCommand extends BaseCommand {
+  constructor(registerCleanupFn) {
+    super('review', 'Review rejected and low-confidence matches');
+    this.registerCleanup = registerCleanupFn;
+    this.hardcoverClients = new Map();
+  }
+
+  addOptions(command) {
+    command
+      .option('-u, --user <userId>', 'Review matches for a specific user')
+      .option('--list', 'List queued matches without prompting')
+      .option(
+        '--reopen <reviewId>',
+        'Move a decided review back into the queue',
+      );
+  }
+
+  async execute(options) {
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config } = this.getConfiguration();
+    const userId = options.user ? config.getUser(options.user).id : null;
+
+    const cache = new BookCache();
+    const unregister = this.registerCleanup(() => cache.close());
+
+    try {
+      if (options.reopen) {
+        await this.reopenReview(cache, options.reopen);
+      } else if (options.list) {
+        await this.listReviews(cache, userId);
+      } else {
+        await this.runReviewQueue(cache, config, userId);
+      }
+    } finally {
+      cache.close();
+      unregister();
+    }
+  }
+
+  async listReviews(cache, userId = null) {
+    const reviews = await cache.getMatchReviews({ userId });
+    if (reviews.length === 0) {
+      console.log('No matches waiting for review');
+      return;
+    }
+
+    console.log(`=== Match Review Queue (${reviews.length}) ===\n`);
+    for (const review of reviews) {
+      const best = review.candidates[0];
+      console.log(`#${review.id} ${review.title}`);
+      console.log(`   User: ${review.user_id}`);
+      console.log(`   Author: ${review.author || 'Unknown'}`);
+      console.log(`   Reason: ${this.formatReason(review.reason)}`);
+      console.log(
+        `   Best candidate: ${best ? `${best.title} (${best.score}%)` : 'none'}\n`,
+      );
+    }
+  }
+
+  async reopenReview(cache, reviewId) {
+    const id = parseInt(reviewId, 10);
+    if (isNaN(id)) {
+      console.log('Error: Review ID must be a number');
+      return;
+    }
+    const updated = await cache.resolveMatchReview(id, { status: 'pending' });
+    console.log(
+      updated
+        ? `Review #${id} moved back into the queue`
+        : `No review found with ID ${id}`,
+    );
+  }
+
+  /**
+   * Prompt for a decision on every pending review
+   * @param {BookCache} cache - Book cache holding the queue
+   * @param {Config} config - Configuration (used for Hardcover tokens)
+   * @param {string|null} userId - Only review this user's queue
+   * @returns {Promise<Object>} - Counts of decisions made
+   */
+  async runReviewQueue(cache, config, userId = null) {
+    const reviews = await cache.getMatchReviews({ userId });
+    const summary = { accepted: 0, ignored: 0, skipped: 0 };
+
+    if (reviews.length === 0) {
+      console.log('No matches waiting for review');
+      return summary;
+    }
+
+    for (const [index, review] of reviews.entries()) {
+      console.log(`\n=== Review ${index + 1} of ${reviews.length} ===`);
+      this.showReview(review);
+
+      const decision = await this.promptDecision(review, config);
+      if (decision.action === 'quit') {
+        break;
+      }
+      if (decision.action === 'skip') {
+        summary.skipped++;
+        continue;
+      }
+
+      await this.applyDecision(cache, review, decision);
+      summary[decision.action === 'ignore' ? 'ignored' : 'accepted']++;
+    }
+
+    console.log(
+      `\nReview finished: ${summary.accepted} accepted, ${summary.ignored} ignored, ${summary.skipped} skipped`,
+    );
+    return summary;
+  }
+
+  /**
+   * Save a decision for a review
+   * @param {BookCache} cache - Book cache holding the queue
+   * @param {Object} review - Review being decided
+   * @param {Object} decision - { action: 'accept'|'ignore', bookId }
+   */
+  async applyDecision(cache, review, decision) {
+    if (decision.action === 'ignore') {
+      await cache.resolveMatchReview(review.id, { status: 'ignored' });
+      console.log(`"${review.title}" will no longer be synced`);
+    } else {
+      await cache.resolveMatchReview(review.id, {
+        status: 'accepted',
+        bookId: decision.bookId,
+      });
+      console.log(
+        `"${review.title}" is now mapped to Hardcover book ${decision.bookId}`,
+      );
+    }
+
+    logger.debug('Saved match review decision', {
+      reviewId: review.id,
+      userId: review.user_id,
+      absId: review.abs_id,
+      action: decision.action,
+      bookId: decision.bookId || null,
+    });
+  }
+
+  showReview(review) {
+    console.log(`${review.title} by ${review.author || 'Unknown'}`);
+    console.log(`User: ${review.user_id}   ABS item: ${review.abs_id}`);
+    console.log(`Reason: ${this.formatReason(review.reason)}`);
+
+    if (review.candidates.length === 0) {
+      console.log('No candidates were found');
+      return;
+    }
+
+    console.log('\nTop candidates:');
+    review.candidates.forEach((candidate, index) => {
+      console.log(
+        `  ${index + 1}. ${candidate.title} by ${candidate.author || 'Unknown'}${candidate.year ? ` (${candidate.year})` : ''} - ${candidate.score}% [book ${candidate.book_id}]`,
+      );
+      console.log(`     ${this.formatBreakdown(candidate.breakdown)}`);
+    });
+    console.log('');
+  }
+
+  formatReason(reason) {
+    return reason === 'low_confidence'
+      ? 'Matched with low confidence'
+      : 'Rejected below confidence threshold';
+  }
+
+  formatBreakdown(breakdown = {}) {
+    return BREAKDOWN_FACTORS.filter(factor => breakdown[factor])
+      .map(factor => `${factor} ${Math.round(breakdown[factor].score || 0)}%`)
+      .join(', ');
+  }
+
+  async promptDecision(review, config) {
+    const [best, ...others] = review.candidates;
+    const choices = [];
+    if (best) {
+      choices.push({
+        name: `Accept top candidate (${best.title})`,
+        value: 'accept',
+      });
+    }
+    if (others.length > 0) {
+      choices.push({ name: 'Pick another candidate', value: 'pick' });
+    }
+    choices.push(
+      { name: 'Search Hardcover manually', value: 'search' },
+      { name: 'Ignore (never sync this book)', value: 'ignore' },
+      { name: 'Skip for now', value: 'skip' },
+      { name: 'Quit review', value: 'quit' },
+    );
+
+    while (true) {
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `What should happen with "${review.title}"?`,
+          choices,
+        },
+      ]);
+
+      if (action === 'accept') {
+        return { action: 'accept', bookId: best.book_id };
+      }
+
+      if (action === 'pick') {
+        const bookId = await this.promptCandidate(review.candidates);
+        if (bookId) {
+          return { action: 'accept', bookId };
+        }
+        continue;
+      }
+
+      if (action === 'search') {
+        const bookId = await this.promptManualSearch(review, config);
+        if (bookId) {
+          return { action: 'accept', bookId };
+        }
+        continue;
+      }
+
+      return { action };
+    }
+  }
+
+  async promptCandidate(candidates) {
+    const { bookId } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'bookId',
+        message: 'Select the correct book:',
+        choices: [
+          ...candidates.map(candidate => ({
+            name: `${candidate.title} by ${candidate.author || 'Unknown'} - ${candidate.score}% [book ${candidate.book_id}]`,
+            value: candidate.book_id,
+          })),
+          { name: 'Back', value: null },
+        ],
+      },
+    ]);
+    return bookId;
+  }
+
+  async promptManualSearch(review, config) {
+    const { query } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'query',
+        message: 'Search Hardcover (title, or a Hardcover book ID):',
+        default: review.title,
+      },
+    ]);
+
+    const trimmed = String(query || '').trim();
+    if (!trimmed) {
+      return null;
+    }
+    if (/^\d+$/.test(trimmed)) {
+      return parseInt(trimmed, 10);
+    }
+
+    const hardcover = this.getHardcoverClient(config, review.user_id);
+    const results = await hardcover.searchBooksByTitle(trimmed, 10);
+    if (results.length === 0) {
+      console.log(`No Hardcover results for "${trimmed}"`);
+      return null;
+    }
+
+    const { bookId } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'bookId',
+        message: 'Select the correct book:',
+        choices: [
+          ...results.map(result => ({
+            name: `${result.title} by ${extractAuthorFromSearchResult(result) || 'Unknown'}${result.release_year ? ` (${result.release_year})` : ''} [book ${result.id}]`,
+            value: Number(result.id),
+          })),
+          { name: 'Back', value: null },
+        ],
+      },
+    ]);
+    return bookId;
+  }
+
+  getHardcoverClient(config, userId) {
+    if (!this.hardcoverClients.has(userId)) {
+      const user = config.getUser(userId);
+      this.hardcoverClients.set(
+        userId,
+        new HardcoverClient(user.hardcover_token),
+      );
+    }
+    return this.hardcoverClients.get(userId);
+  }
+}
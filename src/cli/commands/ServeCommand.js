@@ -0,0 +1,91 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { scheduleSyncs } from './CronCommand.js';
+import { ApiServer } from '../../server/api-server.js';
+import { formatStartupMessage } from '../../utils/github-helper.js';
+import { currentVersion } from '../../version.js';
+import logger from '../../logger.js';
+
+/**
+ * Serve command - long-running HTTP control server with optional scheduled sync
+ */
+export class ServeCommand extends BaseCommand {
+  constructor(
+    syncUserFn,
+    runScheduledSyncFn,
+    showNextScheduledSyncFn,
+    registerCleanupFn,
+  ) {
+    super('serve', 'Start HTTP API server for sync status and triggers');
+    this.syncUser = syncUserFn;
+    this.runScheduledSync = runScheduledSyncFn;
+    this.showNextScheduledSync = showNextScheduledSyncFn;
+    this.registerCleanup = registerCleanupFn;
+    this.server = null;
+  }
+
+  configure(program) {
+    this.program = program;
+    const command = program
+      .command(this.name)
+      .description(this.description)
+      .action(async options => {
+        try {
+          await this.execute(options);
+          // Do NOT call exitSuccess() - the HTTP server keeps the process running
+        } catch (error) {
+          this.handleError(error, options);
+        }
+      });
+
+    this.addOptions(command);
+    return command;
+  }
+
+  addOptions(command) {
+    command
+      .option('-p, --port <port>', 'Port to listen on (default: 8787)')
+      .option('--host <host>', 'Interface to bind (default: 127.0.0.1)')
+      .option('--no-schedule', 'Do not run the sync_schedule syncs');
+  }
+
+  async execute(options) {
+    console.log(formatStartupMessage('HTTP Server', currentVersion));
+
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config, globalConfig } = this.getConfiguration();
+    const serverConfig = globalConfig.server || {};
+
+    const port =
+      options.port !== undefined ? parseInt(options.port, 10) : undefined;
+    if (port !== undefined && (isNaN(port) || port < 0 || port > 65535)) {
+      throw new Error(`Invalid port: ${options.port}`);
+    }
+
+    this.server = new ApiServer({
+      config,
+      syncUserFn: this.syncUser,
+      host: options.host || serverConfig.host,
+      port: port ?? serverConfig.port,
+      apiToken: serverConfig.api_token,
+    });
+
+    const address = await this.server.start();
+    this.registerCleanup(() => this.server.stop());
+    console.log(
+      `🌐 API server listening on http://${address.host}:${address.port}`,
+    );
+
+    if (options.schedule !== false) {
+      // Same schedules as cron; the API serves the reloaded users as well
+      const reloader = await scheduleSyncs(this, config, newConfig => {
+        this.server.config = newConfig;
+      });
+      this.registerCleanup(() => reloader.stop());
+    } else {
+      logger.info('Scheduled sync disabled (--no-schedule)');
+    }
+
+    logger.info('HTTP server started. Press Ctrl+C to stop.');
+  }
+}
@@ -29,15 +29,16 @@ export class SyncCommand extends BaseCommand {
 
     const { config, globalConfig, users } = this.getConfiguration();
 
-    // Override dry_run from config if --dry-run flag is used
+    // Command-line flags win over the config file, including user overrides
+    const flags = {};
     if (options.dryRun || this.isDryRun()) {
-      globalConfig.dry_run = true;
+      flags.dry_run = true;
     }
-
-    // Add force flag to global config
     if (options.force) {
-      globalConfig.force_sync = true;
+      flags.force_sync = true;
     }
+    Object.assign(globalConfig, flags);
+    const withFlags = user => ({ ...user, ...flags });
 
     // Show startup information
     console.log(formatStartupMessage('Sync', currentVersion));
@@ -51,7 +52,7 @@ export class SyncCommand extends BaseCommand {
     if (options.user) {
       // Sync specific user
       const user = config.getUser(options.user);
-      await this.syncUser(user, globalConfig, this.isVerbose());
+      await this.syncUser(withFlags(user), globalConfig, this.isVerbose());
     } else {
       // Sync all users
       if (globalConfig.parallel) {
@@ -63,7 +64,11 @@ export class SyncCommand extends BaseCommand {
           users.map(async user => {
             await semaphore.acquire();
             try {
-              await this.syncUser(user, globalConfig, this.isVerbose());
+              await this.syncUser(
+                withFlags(user),
+                globalConfig,
+                this.isVerbose(),
+              );
             } finally {
               semaphore.release();
             }
@@ -71,7 +76,7 @@ export class SyncCommand extends BaseCommand {
         );
       } else {
         for (const user of users) {
-          await this.syncUser(user, globalConfig, this.isVerbose());
+          await this.syncUser(withFlags(user), globalConfig, this.isVerbose());
         }
       }
     }
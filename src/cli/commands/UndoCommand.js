@@ -0,0 +1,113 @@
+import { BaseCommand } from '../BaseCommand.js';
+import { BookCache } from '../../book-cache.js';
+import { HardcoverClient } from '../../hardcover-client.js';
+import { SyncRunUndo } from '../../sync-run-undo.js';
+
+const ACTION_LABELS = {
+  remove_book: 'remove from library',
+  delete_read: 'delete read created by the run',
+  restore_read: 'restore previous read progress',
+  restore_status: 'restore previous status',
+};
+
+/**
+ * Undo command - reverts the Hardcover changes made by a recorded sync run
+ */
+export class UndoCommand extends BaseCommand {
+  constructor(registerCleanupFn) {
+    super('undo', 'Revert the Hardcover changes made by a sync run');
+    this.registerCleanup = registerCleanupFn;
+  }
+
+  addOptions(command) {
+    command
+      .requiredOption('--run <runId>', 'Sync run to revert (see `history`)')
+      .option('--dry-run', 'Show what would be reverted without changing it')
+      .option('--force', 'Also revert books a later run changed again');
+  }
+
+  async execute(options) {
+    await this.validateConfiguration(this.shouldSkipValidation());
+
+    const { config, globalConfig } = this.getConfiguration();
+    const runId = parseInt(options.run, 10);
+    if (isNaN(runId) || runId < 1) {
+      throw new Error('Run ID must be a positive number');
+    }
+
+    const cache = new BookCache();
+    const unregister = this.registerCleanup(() => cache.close());
+
+    try {
+      const run = await cache.getSyncRun(runId);
+      if (!run) {
+        throw new Error(`Sync run #${runId} not found`);
+      }
+      if (run.dry_run) {
+        console.log(`Run #${runId} was a dry run - nothing to undo`);
+        return null;
+      }
+
+      const user = config.getUser(run.user_id);
+      const undo = new SyncRunUndo({
+        cache,
+        hardcover: new HardcoverClient(
+          user.hardcover_token,
+          globalConfig.hardcover_semaphore || 1,
+          globalConfig.hardcover_rate_limit || 55,
+        ),
+        dryRun: options.dryRun || this.isDryRun(),
+        force: options.force,
+      });
+
+      const summary = await undo.undo(runId);
+      console.log(this.formatSummary(summary, undo.dryRun));
+      return summary;
+    } finally {
+      cache.close();
+      unregister();
+    }
+  }
+
+  formatSummary(summary, dryRun) {
+    const { run, steps } = summary;
+    const lines = [
+      `=== ${dryRun ? '[DRY RUN] ' : ''}Undo run #${run.id} (${run.user_id}, ${run.started_at}) ===`,
+      '',
+    ];
+
+    if (steps.length === 0) {
+      lines.push('This run made no recorded Hardcover changes');
+      return lines.join('\n');
+    }
+
+    for (const step of steps) {
+      const label = `${step.change.title} [${step.change.change_type}]`;
+      if (step.skip) {
+        lines.push(`⏭️  ${label}: skipped - ${step.skip}`);
+      } else if (step.error) {
+        lines.push(`❌ ${label}: ${step.error}`);
+      } else {
+        const actions = step.actions
+          .map(action => ACTION_LABELS[action])
+          .join(', ');
+        lines.push(
+          `${dryRun ? '•' : '↩️ '} ${label}: ${dryRun ? 'would ' : ''}${actions}`,
+        );
+      }
+    }
+
+    lines.push('');
+    lines.push(
+      dryRun
+        ? `${steps.length - summary.skipped} to revert, ${summary.skipped} skipped`
+        : `${summary.reverted} reverted, ${summary.skipped} skipped, ${summary.failed} failed`,
+    );
+    if (!dryRun && summary.reverted > 0) {
+      lines.push(
+        'Reverted books are re-synced on the next run unless their cause is fixed (e.g. with a match override)',
+      );
+    }
+    return lines.join('\n');
+  }
+}
@@ -15,3 +15,12 @@ export {
   SchemaInputsCommand,
 } from './commands/SchemaCommands.js';
 export { CronCommand, StartCommand } from './commands/CronCommand.js';
+export { ServeCommand } from './commands/ServeCommand.js';
+export { ListenCommand } from './commands/ListenCommand.js';
+export { ReviewCommand } from './commands/ReviewCommand.js';
+export { ExplainCommand } from './commands/ExplainCommand.js';
+export { HistoryCommand } from './commands/HistoryCommand.js';
+export { UndoCommand } from './commands/UndoCommand.js';
+export { BackfillDatesCommand } from './commands/BackfillDatesCommand.js';
+export { OutboxCommand } from './commands/OutboxCommand.js';
+export { InitCommand } from './commands/InitCommand.js';
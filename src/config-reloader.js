@@ -0,0 +1,190 @@
+import fs from 'fs';
+import { Config } from './config.js';
+import { ConfigValidator } from './config-validator.js';
+import logger from './logger.js';
+
+/**
+ * Config reloader - picks up edits to config.yaml in long-running processes
+ *
+ * The file is polled rather than watched with inotify so edits made through
+ * Docker bind mounts and editors that replace the file are noticed too.
+ * SIGHUP reloads on demand. A new configuration is only handed out after it
+ * passed ConfigValidator; invalid edits are logged with their diff and the
+ * running configuration stays in place.
+ */
+
+// Changes under these keys only take effect after a restart
+const RESTART_REQUIRED_KEYS = ['server', 'metrics'];
+
+const formatValue = value =>
+  value === undefined ? '(unset)' : JSON.stringify(value);
+
+/**
+ * List the differences between two configurations
+ * @param {Object} before - Old configuration
+ * @param {Object} after - New configuration
+ * @param {Object} display - { before, after }: the same configurations with
+ *   secrets masked, used for the listed values. Defaults to the compared ones.
+ * @param {string} path - Path of the compared values
+ * @returns {Array<string>} - One `path: old → new` line per changed value
+ */
+export function diffConfig(
+  before,
+  after,
+  display = { before, after },
+  path = '',
+) {
+  const isObject = value =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key =>
+      diffConfig(
+        before[key],
+        after[key],
+        { before: display.before?.[key], after: display.after?.[key] },
+        path ? `${path}.${key}` : key,
+      ),
+    );
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  if (JSON.stringify(display.before) === JSON.stringify(display.after)) {
+    // Only a masked secret changed
+    return [`${path}: changed (value hidden)`];
+  }
+  return [
+    `${path}: ${formatValue(display.before)} → ${formatValue(display.after)}`,
+  ];
+}
+
+export class ConfigReloader {
+  /**
+   * @param {Object} options - Reloader options
+   * @param {Config} options.config - Configuration currently in use
+   * @param {Function} options.onReload - async (config, previous, changes)
+   *   called with every accepted configuration
+   * @param {string} options.configPath - File to watch
+   * @param {number} options.interval - Polling interval in milliseconds
+   */
+  constructor({
+    config,
+    onReload,
+    configPath = 'config/config.yaml',
+    interval = 2000,
+  }) {
+    this.config = config;
+    this.onReload = onReload;
+    this.configPath = configPath;
+    this.interval = interval;
+    this.validator = new ConfigValidator();
+    this.reloading = null;
+    this._onFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload('file change');
+      }
+    };
+    this._onSignal = () => this.reload('SIGHUP');
+  }
+
+  /**
+   * Start watching the config file and listening for SIGHUP
+   */
+  start() {
+    fs.watchFile(
+      this.configPath,
+      { interval: this.interval, persistent: false },
+      this._onFileChange,
+    );
+    process.on('SIGHUP', this._onSignal);
+    logger.info('Watching configuration for changes', {
+      file: this.configPath,
+    });
+  }
+
+  stop() {
+    fs.unwatchFile(this.configPath, this._onFileChange);
+    process.off('SIGHUP', this._onSignal);
+  }
+
+  /**
+   * Load, validate and apply the configuration. Reloads triggered while one
+   * is running wait for it, so changes are applied in order.
+   * @param {string} trigger - What asked for the reload, for the log
+   * @returns {Promise<boolean>} - Whether a new configuration was applied
+   */
+  async reload(trigger = 'manual') {
+    const previousReload = this.reloading || Promise.resolve();
+    const reload = previousReload.then(() => this._reload(trigger));
+    this.reloading = reload.finally(() => {
+      if (this.reloading === reload) {
+        this.reloading = null;
+      }
+    });
+    return reload;
+  }
+
+  async _reload(trigger) {
+    let config;
+    try {
+      config = new Config(this.configPath);
+    } catch (error) {
+      logger.error('Rejected configuration change: it could not be loaded', {
+        trigger,
+        error: error.message,
+      });
+      return false;
+    }
+
+    // Compare the real values so a rotated token counts as a change; the
+    // masked ones are only used for the log
+    const changes = diffConfig(
+      { global: this.config.globalConfig, users: this.config.users },
+      { global: config.globalConfig, users: config.users },
+      {
+        before: this.config.toDisplayObject(),
+        after: config.toDisplayObject(),
+      },
+    );
+    if (changes.length === 0) {
+      logger.debug('Configuration reloaded without changes', { trigger });
+      return false;
+    }
+
+    const validation = await this.validator.validateConfiguration(config);
+    if (!validation.valid) {
+      logger.error(
+        'Rejected configuration change: validation failed, keeping the running configuration',
+        { trigger, errors: validation.errors, changes },
+      );
+      return false;
+    }
+
+    const restartRequired = RESTART_REQUIRED_KEYS.filter(key =>
+      changes.some(change => change.startsWith(`global.${key}`)),
+    );
+    if (restartRequired.length > 0) {
+      logger.warn('Some changed settings only take effect after a restart', {
+        settings: restartRequired,
+      });
+    }
+
+    const previous = this.config;
+    this.config = config;
+    try {
+      await this.onReload(config, previous, changes);
+    } catch (error) {
+      this.config = previous;
+      logger.error('Applying the reloaded configuration failed', {
+        trigger,
+        error: error.message,
+      });
+      return false;
+    }
+
+    logger.info('Configuration reloaded', { trigger, changes });
+    return true;
+  }
+}
@@ -0,0 +1,172 @@
+import { ConfigValidator } from './config-validator.js';
+import {
+  GLOBAL_ENV_MAPPING,
+  PROCESS_WIDE_KEYS,
+  SECRET_KEY_PATTERN,
+  USER_ENV_KEYS,
+} from './config.js';
+
+/**
+ * JSON Schema for config.yaml
+ *
+ * Generated from the ConfigValidator schema so editors check the file with
+ * the same rules as `shelfbridge validate`. config/config.schema.json is the
+ * committed output of `shelfbridge config schema`; a test keeps it current.
+ */
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+// Custom validators that map onto a JSON Schema format
+const FORMATS = {
+  url: 'uri',
+};
+
+const SECRET_REFERENCE = {
+  type: 'object',
+  description:
+    'Read the value from a file, an environment variable or the output of a command',
+  properties: {
+    file: { type: 'string', description: 'File holding the value' },
+    env: {
+      type: 'string',
+      description: 'Environment variable holding the value',
+    },
+    command: {
+      type: 'string',
+      description: 'Command that prints the value',
+    },
+  },
+  minProperties: 1,
+  maxProperties: 1,
+  additionalProperties: false,
+};
+
+/**
+ * Convert one validator rule to JSON Schema
+ * @param {string} key - Setting name
+ * @param {Object} rules - Validator rules
+ * @param {Function} envVarFor - (path) => environment variable name or null
+ * @param {string} path - Config path of the setting
+ * @returns {Object} - JSON Schema of the setting
+ */
+function ruleToJsonSchema(key, rules, envVarFor, path = key) {
+  const schema = { type: rules.type };
+
+  if (rules.min !== undefined) schema.minimum = rules.min;
+  if (rules.max !== undefined) schema.maximum = rules.max;
+  if (rules.minLength !== undefined) schema.minLength = rules.minLength;
+  if (rules.enum) schema.enum = rules.enum;
+  if (FORMATS[rules.validate]) schema.format = FORMATS[rules.validate];
+  if (rules.items) {
+    schema.items = ruleToJsonSchema(key, rules.items, () => null, path);
+  }
+  if (rules.properties) {
+    schema.properties = Object.fromEntries(
+      Object.entries(rules.properties).map(([childKey, childRules]) => [
+        childKey,
+        ruleToJsonSchema(
+          childKey,
+          childRules,
+          envVarFor,
+          `${path}.${childKey}`,
+        ),
+      ]),
+    );
+  }
+
+  const envVar = envVarFor(path);
+  const description = [
+    rules.description,
+    envVar && `Environment variable: ${envVar}`,
+  ].filter(Boolean);
+  const annotations = {};
+  if (description.length > 0) {
+    annotations.description = description.join('\n\n');
+  }
+  if (rules.default !== undefined) annotations.default = rules.default;
+  if (envVar) annotations['x-env-var'] = envVar;
+
+  if (rules.type === 'string' && SECRET_KEY_PATTERN.test(key)) {
+    return {
+      ...annotations,
+      anyOf: [schema, { $ref: '#/definitions/secretReference' }],
+    };
+  }
+  return { ...schema, ...annotations };
+}
+
+/**
+ * Convert a map of validator rules to JSON Schema properties
+ * @param {Object} rulesByKey - Validator rules by setting name
+ * @param {Function} envVarFor - (path) => environment variable name or null
+ * @returns {Object} - JSON Schema properties
+ */
+function propertiesToJsonSchema(rulesByKey, envVarFor) {
+  return Object.fromEntries(
+    Object.entries(rulesByKey).map(([key, rules]) => [
+      key,
+      ruleToJsonSchema(key, rules, envVarFor),
+    ]),
+  );
+}
+
+/**
+ * Generate the JSON Schema of config.yaml
+ * @param {ConfigValidator} validator - Validator whose schema is converted
+ * @returns {Object} - JSON Schema (draft-07)
+ */
+export function generateJsonSchema(validator = new ConfigValidator()) {
+  const { global: globalRules, users: userRules } = validator.schema;
+
+  const globalEnvVars = new Map(
+    Object.entries(GLOBAL_ENV_MAPPING).map(([envKey, path]) => [
+      path,
+      `SHELFBRIDGE_${envKey}`,
+    ]),
+  );
+  const globalEnvVar = path => globalEnvVars.get(path) || null;
+  const userEnvVar = path =>
+    USER_ENV_KEYS.includes(path)
+      ? `SHELFBRIDGE_USER_<N>_${path.toUpperCase()}`
+      : null;
+
+  // Users may override every global setting that is not process-wide
+  const overrideRules = Object.fromEntries(
+    Object.entries(globalRules).filter(
+      ([key]) => !PROCESS_WIDE_KEYS.includes(key) && !userRules.items[key],
+    ),
+  );
+
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: 'ShelfBridge configuration',
+    description:
+      'config/config.yaml. Generated by `shelfbridge config schema`; do not edit by hand.',
+    type: 'object',
+    properties: {
+      global: {
+        type: 'object',
+        description: 'Settings for all users',
+        properties: propertiesToJsonSchema(globalRules, globalEnvVar),
+      },
+      users: {
+        type: 'array',
+        description: userRules.description,
+        minItems: userRules.minItems,
+        items: {
+          type: 'object',
+          properties: {
+            ...propertiesToJsonSchema(userRules.items, userEnvVar),
+            ...propertiesToJsonSchema(overrideRules, () => null),
+          },
+          required: Object.entries(userRules.items)
+            .filter(([, rules]) => rules.required)
+            .map(([key]) => key),
+        },
+      },
+    },
+    definitions: {
+      secretReference: SECRET_REFERENCE,
+    },
+  };
+}
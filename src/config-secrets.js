@@ -0,0 +1,111 @@
+import fs from 'fs';
+import { execSync } from 'child_process';
+
+/**
+ * Secret references in the configuration
+ *
+ * Instead of a plain string, any configuration value may name where the
+ * secret is kept:
+ *
+ *   abs_token: { file: /run/secrets/abs_token }
+ *   hardcover_token: { env: HARDCOVER_TOKEN }
+ *   hardcover_token: { command: 'pass show hardcover/token' }
+ *
+ * References are resolved once when the configuration is loaded. The values
+ * they resolve to are masked wherever the configuration is shown.
+ */
+
+export const SECRET_REFERENCE_TYPES = ['file', 'env', 'command'];
+
+export const MASKED_VALUE = '[REDACTED]';
+
+// Resolver commands must not hold up startup
+const COMMAND_TIMEOUT_MS = 10000;
+
+/**
+ * Whether a configuration value is a secret reference
+ * @param {*} value - Configuration value
+ * @returns {boolean}
+ */
+export function isSecretReference(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length === 1 && SECRET_REFERENCE_TYPES.includes(keys[0]);
+}
+
+/**
+ * Describe where a secret comes from without revealing it
+ * @param {Object} reference - Secret reference
+ * @returns {string} - e.g. `file /run/secrets/abs_token`
+ */
+export function describeSecretReference(reference) {
+  const [type, target] = Object.entries(reference)[0];
+  // Commands may carry credentials in their arguments
+  return type === 'command' ? 'command' : `${type} ${target}`;
+}
+
+/**
+ * Read a secret file, dropping the trailing newline most tools write
+ * @param {string} filePath - Path of the secret file
+ * @returns {string} - Secret value
+ */
+export function readSecretFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`cannot read secret file ${filePath} (${error.code})`);
+  }
+  const value = content.trim();
+  if (!value) {
+    throw new Error(`secret file ${filePath} is empty`);
+  }
+  return value;
+}
+
+/**
+ * Resolve a secret reference to its value
+ * @param {Object} reference - { file }, { env } or { command }
+ * @returns {string} - Secret value
+ * @throws {Error} - When the secret cannot be read; the message never
+ *   contains the secret
+ */
+export function resolveSecretReference(reference) {
+  const [type, target] = Object.entries(reference)[0];
+  if (typeof target !== 'string' || !target.trim()) {
+    throw new Error(`'${type}' must be a non-empty string`);
+  }
+
+  if (type === 'file') {
+    return readSecretFile(target);
+  }
+
+  if (type === 'env') {
+    const value = process.env[target]?.trim();
+    if (!value) {
+      throw new Error(`environment variable ${target} is not set`);
+    }
+    return value;
+  }
+
+  let output;
+  try {
+    output = execSync(target, {
+      encoding: 'utf8',
+      timeout: COMMAND_TIMEOUT_MS,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (error) {
+    const reason = error.signal
+      ? `timed out after ${COMMAND_TIMEOUT_MS / 1000}s`
+      : `exited with code ${error.status}`;
+    throw new Error(`secret command ${reason}`);
+  }
+  const value = output.trim();
+  if (!value) {
+    throw new Error('secret command printed nothing');
+  }
+  return value;
+}
@@ -5,11 +5,20 @@ import {
   isPlaceholderValue,
   PLACEHOLDER_PATTERNS,
 } from './config-placeholders.js';
+import { MASKED_VALUE } from './config-secrets.js';
+import { PROCESS_WIDE_KEYS } from './config.js';
+import {
+  DEFAULT_OVERRIDES_FILE,
+  loadOverridesFile,
+  validateOverrideEntry,
+} from './matching/match-overrides.js';
 
 export class ConfigValidator {
   constructor() {
     // Common placeholder patterns to detect
     this.placeholderPatterns = PLACEHOLDER_PATTERNS;
+    // Values resolved from secret references never appear in messages
+    this.isSecretValue = () => false;
 
     this.schema = {
       global: {
@@ -127,6 +136,33 @@ export class ConfigValidator {
           optional: true,
           description: 'Dump failed sync books to text file for debugging',
         },
+        reconstruct_dates: {
+          type: 'boolean',
+          default: false,
+          optional: true,
+          description:
+            'Derive started/finished dates from the Audiobookshelf listening session history (default: false)',
+        },
+        history_retention_days: {
+          type: 'number',
+          min: 1,
+          max: 3650,
+          default: 90,
+          optional: true,
+          description: 'Days of sync run history to keep (default: 90)',
+        },
+        match_overrides: {
+          type: 'array',
+          optional: true,
+          description:
+            'Manual match overrides (pin items to a Hardcover book/edition or never sync them)',
+        },
+        match_overrides_file: {
+          type: 'string',
+          optional: true,
+          default: DEFAULT_OVERRIDES_FILE,
+          description: `YAML file with additional match overrides (default: ${DEFAULT_OVERRIDES_FILE})`,
+        },
         delayed_updates: {
           type: 'object',
           optional: true,
@@ -162,6 +198,324 @@ export class ConfigValidator {
             },
           },
         },
+        two_way_sync: {
+          type: 'object',
+          optional: true,
+          description:
+            'Pull newer Hardcover progress back into Audiobookshelf (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Enable two-way progress sync (default: false)',
+            },
+            conflict_strategy: {
+              type: 'string',
+              enum: ['newest', 'hardcover'],
+              default: 'newest',
+              description:
+                "How to resolve conflicts: 'newest' compares last-updated timestamps, 'hardcover' always prefers Hardcover when it is ahead (default: newest)",
+            },
+            min_progress_difference: {
+              type: 'number',
+              min: 0,
+              max: 100,
+              default: 1,
+              description:
+                'Minimum percentage Hardcover must be ahead before Audiobookshelf is updated (default: 1)',
+            },
+          },
+        },
+        dnf_detection: {
+          type: 'object',
+          optional: true,
+          description:
+            'Move abandoned books out of Currently Reading on Hardcover (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Enable abandoned book detection (default: false)',
+            },
+            inactive_days: {
+              type: 'number',
+              min: 1,
+              max: 3650,
+              default: 90,
+              description:
+                'Days without listening before a book counts as abandoned (default: 90)',
+            },
+            max_progress: {
+              type: 'number',
+              min: 0,
+              max: 100,
+              default: 50,
+              description:
+                'Only books below this progress percentage are considered abandoned (default: 50)',
+            },
+            action: {
+              type: 'string',
+              enum: ['dnf', 'want_to_read'],
+              default: 'dnf',
+              description:
+                "Status given to abandoned books: 'dnf' (Did Not Finish) or 'want_to_read' (default: dnf)",
+            },
+            honor_hide_from_continue: {
+              type: 'boolean',
+              default: true,
+              description:
+                'Treat "Hide from Continue Listening" in Audiobookshelf as abandoning the book (default: true)',
+            },
+          },
+        },
+        reading_journal: {
+          type: 'object',
+          optional: true,
+          description:
+            'Add Audiobookshelf listening sessions to the Hardcover reading journal (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Enable reading journal entries (default: false)',
+            },
+            min_session_minutes: {
+              type: 'number',
+              min: 0,
+              max: 1440,
+              default: 5,
+              description:
+                'Ignore sessions shorter than this many minutes (default: 5)',
+            },
+            lookback_days: {
+              type: 'number',
+              min: 1,
+              max: 3650,
+              default: 30,
+              description:
+                'Only journal sessions from the last N days (default: 30)',
+            },
+            privacy: {
+              type: 'string',
+              enum: ['public', 'followers', 'private'],
+              default: 'public',
+              description:
+                'Who can see the journal entries on Hardcover (default: public)',
+            },
+          },
+        },
+        want_to_read: {
+          type: 'object',
+          optional: true,
+          description:
+            'Add unstarted tagged or collected books to Hardcover as Want to Read (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Enable Want to Read sync (default: false)',
+            },
+            tags: {
+              type: 'array',
+              optional: true,
+              description:
+                'Audiobookshelf tags that mark a book as to be read (e.g. TBR)',
+              items: {
+                type: 'string',
+                minLength: 1,
+              },
+            },
+            collections: {
+              type: 'array',
+              optional: true,
+              description:
+                'Audiobookshelf collections whose books are to be read (case-insensitive)',
+              items: {
+                type: 'string',
+                minLength: 1,
+              },
+            },
+          },
+        },
+        incremental_sync: {
+          type: 'object',
+          optional: true,
+          description:
+            'Only fetch books whose Audiobookshelf progress changed since the last sync (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Enable incremental syncs (default: false)',
+            },
+            full_sync_interval_hours: {
+              type: 'number',
+              min: 1,
+              max: 720,
+              default: 24,
+              description:
+                'Look at every book again after this many hours (default: 24)',
+            },
+          },
+        },
+        hardcover_library_cache: {
+          type: 'object',
+          optional: true,
+          description:
+            'Store the Hardcover library locally and only fetch changed books (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description:
+                'Enable the stored Hardcover library (default: false)',
+            },
+            full_refresh_hours: {
+              type: 'number',
+              min: 1,
+              max: 720,
+              default: 24,
+              description:
+                'Fetch the whole library again after this many hours (default: 24)',
+            },
+          },
+        },
+        hardcover_outbox: {
+          type: 'object',
+          optional: true,
+          description:
+            'Queue Hardcover writes that fail during an outage and replay them on the next sync (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Enable the Hardcover write outbox (default: false)',
+            },
+            max_attempts: {
+              type: 'number',
+              min: 1,
+              max: 100,
+              default: 10,
+              description:
+                'Move a write to the dead letter queue after this many failed attempts (default: 10)',
+            },
+          },
+        },
+        hardcover_batching: {
+          type: 'object',
+          optional: true,
+          description:
+            'Send progress queries and updates of several books in one Hardcover request (opt-in)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Enable GraphQL request batching (default: false)',
+            },
+            max_operations: {
+              type: 'number',
+              min: 1,
+              max: 50,
+              default: 10,
+              description:
+                'Most queries or mutations combined into one request (default: 10)',
+            },
+            window_ms: {
+              type: 'number',
+              min: 0,
+              max: 1000,
+              default: 50,
+              description:
+                'Milliseconds to wait for more operations before sending (default: 50)',
+            },
+          },
+        },
+        server: {
+          type: 'object',
+          optional: true,
+          description: 'HTTP API server settings for the serve command',
+          properties: {
+            host: {
+              type: 'string',
+              optional: true,
+              default: '127.0.0.1',
+              description:
+                'Interface to bind (default: 127.0.0.1); other interfaces require api_token',
+            },
+            port: {
+              type: 'number',
+              optional: true,
+              min: 1,
+              max: 65535,
+              default: 8787,
+              description: 'Port to listen on (default: 8787)',
+            },
+            api_token: {
+              type: 'string',
+              optional: true,
+              minLength: 16,
+              description:
+                'Bearer token required for all endpoints except /api/health; mandatory when host is not a loopback address',
+            },
+          },
+        },
+        metrics: {
+          type: 'object',
+          optional: true,
+          description:
+            'Prometheus metrics endpoint for the cron and start commands',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              optional: true,
+              default: false,
+              description: 'Serve /metrics while scheduled sync runs',
+            },
+            host: {
+              type: 'string',
+              optional: true,
+              default: '127.0.0.1',
+              description:
+                'Interface to bind (default: 127.0.0.1); /metrics has no authentication, so use 0.0.0.0 only on a trusted network',
+            },
+            port: {
+              type: 'number',
+              optional: true,
+              min: 1,
+              max: 65535,
+              default: 9464,
+              description: 'Port to listen on (default: 9464)',
+            },
+          },
+        },
+        notifications: {
+          type: 'object',
+          optional: true,
+          description:
+            'Sync result notifications sent after each scheduled run',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              optional: true,
+              default: true,
+              description: 'Send notifications for configured channels',
+            },
+            on: {
+              type: 'string',
+              optional: true,
+              default: 'always',
+              enum: ['always', 'failure', 'completion'],
+              description:
+                'Default filter: always, only on failure, or only when books were completed',
+            },
+            channels: {
+              type: 'array',
+              optional: true,
+              description:
+                'Notification channels (webhook, ntfy, discord, smtp)',
+            },
+          },
+        },
         libraries: {
           type: 'object',
           optional: true,
@@ -289,6 +643,39 @@ export class ConfigValidator {
               },
             },
           },
+          list_sync: {
+            type: 'object',
+            optional: true,
+            description:
+              'Audiobookshelf collections and playlists to mirror to Hardcover lists',
+            properties: {
+              collections: {
+                type: 'array',
+                optional: true,
+                description: 'Collection names to sync (case-insensitive)',
+                items: {
+                  type: 'string',
+                  minLength: 1,
+                },
+              },
+              playlists: {
+                type: 'array',
+                optional: true,
+                description: 'Playlist names to sync (case-insensitive)',
+                items: {
+                  type: 'string',
+                  minLength: 1,
+                },
+              },
+              privacy: {
+                type: 'string',
+                optional: true,
+                default: 'public',
+                enum: ['public', 'followers', 'private'],
+                description: 'Visibility of lists created on Hardcover',
+              },
+            },
+          },
         },
       },
     };
@@ -300,6 +687,7 @@ export class ConfigValidator {
   async validateConfiguration(config) {
     const errors = [];
     const warnings = [];
+    this.isSecretValue = value => Boolean(config.isSecretValue?.(value));
 
     try {
       // Validate global configuration
@@ -356,72 +744,223 @@ export class ConfigValidator {
       // Use default if value is undefined
       const actualValue = value !== undefined ? value : rules.default;
 
-      // Type validation
-      if (rules.type && actualValue !== undefined) {
-        const typeError = this.validateType(key, actualValue, rules.type);
-        if (typeError) {
-          errors.push(`Global config: ${typeError}`);
-          continue;
-        }
+      errors.push(
+        ...this.validateSetting(key, actualValue, rules).map(
+          error => `Global config: ${error}`,
+        ),
+      );
+    }
+
+    // Custom library configuration validation
+    if (globalConfig.libraries) {
+      const libraryErrors = this.validateLibraryConfig(
+        'Global config',
+        globalConfig.libraries,
+      );
+      errors.push(...libraryErrors);
+    }
+
+    // Custom match override validation (inline entries and overrides file)
+    errors.push(...this.validateMatchOverrides(globalConfig));
+
+    // Custom notification channel validation
+    if (globalConfig.notifications?.channels) {
+      errors.push(
+        ...this.validateNotificationChannels(
+          globalConfig.notifications.channels,
+        ),
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the value of a global setting, also used for user overrides
+   * @returns {Array<string>} - Errors without a context prefix
+   */
+  validateSetting(key, value, rules) {
+    const errors = [];
+
+    // Type validation
+    if (rules.type && value !== undefined) {
+      const typeError = this.validateType(key, value, rules.type);
+      if (typeError) {
+        return [typeError];
       }
+    }
 
-      // Range validation for numbers
-      if (rules.type === 'number' && actualValue !== undefined) {
-        if (rules.min !== undefined && actualValue < rules.min) {
-          errors.push(
-            `Global config: '${key}' must be at least ${rules.min} (got: ${actualValue})`,
-          );
-        }
-        if (rules.max !== undefined && actualValue > rules.max) {
-          errors.push(
-            `Global config: '${key}' must be at most ${rules.max} (got: ${actualValue})`,
-          );
-        }
+    // Range validation for numbers
+    if (rules.type === 'number' && value !== undefined) {
+      if (rules.min !== undefined && value < rules.min) {
+        errors.push(`'${key}' must be at least ${rules.min} (got: ${value})`);
       }
+      if (rules.max !== undefined && value > rules.max) {
+        errors.push(`'${key}' must be at most ${rules.max} (got: ${value})`);
+      }
+    }
 
-      // String length validation
-      if (rules.type === 'string' && actualValue !== undefined) {
+    // String length validation
+    if (rules.type === 'string' && value !== undefined) {
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        errors.push(
+          `'${key}' must be at least ${rules.minLength} characters (got: ${value.length})`,
+        );
+      }
+    }
+
+    // Allowed value validation
+    if (rules.enum && value !== undefined && !rules.enum.includes(value)) {
+      errors.push(
+        `'${key}' must be one of: ${rules.enum.join(', ')} (got: ${value})`,
+      );
+    }
+
+    // Object validation (for nested objects like reread_detection)
+    if (rules.type === 'object' && value !== undefined) {
+      const objectErrors = this.validateObjectProperties(
+        key,
+        value,
+        rules.properties,
+      );
+      errors.push(...objectErrors);
+    }
+
+    // Custom validation
+    if (rules.validate && value !== undefined) {
+      const customError = this.validateCustom(key, value, rules.validate);
+      if (customError) {
+        errors.push(customError);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate match overrides from the config and the overrides file
+   */
+  validateMatchOverrides(globalConfig) {
+    const errors = [];
+
+    if (Array.isArray(globalConfig.match_overrides)) {
+      globalConfig.match_overrides.forEach((entry, index) => {
+        errors.push(
+          ...validateOverrideEntry(
+            entry,
+            `Global config: 'match_overrides[${index}]'`,
+          ),
+        );
+      });
+    }
+
+    const filePath =
+      globalConfig.match_overrides_file || DEFAULT_OVERRIDES_FILE;
+    try {
+      loadOverridesFile(filePath).forEach((entry, index) => {
+        errors.push(
+          ...validateOverrideEntry(
+            entry,
+            `${filePath}: override #${index + 1}`,
+          ),
+        );
+      });
+    } catch (error) {
+      errors.push(`${filePath}: ${error.message}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate notification channels (type-specific required fields)
+   */
+  validateNotificationChannels(channels) {
+    const errors = [];
+    const requiredByType = {
+      webhook: ['url'],
+      ntfy: ['topic'],
+      discord: ['url'],
+      smtp: ['host', 'from', 'to'],
+    };
+
+    if (!Array.isArray(channels)) {
+      return errors;
+    }
+
+    channels.forEach((channel, index) => {
+      const context = `Global config: 'notifications.channels[${index}]'`;
+
+      if (!channel || typeof channel !== 'object' || Array.isArray(channel)) {
+        errors.push(`${context} must be an object`);
+        return;
+      }
+
+      const required = requiredByType[channel.type];
+      if (!required) {
+        errors.push(
+          `${context}.type must be one of: ${Object.keys(requiredByType).join(', ')} (got: ${channel.type})`,
+        );
+        return;
+      }
+
+      for (const field of required) {
         if (
-          rules.minLength !== undefined &&
-          actualValue.length < rules.minLength
+          channel[field] === undefined ||
+          channel[field] === null ||
+          channel[field] === ''
         ) {
           errors.push(
-            `Global config: '${key}' must be at least ${rules.minLength} characters (got: ${actualValue.length})`,
+            `${context}.${field} is required for ${channel.type} channels`,
           );
         }
       }
 
-      // Object validation (for nested objects like reread_detection)
-      if (rules.type === 'object' && actualValue !== undefined) {
-        const objectErrors = this.validateObjectProperties(
-          key,
-          actualValue,
-          rules.properties,
+      if (typeof channel.url === 'string' && channel.url) {
+        const urlError = this.validateUrl(
+          `notifications.channels[${index}].url`,
+          channel.url,
         );
-        errors.push(...objectErrors.map(error => `Global config: ${error}`));
+        if (urlError) {
+          errors.push(`Global config: ${urlError}`);
+        }
       }
 
-      // Custom validation
-      if (rules.validate && actualValue !== undefined) {
-        const customError = this.validateCustom(
-          key,
-          actualValue,
-          rules.validate,
+      if (
+        channel.on !== undefined &&
+        !['always', 'failure', 'completion'].includes(channel.on)
+      ) {
+        errors.push(
+          `${context}.on must be one of: always, failure, completion (got: ${channel.on})`,
         );
-        if (customError) {
-          errors.push(`Global config: ${customError}`);
-        }
       }
-    }
 
-    // Custom library configuration validation
-    if (globalConfig.libraries) {
-      const libraryErrors = this.validateLibraryConfig(
-        'Global config',
-        globalConfig.libraries,
-      );
-      errors.push(...libraryErrors);
-    }
+      if (
+        channel.users !== undefined &&
+        (!Array.isArray(channel.users) ||
+          channel.users.some(user => typeof user !== 'string'))
+      ) {
+        errors.push(`${context}.users must be an array of user IDs`);
+      }
+
+      if (
+        channel.type === 'smtp' &&
+        channel.port !== undefined &&
+        (typeof channel.port !== 'number' ||
+          channel.port < 1 ||
+          channel.port > 65535)
+      ) {
+        errors.push(`${context}.port must be a number between 1 and 65535`);
+      }
+
+      if (
+        channel.type === 'smtp' &&
+        channel.allow_insecure_auth !== undefined &&
+        typeof channel.allow_insecure_auth !== 'boolean'
+      ) {
+        errors.push(`${context}.allow_insecure_auth must be true or false`);
+      }
+    });
 
     return errors;
   }
@@ -560,7 +1099,7 @@ export class ConfigValidator {
           this.isPlaceholderValue(value, placeholderCategory)
         ) {
           errors.push(
-            `User ${index}: '${key}' contains placeholder value '${value}' - please replace with your actual ${this.getFieldDescription(key)}`,
+            `User ${index}: '${key}' contains placeholder value '${this.isSecretValue(value) ? MASKED_VALUE : value}' - please replace with your actual ${this.getFieldDescription(key)}`,
           );
           continue;
         }
@@ -620,9 +1159,88 @@ export class ConfigValidator {
       errors.push(...libraryErrors);
     }
 
+    if (user.list_sync) {
+      errors.push(
+        ...this.validateListSyncConfig(`User ${index}`, user.list_sync),
+      );
+    }
+
+    const overrides = this.validateUserOverrides(user, index);
+    errors.push(...overrides.errors);
+    warnings.push(...overrides.warnings);
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Validate global settings a user entry overrides, e.g. a user's own
+   * sync_schedule or auto_add_books
+   */
+  validateUserOverrides(user, index) {
+    const errors = [];
+    const warnings = [];
+
+    for (const [key, value] of Object.entries(user)) {
+      if (this.schema.users.items[key]) {
+        continue;
+      }
+
+      const rules = this.schema.global[key];
+      if (!rules) {
+        warnings.push(`User ${index}: unknown setting '${key}' is ignored`);
+      } else if (PROCESS_WIDE_KEYS.includes(key)) {
+        errors.push(
+          `User ${index}: '${key}' applies to all users and can only be set under global`,
+        );
+      } else if (value !== undefined && value !== null) {
+        errors.push(
+          ...this.validateSetting(key, value, rules).map(
+            error => `User ${index}: ${error}`,
+          ),
+        );
+      }
+    }
+
     return { errors, warnings };
   }
 
+  /**
+   * Validate a user's collection/playlist to Hardcover list configuration
+   */
+  validateListSyncConfig(context, listSync) {
+    const errors = [];
+    if (typeof listSync !== 'object' || Array.isArray(listSync)) {
+      return errors;
+    }
+
+    const rules = this.schema.users.items.list_sync.properties;
+    for (const key of ['collections', 'playlists']) {
+      const names = listSync[key];
+      if (names === undefined || names === null) {
+        continue;
+      }
+      if (
+        !Array.isArray(names) ||
+        names.some(name => typeof name !== 'string' || name.trim() === '')
+      ) {
+        errors.push(
+          `${context}: 'list_sync.${key}' must be a list of ${key.slice(0, -1)} names`,
+        );
+      }
+    }
+
+    if (
+      listSync.privacy !== undefined &&
+      !rules.privacy.enum.includes(listSync.privacy)
+    ) {
+      errors.push(
+        `${context}: 'list_sync.privacy' must be one of: ${rules.privacy.enum.join(', ')} (got: ${listSync.privacy})`,
+      );
+    }
+
+    return errors;
+  }
+
   /**
    * Get user-friendly field description for error messages
    */
@@ -754,6 +1372,17 @@ export class ConfigValidator {
         }
       }
 
+      // Allowed value validation
+      if (
+        propRules.enum &&
+        actualValue !== undefined &&
+        !propRules.enum.includes(actualValue)
+      ) {
+        errors.push(
+          `'${fullKey}' must be one of: ${propRules.enum.join(', ')} (got: ${actualValue})`,
+        );
+      }
+
       // Custom validation
       if (propRules.validate && actualValue !== undefined) {
         const customError = this.validateCustom(
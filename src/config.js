@@ -1,13 +1,144 @@
 import fs from 'fs';
 import * as yaml from 'js-yaml';
 import logger from './logger.js';
+import {
+  MASKED_VALUE,
+  describeSecretReference,
+  isSecretReference,
+  readSecretFile,
+  resolveSecretReference,
+} from './config-secrets.js';
+
+// Values under these keys are masked when the configuration is shown
+export const SECRET_KEY_PATTERN = /(token|password|secret)$/;
+
+// Settings that belong to a user rather than overriding a global setting
+const USER_KEYS = [
+  'id',
+  'abs_url',
+  'abs_token',
+  'hardcover_token',
+  'libraries',
+  'list_sync',
+];
+
+/**
+ * Global settings that apply to the whole process and cannot be overridden
+ * per user
+ */
+export const PROCESS_WIDE_KEYS = [
+  'server',
+  'metrics',
+  'notifications',
+  'history_retention_days',
+];
+
+/**
+ * Global settings with a user's overrides applied. A user entry may set any
+ * global key except the process-wide ones; nested settings such as
+ * delayed_updates are merged key by key.
+ * @param {Object} globalConfig - Global settings
+ * @param {Object} user - User entry
+ * @returns {Object} - Settings for the user
+ */
+export function applyUserOverrides(globalConfig, user) {
+  const settings = { ...globalConfig };
+  for (const [key, value] of Object.entries(user || {})) {
+    if (
+      USER_KEYS.includes(key) ||
+      PROCESS_WIDE_KEYS.includes(key) ||
+      value === undefined ||
+      value === null
+    ) {
+      continue;
+    }
+    const base = globalConfig[key];
+    const isObject = item =>
+      item !== null && typeof item === 'object' && !Array.isArray(item);
+    settings[key] =
+      isObject(base) && isObject(value) ? { ...base, ...value } : value;
+  }
+  return settings;
+}
+
+// User settings read from SHELFBRIDGE_USER_<N>_<KEY> environment variables
+export const USER_ENV_KEYS = ['id', 'abs_url', 'abs_token', 'hardcover_token'];
+
+/**
+ * Global settings read from SHELFBRIDGE_<KEY> environment variables, by the
+ * config path they set
+ */
+export const GLOBAL_ENV_MAPPING = {
+  MIN_PROGRESS_THRESHOLD: 'min_progress_threshold',
+  PARALLEL: 'parallel',
+  WORKERS: 'workers',
+  TIMEZONE: 'timezone',
+  DRY_RUN: 'dry_run',
+  SYNC_SCHEDULE: 'sync_schedule',
+  FORCE_SYNC: 'force_sync',
+  AUTO_ADD_BOOKS: 'auto_add_books',
+  PREVENT_PROGRESS_REGRESSION: 'prevent_progress_regression',
+  MAX_BOOKS_TO_PROCESS: 'max_books_to_process',
+  HARDCOVER_SEMAPHORE: 'hardcover_semaphore',
+  HARDCOVER_RATE_LIMIT: 'hardcover_rate_limit',
+  AUDIOBOOKSHELF_SEMAPHORE: 'audiobookshelf_semaphore',
+  AUDIOBOOKSHELF_RATE_LIMIT: 'audiobookshelf_rate_limit',
+  MAX_BOOKS_TO_FETCH: 'max_books_to_fetch',
+  PAGE_SIZE: 'page_size',
+  DUMP_FAILED_BOOKS: 'dump_failed_books',
+  DELAYED_UPDATES_ENABLED: 'delayed_updates.enabled',
+  DELAYED_UPDATES_SESSION_TIMEOUT: 'delayed_updates.session_timeout',
+  DELAYED_UPDATES_MAX_DELAY: 'delayed_updates.max_delay',
+  DELAYED_UPDATES_IMMEDIATE_COMPLETION: 'delayed_updates.immediate_completion',
+  TWO_WAY_SYNC_ENABLED: 'two_way_sync.enabled',
+  TWO_WAY_SYNC_CONFLICT_STRATEGY: 'two_way_sync.conflict_strategy',
+  TWO_WAY_SYNC_MIN_PROGRESS_DIFFERENCE: 'two_way_sync.min_progress_difference',
+  DNF_DETECTION_ENABLED: 'dnf_detection.enabled',
+  DNF_DETECTION_INACTIVE_DAYS: 'dnf_detection.inactive_days',
+  DNF_DETECTION_MAX_PROGRESS: 'dnf_detection.max_progress',
+  DNF_DETECTION_ACTION: 'dnf_detection.action',
+  DNF_DETECTION_HONOR_HIDE_FROM_CONTINUE:
+    'dnf_detection.honor_hide_from_continue',
+  READING_JOURNAL_ENABLED: 'reading_journal.enabled',
+  READING_JOURNAL_MIN_SESSION_MINUTES: 'reading_journal.min_session_minutes',
+  READING_JOURNAL_LOOKBACK_DAYS: 'reading_journal.lookback_days',
+  READING_JOURNAL_PRIVACY: 'reading_journal.privacy',
+  WANT_TO_READ_ENABLED: 'want_to_read.enabled',
+  WANT_TO_READ_TAGS: 'want_to_read.tags',
+  WANT_TO_READ_COLLECTIONS: 'want_to_read.collections',
+  INCREMENTAL_SYNC_ENABLED: 'incremental_sync.enabled',
+  INCREMENTAL_SYNC_FULL_SYNC_INTERVAL_HOURS:
+    'incremental_sync.full_sync_interval_hours',
+  HARDCOVER_LIBRARY_CACHE_ENABLED: 'hardcover_library_cache.enabled',
+  HARDCOVER_LIBRARY_CACHE_FULL_REFRESH_HOURS:
+    'hardcover_library_cache.full_refresh_hours',
+  HARDCOVER_OUTBOX_ENABLED: 'hardcover_outbox.enabled',
+  HARDCOVER_OUTBOX_MAX_ATTEMPTS: 'hardcover_outbox.max_attempts',
+  HARDCOVER_BATCHING_ENABLED: 'hardcover_batching.enabled',
+  HARDCOVER_BATCHING_MAX_OPERATIONS: 'hardcover_batching.max_operations',
+  HARDCOVER_BATCHING_WINDOW_MS: 'hardcover_batching.window_ms',
+  SERVER_HOST: 'server.host',
+  SERVER_PORT: 'server.port',
+  SERVER_API_TOKEN: 'server.api_token',
+  METRICS_ENABLED: 'metrics.enabled',
+  METRICS_HOST: 'metrics.host',
+  METRICS_PORT: 'metrics.port',
+  NOTIFICATIONS_ENABLED: 'notifications.enabled',
+  NOTIFICATIONS_ON: 'notifications.on',
+  MATCH_OVERRIDES_FILE: 'match_overrides_file',
+  HISTORY_RETENTION_DAYS: 'history_retention_days',
+  RECONSTRUCT_DATES: 'reconstruct_dates',
+};
 
 export class Config {
   constructor(configPath = 'config/config.yaml') {
     this.configPath = configPath;
     this.globalConfig = {};
     this.users = [];
+    // Resolved secret values and where they came from, for masking
+    this.secretSources = new Map();
     this._loadConfig();
+    this._resolveSecretReferences();
     this._loadFromEnvironment();
     this._applyDefaults();
     // Validation is now handled by ConfigValidator class
@@ -38,6 +169,73 @@ export class Config {
     }
   }
 
+  /**
+   * Replace `{ file }`, `{ env }` and `{ command }` references in the YAML
+   * configuration with the secrets they point to
+   */
+  _resolveSecretReferences() {
+    this.globalConfig = this._resolveSecretsIn(this.globalConfig, 'global');
+    this.users = this.users.map((user, index) =>
+      this._resolveSecretsIn(user, `users[${index}]`),
+    );
+  }
+
+  _resolveSecretsIn(value, path) {
+    if (isSecretReference(value)) {
+      const source = describeSecretReference(value);
+      let secret;
+      try {
+        secret = resolveSecretReference(value);
+      } catch (error) {
+        throw new Error(
+          `Failed to resolve ${path} from ${source}: ${error.message}`,
+        );
+      }
+      this.secretSources.set(secret, source);
+      logger.debug(`Resolved ${path} from ${source}`);
+      return secret;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) =>
+        this._resolveSecretsIn(item, `${path}[${index}]`),
+      );
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this._resolveSecretsIn(item, `${path}.${key}`),
+        ]),
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Read an environment variable, or the file named by its `_FILE` variant
+   * (Docker and Kubernetes secrets). The plain variable wins when both are set.
+   * @param {string} envVar - Variable name
+   * @returns {string|undefined} - Value
+   */
+  _readEnvironmentVariable(envVar) {
+    if (process.env[envVar] !== undefined) {
+      return process.env[envVar];
+    }
+    const filePath = process.env[`${envVar}_FILE`];
+    if (filePath === undefined) {
+      return undefined;
+    }
+
+    let secret;
+    try {
+      secret = readSecretFile(filePath);
+    } catch (error) {
+      throw new Error(`Failed to resolve ${envVar}_FILE: ${error.message}`);
+    }
+    this.secretSources.set(secret, `file ${filePath}`);
+    return secret;
+  }
+
   _loadFromEnvironment() {
     logger.debug('Loading environment variables...');
 
@@ -51,34 +249,9 @@ export class Config {
   }
 
   _loadGlobalFromEnvironment() {
-    const envMapping = {
-      MIN_PROGRESS_THRESHOLD: 'min_progress_threshold',
-      PARALLEL: 'parallel',
-      WORKERS: 'workers',
-      TIMEZONE: 'timezone',
-      DRY_RUN: 'dry_run',
-      SYNC_SCHEDULE: 'sync_schedule',
-      FORCE_SYNC: 'force_sync',
-      AUTO_ADD_BOOKS: 'auto_add_books',
-      PREVENT_PROGRESS_REGRESSION: 'prevent_progress_regression',
-      MAX_BOOKS_TO_PROCESS: 'max_books_to_process',
-      HARDCOVER_SEMAPHORE: 'hardcover_semaphore',
-      HARDCOVER_RATE_LIMIT: 'hardcover_rate_limit',
-      AUDIOBOOKSHELF_SEMAPHORE: 'audiobookshelf_semaphore',
-      AUDIOBOOKSHELF_RATE_LIMIT: 'audiobookshelf_rate_limit',
-      MAX_BOOKS_TO_FETCH: 'max_books_to_fetch',
-      PAGE_SIZE: 'page_size',
-      DUMP_FAILED_BOOKS: 'dump_failed_books',
-      DELAYED_UPDATES_ENABLED: 'delayed_updates.enabled',
-      DELAYED_UPDATES_SESSION_TIMEOUT: 'delayed_updates.session_timeout',
-      DELAYED_UPDATES_MAX_DELAY: 'delayed_updates.max_delay',
-      DELAYED_UPDATES_IMMEDIATE_COMPLETION:
-        'delayed_updates.immediate_completion',
-    };
-
-    for (const [envKey, configKey] of Object.entries(envMapping)) {
+    for (const [envKey, configKey] of Object.entries(GLOBAL_ENV_MAPPING)) {
       const envVar = `SHELFBRIDGE_${envKey}`;
-      const envValue = process.env[envVar];
+      const envValue = this._readEnvironmentVariable(envVar);
 
       if (envValue !== undefined) {
         const parsedValue = this._parseEnvironmentValue(envValue, configKey);
@@ -97,7 +270,7 @@ export class Config {
               }
               this.globalConfig[parentKey][childKey] = parsedValue;
               logger.debug(
-                `Set ${configKey} from environment variable ${envVar}: ${parsedValue}`,
+                `Set ${configKey} from environment variable ${envVar}: ${configKey.endsWith('token') || this.isSecretValue(envValue) ? MASKED_VALUE : parsedValue}`,
               );
             }
           } else {
@@ -105,7 +278,7 @@ export class Config {
             if (this.globalConfig[configKey] === undefined) {
               this.globalConfig[configKey] = parsedValue;
               logger.debug(
-                `Set ${configKey} from environment variable ${envVar}: ${parsedValue}`,
+                `Set ${configKey} from environment variable ${envVar}: ${configKey.endsWith('token') || this.isSecretValue(envValue) ? MASKED_VALUE : parsedValue}`,
               );
             }
           }
@@ -118,17 +291,21 @@ export class Config {
     // Find all user environment variables by scanning for SHELFBRIDGE_USER_* patterns
     const userEnvVars = {};
 
-    for (const [key, value] of Object.entries(process.env)) {
-      const match = key.match(/^SHELFBRIDGE_USER_(\d+)_(.+)$/);
-      if (match) {
-        const userIndex = parseInt(match[1]);
-        const userProperty = match[2].toLowerCase();
+    for (const key of Object.keys(process.env)) {
+      const match = key.match(/^SHELFBRIDGE_USER_(\d+)_(.+?)(_FILE)?$/);
+      if (!match) continue;
 
-        if (!userEnvVars[userIndex]) {
-          userEnvVars[userIndex] = {};
-        }
-        userEnvVars[userIndex][userProperty] = value;
+      const userIndex = parseInt(match[1]);
+      const userProperty = match[2].toLowerCase();
+      const envVar = match[3] ? key.slice(0, -'_FILE'.length) : key;
+      // A _FILE variable is read through its plain variable, which wins when set
+      if (match[3] && process.env[envVar] !== undefined) continue;
+
+      if (!userEnvVars[userIndex]) {
+        userEnvVars[userIndex] = {};
       }
+      userEnvVars[userIndex][userProperty] =
+        this._readEnvironmentVariable(envVar);
     }
 
     // Create users from environment variables if not already defined in YAML
@@ -199,13 +376,7 @@ export class Config {
   }
 
   _mapUserEnvironmentKey(envKey) {
-    const mapping = {
-      id: 'id',
-      abs_url: 'abs_url',
-      abs_token: 'abs_token',
-      hardcover_token: 'hardcover_token',
-    };
-    return mapping[envKey] || null;
+    return USER_ENV_KEYS.includes(envKey) ? envKey : null;
   }
 
   _parseEnvironmentValue(value, configKey) {
@@ -229,8 +400,20 @@ export class Config {
       'auto_add_books',
       'prevent_progress_regression',
       'dump_failed_books',
+      'reconstruct_dates',
       'delayed_updates.enabled',
       'delayed_updates.immediate_completion',
+      'two_way_sync.enabled',
+      'dnf_detection.enabled',
+      'dnf_detection.honor_hide_from_continue',
+      'reading_journal.enabled',
+      'want_to_read.enabled',
+      'incremental_sync.enabled',
+      'hardcover_library_cache.enabled',
+      'hardcover_outbox.enabled',
+      'hardcover_batching.enabled',
+      'metrics.enabled',
+      'notifications.enabled',
     ];
     const numberKeys = [
       'min_progress_threshold',
@@ -242,9 +425,24 @@ export class Config {
       'audiobookshelf_rate_limit',
       'max_books_to_fetch',
       'page_size',
+      'history_retention_days',
       'delayed_updates.session_timeout',
       'delayed_updates.max_delay',
+      'two_way_sync.min_progress_difference',
+      'dnf_detection.inactive_days',
+      'dnf_detection.max_progress',
+      'reading_journal.min_session_minutes',
+      'reading_journal.lookback_days',
+      'incremental_sync.full_sync_interval_hours',
+      'hardcover_library_cache.full_refresh_hours',
+      'hardcover_outbox.max_attempts',
+      'hardcover_batching.max_operations',
+      'hardcover_batching.window_ms',
+      'server.port',
+      'metrics.port',
     ];
+    // Comma-separated lists
+    const arrayKeys = ['want_to_read.tags', 'want_to_read.collections'];
 
     if (booleanKeys.includes(configKey)) {
       const lowerValue = trimmedValue.toLowerCase();
@@ -259,6 +457,11 @@ export class Config {
     } else if (numberKeys.includes(configKey)) {
       const parsed = parseFloat(trimmedValue);
       return isNaN(parsed) ? null : parsed;
+    } else if (arrayKeys.includes(configKey)) {
+      return trimmedValue
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
     } else {
       return trimmedValue;
     }
@@ -283,12 +486,54 @@ export class Config {
       audiobookshelf_rate_limit: 600,
       page_size: 100,
       dump_failed_books: true,
+      history_retention_days: 90,
+      reconstruct_dates: false,
       delayed_updates: {
         enabled: false,
         session_timeout: 900,
         max_delay: 3600,
         immediate_completion: true,
       },
+      two_way_sync: {
+        enabled: false,
+        conflict_strategy: 'newest',
+        min_progress_difference: 1,
+      },
+      dnf_detection: {
+        enabled: false,
+        inactive_days: 90,
+        max_progress: 50,
+        action: 'dnf',
+        honor_hide_from_continue: true,
+      },
+      reading_journal: {
+        enabled: false,
+        min_session_minutes: 5,
+        lookback_days: 30,
+        privacy: 'public',
+      },
+      want_to_read: {
+        enabled: false,
+        tags: [],
+        collections: [],
+      },
+      incremental_sync: {
+        enabled: false,
+        full_sync_interval_hours: 24,
+      },
+      hardcover_library_cache: {
+        enabled: false,
+        full_refresh_hours: 24,
+      },
+      hardcover_outbox: {
+        enabled: false,
+        max_attempts: 10,
+      },
+      hardcover_batching: {
+        enabled: false,
+        max_operations: 10,
+        window_ms: 50,
+      },
     };
 
     // Track which values were explicitly set vs using defaults
@@ -375,15 +620,85 @@ export class Config {
     return user;
   }
 
-  getCronConfig() {
+  /**
+   * Global settings with a user's overrides applied
+   * @param {string} userId - User ID
+   * @returns {Object} - Settings for the user
+   */
+  getUserConfig(userId) {
+    return applyUserOverrides(this.globalConfig, this.getUser(userId));
+  }
+
+  /**
+   * Sync schedule of one user, or the global schedule
+   * @param {string|null} userId - User ID
+   * @returns {Object} - { schedule, timezone }
+   */
+  getCronConfig(userId = null) {
+    const settings = userId ? this.getUserConfig(userId) : this.globalConfig;
     return {
-      schedule: this.globalConfig.sync_schedule || '0 3 * * *',
-      timezone: this.globalConfig.timezone || 'Etc/UTC',
+      schedule: settings.sync_schedule || '0 3 * * *',
+      timezone: settings.timezone || 'Etc/UTC',
+    };
+  }
+
+  /**
+   * Users grouped by the schedule they are synced on
+   * @returns {Array<Object>} - [{ schedule, timezone, userIds }]
+   */
+  getSchedules() {
+    const schedules = new Map();
+    for (const user of this.users) {
+      const cronConfig = this.getCronConfig(user.id);
+      const key = `${cronConfig.schedule}|${cronConfig.timezone}`;
+      if (!schedules.has(key)) {
+        schedules.set(key, { ...cronConfig, userIds: [] });
+      }
+      schedules.get(key).userIds.push(user.id);
+    }
+    return [...schedules.values()];
+  }
+
+  /**
+   * Whether a value was resolved from a secret reference or `_FILE` variable
+   * @param {*} value - Configuration value
+   * @returns {boolean}
+   */
+  isSecretValue(value) {
+    return this.secretSources.has(value);
+  }
+
+  /**
+   * Copy of the configuration that is safe to show: resolved secrets and
+   * token, password and secret settings are masked
+   * @returns {Object} - { global, users }
+   */
+  toDisplayObject() {
+    const mask = (value, key = '') => {
+      if (this.secretSources.has(value)) {
+        return `${MASKED_VALUE} (from ${this.secretSources.get(value)})`;
+      }
+      if (SECRET_KEY_PATTERN.test(key) && typeof value === 'string') {
+        return MASKED_VALUE;
+      }
+      if (Array.isArray(value)) {
+        return value.map(item => mask(item));
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([childKey, item]) => [
+            childKey,
+            mask(item, childKey),
+          ]),
+        );
+      }
+      return value;
     };
+    return { global: mask(this.globalConfig), users: mask(this.users) };
   }
 
   toString() {
     const usersStr = this.users.map(user => user.id).join(', ');
-    return `Config: users=[${usersStr}], global=${JSON.stringify(this.globalConfig)}`;
+    return `Config: users=[${usersStr}], global=${JSON.stringify(this.toDisplayObject().global)}`;
   }
 }
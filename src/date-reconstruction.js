@@ -0,0 +1,129 @@
+/**
+ * Date reconstruction - derives when a book was really started and finished
+ *
+ * The startedAt/finishedAt on an Audiobookshelf progress record are reset by
+ * re-imports and can drift when switching devices. The listening session
+ * history is more reliable: the first session of an item marks the day it
+ * was started and, for finished items, the last session the day it was
+ * finished.
+ *
+ * Only sessions of the current read count. A session that reached the end
+ * of the book finished a read, so a re-read starts with the session after
+ * it; otherwise the re-read would be dated back to the first read.
+ */
+
+import logger from './logger.js';
+
+// A session ending this close to the end of the book finished a read
+const FINISH_MARGIN_SECONDS = 60;
+
+export class DateReconstructor {
+  /**
+   * @param {AudiobookshelfClient} audiobookshelf - Client for the user's server
+   */
+  constructor(audiobookshelf) {
+    this.audiobookshelf = audiobookshelf;
+    this.items = new Map();
+  }
+
+  /**
+   * Fetch the user's full session history and index it by library item
+   * @returns {Promise<number>} - Number of library items with sessions
+   */
+  async load() {
+    const sessions = await this.audiobookshelf.getListeningSessions();
+    this.index(sessions);
+    logger.debug('Loaded listening sessions for date reconstruction', {
+      sessions: sessions.length,
+      items: this.items.size,
+    });
+    return this.items.size;
+  }
+
+  /**
+   * Index sessions by library item
+   * @param {Array} sessions - Audiobookshelf listening sessions
+   */
+  index(sessions) {
+    this.items.clear();
+    for (const session of sessions) {
+      const started = session.startedAt || session.updatedAt;
+      const ended = session.updatedAt || session.startedAt;
+      if (!session.libraryItemId || !started) {
+        continue;
+      }
+
+      const duration = Number(session.duration) || 0;
+      const entry = {
+        startedAt: started,
+        endedAt: ended,
+        finished:
+          duration > 0 &&
+          Number(session.currentTime || 0) >= duration - FINISH_MARGIN_SECONDS,
+      };
+      const item = this.items.get(session.libraryItemId);
+      if (item) {
+        item.push(entry);
+      } else {
+        this.items.set(session.libraryItemId, [entry]);
+      }
+    }
+    for (const item of this.items.values()) {
+      item.sort((a, b) => a.startedAt - b.startedAt);
+    }
+  }
+
+  /**
+   * Reconstructed dates for a book
+   * @param {Object} absBook - Audiobookshelf book (uses id and is_finished)
+   * @param {Object} options - { after }: ignore sessions started before this
+   *   timestamp, e.g. the end of the previous read on Hardcover
+   * @returns {Object|null} - { startedAt, finishedAt } in milliseconds, or
+   *   null when the current read has no sessions. finishedAt is null unless
+   *   the book is finished.
+   */
+  getDates(absBook, { after = null } = {}) {
+    const item = absBook ? this.items.get(absBook.id) : null;
+    if (!item) {
+      return null;
+    }
+
+    const sessions = this._currentRead(
+      after ? item.filter(session => session.startedAt > after) : item,
+      absBook.is_finished,
+    );
+    if (sessions.length === 0) {
+      return null;
+    }
+    return {
+      startedAt: sessions[0].startedAt,
+      finishedAt: absBook.is_finished
+        ? Math.max(...sessions.map(session => session.endedAt))
+        : null,
+      sessions: sessions.length,
+    };
+  }
+
+  /**
+   * Sessions of the read the book is in now
+   * @param {Array} sessions - Sessions of one item, oldest first
+   * @param {boolean} isFinished - Whether the book is finished
+   * @returns {Array} - Sessions after the previous read's finish; for a
+   *   finished book up to the session that finished it
+   * @private
+   */
+  _currentRead(sessions, isFinished) {
+    let end = sessions.length;
+    if (isFinished) {
+      const finish = sessions.findLastIndex(session => session.finished);
+      if (finish !== -1) {
+        end = finish + 1;
+      }
+    }
+    // A finished book's last session is its own finish, not the previous one
+    const previousFinish = sessions
+      .slice(0, isFinished ? end - 1 : end)
+      .findLastIndex(session => session.finished);
+    return sessions.slice(previousFinish + 1, end);
+  }
+}
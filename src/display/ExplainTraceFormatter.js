@@ -0,0 +1,165 @@
+/**
+ * Formats a BookExplainer trace for the terminal
+ */
+export class ExplainTraceFormatter {
+  /**
+   * Render a trace as text
+   * @param {Object} trace - Trace from BookExplainer.explain()
+   * @returns {string} - Formatted report
+   */
+  format(trace) {
+    const lines = [];
+    const section = title => {
+      lines.push('', title, '-'.repeat(40));
+    };
+
+    lines.push('='.repeat(60));
+    lines.push(`🔎 EXPLAIN: ${trace.book?.title || trace.query}`);
+    lines.push(
+      `User: ${trace.user_id}   Cache: ${trace.cache === 'fresh' ? 'empty (--fresh)' : 'snapshot'}   Mode: dry run`,
+    );
+    lines.push('='.repeat(60));
+
+    section('📖 Audiobookshelf book');
+    const book = trace.book || {};
+    lines.push(`ABS item ID: ${book.abs_id || 'N/A'}`);
+    lines.push(`Title: ${book.title || 'N/A'}`);
+    lines.push(`Author: ${book.author || 'N/A'}`);
+    lines.push(`Narrator: ${book.narrator || 'N/A'}`);
+    lines.push(`Series: ${book.series || 'N/A'}`);
+    lines.push(`Year: ${book.year || 'N/A'}`);
+    lines.push(`Format: ${book.format || 'N/A'}`);
+    lines.push(`ASIN: ${book.identifiers?.asin || 'none'}`);
+    lines.push(`ISBN: ${book.identifiers?.isbn || 'none'}`);
+    lines.push(
+      `Progress: ${book.progress_percent ?? 'N/A'}%${book.is_finished ? ' (finished)' : ''}`,
+    );
+
+    section('🧭 Matching');
+    if (trace.override) {
+      lines.push(
+        trace.override.skip
+          ? `Match override (by ${trace.override.keyed_by}): never sync`
+          : `Match override (by ${trace.override.keyed_by}): book ${trace.override.book_id || '-'}, edition ${trace.override.edition_id || '-'}`,
+      );
+    }
+    if (trace.tiers.length === 0) {
+      lines.push(
+        trace.override
+          ? 'Matching strategies skipped (override applied)'
+          : 'Matching strategies not run (decided before matching)',
+      );
+    }
+    for (const tier of trace.tiers) {
+      const outcome =
+        tier.outcome === 'match'
+          ? `✅ match (${tier.match_type || 'unknown'})`
+          : tier.outcome === 'error'
+            ? `❌ error: ${tier.error}`
+            : '➖ no match';
+      lines.push(`Tier ${tier.tier} ${tier.strategy}: ${outcome}`);
+    }
+
+    if (trace.searches.length > 0) {
+      section('🔍 Searches');
+      for (const search of trace.searches) {
+        lines.push(
+          `"${search.title}"${search.author ? ` by ${search.author}` : ''} → ${search.results.length} results`,
+        );
+      }
+    }
+
+    if (trace.candidates.length > 0) {
+      section('🏅 Candidates');
+      trace.candidates.forEach((candidate, index) => {
+        lines.push(
+          `${index + 1}. ${candidate.title} by ${candidate.author || 'Unknown'} [book ${candidate.book_id}] - ${candidate.score}%${candidate.passes_threshold ? ' ✅' : ''}`,
+        );
+        lines.push(`   ${this._formatComponents(candidate.components)}`);
+      });
+    }
+
+    section('📚 Chosen edition');
+    if (trace.match) {
+      const match = trace.match;
+      lines.push(
+        `Book: ${match.title || 'N/A'} [book ${match.book_id || 'N/A'}]`,
+      );
+      lines.push(
+        `Edition: ${match.edition_id || 'N/A'} (${match.edition_format || 'unknown format'})`,
+      );
+      lines.push(
+        `Matched by: ${match.strategy || 'N/A'}${match.match_type ? ` (${match.match_type})` : ''}`,
+      );
+      lines.push(
+        `In Hardcover library: ${match.in_library ? `yes (user book ${match.user_book_id})` : 'no'}`,
+      );
+      if (match.edition_score) {
+        lines.push(
+          `Edition score: ${match.edition_score.score} - ${this._formatComponents(match.edition_score.components)}`,
+        );
+      }
+      for (const alternative of match.alternative_editions) {
+        lines.push(
+          `  Alternative edition ${alternative.edition_id}: ${alternative.score}`,
+        );
+      }
+    } else {
+      lines.push('No edition selected');
+    }
+
+    section('📈 Progress decisions');
+    const { regression, completion, checks } = trace.progress;
+    for (const check of checks) {
+      lines.push(
+        `${check.check}: ${check.old_progress ?? 'N/A'}% → ${check.new_progress ?? 'N/A'}% (${check.changed ? 'changed' : 'unchanged'})`,
+      );
+    }
+    if (regression) {
+      const verdict = regression.should_block
+        ? 'blocked'
+        : regression.should_warn
+          ? 'warning'
+          : 'allowed';
+      lines.push(`Regression check: ${verdict} - ${regression.reason}`);
+    }
+    if (completion) {
+      lines.push(
+        `Completion: ${completion.complete ? 'complete' : 'in progress'}${completion.finished_flag ? ' (finished flag)' : ''}`,
+      );
+    }
+    if (checks.length === 0 && !regression && !completion) {
+      lines.push('No progress decisions were reached');
+    }
+
+    section('🌐 Hardcover queries');
+    if (trace.queries.length === 0) {
+      lines.push('None');
+    }
+    for (const query of trace.queries) {
+      lines.push(
+        `${query.type} ${query.operation}${query.blocked ? ' (blocked)' : ''} ${JSON.stringify(query.variables || {})}${query.duration_ms !== null ? ` ${query.duration_ms}ms` : ''}`,
+      );
+    }
+
+    section('🏁 Result (dry run)');
+    const result = trace.result || {};
+    lines.push(
+      `Status: ${result.status || 'unknown'}${result.reason ? ` - ${result.reason}` : ''}`,
+    );
+    for (const action of result.actions || []) {
+      lines.push(`  • ${action}`);
+    }
+    for (const error of result.errors || []) {
+      lines.push(`  ❌ ${error}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  _formatComponents(components = {}) {
+    return Object.entries(components)
+      .map(([factor, component]) => `${factor} ${component.score ?? 0}`)
+      .join(', ');
+  }
+}
@@ -1,6 +1,7 @@
 import logger from '../logger.js';
 import displayLogger from '../utils/display-logger.js';
 import { dumpFailedSyncBooks } from '../utils/debug.js';
+import { applyUserOverrides } from '../config.js';
 
 /**
  * Formats and displays sync results in a user-friendly format
@@ -45,9 +46,12 @@ export class SyncResultFormatter {
     duration,
     verbose = false,
   ) {
+    // The user's overrides, e.g. their own dry_run, decide what is shown
+    const settings = applyUserOverrides(globalConfig, user);
+
     // Display main sync summary
     this._displaySyncHeader(duration);
-    this._displayTwoColumnSummary(result, globalConfig);
+    this._displayTwoColumnSummary(result, settings);
     this._displaySyncFooter();
 
     // Display detailed book results if verbose and available
@@ -58,10 +62,50 @@ export class SyncResultFormatter {
 
     // Display error summary if there were errors
     if (result.errors && result.errors.length > 0) {
-      await this._displayErrorSummary(result, user, globalConfig);
+      await this._displayErrorSummary(result, user, settings);
     }
   }
 
+  /**
+   * Build a machine-readable summary of a sync run (used by the HTTP API)
+   * @param {Object} user - User configuration
+   * @param {Object} result - Sync result from SyncManager.syncProgress()
+   * @param {Object} globalConfig - Global configuration
+   * @param {number} duration - Run duration in seconds
+   * @returns {Object} - Plain summary object safe to serialize as JSON
+   */
+  buildRunSummary(user, result, globalConfig, duration) {
+    return {
+      user_id: user.id,
+      dry_run: applyUserOverrides(globalConfig, user).dry_run === true,
+      duration_seconds: Math.round(duration * 10) / 10,
+      books_processed: result.books_processed || 0,
+      books_synced: result.books_synced || 0,
+      books_completed: result.books_completed || 0,
+      books_auto_added: result.books_auto_added || 0,
+      books_skipped: result.books_skipped || 0,
+      books_delayed: result.books_delayed || 0,
+      books_pulled_from_hardcover: result.books_pulled_from_hardcover || 0,
+      books_abandoned: result.books_abandoned || 0,
+      books_resumed: result.books_resumed || 0,
+      journal_entries_created: result.journal_entries_created || 0,
+      books_want_to_read: result.books_want_to_read || 0,
+      lists_created: result.lists_created || 0,
+      list_entries_added: result.list_entries_added || 0,
+      list_entries_removed: result.list_entries_removed || 0,
+      outbox_replayed: result.outbox_replayed || 0,
+      outbox_pending: result.outbox_pending || 0,
+      books_failed: result.failed_books?.length || 0,
+      sync_mode: result.sync_mode || 'full',
+      errors: [...(result.errors || [])],
+      library: {
+        total_books: result.total_books_in_library ?? null,
+        books_in_progress: result.books_in_progress ?? null,
+        stats_source: result.stats_source || null,
+      },
+    };
+  }
+
   /**
    * Display the sync completion header
    */
@@ -79,12 +123,12 @@ export class SyncResultFormatter {
   /**
    * Display two-column summary layout
    */
-  _displayTwoColumnSummary(result, globalConfig) {
+  _displayTwoColumnSummary(result, settings) {
     const leftColumn = this._buildLibraryStatusColumn(result);
-    const rightColumn = this._buildHardcoverUpdatesColumn(result, globalConfig);
+    const rightColumn = this._buildHardcoverUpdatesColumn(result, settings);
 
     // Add processing results to left column
-    this._addProcessingResults(leftColumn, result, globalConfig);
+    this._addProcessingResults(leftColumn, result, settings);
 
     // Add sync status to right column
     this._addSyncStatus(rightColumn, result);
@@ -119,6 +163,12 @@ export class SyncResultFormatter {
       }
     }
 
+    if (result.sync_mode === 'incremental') {
+      leftColumn.push(
+        `├─ ${result.books_processed} changed since last sync (incremental)`,
+      );
+    }
+
     if (result.total_books_in_library !== undefined) {
       leftColumn.push(`├─ ${result.total_books_in_library} total books`);
 
@@ -172,8 +222,8 @@ export class SyncResultFormatter {
   /**
    * Build the Hardcover updates column (right side)
    */
-  _buildHardcoverUpdatesColumn(result, globalConfig) {
-    const isDryRun = globalConfig.dry_run;
+  _buildHardcoverUpdatesColumn(result, settings) {
+    const isDryRun = settings.dry_run;
     const rightColumn = [
       isDryRun ? '🌐 Hardcover Updates (DRY RUN)' : '🌐 Hardcover Updates',
     ];
@@ -196,6 +246,14 @@ export class SyncResultFormatter {
 
       rightColumn.push(`├─ ${successfulBookUpdates} successful ${updateLabel}`);
       rightColumn.push(`├─ ${result.errors.length} ${errorLabel}`);
+      if (result.outbox_replayed > 0) {
+        rightColumn.push(`├─ ${result.outbox_replayed} queued writes replayed`);
+      }
+      if (result.outbox_pending > 0) {
+        rightColumn.push(
+          `├─ ${result.outbox_pending} writes waiting in the outbox`,
+        );
+      }
       rightColumn.push(`└─ ${skippedCalls} skipped (no changes)`);
     }
 
@@ -205,8 +263,8 @@ export class SyncResultFormatter {
   /**
    * Add processing results to the left column
    */
-  _addProcessingResults(leftColumn, result, globalConfig) {
-    const isDryRun = globalConfig.dry_run;
+  _addProcessingResults(leftColumn, result, settings) {
+    const isDryRun = settings.dry_run;
 
     leftColumn.push('');
     leftColumn.push(
@@ -233,6 +291,37 @@ export class SyncResultFormatter {
         if (result.books_auto_added > 0) {
           leftColumn.push(`├─ ${result.books_auto_added} would auto-add`);
         }
+        if (result.books_pulled_from_hardcover > 0) {
+          leftColumn.push(
+            `├─ ${result.books_pulled_from_hardcover} would pull from Hardcover`,
+          );
+        }
+        if (result.books_abandoned > 0) {
+          leftColumn.push(
+            `├─ ${result.books_abandoned} would be marked abandoned`,
+          );
+        }
+        if (result.books_resumed > 0) {
+          leftColumn.push(`├─ ${result.books_resumed} would resume reading`);
+        }
+        if (result.journal_entries_created > 0) {
+          leftColumn.push(
+            `├─ ${result.journal_entries_created} would add journal entries`,
+          );
+        }
+        if (result.books_want_to_read > 0) {
+          leftColumn.push(
+            `├─ ${result.books_want_to_read} would add as Want to Read`,
+          );
+        }
+        if (result.lists_created > 0) {
+          leftColumn.push(`├─ ${result.lists_created} lists would be created`);
+        }
+        if (result.list_entries_added > 0 || result.list_entries_removed > 0) {
+          leftColumn.push(
+            `├─ ${result.list_entries_added || 0} would be added to / ${result.list_entries_removed || 0} removed from lists`,
+          );
+        }
       } else {
         leftColumn.push('├─ No changes would be made');
       }
@@ -249,6 +338,35 @@ export class SyncResultFormatter {
       if (result.books_auto_added > 0) {
         leftColumn.push(`├─ ${result.books_auto_added} auto-added`);
       }
+      if (result.books_pulled_from_hardcover > 0) {
+        leftColumn.push(
+          `├─ ${result.books_pulled_from_hardcover} pulled from Hardcover`,
+        );
+      }
+      if (result.books_abandoned > 0) {
+        leftColumn.push(`├─ ${result.books_abandoned} marked abandoned`);
+      }
+      if (result.books_resumed > 0) {
+        leftColumn.push(`├─ ${result.books_resumed} resumed reading`);
+      }
+      if (result.journal_entries_created > 0) {
+        leftColumn.push(
+          `├─ ${result.journal_entries_created} journal entries added`,
+        );
+      }
+      if (result.books_want_to_read > 0) {
+        leftColumn.push(
+          `├─ ${result.books_want_to_read} added as Want to Read`,
+        );
+      }
+      if (result.lists_created > 0) {
+        leftColumn.push(`├─ ${result.lists_created} lists created`);
+      }
+      if (result.list_entries_added > 0 || result.list_entries_removed > 0) {
+        leftColumn.push(
+          `├─ ${result.list_entries_added || 0} added to / ${result.list_entries_removed || 0} removed from lists`,
+        );
+      }
       if (result.books_skipped > 0) {
         leftColumn.push(`├─ ${result.books_skipped} skipped (no change)`);
       }
@@ -569,7 +687,7 @@ export class SyncResultFormatter {
   /**
    * Display error summary
    */
-  async _displayErrorSummary(result, user, globalConfig) {
+  async _displayErrorSummary(result, user, settings) {
     displayLogger.blank();
     displayLogger.section('❌ ERROR SUMMARY');
 
@@ -580,7 +698,7 @@ export class SyncResultFormatter {
     displayLogger.info('='.repeat(30));
 
     // Dump failed sync books to file if enabled
-    if (globalConfig.dump_failed_books !== false) {
+    if (settings.dump_failed_books !== false) {
       try {
         // Extract failed books from book_details
         const failedBooks =
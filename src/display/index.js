@@ -1 +1,2 @@
 export { SyncResultFormatter } from './SyncResultFormatter.js';
+export { ExplainTraceFormatter } from './ExplainTraceFormatter.js';
@@ -54,6 +54,33 @@ export class FailedBooksReporter {
     }
   }
 
+  /**
+   * Summarize failed books for short messages (notifications, API responses)
+   * @param {Array} failedBooks - Array of failed book objects
+   * @param {number} limit - Maximum number of books to list
+   * @returns {Object} - { total, by_category, books: [{ title, author, category, reason }], truncated }
+   */
+  static buildHighlights(failedBooks, limit = 5) {
+    const books = failedBooks || [];
+    const byCategory = {};
+    for (const book of books) {
+      const category = book.category || 'UNKNOWN';
+      byCategory[category] = (byCategory[category] || 0) + 1;
+    }
+
+    return {
+      total: books.length,
+      by_category: byCategory,
+      books: books.slice(0, limit).map(book => ({
+        title: book.title,
+        author: book.author,
+        category: book.category || 'UNKNOWN',
+        reason: book.reason || null,
+      })),
+      truncated: Math.max(0, books.length - limit),
+    };
+  }
+
   /**
    * Build the report content as a formatted string
    * @private
@@ -1,8 +1,14 @@
 import axios from 'axios';
 import { RateLimiter, Semaphore } from './utils/concurrency.js';
-import { normalizeApiToken, createHttpAgent } from './utils/network.js';
+import {
+  normalizeApiToken,
+  createHttpAgent,
+  recordRequestError,
+} from './utils/network.js';
+import { GraphQLBatcher } from './utils/graphql-batcher.js';
 import { safeParseInt } from './utils/data.js';
 import { HardcoverRetryManager } from './utils/retry-manager.js';
+import { appMetrics } from './utils/metrics.js';
 import { getIsbnVariants } from './matching/utils/text-matching.js';
 import ProgressManager from './progress-manager.js';
 import logger from './logger.js';
@@ -10,7 +16,15 @@ import logger from './logger.js';
 // Remove the global semaphore, make it per-instance
 
 export class HardcoverClient {
-  constructor(token, semaphoreConcurrency = 1, rateLimitPerMinute = 55) {
+  // Bump when the user_books fields change so stored library snapshots are refreshed
+  static USER_BOOKS_SCHEMA_VERSION = 1;
+
+  constructor(
+    token,
+    semaphoreConcurrency = 1,
+    rateLimitPerMinute = 55,
+    options = {},
+  ) {
     // Normalize token by stripping "Bearer" prefix if present
     this.token = normalizeApiToken(token, 'Hardcover');
     this.baseUrl = 'https://api.hardcover.app/v1/graphql';
@@ -18,6 +32,19 @@ export class HardcoverClient {
     this.semaphore = new Semaphore(semaphoreConcurrency);
     this.retryManager = HardcoverRetryManager;
 
+    // Combine reads and writes of parallel workers into one request (opt-in)
+    const batching = options.batching || {};
+    this.batcher = batching.enabled
+      ? new GraphQLBatcher(
+          (query, variables) =>
+            this._executeQuery(query, variables, { recordErrors: false }),
+          {
+            maxOperations: batching.max_operations || 10,
+            windowMs: batching.window_ms ?? 50,
+          },
+        )
+      : null;
+
     // Create HTTPS agent with keep-alive for connection reuse (Hardcover is always HTTPS)
     this._httpsAgent = createHttpAgent(true, {
       maxSockets: 5,
@@ -110,18 +137,29 @@ export class HardcoverClient {
     }
   }
 
-  async getUserBooks() {
-    logger.debug("Fetching user's book library from Hardcover...");
+  /**
+   * Fetch the user's Hardcover library
+   * @param {Object} options - { updatedSince }: only user books whose
+   *   `updated_at` is after this timestamp
+   * @returns {Promise<Array>} - User books with book, editions and `updated_at`
+   */
+  async getUserBooks({ updatedSince = null } = {}) {
+    logger.debug("Fetching user's book library from Hardcover...", {
+      updatedSince,
+    });
 
     const query = `
-            query getUserBooks($offset: Int = 0, $limit: Int = 100) {
+            query getUserBooks($offset: Int = 0, $limit: Int = 100${updatedSince ? ', $since: timestamptz!' : ''}) {
                 me {
                     user_books(
+                        ${updatedSince ? 'where: {updated_at: {_gt: $since}},' : ''}
+                        order_by: ${updatedSince ? '[{updated_at: asc}, {id: asc}]' : '{id: asc}'},
                         offset: $offset,
                         limit: $limit
                     ) {
                         id
                         status_id
+                        updated_at
                         book {
                             id
                             title
@@ -162,7 +200,9 @@ export class HardcoverClient {
 
     try {
       while (true) {
-        const variables = { offset, limit };
+        const variables = updatedSince
+          ? { offset, limit, since: updatedSince }
+          : { offset, limit };
         const result = await this._executeQuery(query, variables);
 
         if (!result) {
@@ -245,6 +285,7 @@ export class HardcoverClient {
   ) {
     // Check for existing progress (still used for re-read detection and regression checks)
     const progressInfo = await this.getBookCurrentProgress(userBookId);
+    const priorState = this._describePriorState(progressInfo);
 
     // Track status for return value
     let currentStatusId = progressInfo?.user_book?.status_id || null;
@@ -281,9 +322,16 @@ export class HardcoverClient {
       logger.info(
         `Creating new reading session: ${shouldCreateNewSession.reason}`,
       );
-      const startDate = startedAt
-        ? startedAt.slice(0, 10)
-        : new Date().toISOString().slice(0, 10);
+      const today = new Date().toISOString().slice(0, 10);
+      let startDate = startedAt ? startedAt.slice(0, 10) : today;
+
+      // Audiobookshelf keeps the original startedAt when a finished book is
+      // restarted, but a re-read can't start before the previous one ended
+      const previousFinish = progressInfo?.latest_read?.finished_at;
+      if (previousFinish && startDate < previousFinish.slice(0, 10)) {
+        startDate = today;
+      }
+
       const result = await this.insertUserBookRead(
         userBookId,
         currentProgress,
@@ -291,13 +339,32 @@ export class HardcoverClient {
         startDate,
         useSeconds,
       );
+      const startedReread = !!(result && previousFinish);
+
+      // The completed read is left intact; move the book back to reading
+      if (startedReread && currentStatusId === 3) {
+        logger.info(
+          'Book status is "Read", updating to "Currently Reading" for re-read (status_id: 2)',
+          {
+            userBookId,
+            currentStatus: 3,
+            newStatus: 2,
+          },
+        );
+        await this.updateBookStatus(userBookId, 2);
+        currentStatusId = 2;
+        statusWasUpdated = true;
+      }
+
       // Include status information in the response
       return {
         ...result,
         _statusInfo: {
           currentStatusId,
           statusWasUpdated,
+          startedReread,
         },
+        _priorState: priorState,
       };
     }
 
@@ -378,7 +445,7 @@ export class HardcoverClient {
         `Setting start date on update: ${startedAt ? startedAt.slice(0, 10) : 'null'}`,
       );
       try {
-        const result = await this._executeQuery(mutation, variables);
+        const result = await this._executeBatchable(mutation, variables);
         const updateResult = result?.update_user_book_read;
         if (updateResult?.error) {
           logger.error(
@@ -409,6 +476,7 @@ export class HardcoverClient {
               currentStatusId,
               statusWasUpdated,
             },
+            _priorState: priorState,
           };
         }
         return false;
@@ -442,10 +510,39 @@ export class HardcoverClient {
           currentStatusId,
           statusWasUpdated,
         },
+        _priorState: priorState,
       };
     }
   }
 
+  /**
+   * Describe the status and latest read a write is about to replace, so
+   * callers can journal it without fetching the entry again
+   * @param {Object|null} progressInfo - Result of getBookCurrentProgress
+   * @returns {Object|null} - { status_id, read } or null if unknown
+   * @private
+   */
+  _describePriorState(progressInfo) {
+    if (!progressInfo?.user_book) {
+      return null;
+    }
+
+    const read = progressInfo.latest_read;
+    return {
+      status_id: progressInfo.user_book.status_id ?? null,
+      read: read
+        ? {
+            id: read.id,
+            progress_pages: read.progress_pages ?? null,
+            progress_seconds: read.progress_seconds ?? null,
+            edition_id: read.edition_id ?? null,
+            started_at: read.started_at ?? null,
+            finished_at: read.finished_at ?? null,
+          }
+        : null,
+    };
+  }
+
   _isProgressWriteVerified(
     record,
     expectedPosition,
@@ -716,7 +813,7 @@ export class HardcoverClient {
 
     try {
       // Step 1: Update progress record
-      const progressResult = await this._executeQuery(mutation, variables);
+      const progressResult = await this._executeBatchable(mutation, variables);
       if (
         !progressResult ||
         !progressResult.update_user_book_read ||
@@ -736,7 +833,10 @@ export class HardcoverClient {
       }
 
       logger.debug('Book successfully marked as completed with correct status');
-      return progressResult.update_user_book_read.user_book_read;
+      return {
+        ...progressResult.update_user_book_read.user_book_read,
+        _priorState: this._describePriorState(progressInfo),
+      };
     } catch (error) {
       logger.error('Error marking book completed:', error.message);
       return false;
@@ -767,7 +867,7 @@ export class HardcoverClient {
     };
 
     try {
-      const result = await this._executeQuery(mutation, variables);
+      const result = await this._executeBatchable(mutation, variables);
       return (
         result && result.update_user_book && result.update_user_book.user_book
       );
@@ -777,6 +877,335 @@ export class HardcoverClient {
     }
   }
 
+  /**
+   * Remove a book from the user's library (used by `undo` for added books)
+   * @param {number} userBookId - Hardcover user book ID
+   * @returns {Promise<boolean>} - True when the book was removed
+   */
+  async removeBookFromLibrary(userBookId) {
+    const mutation = `
+            mutation removeBookFromLibrary($id: Int!) {
+                delete_user_book(id: $id) {
+                    id
+                }
+            }
+        `;
+
+    try {
+      const result = await this._executeQuery(mutation, {
+        id: safeParseInt(userBookId, 'userBookId'),
+      });
+      return !!result?.delete_user_book;
+    } catch (error) {
+      logger.error('Error removing book from library:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a reading session (user_book_read)
+   * @param {number} readId - user_book_read ID
+   * @returns {Promise<boolean>} - True when the read was deleted
+   */
+  async deleteUserBookRead(readId) {
+    const mutation = `
+            mutation deleteUserBookRead($id: Int!) {
+                delete_user_book_read(id: $id) {
+                    id
+                }
+            }
+        `;
+
+    try {
+      const result = await this._executeQuery(mutation, {
+        id: safeParseInt(readId, 'readId'),
+      });
+      return !!result?.delete_user_book_read;
+    } catch (error) {
+      logger.error('Error deleting user book read:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write a previously captured reading session back (used by `undo`)
+   * @param {number} readId - user_book_read ID
+   * @param {Object} read - Captured read with progress_pages, progress_seconds,
+   *   edition_id, started_at and finished_at
+   * @returns {Promise<Object|false>} - Updated read, or false on failure
+   */
+  async restoreUserBookRead(readId, read) {
+    const mutation = `
+            mutation restoreUserBookRead($id: Int!, $pages: Int, $seconds: Int, $editionId: Int, $startedAt: date, $finishedAt: date) {
+                update_user_book_read(id: $id, object: {
+                    progress_pages: $pages,
+                    progress_seconds: $seconds,
+                    edition_id: $editionId,
+                    started_at: $startedAt,
+                    finished_at: $finishedAt
+                }) {
+                    error
+                    user_book_read {
+                        id
+                        progress_pages
+                        progress_seconds
+                        edition_id
+                        started_at
+                        finished_at
+                    }
+                }
+            }
+        `;
+
+    const variables = {
+      id: safeParseInt(readId, 'readId'),
+      pages: safeParseInt(read.progress_pages, 'progress_pages'),
+      seconds: safeParseInt(read.progress_seconds, 'progress_seconds'),
+      editionId: safeParseInt(read.edition_id, 'editionId'),
+      startedAt: read.started_at || null,
+      finishedAt: read.finished_at || null,
+    };
+
+    try {
+      const result = await this._executeQuery(mutation, variables);
+      const updateResult = result?.update_user_book_read;
+      if (updateResult?.error) {
+        logger.error(`Hardcover rejected read restore: ${updateResult.error}`);
+        return false;
+      }
+      return updateResult?.user_book_read || false;
+    } catch (error) {
+      logger.error('Error restoring user book read:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Correct the started/finished dates of a reading session
+   * @param {number} readId - user_book_read ID
+   * @param {Object} dates - { startedAt, finishedAt } as YYYY-MM-DD or null
+   * @returns {Promise<Object|false>} - Updated read, or false on failure
+   */
+  async updateUserBookReadDates(readId, { startedAt, finishedAt }) {
+    const mutation = `
+            mutation updateUserBookReadDates($id: Int!, $startedAt: date, $finishedAt: date) {
+                update_user_book_read(id: $id, object: {
+                    started_at: $startedAt,
+                    finished_at: $finishedAt
+                }) {
+                    error
+                    user_book_read {
+                        id
+                        started_at
+                        finished_at
+                    }
+                }
+            }
+        `;
+
+    try {
+      const result = await this._executeQuery(mutation, {
+        id: safeParseInt(readId, 'readId'),
+        startedAt: startedAt || null,
+        finishedAt: finishedAt || null,
+      });
+      const updateResult = result?.update_user_book_read;
+      if (updateResult?.error) {
+        logger.error(`Hardcover rejected read dates: ${updateResult.error}`);
+        return false;
+      }
+      return updateResult?.user_book_read || false;
+    } catch (error) {
+      logger.error('Error updating user book read dates:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Add an entry to the user's reading journal for a book
+   * @param {Object} entry - Journal entry
+   * @param {number} entry.bookId - Hardcover book ID
+   * @param {number|null} entry.editionId - Edition the entry refers to
+   * @param {string} entry.text - Entry text
+   * @param {string} entry.actionAt - Date the entry is shown under (YYYY-MM-DD)
+   * @param {number} entry.privacySettingId - 1 public, 2 followers, 3 private
+   * @returns {Promise<Object|false>} - { id } of the new entry, or false on failure
+   */
+  async createReadingJournalEntry({
+    bookId,
+    editionId = null,
+    text,
+    actionAt,
+    privacySettingId = 1,
+  }) {
+    const mutation = `
+            mutation createReadingJournal($bookId: Int!, $editionId: Int, $entry: String, $actionAt: date, $privacySettingId: Int!) {
+                insert_reading_journal(object: {
+                    book_id: $bookId,
+                    edition_id: $editionId,
+                    event: "note",
+                    entry: $entry,
+                    action_at: $actionAt,
+                    privacy_setting_id: $privacySettingId
+                }) {
+                    errors
+                    id
+                }
+            }
+        `;
+
+    const variables = {
+      bookId: safeParseInt(bookId, 'bookId'),
+      editionId: safeParseInt(editionId, 'editionId'),
+      entry: text,
+      actionAt,
+      privacySettingId: safeParseInt(privacySettingId, 'privacySettingId'),
+    };
+
+    try {
+      const result = await this._executeQuery(mutation, variables);
+      const insertResult = result?.insert_reading_journal;
+      if (insertResult?.errors?.length) {
+        logger.error(
+          `Hardcover rejected reading journal entry: ${insertResult.errors.join(', ')}`,
+        );
+        return false;
+      }
+      return insertResult?.id ? { id: insertResult.id } : false;
+    } catch (error) {
+      logger.error('Error creating reading journal entry:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch one of the user's lists with its entries
+   * @param {number} listId - Hardcover list ID
+   * @returns {Promise<Object|null>} - { id, name, list_books: [{ id, book_id }] }, or null if the list no longer exists
+   */
+  async getList(listId) {
+    const query = `
+            query getList($listId: Int!) {
+                lists(where: {id: {_eq: $listId}}, limit: 1) {
+                    id
+                    name
+                    list_books {
+                        id
+                        book_id
+                    }
+                }
+            }
+        `;
+
+    const result = await this._executeQuery(query, {
+      listId: safeParseInt(listId, 'listId'),
+    });
+    return result?.lists?.[0] || null;
+  }
+
+  /**
+   * Create a list for the current user
+   * @param {Object} list - { name, description, privacySettingId }
+   * @returns {Promise<Object|false>} - { id } of the new list, or false if rejected
+   */
+  async createList({ name, description = null, privacySettingId = 1 }) {
+    const mutation = `
+            mutation createList($name: String!, $description: String, $privacySettingId: Int!) {
+                insert_list(object: {
+                    name: $name,
+                    description: $description,
+                    privacy_setting_id: $privacySettingId,
+                    ranked: false
+                }) {
+                    errors
+                    id
+                }
+            }
+        `;
+
+    const variables = {
+      name,
+      description,
+      privacySettingId: safeParseInt(privacySettingId, 'privacySettingId'),
+    };
+
+    try {
+      const result = await this._executeQuery(mutation, variables);
+      const insertResult = result?.insert_list;
+      if (insertResult?.errors?.length) {
+        logger.error(
+          `Hardcover rejected list "${name}": ${insertResult.errors.join(', ')}`,
+        );
+        return false;
+      }
+      return insertResult?.id ? { id: insertResult.id } : false;
+    } catch (error) {
+      logger.error('Error creating list:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Add a book to a list
+   * @param {number} listId - Hardcover list ID
+   * @param {number} bookId - Hardcover book ID
+   * @param {number|null} editionId - Edition to show on the list (optional)
+   * @returns {Promise<Object|false>} - { id } of the list entry, or false if rejected
+   */
+  async addBookToList(listId, bookId, editionId = null) {
+    const mutation = `
+            mutation addBookToList($listId: Int!, $bookId: Int!, $editionId: Int) {
+                insert_list_book(object: {
+                    list_id: $listId,
+                    book_id: $bookId,
+                    edition_id: $editionId
+                }) {
+                    id
+                }
+            }
+        `;
+
+    const variables = {
+      listId: safeParseInt(listId, 'listId'),
+      bookId: safeParseInt(bookId, 'bookId'),
+      editionId: safeParseInt(editionId, 'editionId'),
+    };
+
+    try {
+      const result = await this._executeQuery(mutation, variables);
+      const entryId = result?.insert_list_book?.id;
+      return entryId ? { id: entryId } : false;
+    } catch (error) {
+      logger.error('Error adding book to list:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remove an entry from a list
+   * @param {number} listBookId - Hardcover list entry ID
+   * @returns {Promise<boolean>} - True when the entry was removed
+   */
+  async removeBookFromList(listBookId) {
+    const mutation = `
+            mutation removeBookFromList($id: Int!) {
+                delete_list_book(id: $id) {
+                    id
+                }
+            }
+        `;
+
+    try {
+      const result = await this._executeQuery(mutation, {
+        id: safeParseInt(listBookId, 'listBookId'),
+      });
+      return !!result?.delete_list_book;
+    } catch (error) {
+      logger.error('Error removing book from list:', error.message);
+      return false;
+    }
+  }
+
   async getBookCurrentProgress(userBookId) {
     const query = `
             query getBookProgress($userBookId: Int!) {
@@ -797,6 +1226,7 @@ export class HardcoverClient {
                 user_books(where: {id: {_eq: $userBookId}}) {
                     id
                     status_id
+                    updated_at
                     book {
                         id
                         editions {
@@ -810,7 +1240,7 @@ export class HardcoverClient {
         `;
     const variables = { userBookId: safeParseInt(userBookId, 'userBookId') };
     try {
-      const result = await this._executeQuery(query, variables);
+      const result = await this._executeBatchable(query, variables);
       const latestRead = result?.user_book_reads?.[0] ?? null;
       const userBook = result?.user_books?.[0] ?? null;
 
@@ -825,6 +1255,99 @@ export class HardcoverClient {
     }
   }
 
+  /**
+   * Latest read of every book in the user's library that has one, for
+   * two-way sync. `updated_at` of the read changes with its progress, unlike
+   * the user book's which changes with any edit of the book.
+   * @returns {Promise<Array>} - Progress info per book in the shape of
+   *   getBookCurrentProgress(): { latest_read, user_book, has_progress }
+   */
+  async getLatestReads() {
+    const query = `
+            query getLatestReads($offset: Int = 0, $limit: Int = 100) {
+                me {
+                    user_books(
+                        where: {user_book_reads: {}},
+                        order_by: {id: asc},
+                        offset: $offset,
+                        limit: $limit
+                    ) {
+                        id
+                        status_id
+                        updated_at
+                        user_book_reads(order_by: {id: desc}, limit: 1) {
+                            id
+                            progress_pages
+                            progress_seconds
+                            user_book_id
+                            edition_id
+                            started_at
+                            finished_at
+                            updated_at
+                            edition {
+                                id
+                                pages
+                                audio_seconds
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+
+    const reads = [];
+    const limit = 100;
+    for (let offset = 0; ; offset += limit) {
+      const result = await this._executeQuery(query, { offset, limit });
+      const me = Array.isArray(result?.me) ? result.me[0] : result?.me;
+      const userBooks = me?.user_books || [];
+
+      for (const { user_book_reads: bookReads, ...userBook } of userBooks) {
+        if (bookReads?.[0]) {
+          reads.push({
+            latest_read: bookReads[0],
+            user_book: userBook,
+            has_progress: true,
+          });
+        }
+      }
+      if (userBooks.length < limit) {
+        break;
+      }
+    }
+
+    logger.debug(`Retrieved ${reads.length} reads from Hardcover library`);
+    return reads;
+  }
+
+  /**
+   * Finish date of the last completed read before a given read, which marks
+   * where a re-read began
+   * @param {number} userBookId - Hardcover user book ID
+   * @param {number} readId - user_book_read ID of the later read
+   * @returns {Promise<string|null>} - finished_at (YYYY-MM-DD) or null
+   */
+  async getPreviousReadFinishedAt(userBookId, readId) {
+    const query = `
+            query getPreviousRead($userBookId: Int!, $readId: Int!) {
+                user_book_reads(
+                    where: {user_book_id: {_eq: $userBookId}, id: {_lt: $readId}, finished_at: {_is_null: false}},
+                    order_by: {id: desc},
+                    limit: 1
+                ) {
+                    id
+                    finished_at
+                }
+            }
+        `;
+    const variables = {
+      userBookId: safeParseInt(userBookId, 'userBookId'),
+      readId: safeParseInt(readId, 'readId'),
+    };
+    const result = await this._executeBatchable(query, variables);
+    return result?.user_book_reads?.[0]?.finished_at ?? null;
+  }
+
   async insertUserBookRead(
     userBookId,
     currentProgress,
@@ -889,7 +1412,7 @@ export class HardcoverClient {
           startedAt,
         };
     try {
-      const result = await this._executeQuery(mutation, variables);
+      const result = await this._executeBatchable(mutation, variables);
       if (
         result &&
         result.insert_user_book_read &&
@@ -1507,7 +2030,26 @@ export class HardcoverClient {
     }
   }
 
-  async _executeQuery(query, variables = null) {
+  /**
+   * Run a query or mutation through the batcher when batching is enabled, so
+   * it can share one request with those of other books
+   * @param {string} query - Query or mutation document
+   * @param {Object} variables - Variables of the document
+   * @returns {Promise<Object>} - Response data
+   */
+  async _executeBatchable(query, variables = null) {
+    if (!this.batcher) {
+      return this._executeQuery(query, variables);
+    }
+    try {
+      return await this.batcher.add(query, variables);
+    } catch (error) {
+      recordRequestError(error);
+      throw error;
+    }
+  }
+
+  async _executeQuery(query, variables = null, { recordErrors = true } = {}) {
     // Use single identifier for all Hardcover requests to respect 55/minute total limit
     const identifier = 'hardcover-api';
 
@@ -1530,7 +2072,19 @@ export class HardcoverClient {
         }
 
         const requestData = { query, variables };
-        const response = await this.client.post('', requestData);
+        const requestStart = performance.now();
+        let response;
+        try {
+          response = await this.client.post('', requestData);
+        } finally {
+          appMetrics.apiRequestDuration.observe(
+            {
+              service: 'hardcover',
+              outcome: response ? 'success' : 'error',
+            },
+            (performance.now() - requestStart) / 1000,
+          );
+        }
 
         // Validate response structure
         if (!response || !response.data) {
@@ -1548,18 +2102,24 @@ export class HardcoverClient {
             throw error;
           }
 
-          throw new Error(
+          const error = new Error(
             `GraphQL API request failed with status ${response.status}: ${response.statusText}`,
           );
+          error.statusCode = response.status;
+          throw error;
         }
 
         logger.debug('GraphQL query executed successfully');
 
         if (response.data.errors) {
           logger.error('GraphQL errors:', response.data.errors);
-          throw new Error(
+          const error = new Error(
             `GraphQL errors: ${response.data.errors.map(e => e.message).join(', ')}`,
           );
+          // Lets the batcher map errors back to the operation that caused them
+          error.graphQLErrors = response.data.errors;
+          error.partialData = response.data.data || null;
+          throw error;
         }
 
         if (!response.data.data) {
@@ -1574,6 +2134,13 @@ export class HardcoverClient {
 
         return response.data.data;
       });
+    } catch (error) {
+      // Most methods swallow errors; callers such as the outbox collect them
+      // with captureRequestErrors() to tell an outage apart from a rejection
+      if (recordErrors) {
+        recordRequestError(error);
+      }
+      throw error;
     } finally {
       this.semaphore.release();
     }
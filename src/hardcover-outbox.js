@@ -0,0 +1,415 @@
+/**
+ * Hardcover outbox - keeps Hardcover writes that could not be sent yet
+ *
+ * With the outbox enabled every write SyncManager makes (progress, completion,
+ * status changes, additions and read dates) is stored in BookCache before it
+ * is sent. Writes that fail because Hardcover is unreachable, overloaded or
+ * rate limiting stay queued with their original payload - completion dates
+ * included - and are replayed in order at the start of the next sync. Writes
+ * Hardcover rejects, or that keep failing, end up in the dead letter queue
+ * where the `outbox` command can retry or drop them. Replayed writes are
+ * journaled like direct ones, with the Hardcover state from just before the
+ * replay, so `undo --run` can revert them.
+ */
+
+import { createHash } from 'crypto';
+import logger from './logger.js';
+import { captureRequestErrors } from './utils/network.js';
+
+/**
+ * Outbox operations and the HardcoverClient method that performs them
+ */
+export const OUTBOX_OPERATIONS = {
+  progress: 'updateReadingProgress',
+  complete: 'markBookCompleted',
+  status: 'updateBookStatus',
+  add: 'addBookToLibrary',
+  read_dates: 'updateUserBookReadDates',
+};
+
+// Retry strategy delays (seconds) are stretched to minutes between syncs
+const BACKOFF_SCALE = 60;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// Sent entries are kept this long for `outbox` before they are pruned
+const DONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Describe a replayed write as a sync journal change (see recordSyncChange)
+ * @param {Object} entry - Outbox entry that was sent
+ * @param {Object} result - Result of the HardcoverClient method
+ * @param {Object|null} priorState - Hardcover state captured before the replay
+ * @returns {Object} - Change for recordSyncChange, without runKey and userId
+ */
+export function replayedChange(entry, result, priorState = null) {
+  const { operation, payload } = entry;
+  const change = { title: entry.title, priorState, newReadId: null };
+  const userBookId = entry.target?.startsWith('user_book:')
+    ? Number(entry.target.slice('user_book:'.length))
+    : null;
+
+  switch (operation) {
+    case 'add':
+      return {
+        ...change,
+        changeType: 'add_book',
+        userBookId: result.id,
+        bookId: payload[0],
+        editionId: payload[2] ?? null,
+        priorState: null,
+        newStatusId: payload[1] ?? 2,
+      };
+    case 'progress':
+      return {
+        ...change,
+        changeType: 'progress',
+        userBookId: payload[0],
+        editionId: payload[3] ?? null,
+        // The client captures the state itself when it sends the write
+        priorState: result._priorState || null,
+        newReadId: result.id ?? null,
+        newStatusId: result._statusInfo?.currentStatusId ?? null,
+      };
+    case 'complete':
+      return {
+        ...change,
+        changeType: 'complete',
+        userBookId: payload[0],
+        editionId: payload[1] ?? null,
+        priorState: result._priorState || null,
+        newReadId: result.id ?? null,
+        newStatusId: 3,
+      };
+    case 'status':
+      // Only the abandon policy changes statuses: it resumes to Currently Reading
+      return {
+        ...change,
+        changeType: payload[1] === 2 ? 'resume' : 'abandon',
+        userBookId: payload[0],
+        newStatusId: payload[1],
+      };
+    case 'read_dates':
+      return {
+        ...change,
+        changeType: 'dates',
+        userBookId,
+        editionId: priorState?.read?.edition_id ?? null,
+        newReadId: payload[0],
+        newStatusId: priorState?.status_id ?? null,
+      };
+    default:
+      throw new Error(`Unknown outbox operation: ${operation}`);
+  }
+}
+
+/**
+ * Raised when a write could not reach Hardcover and waits in the outbox
+ */
+export class OutboxQueuedError extends Error {
+  constructor(message, entry, cause = null) {
+    super(message);
+    this.name = 'OutboxQueuedError';
+    this.entry = entry;
+    this.cause = cause;
+  }
+}
+
+export class HardcoverOutbox {
+  /**
+   * @param {Object} options - Outbox options
+   * @param {BookCache} options.cache - Cache holding the outbox table
+   * @param {HardcoverClient} options.hardcover - Client for the user
+   * @param {string} options.userId - User the writes belong to
+   * @param {Object} options.config - hardcover_outbox config ({ enabled, max_attempts })
+   * @param {boolean} options.dryRun - Never replay queued writes
+   * @param {Function} options.onReplay - Called with (entry, result, priorState)
+   *   after drain() sent a write, so the caller can journal it
+   */
+  constructor({
+    cache,
+    hardcover,
+    userId,
+    config = {},
+    dryRun = false,
+    onReplay = null,
+  }) {
+    this.cache = cache;
+    this.hardcover = hardcover;
+    this.userId = userId;
+    this.enabled = config.enabled === true;
+    this.maxAttempts = config.max_attempts || 10;
+    this.dryRun = dryRun;
+    this.onReplay = onReplay;
+    // Results of writes replayed by drain(), so the sync pass that follows
+    // does not send them a second time
+    this.replayed = new Map();
+    // Set after a transient failure: later writes are queued without trying
+    this.unavailableUntil = 0;
+  }
+
+  /**
+   * Idempotency key of a write: the same write for the same user always
+   * gets the same key, so it is queued and replayed at most once
+   * @param {string} operation - Key of OUTBOX_OPERATIONS
+   * @param {Array} args - Arguments of the HardcoverClient method
+   * @returns {string} - Hex digest
+   */
+  idempotencyKey(operation, args) {
+    return createHash('sha256')
+      .update(JSON.stringify([this.userId, operation, args]))
+      .digest('hex');
+  }
+
+  /**
+   * Send a write to Hardcover through the outbox
+   * @param {string} operation - Key of OUTBOX_OPERATIONS
+   * @param {Array} args - Arguments of the HardcoverClient method
+   * @param {Object} details - { target, title } where target identifies the
+   *   Hardcover record, e.g. `user_book:123`; writes to one target keep their order
+   * @returns {Promise<*>} - Result of the client method
+   * @throws {OutboxQueuedError} - When the write was queued for a later sync
+   */
+  async send(operation, args, { target, title = null }) {
+    const method = OUTBOX_OPERATIONS[operation];
+    if (!method) {
+      throw new Error(`Unknown outbox operation: ${operation}`);
+    }
+    if (!this.enabled) {
+      return this.hardcover[method](...args);
+    }
+
+    const idempotencyKey = this.idempotencyKey(operation, args);
+    if (this.replayed.has(idempotencyKey)) {
+      const result = this.replayed.get(idempotencyKey);
+      this.replayed.delete(idempotencyKey);
+      logger.debug(`Outbox already replayed ${operation} for ${title}`, {
+        target,
+      });
+      return result;
+    }
+
+    const entry = await this.cache.enqueueOutboxEntry(
+      this.userId,
+      { idempotencyKey, operation, target, title, payload: args },
+      // Only the newest progress of a book matters
+      { replacesPending: operation === 'progress' },
+    );
+
+    const pending = await this.cache.getOutboxEntries({
+      userId: this.userId,
+      status: 'pending',
+    });
+    const earlier = pending.find(
+      other => other.target === target && other.id < entry.id,
+    );
+    if (earlier) {
+      throw new OutboxQueuedError(
+        `Queued in the outbox as #${entry.id} behind #${earlier.id} for the same book`,
+        entry,
+      );
+    }
+    if (
+      Date.now() < this.unavailableUntil ||
+      (entry.next_attempt_at &&
+        entry.next_attempt_at > new Date().toISOString())
+    ) {
+      throw new OutboxQueuedError(
+        `Hardcover unavailable - queued in the outbox as #${entry.id}`,
+        entry,
+      );
+    }
+
+    const outcome = await this._attempt(entry);
+    if (outcome.dead && outcome.thrown) {
+      throw outcome.error;
+    }
+    if (outcome.sent || outcome.dead) {
+      // Rejected writes fail the same way they would without the outbox
+      return outcome.result;
+    }
+    throw new OutboxQueuedError(
+      `Hardcover unavailable (${outcome.error.message}) - queued in the outbox as #${entry.id}`,
+      entry,
+      outcome.error,
+    );
+  }
+
+  /**
+   * Replay queued writes that are due, oldest first. Stops at the first write
+   * that fails for a transient reason since Hardcover is evidently still
+   * unavailable.
+   * @returns {Promise<Object>} - { sent, dead, pending }
+   */
+  async drain() {
+    const summary = { sent: 0, dead: 0, pending: 0 };
+    if (!this.enabled || this.dryRun) {
+      return summary;
+    }
+
+    await this.cache.deleteOutboxEntries({
+      userId: this.userId,
+      status: 'done',
+      completedBefore: new Date(Date.now() - DONE_RETENTION_MS).toISOString(),
+    });
+
+    const now = new Date().toISOString();
+    const pending = await this.cache.getOutboxEntries({
+      userId: this.userId,
+      status: 'pending',
+    });
+    // A write that is not due yet holds back later writes to the same book
+    const blocked = new Set();
+
+    for (const [index, entry] of pending.entries()) {
+      if (
+        blocked.has(entry.target) ||
+        (entry.next_attempt_at && entry.next_attempt_at > now)
+      ) {
+        blocked.add(entry.target);
+        summary.pending++;
+        continue;
+      }
+
+      // Captured now rather than when the write was queued: other syncs or
+      // the user may have changed the book since
+      const priorState = this.onReplay
+        ? await this._snapshotPriorState(entry)
+        : null;
+      const outcome = await this._attempt(entry);
+      if (outcome.sent) {
+        summary.sent++;
+        this.replayed.set(entry.idempotency_key, outcome.result);
+        try {
+          await this.onReplay?.(entry, outcome.result, priorState);
+        } catch (error) {
+          // The write is sent either way; only undo misses it
+          logger.warn(`Could not journal replayed outbox write #${entry.id}`, {
+            error: error.message,
+          });
+        }
+      } else if (outcome.dead) {
+        summary.dead++;
+      } else {
+        summary.pending += pending.length - index;
+        break;
+      }
+    }
+
+    if (summary.sent > 0 || summary.dead > 0) {
+      logger.info(`Replayed Hardcover outbox for ${this.userId}`, summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Number of writes still waiting to be sent
+   * @returns {Promise<number>}
+   */
+  async countPending() {
+    const pending = await this.cache.getOutboxEntries({
+      userId: this.userId,
+      status: 'pending',
+    });
+    return pending.length;
+  }
+
+  /**
+   * Hardcover state of the book a queued write is about to change, for undo.
+   * Progress and completion writes capture it themselves when they are sent.
+   * @returns {Promise<Object|null>} - { status_id, read } or null
+   * @private
+   */
+  async _snapshotPriorState(entry) {
+    if (
+      !['status', 'read_dates'].includes(entry.operation) ||
+      !entry.target?.startsWith('user_book:')
+    ) {
+      return null;
+    }
+
+    try {
+      const userBookId = Number(entry.target.slice('user_book:'.length));
+      const priorState = this.hardcover._describePriorState(
+        await this.hardcover.getBookCurrentProgress(userBookId),
+      );
+      // Read dates may belong to an older read than the one described; undo
+      // must never treat that read as created by the replay
+      if (
+        entry.operation === 'read_dates' &&
+        priorState?.read?.id !== entry.payload[0]
+      ) {
+        return null;
+      }
+      return priorState;
+    } catch (error) {
+      logger.warn(
+        `Could not capture Hardcover state before replaying ${entry.operation} for ${entry.title || entry.target}`,
+        { outboxId: entry.id, error: error.message },
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Send one outbox entry and record the outcome
+   * @returns {Promise<Object>} - { sent, dead, result, error, thrown }
+   * @private
+   */
+  async _attempt(entry) {
+    const method = OUTBOX_OPERATIONS[entry.operation];
+    let result = null;
+    let error = null;
+    let thrown = false;
+    let requestErrors = [];
+
+    // Only errors of this write's own requests count, not those of books
+    // synced concurrently on the same client
+    try {
+      ({ result, errors: requestErrors } = await captureRequestErrors(() =>
+        this.hardcover[method](...entry.payload),
+      ));
+    } catch (err) {
+      error = err;
+      thrown = true;
+    }
+
+    if (!error && result) {
+      await this.cache.markOutboxEntryDone(entry.id, result);
+      return { sent: true, dead: false, result, error: null, thrown };
+    }
+
+    // Client methods report most failures by returning false or null
+    error ||=
+      requestErrors.at(-1) ||
+      new Error(`Hardcover did not accept the ${entry.operation} write`);
+    const { category, strategy, transient } =
+      this.hardcover.retryManager.classifyError(error);
+    const attempts = entry.attempts + 1;
+    const dead = !transient || attempts >= this.maxAttempts;
+    const delay = Math.min(
+      this.hardcover.retryManager.getBackoffDelay(strategy, attempts - 1) *
+        BACKOFF_SCALE,
+      MAX_BACKOFF_MS,
+    );
+    if (transient) {
+      this.unavailableUntil = Date.now() + delay;
+    }
+
+    await this.cache.markOutboxEntryFailed(entry.id, {
+      error: error.message,
+      dead,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+    });
+
+    logger[dead ? 'error' : 'warn'](
+      `Outbox ${entry.operation} for ${entry.title || entry.target} ${dead ? 'moved to the dead letter queue' : 'will be retried'}`,
+      {
+        outboxId: entry.id,
+        category,
+        attempts,
+        error: error.message,
+      },
+    );
+
+    return { sent: false, dead, result, error, thrown };
+  }
+}
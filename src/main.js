@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
-import { Config } from './config.js';
+import * as yaml from 'js-yaml';
+import { Config, applyUserOverrides } from './config.js';
 
 import { SyncManager } from './sync-manager.js';
 import { AudiobookshelfClient } from './audiobookshelf-client.js';
@@ -16,6 +17,10 @@ import { Semaphore } from './utils/concurrency.js';
 
 import { SyncResultFormatter } from './display/SyncResultFormatter.js';
 import { CommandRegistry } from './cli/CommandRegistry.js';
+import { runHistory } from './server/run-history.js';
+import { activeSyncs, SyncInProgressError } from './server/active-syncs.js';
+import { recordSyncRun } from './utils/metrics.js';
+import { NotificationManager } from './notifications/index.js';
 
 const program = new Command();
 
@@ -113,7 +118,9 @@ async function testAllConnections() {
   }
 }
 
-async function syncUser(user, globalConfig, verbose = false) {
+async function syncUser(user, globalConfig, verbose = false, options = {}) {
+  const { trigger = 'cli' } = options;
+
   // Validate user object
   if (!user) {
     throw new Error('User object is required');
@@ -126,12 +133,9 @@ async function syncUser(user, globalConfig, verbose = false) {
   }
 
   const startTime = Date.now();
-  const syncManager = new SyncManager(
-    user,
-    globalConfig,
-    globalConfig.dry_run,
-    verbose,
-  );
+  const startedAt = new Date(startTime).toISOString();
+  const dryRun = applyUserOverrides(globalConfig, user).dry_run;
+  const syncManager = new SyncManager(user, globalConfig, dryRun, verbose);
 
   // Register cleanup for unexpected termination
   const unregister = registerCleanup(() => syncManager.cleanup());
@@ -164,12 +168,38 @@ async function syncUser(user, globalConfig, verbose = false) {
       duration,
       verbose,
     );
+
+    // Keep a summary for the HTTP API (/api/runs) and metrics (/metrics)
+    recordSyncRun(user.id, result, duration);
+    const run = runHistory.record(
+      formatter.buildRunSummary(user, result, globalConfig, duration),
+      { trigger, startedAt },
+    );
+    await persistSyncRun(syncManager, run, result.book_details, globalConfig);
+
+    return result;
   } catch (error) {
     logger.error('Sync failed for user', {
       user_id: user.id,
       error: error.message,
       stack: error.stack,
     });
+    recordSyncRun(
+      user.id,
+      { errors: [error.message] },
+      (Date.now() - startTime) / 1000,
+    );
+    const run = runHistory.record(
+      {
+        user_id: user.id,
+        dry_run: dryRun === true,
+        duration_seconds:
+          Math.round(((Date.now() - startTime) / 1000) * 10) / 10,
+        errors: [error.message],
+      },
+      { trigger, startedAt, status: 'failed' },
+    );
+    await persistSyncRun(syncManager, run, [], globalConfig);
     throw error;
   } finally {
     // Ensure the SyncManager's database connection is closed
@@ -178,6 +208,27 @@ async function syncUser(user, globalConfig, verbose = false) {
   }
 }
 
+/**
+ * Store a finished run in the sync history (see the `history` command)
+ * History is best effort - a failure here never fails the sync itself.
+ */
+async function persistSyncRun(syncManager, run, bookDetails, globalConfig) {
+  try {
+    await syncManager.cache.recordSyncRun(
+      { ...run, version: currentVersion, run_key: syncManager.runKey },
+      bookDetails || [],
+    );
+    await syncManager.cache.pruneSyncRuns(
+      globalConfig.history_retention_days ?? 90,
+    );
+  } catch (error) {
+    logger.warn('Could not record sync run history', {
+      user_id: run.user_id,
+      error: error.message,
+    });
+  }
+}
+
 async function testUser(user) {
   const userLogger = logger.forUser(user.id);
   const isVerbose = program.opts().verbose;
@@ -497,15 +548,50 @@ function showConfig(config) {
     userCount: users.length,
   });
 
+  // Effective configuration with tokens and resolved secrets masked
+  console.log(yaml.dump(config.toDisplayObject(), { lineWidth: -1 }));
+
   // Configuration validation is handled by ConfigValidator class
   // This function now just displays configuration information
   return true;
 }
 
-async function runScheduledSync(config) {
+/**
+ * Sync all users, or the given ones when users have their own schedules
+ * @param {Config} config - Configuration to sync with
+ * @param {Array<string>|null} userIds - Users to sync (default: all)
+ */
+async function runScheduledSync(config, userIds = null) {
+  const globalConfig = config.getGlobal();
+  const runs = [];
+
+  // Sync one user and remember the outcome for notifications
+  const runUserSync = async user => {
+    const startTime = Date.now();
+    try {
+      // Shares the per-user guard with syncs triggered through the HTTP API
+      const result = await activeSyncs.run(user.id, () =>
+        syncUser(user, globalConfig, program.opts().verbose, {
+          trigger: 'schedule',
+        }),
+      );
+      runs.push({ user, result, duration: (Date.now() - startTime) / 1000 });
+    } catch (error) {
+      if (error instanceof SyncInProgressError) {
+        logger.warn('Skipping scheduled sync: the last one is still running', {
+          user_id: user.id,
+        });
+        return;
+      }
+      runs.push({ user, error, duration: (Date.now() - startTime) / 1000 });
+      throw error;
+    }
+  };
+
   try {
-    const globalConfig = config.getGlobal();
-    const users = config.getUsers();
+    const users = config
+      .getUsers()
+      .filter(user => !userIds || userIds.includes(user.id));
 
     logger.info('Starting scheduled sync', {
       service: 'shelfbridge',
@@ -514,9 +600,12 @@ async function runScheduledSync(config) {
     });
 
     // Check for and process any active sessions from previous app shutdown
-    if (globalConfig.delayed_updates && globalConfig.delayed_updates.enabled) {
+    const delayedUsers = users.filter(
+      user => applyUserOverrides(globalConfig, user).delayed_updates?.enabled,
+    );
+    if (delayedUsers.length > 0) {
       logger.info('Processing any active sessions from previous shutdown...');
-      await processStartupSessions(users, globalConfig);
+      await processStartupSessions(delayedUsers, globalConfig);
     }
 
     if (globalConfig.parallel) {
@@ -531,7 +620,7 @@ async function runScheduledSync(config) {
             logger.info('Starting scheduled sync for user', {
               user_id: user.id,
             });
-            await syncUser(user, globalConfig, program.opts().verbose);
+            await runUserSync(user);
           } finally {
             semaphore.release();
           }
@@ -540,7 +629,7 @@ async function runScheduledSync(config) {
     } else {
       for (const user of users) {
         logger.info('Starting scheduled sync for user', { user_id: user.id });
-        await syncUser(user, globalConfig, program.opts().verbose);
+        await runUserSync(user);
       }
     }
 
@@ -551,6 +640,11 @@ async function runScheduledSync(config) {
       stack: error.stack,
     });
   }
+
+  await new NotificationManager(globalConfig.notifications).notify(
+    runs,
+    globalConfig,
+  );
 }
 
 /**
@@ -675,8 +769,12 @@ async function showNextScheduledSync(cronConfig) {
       nextDate.toJSDate ? nextDate.toJSDate() : nextDate,
       { zone: cronConfig.timezone },
     );
+    // Users with their own schedule are listed with it
+    const users = cronConfig.userIds
+      ? ` (${cronConfig.userIds.join(', ')})`
+      : '';
     console.log(
-      `\n🕒 Next scheduled sync: ${nextSync.toFormat('yyyy-LL-dd HH:mm:ss ZZZZ')}`,
+      `\n🕒 Next scheduled sync${users}: ${nextSync.toFormat('yyyy-LL-dd HH:mm:ss ZZZZ')}`,
     );
   } catch (err) {
     console.log('Could not determine next scheduled sync time:', err.message);
@@ -2,6 +2,7 @@
  * Main Book Matching Orchestrator
  *
  * This class coordinates the three-tier book matching strategy:
+ * 0. Manual match overrides (checked before any strategy)
  * 1. ASIN-based matching (Tier 1)
  * 2. ISBN-based matching (Tier 2)
  * 3. Title/Author-based matching (Tier 3)
@@ -18,6 +19,7 @@ import {
   detectUserBookFormat,
 } from './utils/audiobookshelf-extractor.js';
 import { getIsbnVariants, normalizeAsin } from './utils/text-matching.js';
+import { MatchOverrides } from './match-overrides.js';
 
 /**
  * Book Matcher - Orchestrates the multi-tier book matching process
@@ -28,11 +30,13 @@ export class BookMatcher {
    * @param {Object} hardcoverClient - Hardcover API client
    * @param {Object} cache - Book cache instance
    * @param {Object} config - Global configuration
+   * @param {MatchOverrides} overrides - Manual match overrides (default: loaded from config)
    */
-  constructor(hardcoverClient, cache, config) {
+  constructor(hardcoverClient, cache, config, overrides = null) {
     this.hardcoverClient = hardcoverClient;
     this.cache = cache;
     this.config = config;
+    this.overrides = overrides || MatchOverrides.fromConfig(config || {});
     this.userLibraryData = null;
     this.formatMapper = null;
 
@@ -51,6 +55,7 @@ export class BookMatcher {
 
     logger.debug('BookMatcher initialized', {
       strategiesCount: this.strategies.length,
+      overridesCount: this.overrides.size,
     });
   }
 
@@ -281,9 +286,10 @@ export class BookMatcher {
    * Find a book match using the three-tier strategy
    * @param {Object} absBook - Audiobookshelf book object
    * @param {string} userId - User ID for caching and library access
-   * @returns {Object} - Result object containing { match, extractedMetadata }
+   * @returns {Object} - Result object containing { match, extractedMetadata, override }
    *   - match: Hardcover match object or null if not found
    *   - extractedMetadata: { title, author, identifiers } extracted from absBook
+   *   - override: Manual match override applied to this book (only when one exists)
    */
   async findMatch(absBook, userId) {
     // Extract metadata once for use throughout matching process
@@ -293,6 +299,29 @@ export class BookMatcher {
       identifiers: extractBookIdentifiers(absBook),
     };
 
+    // Manual overrides win over every matching strategy
+    const override = this.findOverride(absBook, userId, extractedMetadata);
+    if (override) {
+      if (override.skip) {
+        logger.debug(
+          `⛔ Match override marks "${extractedMetadata.title}" as never sync`,
+        );
+        return { match: null, extractedMetadata, override };
+      }
+
+      const match = await this._resolveOverrideMatch(override, absBook);
+      logger.debug(
+        `📌 Match override for "${extractedMetadata.title}" ${match ? 'applied' : 'could not be resolved'}`,
+        {
+          bookId: override.book_id,
+          editionId: override.edition_id,
+          resolvedEditionId: match?.edition?.id,
+          inLibrary: !!match && !match._isSearchResult,
+        },
+      );
+      return { match, extractedMetadata, override };
+    }
+
     logger.debug(`🔍 Starting book matching for "${extractedMetadata.title}"`, {
       identifiers: extractedMetadata.identifiers,
       hasAsin: !!extractedMetadata.identifiers.asin,
@@ -417,6 +446,112 @@ export class BookMatcher {
     };
   }
 
+  /**
+   * Find the manual match override for a book, if any
+   * @param {Object} absBook - Audiobookshelf book object
+   * @param {string} userId - User ID (for user-scoped overrides)
+   * @param {Object} metadata - Pre-extracted { title, author, identifiers } (optional)
+   * @returns {Object|null} - Override entry or null
+   */
+  findOverride(absBook, userId = null, metadata = null) {
+    if (this.overrides.size === 0) {
+      return null;
+    }
+    return this.overrides.find(
+      {
+        absId: absBook.id,
+        identifiers: metadata?.identifiers || extractBookIdentifiers(absBook),
+        title: metadata?.title || extractTitle(absBook),
+        author: metadata?.author || extractAuthor(absBook),
+      },
+      userId,
+    );
+  }
+
+  /**
+   * Build a match object for a pinned book/edition
+   * Pins found in the user's library behave like identifier matches; anything
+   * else becomes a search result so the regular auto-add path adds it.
+   * @param {Object} override - Override entry with book_id and/or edition_id
+   * @param {Object} absBook - Audiobookshelf book object
+   * @returns {Promise<Object|null>} - Match object or null if it cannot be resolved
+   * @private
+   */
+  async _resolveOverrideMatch(override, absBook) {
+    const sourceFormat = detectUserBookFormat(absBook);
+    const withFormat = edition =>
+      edition && this.formatMapper
+        ? { ...edition, format: this.formatMapper(edition) }
+        : edition;
+    const pickEdition = async editions => {
+      const { selectBestEdition } =
+        await import('./utils/unified-edition-scorer.js');
+      const best = selectBestEdition(editions, {
+        sourceFormat,
+        formatMapper: this.formatMapper,
+      });
+      return best?.edition || editions[0] || null;
+    };
+
+    if (this.userLibraryData) {
+      const userBook = override.edition_id
+        ? this.findUserBookByEditionId(override.edition_id)
+        : this.findUserBookByBookId(override.book_id);
+
+      if (userBook) {
+        const editions = userBook.book?.editions || [];
+        const edition = override.edition_id
+          ? editions.find(e => String(e.id) === String(override.edition_id))
+          : await pickEdition(editions);
+
+        if (edition) {
+          return {
+            userBook,
+            edition: withFormat(edition),
+            _matchType: 'override',
+            _override: override,
+          };
+        }
+      }
+    }
+
+    // Not in the user's library yet - hand back a search result
+    if (override.edition_id) {
+      return {
+        userBook: null,
+        book: override.book_id ? { id: override.book_id } : undefined,
+        edition: { id: override.edition_id },
+        _isSearchResult: true,
+        _needsBookIdLookup: !override.book_id,
+        _matchType: 'override_search_result',
+        _override: override,
+      };
+    }
+
+    const bookDetails = await this.hardcoverClient?.getBookEditions(
+      override.book_id,
+    );
+    if (!bookDetails || bookDetails.editions.length === 0) {
+      logger.warn(
+        `Match override book ${override.book_id} has no editions on Hardcover`,
+      );
+      return null;
+    }
+
+    return {
+      userBook: null,
+      book: {
+        id: bookDetails.bookId,
+        title: bookDetails.title,
+        editions: bookDetails.editions,
+      },
+      edition: withFormat(await pickEdition(bookDetails.editions)),
+      _isSearchResult: true,
+      _matchType: 'override_search_result',
+      _override: override,
+    };
+  }
+
   /**
    * Check if title/author matching is enabled
    * @returns {boolean} - True if enabled
@@ -670,6 +805,7 @@ export class BookMatcher {
         tier: strategy.getTier(),
       })),
       titleAuthorMatchingEnabled: this._isTitleAuthorMatchingEnabled(),
+      overridesCount: this.overrides.size,
     };
   }
 }
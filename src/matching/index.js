@@ -6,6 +6,12 @@
  */
 
 export { BookMatcher } from './book-matcher.js';
+export {
+  MatchOverrides,
+  validateOverrideEntry,
+  loadOverridesFile,
+  DEFAULT_OVERRIDES_FILE,
+} from './match-overrides.js';
 export { calculateBookIdentificationScore } from './scoring/book-identification-scorer.js';
 export { selectBestEdition } from './edition-selector.js';
 export { extractBookIdentifiers } from './utils/identifier-extractor.js';
@@ -0,0 +1,288 @@
+/**
+ * Manual Match Overrides
+ *
+ * Lets users pin an Audiobookshelf item to a specific Hardcover book/edition,
+ * or mark it as "never sync", when automatic matching gets it wrong.
+ * Overrides come from the overrides file (config/overrides.yaml by default)
+ * and the inline `match_overrides` list in the global config.
+ *
+ * Entries are keyed by ABS library item ID, ASIN, ISBN or title/author and
+ * are consulted by BookMatcher before any matching strategy runs. Several
+ * entries may share a key when they are scoped to different users; the
+ * first one that applies to the user being synced wins. Decisions
+ * saved through the `review` command are merged in per user at sync time.
+ */
+
+import fs from 'fs';
+import * as yaml from 'js-yaml';
+import logger from '../logger.js';
+import {
+  getIsbnVariants,
+  normalizeAsin,
+  normalizeAuthor,
+  normalizeTitle,
+} from './utils/text-matching.js';
+
+export const DEFAULT_OVERRIDES_FILE = 'config/overrides.yaml';
+
+/**
+ * Validate a single override entry
+ * @param {Object} entry - Override entry
+ * @param {string} context - Label used in error messages
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export function validateOverrideEntry(entry, context = 'override') {
+  const errors = [];
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${context} must be an object`];
+  }
+
+  if (!entry.abs_id && !entry.asin && !entry.isbn && !entry.title) {
+    errors.push(`${context} needs one of: abs_id, asin, isbn, title`);
+  }
+
+  if (entry.author && !entry.title) {
+    errors.push(`${context} has 'author' without 'title'`);
+  }
+
+  const pinsBook =
+    entry.book_id !== undefined || entry.edition_id !== undefined;
+  if (entry.skip === true && pinsBook) {
+    errors.push(`${context} cannot combine 'skip' with 'book_id'/'edition_id'`);
+  } else if (entry.skip !== true && !pinsBook) {
+    errors.push(`${context} needs 'book_id', 'edition_id' or 'skip: true'`);
+  }
+
+  for (const field of ['book_id', 'edition_id']) {
+    if (
+      entry[field] !== undefined &&
+      !(Number.isInteger(Number(entry[field])) && Number(entry[field]) > 0)
+    ) {
+      errors.push(`${context}.${field} must be a positive integer`);
+    }
+  }
+
+  if (
+    entry.users !== undefined &&
+    (!Array.isArray(entry.users) ||
+      entry.users.some(user => typeof user !== 'string'))
+  ) {
+    errors.push(`${context}.users must be an array of user IDs`);
+  }
+
+  return errors;
+}
+
+/**
+ * Read override entries from a YAML file
+ * Accepts either a top-level list or an `overrides:` key.
+ * @param {string} filePath - Path to the overrides file
+ * @returns {Array} - Raw entries (empty when the file does not exist)
+ */
+export function loadOverridesFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const parsed = content.trim() ? yaml.load(content) : null;
+  if (!parsed) {
+    return [];
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed.overrides;
+  if (!Array.isArray(entries)) {
+    throw new Error(
+      `Overrides file ${filePath} must contain a list or an 'overrides:' list`,
+    );
+  }
+  return entries;
+}
+
+export class MatchOverrides {
+  /**
+   * @param {Array} entries - Override entries
+   */
+  constructor(entries = []) {
+    this.entries = [];
+    this.byAbsId = new Map();
+    this.byAsin = new Map();
+    this.byIsbn = new Map();
+    this.byTitleAuthor = new Map();
+
+    entries.forEach((entry, index) => {
+      const errors = validateOverrideEntry(
+        entry,
+        `match override #${index + 1}`,
+      );
+      if (errors.length > 0) {
+        logger.warn('Ignoring invalid match override', { errors, entry });
+        return;
+      }
+      this._add(entry);
+    });
+  }
+
+  /**
+   * Build overrides from the global config (inline list + overrides file)
+   * @param {Object} globalConfig - Global configuration
+   * @returns {MatchOverrides}
+   */
+  static fromConfig(globalConfig = {}) {
+    const filePath =
+      globalConfig.match_overrides_file || DEFAULT_OVERRIDES_FILE;
+    let fileEntries = [];
+    try {
+      fileEntries = loadOverridesFile(filePath);
+    } catch (error) {
+      logger.error(`Failed to load match overrides from ${filePath}`, {
+        error: error.message,
+      });
+    }
+
+    const overrides = new MatchOverrides([
+      ...fileEntries,
+      ...(globalConfig.match_overrides || []),
+    ]);
+
+    if (overrides.size > 0) {
+      logger.debug('Loaded match overrides', {
+        count: overrides.size,
+        file: fileEntries.length > 0 ? filePath : null,
+      });
+    }
+    return overrides;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Add entries after construction (e.g. saved review decisions)
+   * Entries for an ABS item that already has an override for the same users
+   * are ignored so explicitly configured overrides keep precedence.
+   * @param {Array} entries - Override entries
+   * @returns {number} - Number of entries added
+   */
+  addEntries(entries = []) {
+    let added = 0;
+    for (const entry of entries) {
+      if (entry?.abs_id && this._isAbsIdCovered(entry)) {
+        continue;
+      }
+      const errors = validateOverrideEntry(entry);
+      if (errors.length > 0) {
+        logger.warn('Ignoring invalid match override', { errors, entry });
+        continue;
+      }
+      this._add(entry);
+      added++;
+    }
+    return added;
+  }
+
+  _add(entry) {
+    const override = {
+      ...entry,
+      book_id: entry.book_id !== undefined ? Number(entry.book_id) : null,
+      edition_id:
+        entry.edition_id !== undefined ? Number(entry.edition_id) : null,
+      skip: entry.skip === true,
+    };
+    this.entries.push(override);
+
+    if (entry.abs_id) {
+      this._index(this.byAbsId, String(entry.abs_id), override);
+    }
+    if (entry.asin) {
+      this._index(this.byAsin, normalizeAsin(String(entry.asin)), override);
+    }
+    if (entry.isbn) {
+      for (const variant of getIsbnVariants(String(entry.isbn))) {
+        this._index(this.byIsbn, variant, override);
+      }
+    }
+    if (entry.title) {
+      this._index(
+        this.byTitleAuthor,
+        this._titleAuthorKey(entry.title, entry.author),
+        override,
+      );
+    }
+  }
+
+  _index(map, key, override) {
+    const overrides = map.get(key);
+    if (!overrides) {
+      map.set(key, [override]);
+    } else if (!overrides.includes(override)) {
+      overrides.push(override);
+    }
+  }
+
+  _appliesTo(override, userId) {
+    return !override.users || !userId || override.users.includes(userId);
+  }
+
+  /**
+   * Check whether every user of an entry already has an override for its
+   * ABS item
+   * @param {Object} entry - Override entry with abs_id
+   * @returns {boolean}
+   */
+  _isAbsIdCovered(entry) {
+    const existing = this.byAbsId.get(String(entry.abs_id)) || [];
+    const users = Array.isArray(entry.users) ? entry.users : [null];
+    return users.every(userId =>
+      existing.some(override => this._appliesTo(override, userId)),
+    );
+  }
+
+  _titleAuthorKey(title, author) {
+    return `${normalizeTitle(String(title))}|${author ? normalizeAuthor(String(author)) : ''}`;
+  }
+
+  /**
+   * Find the override for a book
+   * Priority: ABS item ID > ASIN > ISBN > title+author > title only
+   * @param {Object} book - { absId, identifiers: { asin, isbn }, title, author }
+   * @param {string|null} userId - User being synced (entries with `users` only apply to them)
+   * @returns {Object|null} - Override entry or null
+   */
+  find({ absId, identifiers = {}, title, author }, userId = null) {
+    if (this.entries.length === 0) {
+      return null;
+    }
+
+    const candidates = [];
+    if (absId) {
+      candidates.push(this.byAbsId.get(String(absId)));
+    }
+    if (identifiers.asin) {
+      candidates.push(this.byAsin.get(normalizeAsin(identifiers.asin)));
+    }
+    if (identifiers.isbn) {
+      for (const variant of getIsbnVariants(identifiers.isbn)) {
+        candidates.push(this.byIsbn.get(variant));
+      }
+    }
+    if (title) {
+      if (author) {
+        candidates.push(
+          this.byTitleAuthor.get(this._titleAuthorKey(title, author)),
+        );
+      }
+      candidates.push(this.byTitleAuthor.get(this._titleAuthorKey(title)));
+    }
+
+    return (
+      candidates
+        .flatMap(overrides => overrides || [])
+        .find(override => this._appliesTo(override, userId)) || null
+    );
+  }
+}
+
+export default MatchOverrides;
@@ -14,13 +14,23 @@ import {
   extractTitle,
   extractAuthor,
   extractNarrator,
+  extractAsin,
+  extractIsbn,
   detectUserBookFormat,
 } from '../utils/audiobookshelf-extractor.js';
-import { extractAuthorFromSearchResult } from '../utils/hardcover-extractor.js';
+import {
+  extractAuthorFromSearchResult,
+  extractPublicationYear as extractResultYear,
+} from '../utils/hardcover-extractor.js';
 import { calculateBookIdentificationScore } from '../scoring/book-identification-scorer.js';
 import { selectBestEdition } from '../edition-selector.js';
 import { normalizeTitle } from '../utils/text-matching.js';
 
+// Accepted matches below this book identification score are queued for review
+const LOW_CONFIDENCE_SCORE = 75;
+// Number of scored candidates kept with each review entry
+const REVIEW_CANDIDATE_LIMIT = 5;
+
 /**
  * Title/Author Matching Strategy - Tier 3
  * Attempts to match books using title and author text matching
@@ -395,7 +405,7 @@ export class TitleAuthorMatcher {
         // Determine final confidence based on book identification
         const bookConfidence =
           bestBookMatch._bookIdentificationScore.totalScore;
-        const isHighConfidence = bookConfidence >= 75; // High confidence threshold
+        const isHighConfidence = bookConfidence >= LOW_CONFIDENCE_SCORE;
 
         // Log successful match with two-stage details
         logger.info(`Found "${title}" via two-stage matching`, {
@@ -515,6 +525,17 @@ export class TitleAuthorMatcher {
           author,
         );
 
+        if (!isHighConfidence) {
+          await this._queueForReview(
+            absBook,
+            userId,
+            title,
+            author,
+            'low_confidence',
+            bookScoredResults,
+          );
+        }
+
         return finalMatch;
       } else {
         const bestScore = bestBookMatch
@@ -554,6 +575,15 @@ export class TitleAuthorMatcher {
                 ? `Consider lowering confidence_threshold to ${Math.floor(bestScore / 10) * 10}% if this match looks correct`
                 : 'Book may genuinely not exist in Hardcover database',
           });
+
+          await this._queueForReview(
+            absBook,
+            userId,
+            title,
+            author,
+            'rejected',
+            bookScoredResults,
+          );
         }
 
         return null;
@@ -573,6 +603,53 @@ export class TitleAuthorMatcher {
     }
   }
 
+  /**
+   * Store scored candidates in the match review queue
+   * Failures are logged and never interrupt matching.
+   * @param {Object} absBook - Audiobookshelf book object
+   * @param {string} userId - User ID
+   * @param {string} title - Book title
+   * @param {string} author - Book author
+   * @param {string} reason - 'rejected' or 'low_confidence'
+   * @param {Array} scoredResults - Search results sorted by identification score
+   */
+  async _queueForReview(absBook, userId, title, author, reason, scoredResults) {
+    if (!absBook?.id || !userId || scoredResults.length === 0) {
+      return;
+    }
+
+    try {
+      const candidates = scoredResults
+        .slice(0, REVIEW_CANDIDATE_LIMIT)
+        .map(result => ({
+          book_id: result.id,
+          title: result.title,
+          author: extractAuthorFromSearchResult(result) || null,
+          year: extractResultYear(result) || null,
+          score: Number(result._bookIdentificationScore.totalScore.toFixed(1)),
+          confidence: result._bookIdentificationScore.confidence,
+          is_book_match: result._bookIdentificationScore.isBookMatch,
+          breakdown: result._bookIdentificationScore.breakdown,
+        }));
+
+      await this.cache.storeMatchReview({
+        userId,
+        absId: absBook.id,
+        title,
+        author,
+        identifiers: {
+          asin: extractAsin(absBook) || null,
+          isbn: extractIsbn(absBook) || null,
+        },
+        reason,
+        bestScore: candidates[0].score,
+        candidates,
+      });
+    } catch (error) {
+      logger.debug(`Unable to queue "${title}" for review: ${error.message}`);
+    }
+  }
+
   /**
    * Handle cached match result
    * @param {Object} cachedBookInfo - Cached book information
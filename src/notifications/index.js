@@ -0,0 +1,23 @@
+/**
+ * Notifications Module
+ *
+ * Sync result notifications delivered to webhooks, ntfy, Discord and SMTP.
+ */
+
+export {
+  NotificationManager,
+  createNotifier,
+  NOTIFIER_TYPES,
+  NOTIFY_ON,
+} from './notification-manager.js';
+export {
+  buildNotificationMessage,
+  buildNotificationTitle,
+  buildNotificationText,
+} from './message-formatter.js';
+export { sendMail, SmtpError } from './smtp-client.js';
+
+export { WebhookNotifier } from './notifiers/webhook-notifier.js';
+export { NtfyNotifier } from './notifiers/ntfy-notifier.js';
+export { DiscordNotifier } from './notifiers/discord-notifier.js';
+export { SmtpNotifier } from './notifiers/smtp-notifier.js';
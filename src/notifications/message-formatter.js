@@ -0,0 +1,93 @@
+/**
+ * Notification message formatting
+ *
+ * Turns the per-run report built by NotificationManager into a title and a
+ * plain-text body shared by the text-based channels (ntfy, Discord, SMTP).
+ */
+
+const CATEGORY_LABELS = {
+  NOT_FOUND: 'not found',
+  MATCH_REJECTED: 'match rejected',
+  ALREADY_IN_LIBRARY: 'identifier mismatch',
+};
+
+/**
+ * Build the notification title
+ * @param {Object} report - Notification report
+ * @returns {string} - Title line
+ */
+export function buildNotificationTitle(report) {
+  const prefix = report.dry_run ? '[DRY RUN] ' : '';
+  const userLabel =
+    report.users.length === 1
+      ? report.users[0].user_id
+      : `${report.users.length} users`;
+
+  if (report.status === 'failure') {
+    return `${prefix}ShelfBridge sync finished with problems (${userLabel})`;
+  }
+  return `${prefix}ShelfBridge sync complete (${userLabel})`;
+}
+
+/**
+ * Build a plain-text summary of the run
+ * @param {Object} report - Notification report
+ * @returns {string} - Multi-line text
+ */
+export function buildNotificationText(report) {
+  const lines = [];
+
+  for (const user of report.users) {
+    if (user.status === 'failed' && user.books_processed === 0) {
+      lines.push(`❌ ${user.user_id}: sync failed`);
+    } else {
+      const parts = [
+        `${user.books_synced} synced`,
+        `${user.books_completed} completed`,
+      ];
+      if (user.books_auto_added > 0) {
+        parts.push(`${user.books_auto_added} added`);
+      }
+      if (user.books_failed > 0) {
+        parts.push(`${user.books_failed} failed`);
+      }
+      const icon = user.status === 'failed' ? '⚠️' : '✅';
+      const dryRun = user.dry_run && !report.dry_run ? ', dry run' : '';
+      lines.push(
+        `${icon} ${user.user_id}: ${parts.join(', ')} (${user.duration_seconds}s${dryRun})`,
+      );
+    }
+
+    for (const error of user.errors.slice(0, 3)) {
+      lines.push(`   • Error: ${error}`);
+    }
+    if (user.errors.length > 3) {
+      lines.push(`   • ...and ${user.errors.length - 3} more errors`);
+    }
+
+    const highlights = user.failed_highlights;
+    if (highlights && highlights.total > 0) {
+      for (const book of highlights.books) {
+        const label = CATEGORY_LABELS[book.category] || book.category;
+        lines.push(`   • ${book.title} by ${book.author} (${label})`);
+      }
+      if (highlights.truncated > 0) {
+        lines.push(`   • ...and ${highlights.truncated} more failed books`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build title and text for a report
+ * @param {Object} report - Notification report
+ * @returns {Object} - { title, text }
+ */
+export function buildNotificationMessage(report) {
+  return {
+    title: buildNotificationTitle(report),
+    text: buildNotificationText(report),
+  };
+}
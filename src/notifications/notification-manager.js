@@ -0,0 +1,194 @@
+/**
+ * Notification Manager
+ *
+ * Builds a summary of a scheduled sync run and delivers it to the channels
+ * configured under global.notifications. Channels can be limited to specific
+ * users and filtered to only fire on failures or on completed books.
+ * Delivery problems are logged and never fail the sync itself.
+ */
+
+import logger from '../logger.js';
+import { FailedBooksReporter } from '../failed-books-reporter.js';
+import { SyncResultFormatter } from '../display/SyncResultFormatter.js';
+import { buildNotificationMessage } from './message-formatter.js';
+import { WebhookNotifier } from './notifiers/webhook-notifier.js';
+import { NtfyNotifier } from './notifiers/ntfy-notifier.js';
+import { DiscordNotifier } from './notifiers/discord-notifier.js';
+import { SmtpNotifier } from './notifiers/smtp-notifier.js';
+
+export const NOTIFIER_TYPES = {
+  webhook: WebhookNotifier,
+  ntfy: NtfyNotifier,
+  discord: DiscordNotifier,
+  smtp: SmtpNotifier,
+};
+
+export const NOTIFY_ON = ['always', 'failure', 'completion'];
+
+/**
+ * Create a notifier for a channel configuration
+ * @param {Object} channel - Channel configuration (must include type)
+ * @returns {Object} - Notifier with send(report, message)
+ */
+export function createNotifier(channel) {
+  const NotifierClass = NOTIFIER_TYPES[channel.type];
+  if (!NotifierClass) {
+    throw new Error(`Unknown notification channel type: ${channel.type}`);
+  }
+  return new NotifierClass(channel);
+}
+
+export class NotificationManager {
+  /**
+   * @param {Object} notificationsConfig - global.notifications section
+   * @param {Object} options - Options
+   * @param {Function} options.notifierFactory - Creates notifiers (default: createNotifier)
+   */
+  constructor(notificationsConfig = {}, options = {}) {
+    this.config = notificationsConfig || {};
+    this.notifierFactory = options.notifierFactory || createNotifier;
+  }
+
+  get enabled() {
+    return (
+      this.config.enabled !== false &&
+      Array.isArray(this.config.channels) &&
+      this.config.channels.length > 0
+    );
+  }
+
+  /**
+   * Build a notification report from finished user runs
+   * @param {Array} runs - [{ user, result, duration, error }]
+   * @param {Object} globalConfig - Global configuration
+   * @returns {Object} - Notification report
+   */
+  buildReport(runs, globalConfig = {}) {
+    const formatter = new SyncResultFormatter();
+    const users = runs.map(run => {
+      const result = run.result || {
+        errors: run.error ? [run.error.message || String(run.error)] : [],
+        failed_books: [],
+      };
+      const summary = formatter.buildRunSummary(
+        run.user,
+        result,
+        globalConfig,
+        run.duration || 0,
+      );
+      // Unmatched books are reported, but only errors fail a user's run
+      return {
+        ...summary,
+        status: summary.errors.length > 0 ? 'failed' : 'success',
+        failed_highlights: FailedBooksReporter.buildHighlights(
+          result.failed_books,
+        ),
+      };
+    });
+
+    const totals = {
+      books_processed: 0,
+      books_synced: 0,
+      books_completed: 0,
+      books_auto_added: 0,
+      books_failed: 0,
+      errors: 0,
+    };
+    for (const user of users) {
+      totals.books_processed += user.books_processed;
+      totals.books_synced += user.books_synced;
+      totals.books_completed += user.books_completed;
+      totals.books_auto_added += user.books_auto_added;
+      totals.books_failed += user.books_failed;
+      totals.errors += user.errors.length;
+    }
+
+    return {
+      status: users.some(user => user.status === 'failed')
+        ? 'failure'
+        : 'success',
+      // Users can turn dry_run on for themselves, so the report is a dry
+      // run only when every user's run was
+      dry_run: users.length > 0 && users.every(user => user.dry_run),
+      finished_at: new Date().toISOString(),
+      totals,
+      users,
+    };
+  }
+
+  /**
+   * Decide whether a report passes a channel's "on" filter
+   * @param {Object} report - Notification report
+   * @param {string} on - always | failure | completion
+   * @returns {boolean}
+   */
+  shouldNotify(report, on = 'always') {
+    switch (on) {
+      case 'failure':
+        return report.status === 'failure';
+      case 'completion':
+        return report.totals.books_completed > 0;
+      default:
+        return report.users.length > 0;
+    }
+  }
+
+  /**
+   * Send notifications for a finished run to every matching channel
+   * @param {Array} runs - [{ user, result, duration, error }]
+   * @param {Object} globalConfig - Global configuration
+   * @returns {Promise<Array>} - [{ channel, sent, skipped, error }] per channel
+   */
+  async notify(runs, globalConfig = {}) {
+    if (!this.enabled || runs.length === 0) {
+      return [];
+    }
+
+    const outcomes = [];
+    for (const [index, channel] of this.config.channels.entries()) {
+      const channelName = channel.name || `${channel.type}#${index + 1}`;
+      const routedRuns = Array.isArray(channel.users)
+        ? runs.filter(run => channel.users.includes(run.user.id))
+        : runs;
+      const report = this.buildReport(routedRuns, globalConfig);
+      const on = channel.on || this.config.on || 'always';
+
+      if (routedRuns.length === 0 || !this.shouldNotify(report, on)) {
+        logger.debug('Skipping notification channel', {
+          channel: channelName,
+          on,
+          users: routedRuns.map(run => run.user.id),
+        });
+        outcomes.push({ channel: channelName, sent: false, skipped: true });
+        continue;
+      }
+
+      try {
+        const notifier = this.notifierFactory(channel);
+        await notifier.send(report, buildNotificationMessage(report));
+        logger.info('Notification sent', {
+          channel: channelName,
+          type: channel.type,
+          status: report.status,
+        });
+        outcomes.push({ channel: channelName, sent: true, skipped: false });
+      } catch (error) {
+        logger.error('Failed to send notification', {
+          channel: channelName,
+          type: channel.type,
+          error: error.message,
+        });
+        outcomes.push({
+          channel: channelName,
+          sent: false,
+          skipped: false,
+          error: error.message,
+        });
+      }
+    }
+
+    return outcomes;
+  }
+}
+
+export default NotificationManager;
@@ -0,0 +1,67 @@
+/**
+ * Discord webhook notifier
+ *
+ * Sends the summary as a single embed, coloured by run status.
+ */
+
+import axios from 'axios';
+
+const COLORS = {
+  success: 0x2ecc71,
+  failure: 0xe74c3c,
+};
+
+// Discord rejects embed descriptions longer than 4096 characters
+const MAX_DESCRIPTION_LENGTH = 4000;
+
+export class DiscordNotifier {
+  /**
+   * @param {Object} channel - Channel configuration
+   * @param {string} channel.url - Discord webhook URL
+   * @param {string} channel.username - Bot display name (default: ShelfBridge)
+   */
+  constructor(channel) {
+    this.channel = channel;
+    this.name = channel.name || 'discord';
+  }
+
+  async send(report, message) {
+    const description =
+      message.text.length > MAX_DESCRIPTION_LENGTH
+        ? `${message.text.slice(0, MAX_DESCRIPTION_LENGTH)}…`
+        : message.text;
+
+    await axios.post(
+      this.channel.url,
+      {
+        username: this.channel.username || 'ShelfBridge',
+        embeds: [
+          {
+            title: message.title,
+            description,
+            color: COLORS[report.status] ?? COLORS.success,
+            fields: [
+              {
+                name: 'Synced',
+                value: String(report.totals.books_synced),
+                inline: true,
+              },
+              {
+                name: 'Completed',
+                value: String(report.totals.books_completed),
+                inline: true,
+              },
+              {
+                name: 'Failed',
+                value: String(report.totals.books_failed),
+                inline: true,
+              },
+            ],
+            timestamp: report.finished_at,
+          },
+        ],
+      },
+      { timeout: 10000 },
+    );
+  }
+}
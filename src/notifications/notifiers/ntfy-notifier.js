@@ -0,0 +1,41 @@
+/**
+ * ntfy notifier
+ *
+ * Publishes the text summary to an ntfy topic. Failed runs are sent with
+ * high priority so they stand out on phones.
+ */
+
+import axios from 'axios';
+
+export class NtfyNotifier {
+  /**
+   * @param {Object} channel - Channel configuration
+   * @param {string} channel.url - ntfy server URL (default: https://ntfy.sh)
+   * @param {string} channel.topic - Topic to publish to
+   * @param {string} channel.token - Access token (optional)
+   */
+  constructor(channel) {
+    this.channel = channel;
+    this.name = channel.name || `ntfy:${channel.topic}`;
+  }
+
+  async send(report, message) {
+    const server = (this.channel.url || 'https://ntfy.sh').replace(/\/$/, '');
+    const headers = {
+      'Content-Type': 'text/plain; charset=utf-8',
+      // HTTP headers must be ASCII; ntfy decodes RFC 2047 encoded titles
+      Title: `=?UTF-8?B?${Buffer.from(message.title).toString('base64')}?=`,
+      Priority: report.status === 'failure' ? 'high' : 'default',
+      Tags: report.status === 'failure' ? 'warning,books' : 'books',
+    };
+    if (this.channel.token) {
+      headers.Authorization = `Bearer ${this.channel.token}`;
+    }
+
+    await axios.post(
+      `${server}/${encodeURIComponent(this.channel.topic)}`,
+      message.text,
+      { headers, timeout: 10000 },
+    );
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * SMTP (email) notifier
+ */
+
+import { sendMail } from '../smtp-client.js';
+
+export class SmtpNotifier {
+  /**
+   * @param {Object} channel - Channel configuration
+   * @param {string} channel.host - SMTP server host
+   * @param {number} channel.port - SMTP server port (default: 465 when secure, else 587)
+   * @param {boolean} channel.secure - Use implicit TLS
+   * @param {string} channel.username - SMTP username (optional)
+   * @param {string} channel.password - SMTP password (optional)
+   * @param {boolean} channel.allow_insecure_auth - Send the password even
+   *   when the connection is not encrypted (default: false)
+   * @param {string} channel.from - Sender address
+   * @param {string|string[]} channel.to - Recipient address(es)
+   */
+  constructor(channel) {
+    this.channel = channel;
+    this.name = channel.name || `smtp:${channel.host}`;
+  }
+
+  async send(report, message) {
+    const channel = this.channel;
+    await sendMail({
+      host: channel.host,
+      port: channel.port ?? (channel.secure ? 465 : 587),
+      secure: channel.secure === true,
+      starttls: channel.starttls !== false,
+      username: channel.username,
+      password: channel.password,
+      allowInsecureAuth: channel.allow_insecure_auth === true,
+      from: channel.from,
+      to: Array.isArray(channel.to) ? channel.to : [channel.to],
+      subject: message.title,
+      text: message.text,
+    });
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Generic JSON webhook notifier
+ *
+ * POSTs the full notification report as JSON so any automation tool can
+ * consume it.
+ */
+
+import axios from 'axios';
+
+export class WebhookNotifier {
+  /**
+   * @param {Object} channel - Channel configuration
+   * @param {string} channel.url - Webhook URL
+   * @param {Object} channel.headers - Extra request headers (optional)
+   */
+  constructor(channel) {
+    this.channel = channel;
+    this.name = channel.name || 'webhook';
+  }
+
+  async send(report, message) {
+    await axios.post(
+      this.channel.url,
+      {
+        event: 'sync.completed',
+        title: message.title,
+        message: message.text,
+        ...report,
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.channel.headers || {}),
+        },
+        timeout: 10000,
+      },
+    );
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * SMTP client
+ *
+ * Delivers plain-text notification mails through nodemailer: implicit TLS or
+ * STARTTLS, AUTH and header encoding are left to the library. Credentials are
+ * only sent over TLS unless insecure auth is allowed.
+ */
+
+import nodemailer from 'nodemailer';
+
+/**
+ * Error raised when a mail could not be delivered
+ */
+export class SmtpError extends Error {
+  constructor(message, code = null, cause = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Send a plain-text mail
+ * @param {Object} options - Delivery options
+ * @param {string} options.host - SMTP server host
+ * @param {number} options.port - SMTP server port
+ * @param {boolean} options.secure - Use implicit TLS (port 465)
+ * @param {boolean} options.starttls - Upgrade with STARTTLS when offered (default: true)
+ * @param {string} options.username - Username for AUTH (optional)
+ * @param {string} options.password - Password for AUTH (optional)
+ * @param {boolean} options.allowInsecureAuth - Authenticate without TLS (default: false)
+ * @param {string} options.from - Sender address
+ * @param {string[]} options.to - Recipient addresses
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain-text body
+ * @param {number} options.timeout - Socket timeout in ms (default: 15000)
+ */
+export async function sendMail(options) {
+  const settings = { timeout: 15000, starttls: true, ...options };
+  const secure = settings.secure === true;
+  // Without implicit TLS the password may only follow a STARTTLS upgrade
+  const requireTls =
+    Boolean(settings.username) && !secure && !settings.allowInsecureAuth;
+  const insecureAuthError = () =>
+    new SmtpError(
+      `SMTP server ${settings.host} offers no TLS; refusing to send the password unencrypted. Use secure: true, a server with STARTTLS, or set allow_insecure_auth: true`,
+    );
+
+  if (requireTls && !settings.starttls) {
+    throw insecureAuthError();
+  }
+
+  const transport = nodemailer.createTransport({
+    host: settings.host,
+    port: settings.port,
+    secure,
+    ignoreTLS: !secure && !settings.starttls,
+    requireTLS: requireTls,
+    auth: settings.username
+      ? { user: settings.username, pass: settings.password || '' }
+      : undefined,
+    connectionTimeout: settings.timeout,
+    greetingTimeout: settings.timeout,
+    socketTimeout: settings.timeout,
+  });
+
+  try {
+    await transport.sendMail({
+      from: settings.from,
+      to: settings.to,
+      subject: settings.subject,
+      text: settings.text,
+    });
+  } catch (error) {
+    if (requireTls && error.code === 'ETLS') {
+      throw insecureAuthError();
+    }
+    throw new SmtpError(
+      `SMTP ${error.command || 'delivery'} failed: ${error.message}`,
+      error.responseCode ?? null,
+      error,
+    );
+  } finally {
+    transport.close();
+  }
+}
@@ -810,6 +810,87 @@ export class ProgressManager {
     return result;
   }
 
+  /**
+   * Decide whether Hardcover progress should be pulled back into Audiobookshelf
+   *
+   * Hardcover only wins when it is ahead of Audiobookshelf by more than the
+   * configured difference. With the 'newest' strategy its last update must
+   * also be more recent than the last Audiobookshelf listen, so a newer local
+   * restart is never overwritten. Audiobookshelf progress is never reduced.
+   *
+   * @param {Object} absState - { progress, lastUpdated } from Audiobookshelf
+   * @param {Object} hardcoverState - { progress, lastUpdated, isFinished } from Hardcover
+   * @param {Object} options - Conflict resolution options
+   * @param {string} options.strategy - 'newest' (default) or 'hardcover'
+   * @param {number} options.minDifference - Minimum percentage lead (default: 1)
+   * @param {string} options.context - Context for logging
+   * @returns {Object} - { pull, reason, absProgress, hardcoverProgress }
+   */
+  static resolveProgressConflict(absState, hardcoverState, options = {}) {
+    const { strategy = 'newest', minDifference = 1, context = '' } = options;
+
+    const absProgress =
+      this.validateProgress(absState?.progress, `${context} (abs)`) ?? 0;
+    const hardcoverProgress = hardcoverState?.isFinished
+      ? this.PROGRESS_MAX
+      : this.validateProgress(
+          hardcoverState?.progress,
+          `${context} (hardcover)`,
+        );
+
+    const result = {
+      pull: false,
+      reason: '',
+      absProgress,
+      hardcoverProgress,
+    };
+
+    if (hardcoverProgress === null) {
+      result.reason = 'No Hardcover progress available';
+      return result;
+    }
+
+    const lead = Math.round((hardcoverProgress - absProgress) * 1000) / 1000;
+    if (lead <= minDifference) {
+      result.reason = `Hardcover is not ahead of Audiobookshelf (${hardcoverProgress.toFixed(1)}% vs ${absProgress.toFixed(1)}%)`;
+      return result;
+    }
+
+    if (strategy === 'newest') {
+      const absTime = this._toTimestamp(absState?.lastUpdated);
+      const hardcoverTime = this._toTimestamp(hardcoverState?.lastUpdated);
+
+      if (hardcoverTime === null) {
+        result.reason =
+          'Hardcover last update unknown - keeping Audiobookshelf';
+        return result;
+      }
+      if (absTime !== null && absTime >= hardcoverTime) {
+        result.reason = 'Audiobookshelf was updated more recently';
+        return result;
+      }
+    }
+
+    result.pull = true;
+    result.reason = `Hardcover is ahead: ${absProgress.toFixed(1)}% → ${hardcoverProgress.toFixed(1)}%`;
+    logger.debug(`Progress conflict resolution in ${context}`, result);
+    return result;
+  }
+
+  /**
+   * Convert an epoch (ms) or date string into milliseconds
+   * @param {number|string|null} value - Timestamp value
+   * @returns {number|null} - Milliseconds since epoch or null if unparseable
+   * @private
+   */
+  static _toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+  }
+
   /**
    * Format progress for display with consistent formatting
    * @param {number|string|null} progress - Progress value to format
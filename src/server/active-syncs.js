@@ -0,0 +1,76 @@
+/**
+ * Active syncs - per-user guard against overlapping syncs
+ *
+ * Scheduled syncs and syncs triggered through the HTTP API run in the same
+ * process. Two SyncManagers writing to Hardcover for one user at once would
+ * race each other, so both register here and a second sync for a user is
+ * refused while the first one runs.
+ */
+
+/**
+ * Raised when a sync is requested for a user whose sync is still running
+ */
+export class SyncInProgressError extends Error {
+  constructor(userId) {
+    super(`Sync already running for user: ${userId}`);
+    this.name = 'SyncInProgressError';
+    this.userId = userId;
+  }
+}
+
+export class ActiveSyncs {
+  constructor() {
+    this.syncs = new Map();
+  }
+
+  /**
+   * Whether a sync is running for a user
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  has(userId) {
+    return this.syncs.has(userId);
+  }
+
+  /**
+   * Users with a sync running
+   * @returns {Array<string>}
+   */
+  users() {
+    return Array.from(this.syncs.keys());
+  }
+
+  /**
+   * Run a sync for a user unless one is already running. The check happens
+   * before this returns, so callers can refuse the request right away.
+   * @param {string} userId - User ID
+   * @param {Function} syncFn - Starts the sync and returns a promise
+   * @returns {Promise<*>} - Result of the sync
+   * @throws {SyncInProgressError} - When a sync for the user is running
+   */
+  run(userId, syncFn) {
+    if (this.syncs.has(userId)) {
+      throw new SyncInProgressError(userId);
+    }
+    const promise = Promise.resolve()
+      .then(syncFn)
+      .finally(() => {
+        this.syncs.delete(userId);
+      });
+    this.syncs.set(userId, promise);
+    return promise;
+  }
+
+  /**
+   * Wait for every running sync to settle
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    await Promise.allSettled(this.syncs.values());
+  }
+}
+
+// Shared guard for the current process (scheduler and HTTP API)
+export const activeSyncs = new ActiveSyncs();
+
+export default activeSyncs;
@@ -0,0 +1,347 @@
+/**
+ * API Server - Lightweight HTTP control server for ShelfBridge
+ *
+ * Exposes health, sync triggers, recent run summaries, cached books and
+ * Prometheus metrics so dashboards and scripts can drive ShelfBridge without
+ * shelling into the container. Built on node:http to avoid pulling in a web framework.
+ */
+import crypto from 'crypto';
+import http from 'http';
+import { BookCache } from '../book-cache.js';
+import { currentVersion } from '../version.js';
+import logger from '../logger.js';
+import {
+  metrics as defaultMetrics,
+  PROMETHEUS_CONTENT_TYPE,
+} from '../utils/metrics.js';
+import {
+  activeSyncs as defaultActiveSyncs,
+  SyncInProgressError,
+} from './active-syncs.js';
+
+/**
+ * Error carrying an HTTP status code for API responses
+ */
+export class ApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether a host only accepts connections from this machine
+ * @param {string} host - Interface to bind
+ * @returns {boolean}
+ */
+export function isLoopbackHost(host) {
+  return (
+    host === 'localhost' ||
+    host === '::1' ||
+    /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(host)
+  );
+}
+
+export class ApiServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object} options.config - Config instance (users + global settings)
+   * @param {Function} options.syncUserFn - syncUser(user, globalConfig, verbose, options)
+   * @param {Object} options.activeSyncs - Per-user sync guard shared with the
+   *   scheduler (default: shared guard)
+   * @param {Function} options.cacheFactory - Creates a BookCache for read-only queries
+   * @param {Object} options.metrics - MetricsRegistry for /metrics (default: shared registry)
+   * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+   * @param {number} options.port - Port to listen on (default: 8787)
+   * @param {string|null} options.apiToken - Bearer token required for non-health
+   *   routes; mandatory unless the host is a loopback address
+   */
+  constructor(options = {}) {
+    this.config = options.config;
+    this.syncUser = options.syncUserFn;
+    this.activeSyncs = options.activeSyncs || defaultActiveSyncs;
+    this.cacheFactory = options.cacheFactory || (() => new BookCache());
+    this.metrics = options.metrics || defaultMetrics;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 8787;
+    this.apiToken = options.apiToken || null;
+
+    this.server = null;
+    this.startedAt = null;
+    this.routes = [];
+
+    this.route('GET', '/api/health', () => this._handleHealth(), {
+      public: true,
+    });
+    this.route('POST', '/api/users/:id/sync', (req, params) =>
+      this._handleSync(params),
+    );
+    this.route('GET', '/api/runs', (req, params, query) =>
+      this._handleRuns(query),
+    );
+    this.route('GET', '/api/books', (req, params, query) =>
+      this._handleBooks(query),
+    );
+    this.route('GET', '/metrics', () => ({
+      status: 200,
+      body: this.metrics.toPrometheus(),
+      contentType: PROMETHEUS_CONTENT_TYPE,
+    }));
+  }
+
+  /**
+   * Register a route handler
+   * Handlers return { status, body, contentType } or a plain body (sent with
+   * 200). Bodies are JSON-encoded unless a contentType is given.
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern, e.g. /api/users/:id/sync
+   * @param {Function} handler - (req, params, query) => response
+   * @param {Object} options - Route options
+   * @param {boolean} options.public - Skip bearer token authentication
+   */
+  route(method, pattern, handler, options = {}) {
+    const paramNames = [];
+    const regex = new RegExp(
+      '^' +
+        pattern.replace(/:([a-zA-Z_]+)/g, (_match, name) => {
+          paramNames.push(name);
+          return '([^/]+)';
+        }) +
+        '/?$',
+    );
+    this.routes.push({
+      method,
+      regex,
+      paramNames,
+      handler,
+      public: options.public === true,
+    });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} - { host, port } actually bound
+   */
+  async start() {
+    if (!this.apiToken && !isLoopbackHost(this.host)) {
+      throw new Error(
+        `Refusing to serve the API on ${this.host} without server.api_token: anyone on the network could trigger syncs and read your library. Set server.api_token or bind to 127.0.0.1.`,
+      );
+    }
+
+    this.server = http.createServer((req, res) => {
+      this._dispatch(req, res).catch(error => {
+        logger.error('Unhandled API server error', {
+          error: error.message,
+          stack: error.stack,
+        });
+        this._send(res, 500, { error: 'Internal server error' });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.startedAt = Date.now();
+    const address = this.server.address();
+    logger.info('API server listening', {
+      host: address.address,
+      port: address.port,
+      authentication: this.apiToken ? 'bearer token' : 'none',
+    });
+    return { host: address.address, port: address.port };
+  }
+
+  /**
+   * Stop listening and wait for in-flight syncs to settle
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+    await this.activeSyncs.idle();
+  }
+
+  async _dispatch(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams.entries());
+
+    let pathMatched = false;
+    for (const route of this.routes) {
+      const match = url.pathname.match(route.regex);
+      if (!match) continue;
+      pathMatched = true;
+      if (route.method !== req.method) continue;
+
+      if (!route.public && !this._isAuthorized(req)) {
+        return this._send(res, 401, { error: 'Unauthorized' });
+      }
+
+      try {
+        const params = this._decodeParams(route.paramNames, match);
+        const response = await route.handler(req, params, query);
+        if (response && response.status && 'body' in response) {
+          return this._send(
+            res,
+            response.status,
+            response.body,
+            response.contentType,
+          );
+        }
+        return this._send(res, 200, response);
+      } catch (error) {
+        if (error instanceof ApiError) {
+          return this._send(res, error.statusCode, { error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    if (pathMatched) {
+      return this._send(res, 405, { error: 'Method not allowed' });
+    }
+    return this._send(res, 404, { error: 'Not found' });
+  }
+
+  _decodeParams(paramNames, match) {
+    const params = {};
+    paramNames.forEach((name, index) => {
+      try {
+        params[name] = decodeURIComponent(match[index + 1]);
+      } catch {
+        throw new ApiError(400, `Malformed path parameter: ${name}`);
+      }
+    });
+    return params;
+  }
+
+  _isAuthorized(req) {
+    if (!this.apiToken) {
+      return true;
+    }
+    const header = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${this.apiToken}`);
+    // Constant-time comparison so response timing does not reveal the token
+    return (
+      header.length === expected.length &&
+      crypto.timingSafeEqual(header, expected)
+    );
+  }
+
+  _send(res, statusCode, body, contentType = null) {
+    if (res.headersSent) {
+      return;
+    }
+    const payload = contentType ? String(body) : JSON.stringify(body ?? null);
+    res.writeHead(statusCode, {
+      'Content-Type': contentType || 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+    });
+    res.end(payload);
+  }
+
+  _getUser(userId) {
+    const user = this.config.getUsers().find(u => u.id === userId);
+    if (!user) {
+      throw new ApiError(404, `User not found: ${userId}`);
+    }
+    return user;
+  }
+
+  _handleHealth() {
+    return {
+      status: 'ok',
+      version: currentVersion,
+      uptime_seconds: this.startedAt
+        ? Math.round((Date.now() - this.startedAt) / 1000)
+        : 0,
+      users: this.config.getUsers().map(user => user.id),
+      active_syncs: this.activeSyncs.users(),
+    };
+  }
+
+  _handleSync(params) {
+    const user = this._getUser(params.id);
+
+    // Scheduled syncs register with the same guard
+    let syncPromise;
+    try {
+      syncPromise = this.activeSyncs.run(user.id, () =>
+        this.syncUser(user, this.config.getGlobal(), false, {
+          trigger: 'api',
+        }),
+      );
+    } catch (error) {
+      if (error instanceof SyncInProgressError) {
+        throw new ApiError(409, error.message);
+      }
+      throw error;
+    }
+
+    logger.info('Sync triggered via API', { user_id: user.id });
+    syncPromise.catch(error => {
+      logger.error('API-triggered sync failed', {
+        user_id: user.id,
+        error: error.message,
+      });
+    });
+
+    return {
+      status: 202,
+      body: { status: 'accepted', user_id: user.id },
+    };
+  }
+
+  async _handleRuns(query) {
+    if (query.user) {
+      this._getUser(query.user);
+    }
+    const limit = this._parseLimit(query.limit, 20);
+
+    // The recorded run history, which outlives restarts (see `history`)
+    const cache = this.cacheFactory();
+    try {
+      return {
+        runs: await cache.getSyncRuns({ userId: query.user || null, limit }),
+      };
+    } finally {
+      cache.close();
+    }
+  }
+
+  async _handleBooks(query) {
+    if (!query.user) {
+      throw new ApiError(400, "Query parameter 'user' is required");
+    }
+    const user = this._getUser(query.user);
+    const limit = this._parseLimit(query.limit, 100);
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+
+    const cache = this.cacheFactory();
+    try {
+      const books = await cache.getBooksForUser(user.id, { limit, offset });
+      return { user_id: user.id, count: books.length, books };
+    } finally {
+      cache.close();
+    }
+  }
+
+  _parseLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      return fallback;
+    }
+    return Math.min(parsed, 1000);
+  }
+}
+
+export default ApiServer;
@@ -0,0 +1,109 @@
+/**
+ * Metrics Server - Standalone Prometheus endpoint for cron/start modes
+ *
+ * The serve command exposes /metrics on its API server. The scheduled sync
+ * commands have no HTTP server of their own, so when metrics are enabled they
+ * start this minimal one that only answers GET /metrics.
+ */
+import http from 'http';
+import logger from '../logger.js';
+import {
+  metrics as defaultMetrics,
+  PROMETHEUS_CONTENT_TYPE,
+} from '../utils/metrics.js';
+
+export class MetricsServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object} options.metrics - MetricsRegistry to expose (default: shared registry)
+   * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+   * @param {number} options.port - Port to listen on (default: 9464)
+   */
+  constructor(options = {}) {
+    this.metrics = options.metrics || defaultMetrics;
+    // /metrics has no authentication, so other interfaces are opt-in
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 9464;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} - { host, port } actually bound
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const address = this.server.address();
+    logger.info('Metrics server listening', {
+      host: address.address,
+      port: address.port,
+    });
+    return { host: address.address, port: address.port };
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  _handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found\n');
+      return;
+    }
+    if (req.method !== 'GET') {
+      res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Method not allowed\n');
+      return;
+    }
+
+    const payload = this.metrics.toPrometheus();
+    res.writeHead(200, {
+      'Content-Type': PROMETHEUS_CONTENT_TYPE,
+      'Content-Length': Buffer.byteLength(payload),
+    });
+    res.end(payload);
+  }
+}
+
+/**
+ * Start the metrics server when global.metrics.enabled is set
+ * @param {Object} globalConfig - Global configuration
+ * @returns {Promise<MetricsServer|null>} - Running server, or null when disabled
+ */
+export async function startMetricsServer(globalConfig) {
+  const metricsConfig = globalConfig?.metrics;
+  if (!metricsConfig?.enabled) {
+    return null;
+  }
+
+  const server = new MetricsServer({
+    host: metricsConfig.host,
+    port: metricsConfig.port,
+  });
+  const address = await server.start();
+  console.log(
+    `📈 Metrics available at http://${address.host}:${address.port}/metrics`,
+  );
+  return server;
+}
+
+export default MetricsServer;
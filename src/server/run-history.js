@@ -0,0 +1,82 @@
+/**
+ * Run history - In-memory record of recent sync runs
+ *
+ * Summaries are produced by SyncResultFormatter.buildRunSummary() and kept in
+ * a bounded list for the current process. The HTTP API reports the runs
+ * recorded in BookCache instead, which survive restarts.
+ */
+
+/**
+ * Bounded, newest-first list of sync run summaries
+ */
+export class RunHistory {
+  constructor(maxRuns = 100) {
+    this.maxRuns = maxRuns;
+    this.runs = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Record a completed (or failed) sync run
+   * @param {Object} summary - Run summary from SyncResultFormatter.buildRunSummary()
+   * @param {Object} options - Additional run metadata
+   * @param {string} options.trigger - What started the run (cli, schedule, api)
+   * @param {string} options.startedAt - ISO timestamp of when the run started
+   * @param {string} options.status - 'success' or 'failed'
+   * @returns {Object} - The stored run entry
+   */
+  record(summary, options = {}) {
+    const {
+      trigger = 'cli',
+      startedAt = null,
+      status = summary.errors?.length > 0 ? 'failed' : 'success',
+    } = options;
+
+    const run = {
+      id: this.nextId++,
+      status,
+      trigger,
+      started_at: startedAt,
+      finished_at: new Date().toISOString(),
+      ...summary,
+    };
+
+    this.runs.unshift(run);
+    if (this.runs.length > this.maxRuns) {
+      this.runs.length = this.maxRuns;
+    }
+    return run;
+  }
+
+  /**
+   * List recent runs, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.userId - Only include runs for this user
+   * @param {number} filters.limit - Maximum number of runs to return
+   * @returns {Array} - Run entries
+   */
+  list({ userId = null, limit = 20 } = {}) {
+    const runs = userId
+      ? this.runs.filter(run => run.user_id === userId)
+      : this.runs;
+    return runs.slice(0, limit);
+  }
+
+  /**
+   * Get the most recent run for a user
+   * @param {string} userId - User ID
+   * @returns {Object|null} - Latest run entry or null
+   */
+  latest(userId) {
+    return this.runs.find(run => run.user_id === userId) || null;
+  }
+
+  clear() {
+    this.runs = [];
+  }
+}
+
+// Shared history for the current process (CLI sync, scheduler and HTTP API)
+export const runHistory = new RunHistory();
+
+export default runHistory;
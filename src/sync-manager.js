@@ -2,25 +2,45 @@ import { AudiobookshelfClient } from './audiobookshelf-client.js';
 import { TaskQueue } from './utils/task-queue.js';
 import { HardcoverClient } from './hardcover-client.js';
 import { BookCache } from './book-cache.js';
+import { DateReconstructor } from './date-reconstruction.js';
 import ProgressManager from './progress-manager.js';
 import {
   BookMatcher,
+  createIdentifierLookup,
   extractAuthor,
   extractAudioDurationFromAudiobookshelf,
   extractBookIdentifiers,
   extractTitle,
   getIsbnVariants,
+  MatchOverrides,
 } from './matching/index.js';
-import { formatDurationForLogging } from './utils/time.js';
+import { formatDuration, formatDurationForLogging } from './utils/time.js';
 import { DateTime } from 'luxon';
 import { setMaxListeners } from 'events';
+import { randomUUID } from 'crypto';
 import logger from './logger.js';
 import { Transaction } from './utils/transaction.js';
+import { captureRequestErrors } from './utils/network.js';
+import { HardcoverOutbox, replayedChange } from './hardcover-outbox.js';
+import { applyUserOverrides } from './config.js';
 import SessionManager from './session-manager.js';
 import { currentVersion } from './version.js';
+import { appMetrics } from './utils/metrics.js';
+
+// Progress events reload the Hardcover library once it is this old, so books
+// added or removed on Hardcover in the meantime are seen
+const EVENT_LIBRARY_MAX_AGE_MS = 30 * 60 * 1000;
 
 export class SyncManager {
-  constructor(user, globalConfig, dryRun = false, verbose = false) {
+  constructor(
+    user,
+    globalConfig,
+    dryRun = false,
+    verbose = false,
+    options = {},
+  ) {
+    // Settings a user entry overrides take precedence over global ones
+    globalConfig = applyUserOverrides(globalConfig, user);
     this.user = user;
     this.userId = user.id;
     this.globalConfig = globalConfig;
@@ -51,10 +71,14 @@ export class SyncManager {
       user.hardcover_token,
       globalConfig.hardcover_semaphore || 1,
       globalConfig.hardcover_rate_limit || 55,
+      { batching: globalConfig.hardcover_batching },
     );
 
-    // Initialize cache
-    this.cache = new BookCache();
+    // Initialize cache (callers such as `explain` may supply their own)
+    this.cache = options.cache || new BookCache();
+
+    // Links journaled Hardcover changes to this run's history entry (`undo`)
+    this.runKey = options.runKey || randomUUID();
 
     // Initialize session manager for delayed updates
     this.sessionManager = new SessionManager(
@@ -62,11 +86,13 @@ export class SyncManager {
       globalConfig.delayed_updates || {},
     );
 
-    // Initialize book matcher
+    // Initialize book matcher (shares the manual match overrides)
+    this.matchOverrides = MatchOverrides.fromConfig(globalConfig);
     this.bookMatcher = new BookMatcher(
       this.hardcover,
       this.cache,
       globalConfig,
+      this.matchOverrides,
     );
 
     // Timing data
@@ -106,29 +132,33 @@ export class SyncManager {
     // Increment sync count (for tracking purposes)
     const _syncTracking = await this.cache.incrementSyncCount(this.userId);
 
+    // Replay Hardcover writes an earlier sync could not send
+    const outboxSummary = await this._getOutbox().drain();
+
     // Process expired sessions before starting new sync
     await this._processExpiredSessions();
 
-    const result = {
-      books_processed: 0,
-      books_synced: 0,
-      books_completed: 0,
-      books_auto_added: 0,
-      books_skipped: 0,
-      books_delayed: 0,
-      expired_sessions_processed: 0,
-      errors: [],
-      timing: {},
-      book_details: [], // Add detailed book results
-      failed_books: [], // Track books that failed to match or auto-add
-      books_not_found: 0,
-      books_match_rejected: 0,
-      books_already_in_library: 0,
-    };
+    // Apply decisions saved through the match review queue
+    await this._loadReviewDecisions();
+
+    const result = this._createSyncResult();
+    result.outbox_replayed = outboxSummary.sent;
+    this._addReplayedWrites(result);
 
     try {
-      // Get books from Audiobookshelf
-      const absBooks = await this.audiobookshelf.getReadingProgress();
+      // Get books from Audiobookshelf (only changed ones between full syncs)
+      const since = await this._getProgressWatermark();
+      const absBooks = await this.audiobookshelf.getReadingProgress({ since });
+      const incremental =
+        this.audiobookshelf.lastProgressFetch?.incremental === true;
+      result.sync_mode = incremental ? 'incremental' : 'full';
+
+      if (incremental && (!absBooks || absBooks.length === 0)) {
+        logger.debug('No progress changes since the last sync');
+        console.log('No progress changes since the last sync.');
+        await this._saveProgressWatermark(result, false);
+        return result;
+      }
 
       if (!absBooks || absBooks.length === 0) {
         logger.debug('No books found in Audiobookshelf');
@@ -207,20 +237,23 @@ export class SyncManager {
         }
       }
 
-      // Get books from Hardcover
-      const hardcoverBooks = await this.hardcover.getUserBooks();
-      if (!hardcoverBooks || hardcoverBooks.length === 0) {
-        logger.warn('No books found in Hardcover library');
-      }
+      await this._loadHardcoverLibrary();
 
-      // Store for cross-referencing in cache logic
-      this.hardcoverBooks = hardcoverBooks;
+      if (this.globalConfig.reconstruct_dates) {
+        await this._loadSessionDates();
+      }
 
-      // Update book matcher with user library data
-      this.bookMatcher.setUserLibrary(
-        hardcoverBooks,
-        this._mapHardcoverFormatToInternal.bind(this),
-      );
+      // Pull newer Hardcover progress back into Audiobookshelf (opt-in).
+      // This runs before the push so older Audiobookshelf progress never
+      // overwrites a position read further on Hardcover; pulled books are
+      // not pushed back in the same run. Like the passes after the push
+      // other than the journal, it waits for a full sync.
+      if (this.globalConfig.two_way_sync?.enabled && !incremental) {
+        const pulledIds = await this._syncFromHardcover(booksToProcess, result);
+        booksToProcess = booksToProcess.filter(
+          absBook => !pulledIds.has(absBook.id),
+        );
+      }
 
       booksToProcess = await this._prioritizeBooksForSync(booksToProcess);
 
@@ -244,6 +277,39 @@ export class SyncManager {
         await this._syncBooksSequential(booksToProcess, result, null);
       }
 
+      // The passes below other than the journal look at books whose
+      // Audiobookshelf progress did not change, so they wait for a full sync.
+
+      // Move abandoned books out of Currently Reading (opt-in)
+      if (this.globalConfig.dnf_detection?.enabled && !incremental) {
+        await this._detectAbandonedBooks(booksToProcess, result);
+      }
+
+      // Turn listening sessions into reading journal entries (opt-in)
+      if (this.globalConfig.reading_journal?.enabled) {
+        await this._journalListeningSessions(booksToProcess, result);
+      }
+
+      // Add unstarted "to be read" books as Want to Read (opt-in)
+      if (this.globalConfig.want_to_read?.enabled && !incremental) {
+        await this._addWantToReadBooks(absBooks, result);
+      }
+
+      // Mirror opted-in collections and playlists to Hardcover lists
+      if (this._getListSyncNames().length > 0 && !incremental) {
+        await this._syncLists(result);
+      }
+
+      await this._saveProgressWatermark(
+        result,
+        !incremental,
+        booksToProcess.length < realBooks.length,
+      );
+
+      if (this._getOutbox().enabled) {
+        result.outbox_pending = await this._getOutbox().countPending();
+      }
+
       // Log final summary with book details
       const duration = (Date.now() - startTime) / 1000;
       result.timing.total = duration;
@@ -326,6 +392,211 @@ export class SyncManager {
     }
   }
 
+  /**
+   * Get the progress `lastUpdate` to sync changes from, or null when this run
+   * should look at every book (incremental sync off, forced, no watermark yet,
+   * or the periodic full sync is due)
+   * @returns {Promise<number|null>} - Watermark timestamp (ms)
+   */
+  async _getProgressWatermark() {
+    const config = this.globalConfig.incremental_sync;
+    if (!config?.enabled || this.globalConfig.force_sync) {
+      return null;
+    }
+
+    const watermark = await this.cache.getSyncWatermark(this.userId);
+    if (!watermark?.last_progress_update || !watermark.last_full_sync_at) {
+      return null;
+    }
+
+    const intervalMs = (config.full_sync_interval_hours ?? 24) * 3600 * 1000;
+    const lastFullSync = Date.parse(watermark.last_full_sync_at);
+    if (!(Date.now() - lastFullSync < intervalMs)) {
+      logger.info('Running periodic full sync', {
+        user_id: this.userId,
+        last_full_sync_at: watermark.last_full_sync_at,
+      });
+      return null;
+    }
+
+    return watermark.last_progress_update;
+  }
+
+  /**
+   * Advance the progress watermark after a sync. A run with errors, or one cut
+   * short by max_books_to_process, keeps the old watermark so the affected
+   * books are fetched again next time.
+   * @param {Object} result - Sync result
+   * @param {boolean} fullSync - Whether every book was looked at
+   * @param {boolean} limited - Whether books were left out of this run
+   */
+  async _saveProgressWatermark(result, fullSync, limited = false) {
+    const latestUpdate = this.audiobookshelf.lastProgressFetch?.latestUpdate;
+    if (
+      this.dryRun ||
+      !this.globalConfig.incremental_sync?.enabled ||
+      !latestUpdate
+    ) {
+      return;
+    }
+
+    const complete = result.errors.length === 0 && !limited;
+    if (!complete && !fullSync) {
+      return;
+    }
+
+    try {
+      await this.cache.saveSyncWatermark(this.userId, {
+        lastProgressUpdate: complete ? latestUpdate : null,
+        lastFullSyncAt: fullSync ? new Date().toISOString() : null,
+      });
+    } catch (error) {
+      logger.warn('Could not save the incremental sync watermark', {
+        user_id: this.userId,
+        error: error.message,
+      });
+    }
+  }
+
+  _createSyncResult() {
+    return {
+      books_processed: 0,
+      books_synced: 0,
+      books_completed: 0,
+      books_auto_added: 0,
+      books_skipped: 0,
+      books_delayed: 0,
+      expired_sessions_processed: 0,
+      errors: [],
+      timing: {},
+      book_details: [], // Add detailed book results
+      failed_books: [], // Track books that failed to match or auto-add
+      books_not_found: 0,
+      books_match_rejected: 0,
+      books_already_in_library: 0,
+      books_pulled_from_hardcover: 0,
+      books_abandoned: 0,
+      books_resumed: 0,
+      journal_entries_created: 0,
+      books_want_to_read: 0,
+      lists_created: 0,
+      list_entries_added: 0,
+      list_entries_removed: 0,
+      outbox_replayed: 0,
+      outbox_pending: 0,
+    };
+  }
+
+  /**
+   * Journal later Hardcover changes under a new run key, for long-lived
+   * managers that record each piece of work as a run of its own (`listen`)
+   * @returns {string} - The new run key
+   */
+  startRun() {
+    this.runKey = randomUUID();
+    return this.runKey;
+  }
+
+  /**
+   * Sync a single library item after an Audiobookshelf progress event instead
+   * of scanning the whole library. The update still goes through the
+   * session-based delay decision in `_syncSingleBook`.
+   * @param {Object} mediaProgress - Progress from a `user_item_progress_updated` event
+   * @returns {Promise<Object|null>} - Sync result, or null when the item is not synced
+   */
+  async syncItemProgress(mediaProgress) {
+    const itemId = mediaProgress.libraryItemId;
+    if (mediaProgress.episodeId) {
+      logger.debug(`Ignoring podcast episode progress for ${itemId}`);
+      return null;
+    }
+
+    const absBook = await this.audiobookshelf.getLibraryItem(
+      itemId,
+      mediaProgress,
+    );
+    if (!absBook) {
+      logger.debug(`Library item ${itemId} is no longer available`);
+      return null;
+    }
+
+    if (!this._allowedLibraryIds) {
+      const { libraries } = this.audiobookshelf.filterLibraries(
+        await this.audiobookshelf.getLibraries(),
+      );
+      this._allowedLibraryIds = new Set(libraries.map(library => library.id));
+    }
+    if (absBook.libraryId && !this._allowedLibraryIds.has(absBook.libraryId)) {
+      logger.debug(`Ignoring progress from excluded library for ${itemId}`);
+      return null;
+    }
+
+    if (
+      !this.hardcoverBooks ||
+      Date.now() - (this._hardcoverLibraryLoadedAt || 0) >
+        EVENT_LIBRARY_MAX_AGE_MS
+    ) {
+      await this._loadHardcoverLibrary();
+      this._hardcoverLibraryLoadedAt = Date.now();
+    }
+
+    const result = this._createSyncResult();
+    try {
+      const syncResult = await this._syncBookCapturingErrors(
+        absBook,
+        null,
+        result,
+      );
+      this._updateResult(result, syncResult);
+    } catch (error) {
+      logger.error('Single item sync failed', {
+        itemId,
+        error: error.message,
+        user_id: this.userId,
+      });
+      result.errors.push(error.message);
+    }
+    return result;
+  }
+
+  /**
+   * Put a book just added on Hardcover into the loaded library, so later
+   * lookups in the same process find it instead of adding it again
+   * @param {number} userBookId - New user book ID
+   * @param {Object} book - Hardcover book
+   * @param {Object} edition - Edition the book was added with
+   * @param {number} statusId - Status the book was added with
+   * @private
+   */
+  _rememberAddedUserBook(userBookId, book, edition, statusId) {
+    if (
+      !Array.isArray(this.hardcoverBooks) ||
+      !userBookId ||
+      !book?.id ||
+      this.hardcoverBooks.some(userBook => userBook.id === userBookId)
+    ) {
+      return;
+    }
+
+    const { book: _book, ...addedEdition } = edition || {};
+    const editions = book.editions || [];
+    const hasEdition =
+      !addedEdition.id ||
+      editions.some(known => String(known.id) === String(addedEdition.id));
+    this.hardcoverBooks.push({
+      id: userBookId,
+      status_id: statusId,
+      book: {
+        ...book,
+        editions: hasEdition ? editions : [...editions, addedEdition],
+      },
+    });
+    this.bookMatcher?.setUserLibrary(
+      this.hardcoverBooks,
+      this._mapHardcoverFormatToInternal.bind(this),
+    );
+  }
+
   /**
    * Find a user book in the current Hardcover library that contains the given edition ID
    * @param {number} editionId - Edition ID to search for
@@ -412,6 +683,202 @@ export class SyncManager {
     return absBook?.last_listened_at ?? absBook?.lastUpdate ?? null;
   }
 
+  /**
+   * Fetch the user's Hardcover library and hand it to the book matcher
+   * @returns {Promise<Array>} - Hardcover user books
+   */
+  async _loadHardcoverLibrary() {
+    const hardcoverBooks = this.globalConfig.hardcover_library_cache?.enabled
+      ? await this._fetchHardcoverLibraryChanges()
+      : await this.hardcover.getUserBooks();
+    if (!hardcoverBooks || hardcoverBooks.length === 0) {
+      logger.warn('No books found in Hardcover library');
+    }
+
+    // Store for cross-referencing in cache logic
+    this.hardcoverBooks = hardcoverBooks;
+
+    // Update book matcher with user library data
+    this.bookMatcher.setUserLibrary(
+      hardcoverBooks,
+      this._mapHardcoverFormatToInternal.bind(this),
+    );
+
+    return hardcoverBooks;
+  }
+
+  /**
+   * Bring the stored Hardcover library up to date by fetching only the user
+   * books updated since the last run. The whole library is fetched instead
+   * when there is no usable snapshot or its scheduled refresh is due.
+   * @returns {Promise<Array>} - User books as returned by getUserBooks()
+   */
+  async _fetchHardcoverLibraryChanges() {
+    const state = await this.cache.getHardcoverLibraryState(this.userId);
+    const me = await this.hardcover.getCurrentUser();
+    const accountId = (Array.isArray(me) ? me[0] : me)?.id ?? null;
+    const refreshReason = this._getLibraryRefreshReason(state, accountId);
+
+    if (refreshReason) {
+      logger.debug('Fetching the full Hardcover library', {
+        user_id: this.userId,
+        reason: refreshReason,
+      });
+      const userBooks = await this.hardcover.getUserBooks();
+      await this._storeHardcoverLibrary(userBooks, true, accountId);
+      return userBooks;
+    }
+
+    const changed = await this.hardcover.getUserBooks({
+      updatedSince: state.last_updated_at,
+    });
+    logger.debug('Fetched Hardcover library changes', {
+      user_id: this.userId,
+      since: state.last_updated_at,
+      changed: changed.length,
+    });
+    if (changed.length === 0) {
+      return await this.cache.getHardcoverLibrary(this.userId);
+    }
+    if (!(await this._storeHardcoverLibrary(changed, false, accountId))) {
+      // The snapshot is now behind, so don't build the library from it
+      return await this.hardcover.getUserBooks();
+    }
+    return await this.cache.getHardcoverLibrary(this.userId);
+  }
+
+  _getLibraryRefreshReason(state, accountId) {
+    const config = this.globalConfig.hardcover_library_cache;
+    if (!state) return 'no stored library';
+    if (this.globalConfig.force_sync) return 'forced sync';
+    if (state.schema_version !== HardcoverClient.USER_BOOKS_SCHEMA_VERSION) {
+      return 'stored library uses an older format';
+    }
+    if (accountId === null || state.account_id !== accountId) {
+      return 'Hardcover account could not be confirmed';
+    }
+    if (!state.last_updated_at) return 'stored library is empty';
+
+    const intervalMs = (config.full_refresh_hours ?? 24) * 3600 * 1000;
+    if (!(Date.now() - Date.parse(state.last_full_refresh_at) < intervalMs)) {
+      return 'scheduled full refresh';
+    }
+    return null;
+  }
+
+  async _storeHardcoverLibrary(userBooks, fullRefresh, accountId) {
+    const lastUpdatedAt = userBooks.reduce(
+      (latest, userBook) =>
+        userBook.updated_at &&
+        (!latest || Date.parse(userBook.updated_at) > Date.parse(latest))
+          ? userBook.updated_at
+          : latest,
+      null,
+    );
+
+    try {
+      await this.cache.saveHardcoverLibrary(this.userId, userBooks, {
+        fullRefresh,
+        accountId,
+        schemaVersion: HardcoverClient.USER_BOOKS_SCHEMA_VERSION,
+        lastUpdatedAt,
+      });
+      return true;
+    } catch (error) {
+      logger.warn('Could not store the Hardcover library', {
+        user_id: this.userId,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Load the listening session history used to reconstruct reading dates
+   * Sync carries on with the progress record dates if this fails.
+   * @returns {Promise<DateReconstructor|null>} - Loaded reconstructor or null
+   */
+  async _loadSessionDates() {
+    try {
+      const reconstructor = new DateReconstructor(this.audiobookshelf);
+      await reconstructor.load();
+      this.dateReconstructor = reconstructor;
+    } catch (error) {
+      logger.warn('Could not load listening sessions for reading dates', {
+        user_id: this.userId,
+        error: error.message,
+      });
+      this.dateReconstructor = null;
+    }
+    return this.dateReconstructor;
+  }
+
+  /**
+   * Replace the progress record's started/finished dates with the ones
+   * reconstructed from listening sessions, when there are any
+   * @param {Object} absBook - Audiobookshelf book (dates still in milliseconds)
+   * @param {string} title - Book title (for logging)
+   */
+  _applySessionDates(absBook, title) {
+    const dates = this.dateReconstructor?.getDates(absBook);
+    if (!dates) {
+      return;
+    }
+
+    logger.debug(`Using session dates for ${title}`, {
+      startedAt: dates.startedAt,
+      finishedAt: dates.finishedAt,
+      progressStartedAt: absBook.started_at,
+      progressFinishedAt: absBook.finished_at,
+      sessions: dates.sessions,
+    });
+    absBook.started_at = dates.startedAt;
+    if (dates.finishedAt) {
+      absBook.finished_at = dates.finishedAt;
+    }
+  }
+
+  /**
+   * Merge match review decisions into the match overrides for this user
+   * Configured overrides keep precedence over review decisions.
+   */
+  async _loadReviewDecisions() {
+    if (!this.matchOverrides) {
+      return;
+    }
+
+    try {
+      const entries = await this.cache.getMatchReviewOverrides(this.userId);
+      const added = this.matchOverrides.addEntries(entries);
+      if (added > 0) {
+        logger.debug(`Loaded ${added} match review decisions`, {
+          user_id: this.userId,
+        });
+      }
+    } catch (error) {
+      logger.debug(`Unable to load match review decisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a cached edition agrees with the book's match override
+   * A cached match that points elsewhere must not short-circuit matching,
+   * otherwise a newly added override would never take effect.
+   * @param {Object|null} override - Match override for the book
+   * @param {number|string} editionId - Cached edition ID
+   * @returns {boolean} - True when the cached match can be reused
+   */
+  _cachedMatchHonorsOverride(override, editionId) {
+    if (!override || override.skip) {
+      return true;
+    }
+    if (override.edition_id) {
+      return String(editionId) === String(override.edition_id);
+    }
+    const userBook = this._findUserBookByEditionId(editionId);
+    return String(userBook?.book?.id) === String(override.book_id);
+  }
+
   _getSearchResultBookId(hardcoverMatch) {
     return (
       hardcoverMatch?.userBook?.book?.id ||
@@ -1131,7 +1598,7 @@ export class SyncManager {
     const promises = booksToProcess.map(book =>
       this.taskQueue.enqueue(
         async () => {
-          const syncResult = await this._syncSingleBook(
+          const syncResult = await this._syncBookCapturingErrors(
             book,
             sessionData,
             result,
@@ -1164,11 +1631,45 @@ export class SyncManager {
         );
       }
 
-      const syncResult = await this._syncSingleBook(book, sessionData, result);
+      const syncResult = await this._syncBookCapturingErrors(
+        book,
+        sessionData,
+        result,
+      );
       this._updateResult(result, syncResult);
     }
   }
 
+  /**
+   * Sync one book and attach the Hardcover request errors it ran into to its
+   * result. Client methods log failures and return false, which would leave
+   * only a generic reason; with batching several books share one request, so
+   * errors are collected per book rather than read off the client.
+   * @param {Object} absBook - Audiobookshelf book
+   * @param {Object} sessionData - Session data
+   * @param {Object} result - Sync result
+   * @returns {Promise<Object>} - Book sync result
+   * @private
+   */
+  async _syncBookCapturingErrors(absBook, sessionData, result) {
+    const { result: syncResult, errors } = await captureRequestErrors(() =>
+      this._syncSingleBook(absBook, sessionData, result),
+    );
+    if (syncResult?.status !== 'error' || errors.length === 0) {
+      return syncResult;
+    }
+
+    const messages = [...new Set(errors.map(error => error.message))];
+    syncResult.errors = [...(syncResult.errors || []), ...messages];
+    const lastMessage = messages.at(-1);
+    if (!syncResult.reason?.includes(lastMessage)) {
+      syncResult.reason = syncResult.reason
+        ? `${syncResult.reason} (${lastMessage})`
+        : lastMessage;
+    }
+    return syncResult;
+  }
+
   _chunkArray(array, size) {
     const chunks = [];
     for (let i = 0; i < array.length; i += size) {
@@ -1230,6 +1731,33 @@ export class SyncManager {
       };
     }
 
+    // Manual match overrides: "never sync" wins before any cache or matching work
+    const matchOverride = this.matchOverrides
+      ? this.matchOverrides.find(
+          { absId: absBook.id, identifiers, title, author },
+          this.userId,
+        )
+      : null;
+    if (matchOverride?.skip) {
+      logger.debug(`Skipping ${title}: marked as never sync by match override`);
+      return {
+        title,
+        author,
+        status: 'skipped',
+        reason: 'Never sync (match override)',
+        progress_before: thresholdProgress,
+        progress_after: thresholdProgress,
+        progress_changed: false,
+        identifiers,
+        cache_found: false,
+        hardcover_status: 'not-checked',
+        abs_id: absBook.id,
+        timing: performance.now() - startTime,
+        actions: ['Skipped by match override (never sync)'],
+        errors: [],
+      };
+    }
+
     // OPTIMIZATION: Check progress change BEFORE expensive book matching using multi-key cache lookup
     let shouldPerformExpensiveMatching = true;
     let requiresProgressRepair = false;
@@ -1247,13 +1775,16 @@ export class SyncManager {
       );
 
       if (validatedProgress !== null) {
-        const skipEntry = await this._getFreshNegativeSyncSkip(
-          absBook,
-          title,
-          author,
-          identifiers,
-          validatedProgress,
-        );
+        // A pinned override means a previous "no match" skip no longer applies
+        const skipEntry = matchOverride
+          ? null
+          : await this._getFreshNegativeSyncSkip(
+              absBook,
+              title,
+              author,
+              identifiers,
+              validatedProgress,
+            );
 
         if (skipEntry) {
           return this._createNegativeSkipResult(
@@ -1312,7 +1843,15 @@ export class SyncManager {
               type,
             );
 
-            if (cachedInfo && cachedInfo.exists && cachedInfo.edition_id) {
+            if (
+              cachedInfo &&
+              cachedInfo.exists &&
+              cachedInfo.edition_id &&
+              this._cachedMatchHonorsOverride(
+                matchOverride,
+                cachedInfo.edition_id,
+              )
+            ) {
               // Store cached match info for potential reuse
               cachedMatchInfo = {
                 identifier: key,
@@ -1444,7 +1983,11 @@ export class SyncManager {
               if (
                 titleAuthorCached &&
                 titleAuthorCached.exists &&
-                titleAuthorCached.edition_id
+                titleAuthorCached.edition_id &&
+                this._cachedMatchHonorsOverride(
+                  matchOverride,
+                  titleAuthorCached.edition_id,
+                )
               ) {
                 bestCacheMatch = titleAuthorCached;
                 bestCachePattern = pattern;
@@ -1645,6 +2188,7 @@ export class SyncManager {
 
     // Initialize detailed result tracking
     const syncResult = {
+      abs_id: absBook.id,
       title: title,
       author: author,
       status: 'unknown',
@@ -1716,6 +2260,8 @@ export class SyncManager {
       );
     }
 
+    this._applySessionDates(absBook, title);
+
     // Convert startedAt from media progress to configured timezone
     if (absBook.started_at) {
       const startedAtUTC = DateTime.fromMillis(absBook.started_at, {
@@ -1907,7 +2453,17 @@ export class SyncManager {
       // Use the match type provided by BookMatcher strategies
       matchedIdentifierType = hardcoverMatch._matchType || 'unknown';
 
-      if (
+      if (hardcoverMatch._override) {
+        // Pinned by a manual match override
+        logger.debug(`Using match override for ${title}`, {
+          bookId: hardcoverMatch._override.book_id,
+          editionId: hardcoverMatch.edition?.id,
+        });
+        syncResult.actions.push(
+          `Pinned by match override to edition ${hardcoverMatch.edition?.id ?? 'unknown'}`,
+        );
+        syncResult.matching_method = 'override';
+      } else if (
         hardcoverMatch._matchType === 'title_author' ||
         hardcoverMatch._isSearchResult
       ) {
@@ -2030,13 +2586,17 @@ export class SyncManager {
           ? 'asin'
           : hardcoverMatch._matchType === 'isbn_search_result'
             ? 'isbn'
-            : 'title_author';
+            : hardcoverMatch._matchType === 'override_search_result'
+              ? 'override'
+              : 'title_author';
       const matchDescription =
         matchType === 'asin'
           ? 'ASIN match'
           : matchType === 'isbn'
             ? 'ISBN match'
-            : 'title/author match';
+            : matchType === 'override'
+              ? 'Match override'
+              : 'title/author match';
 
       if (!this.globalConfig.auto_add_books) {
         syncResult.actions.push(
@@ -2219,14 +2779,31 @@ export class SyncManager {
             title: title,
           });
 
-          const addResult = await this.hardcover.addBookToLibrary(
-            bookId,
-            2,
-            editionId,
+          const addResult = await this._sendToHardcover(
+            'add',
+            [bookId, 2, editionId],
+            { target: `book:${bookId}`, title },
           );
 
           if (addResult && addResult.id) {
             syncResult.actions.push(`Added matched book to Hardcover library`);
+            this._rememberAddedUserBook(
+              addResult.id,
+              editionResolution.book,
+              editionResolution.edition,
+              2,
+            );
+            await this._journalChange({
+              absId: absBook.id,
+              title,
+              identifier,
+              identifierType,
+              changeType: 'add_book',
+              userBookId: addResult.id,
+              bookId,
+              editionId,
+              newStatusId: 2,
+            });
 
             // Update the match object to look like a regular library match
             // For ASIN/ISBN matches, userBook is null, so we need to create it
@@ -2982,10 +3559,13 @@ export class SyncManager {
         editionId: editionId,
       });
 
-      const addResult = await this.hardcover.addBookToLibrary(
-        bookId,
-        2,
-        editionId,
+      const addResult = await this._sendToHardcover(
+        'add',
+        [bookId, 2, editionId],
+        {
+          target: `book:${bookId}`,
+          title,
+        },
       );
 
       if (addResult) {
@@ -2999,14 +3579,32 @@ export class SyncManager {
         const identifierType = identifiers.asin ? 'asin' : 'isbn';
         // Use author from metadata (already extracted)
 
+        const changeId = await this._journalChange({
+          absId: absBook.id,
+          title,
+          identifier,
+          identifierType,
+          changeType: 'add_book',
+          userBookId: addResult.id,
+          bookId,
+          editionId,
+          newStatusId: 2,
+        });
+
         // Add API rollback callback
         const _apiRollbackNeeded = true;
         transaction.add(async () => {
           logger.info(`Rolling back auto-add for ${title}`);
-          // Note: Hardcover doesn't have a remove from library API, so we log the issue
-          logger.warn(
-            `Manual cleanup needed: Remove ${title} from Hardcover library`,
+          const removed = await this.hardcover.removeBookFromLibrary(
+            addResult.id,
           );
+          if (removed && changeId) {
+            await this.cache.markSyncChangeUndone(changeId);
+          } else if (!removed) {
+            logger.warn(
+              `Manual cleanup needed: Remove ${title} from Hardcover library`,
+            );
+          }
         });
 
         try {
@@ -3106,6 +3704,7 @@ export class SyncManager {
           }
 
           await transaction.commit();
+          this._rememberAddedUserBook(addResult.id, edition.book, edition, 2);
           return { status: 'auto_added', title, userBookId: addResult.id };
         } catch (cacheError) {
           // Cache transaction failed, rollback API changes
@@ -3291,7 +3890,23 @@ export class SyncManager {
           },
         );
 
-        if (regressionAnalysis.shouldBlock) {
+        // A finished book restarted in Audiobookshelf is a re-read rather than
+        // a regression: it gets a new read and the completed one is kept
+        const isReread =
+          !!progressInfo?.latest_read?.finished_at &&
+          !ProgressManager.extractFinishedFlag(absBook) &&
+          progressPercent <
+            (this.globalConfig.reread_detection?.high_progress_threshold || 85);
+
+        if (isReread) {
+          logger.info(
+            `Re-read detected for ${title}: starting a new read at ${progressPercent.toFixed(1)}%`,
+            {
+              userBookId: userBook.id,
+              previousFinishedAt: progressInfo.latest_read.finished_at,
+            },
+          );
+        } else if (regressionAnalysis.shouldBlock) {
           logger.warn(
             `Blocking progress regression for ${title}: ${regressionAnalysis.reason}`,
           );
@@ -3300,9 +3915,7 @@ export class SyncManager {
             reason: `Progress regression protection: ${regressionAnalysis.reason}`,
             title,
           };
-        }
-
-        if (regressionAnalysis.shouldWarn) {
+        } else if (regressionAnalysis.shouldWarn) {
           logger.warn(
             `Progress regression detected for ${title}: ${regressionAnalysis.reason}`,
           );
@@ -3326,6 +3939,7 @@ export class SyncManager {
         });
 
         // Check if book was already marked as completed in cache to avoid re-processing
+        // (a re-read clears the cached completion when it starts)
         const identifier = extractBookIdentifiers(absBook);
         const identifierType = identifier.asin ? 'asin' : 'isbn';
         const identifierValue = identifier.asin || identifier.isbn;
@@ -3575,13 +4189,10 @@ export class SyncManager {
       const transaction = new Transaction(`complete: ${title}`);
       const _apiSuccess = false;
 
-      const success = await this.hardcover.markBookCompleted(
-        userBookId,
-        edition.id,
-        totalValue,
-        useSeconds,
-        finishedAt,
-        startedAt,
+      const success = await this._sendToHardcover(
+        'complete',
+        [userBookId, edition.id, totalValue, useSeconds, finishedAt, startedAt],
+        { target: `user_book:${userBookId}`, title },
       );
 
       if (success) {
@@ -3591,13 +4202,19 @@ export class SyncManager {
           useSeconds: useSeconds,
         });
         const _apiSuccess = true;
+        // Status and read the client saw before completing, for undo
+        const priorState = success._priorState || null;
 
         // Add API rollback callback
         transaction.add(async () => {
           logger.info(`Rolling back completion status for ${title}`);
           // Try to revert the completion (this may not always be possible)
           try {
-            await this.hardcover.updateBookStatus(userBookId, 2); // Set back to "reading"
+            // Restore the previous status, falling back to "reading"
+            await this.hardcover.updateBookStatus(
+              userBookId,
+              priorState?.status_id || 2,
+            );
           } catch (rollbackError) {
             logger.error(`Failed to rollback completion for ${title}`, {
               error: rollbackError.message,
@@ -3639,6 +4256,19 @@ export class SyncManager {
           identifierType = 'title_author';
         }
 
+        await this._journalChange({
+          absId: absBook.id,
+          title,
+          identifier: identifierValue,
+          identifierType,
+          changeType: 'complete',
+          userBookId,
+          editionId: edition.id,
+          priorState,
+          newReadId: success.id,
+          newStatusId: 3,
+        });
+
         try {
           logger.debug(`Caching completion data for ${title}`, {
             identifier: identifierValue,
@@ -3659,6 +4289,23 @@ export class SyncManager {
             extractAuthor(absBook) || 'Unknown Author',
           );
 
+          // Only count reads this completion actually finished, so
+          // re-processing an already completed read doesn't count it twice
+          const priorRead = priorState?.read;
+          if (
+            !priorRead ||
+            !priorRead.finished_at ||
+            priorRead.id !== success.id
+          ) {
+            const readCount = await this.cache.recordCompletedRead(
+              this.userId,
+              identifierValue,
+              title,
+              identifierType,
+            );
+            logger.debug(`${title} has been read ${readCount} time(s)`);
+          }
+
           await transaction.commit();
           return { status: 'completed', title };
         } catch (cacheError) {
@@ -3795,14 +4442,18 @@ export class SyncManager {
         `Updating progress for edition ${edition.id} with format: ${edition.reading_format?.format}`,
       );
 
-      const result = await this.hardcover.updateReadingProgress(
-        userBookId,
-        currentProgress,
-        progressPercent,
-        edition.id,
-        useSeconds,
-        this._formatDateForHardcover(absBook.started_at), // Use formatted date instead of raw value
-        this.globalConfig.reread_detection, // Pass reread configuration
+      const result = await this._sendToHardcover(
+        'progress',
+        [
+          userBookId,
+          currentProgress,
+          progressPercent,
+          edition.id,
+          useSeconds,
+          this._formatDateForHardcover(absBook.started_at), // Use formatted date instead of raw value
+          this.globalConfig.reread_detection, // Pass reread configuration
+        ],
+        { target: `user_book:${userBookId}`, title },
       );
 
       if (result && result.id) {
@@ -3815,6 +4466,19 @@ export class SyncManager {
           resultId: result.id,
         });
 
+        await this._journalChange({
+          absId: absBook.id,
+          title,
+          identifier: identifierValue,
+          identifierType,
+          changeType: 'progress',
+          userBookId,
+          editionId: edition.id,
+          priorState: result._priorState || null,
+          newReadId: result.id,
+          newStatusId: result._statusInfo?.currentStatusId || null,
+        });
+
         // Add API rollback callback
         transaction.add(async () => {
           logger.info(`Rolling back progress update for ${title}`);
@@ -3884,6 +4548,18 @@ export class SyncManager {
             edition.id, // Pass edition_id for cache comparison
           );
 
+          if (result._statusInfo?.startedReread) {
+            const readCount = await this.cache.startReread(
+              this.userId,
+              identifierValue,
+              title,
+              identifierType,
+            );
+            logger.info(
+              `Started re-read of ${title} (read ${readCount} time(s) before)`,
+            );
+          }
+
           await transaction.commit();
           return { status: 'synced', title };
         } catch (cacheError) {
@@ -3913,11 +4589,107 @@ export class SyncManager {
     }
   }
 
+  /**
+   * Outbox that queues Hardcover writes failing during an outage for a later sync
+   * @returns {HardcoverOutbox}
+   * @private
+   */
+  _getOutbox() {
+    this.outbox ||= new HardcoverOutbox({
+      cache: this.cache,
+      hardcover: this.hardcover,
+      userId: this.userId,
+      config: this.globalConfig?.hardcover_outbox || {},
+      dryRun: this.dryRun,
+      onReplay: (entry, result, priorState) =>
+        this._journalReplayedWrite(entry, result, priorState),
+    });
+    return this.outbox;
+  }
+
+  /**
+   * Journal a write the outbox replayed, under the current run
+   * @param {Object} entry - Outbox entry that was sent
+   * @param {Object} result - Result of the HardcoverClient method
+   * @param {Object|null} priorState - Hardcover state from just before the replay
+   * @private
+   */
+  async _journalReplayedWrite(entry, result, priorState) {
+    const change = replayedChange(entry, result, priorState);
+    await this._journalChange(change);
+    // The sync pass gets this result back from the outbox when it makes the
+    // same write again and must not journal the change a second time
+    (this._replayedChanges ||= new Set()).add(this._changeKey(change));
+    (this._replayedWrites ||= []).push(entry);
+  }
+
+  /**
+   * Add the writes replayed at the start of this run to its book details
+   * @param {Object} result - Sync result object to update
+   * @private
+   */
+  _addReplayedWrites(result) {
+    for (const entry of this._replayedWrites || []) {
+      this._updateResult(result, {
+        title: entry.title || entry.target,
+        status: 'synced',
+        reason: 'Replayed from the Hardcover outbox',
+        actions: [`Sent queued ${entry.operation} write #${entry.id}`],
+      });
+    }
+    this._replayedWrites = [];
+  }
+
+  _changeKey(change) {
+    return [change.changeType, change.userBookId, change.newReadId ?? ''].join(
+      ':',
+    );
+  }
+
+  /**
+   * Send a Hardcover write through the outbox
+   * @param {string} operation - Outbox operation (progress, complete, status, add, read_dates)
+   * @param {Array} args - Arguments of the HardcoverClient method
+   * @param {Object} details - { target, title }
+   * @returns {Promise<*>} - Result of the HardcoverClient method
+   * @throws {OutboxQueuedError} - When the write was queued for a later sync
+   * @private
+   */
+  _sendToHardcover(operation, args, details) {
+    return this._getOutbox().send(operation, args, details);
+  }
+
+  /**
+   * Journal a Hardcover change so `undo --run` can revert it
+   * Journaling never fails the sync; a missing entry only limits undo.
+   * @returns {Promise<number|null>} - Journal entry ID
+   * @private
+   */
+  async _journalChange(change) {
+    if (this._replayedChanges?.delete(this._changeKey(change))) {
+      return null;
+    }
+    try {
+      return await this.cache.recordSyncChange({
+        runKey: this.runKey,
+        userId: this.userId,
+        ...change,
+      });
+    } catch (error) {
+      logger.warn(`Could not journal Hardcover change for ${change.title}`, {
+        changeType: change.changeType,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   _updateResult(result, syncResult) {
     result.books_processed++;
 
     // Create detailed book info for verbose output
     const bookDetail = {
+      abs_id: syncResult.abs_id || null,
       title: syncResult.title || 'Unknown Title',
       author: syncResult.author || null,
       status: syncResult.status,
@@ -3950,6 +4722,10 @@ export class SyncManager {
     };
 
     result.book_details.push(bookDetail);
+    appMetrics.books.inc({
+      user: this.userId,
+      status: syncResult.status || 'unknown',
+    });
 
     switch (syncResult.status) {
       case 'synced':
@@ -4122,133 +4898,1289 @@ export class SyncManager {
   }
 
   /**
-   * Process expired sessions by syncing their final progress to Hardcover
-   * This runs at the beginning of each sync cycle
+   * Pull progress that is newer on Hardcover back into Audiobookshelf.
+   * Candidates are the books of the user's Hardcover library that have a
+   * read, so books started or advanced only on Hardcover (paper, ebook) are
+   * found too. Each is matched to an Audiobookshelf item with progress, or
+   * else to any item of the synced libraries, by cached match or identifier.
+   * @param {Array} absBooks - Audiobookshelf books with progress in this run
+   * @param {Object} result - Sync result object to update
+   * @returns {Promise<Set<string>>} - IDs of the Audiobookshelf items pulled
    * @private
    */
-  async _processExpiredSessions() {
-    try {
-      const processingResult = await this.sessionManager.processExpiredSessions(
-        this.userId,
-        async sessionData => {
-          // Callback to sync expired session progress to Hardcover
-          logger.info(`Processing expired session for ${sessionData.title}`, {
-            finalProgress: sessionData.finalProgress,
-            identifier: sessionData.identifier,
-            identifierType: sessionData.identifierType,
-          });
-
-          // Create a mock book object for the sync process
-          const mockBook = {
-            id: `expired-session-${sessionData.identifier}`,
-            progress_percentage: sessionData.finalProgress,
-            is_finished: sessionData.finalProgress >= 95,
-            last_listened_at: sessionData.sessionData.session_last_change,
-            started_at:
-              sessionData.sessionData.started_at ||
-              sessionData.sessionData.session_last_change,
-          };
-
-          // Find the book match using the stored identifier
-          const identifiers = {};
-          identifiers[sessionData.identifierType] = sessionData.identifier;
-
-          // Try to find existing Hardcover match using stored identifier
-          // For expired sessions, we should use a direct lookup since we have the exact identifier
-          let matchResult = null;
+  async _syncFromHardcover(absBooks, result) {
+    const twoWayConfig = this.globalConfig.two_way_sync || {};
+    const pulledIds = new Set();
 
-          try {
-            // Create a minimal book object for matching
-            const sessionBook = {
-              id: mockBook.id,
-              media: {
-                metadata: {
-                  title: sessionData.title,
-                  authors: [{ name: 'Session Author' }], // We may not have author stored
-                  ...identifiers, // Add the stored identifier (isbn, asin, or title_author key)
-                },
-              },
-            };
+    let reads;
+    try {
+      reads = await this.hardcover.getLatestReads();
+    } catch (error) {
+      logger.error('Could not fetch Hardcover reads for two-way sync', {
+        error: error.message,
+      });
+      result.errors.push(`Two-way sync failed - ${error.message}`);
+      return pulledIds;
+    }
 
-            // Use the standard findMatch flow but skip expensive operations if we have cached data
-            matchResult = await this.bookMatcher.findMatch(
-              sessionBook,
-              this.userId,
-            );
-          } catch (sessionMatchError) {
-            logger.warn(
-              `Session matching failed for ${sessionData.title}: ${sessionMatchError.message}`,
-            );
-            matchResult = null;
-          }
+    logger.debug(
+      `Checking Hardcover for newer progress (user ${this.userId})`,
+      {
+        candidates: reads.length,
+        strategy: twoWayConfig.conflict_strategy || 'newest',
+      },
+    );
+    if (reads.length === 0) {
+      return pulledIds;
+    }
 
-          if (matchResult && matchResult.match) {
-            // Sync directly to Hardcover using the existing match
-            await this._syncToHardcover(
-              mockBook,
-              matchResult.match,
-              sessionData.identifier,
-              sessionData.title,
-              sessionData.finalProgress,
-              sessionData.identifierType,
-            );
+    const matched = await this._matchAbsItemsToUserBooks(absBooks);
+    // Books without Audiobookshelf progress are looked up in the whole
+    // library, which is only listed when some read is still unmatched
+    if (reads.some(read => !matched.has(read.user_book.id))) {
+      const libraryItems = await this.audiobookshelf.getAllLibraryItems();
+      for (const [userBookId, absBook] of await this._matchAbsItemsToUserBooks(
+        libraryItems,
+      )) {
+        if (!matched.has(userBookId)) {
+          matched.set(userBookId, absBook);
+        }
+      }
+    }
 
-            logger.info(
-              `Successfully synced expired session for ${sessionData.title}`,
-            );
-          } else {
-            logger.warn(
-              `Could not find Hardcover match for expired session: ${sessionData.title}`,
-            );
-          }
-        },
-      );
+    for (const progressInfo of reads) {
+      const absBook = matched.get(progressInfo.user_book.id);
+      if (!absBook || pulledIds.has(absBook.id)) {
+        continue;
+      }
+      const title = extractTitle(absBook) || 'Unknown Title';
 
-      if (processingResult.processed > 0) {
-        console.log(
-          `📋 Processed ${processingResult.processed} expired sessions`,
+      try {
+        const pulled = await this._pullHardcoverProgress(
+          absBook,
+          title,
+          progressInfo,
+          twoWayConfig,
         );
-        logger.info(`Processed expired sessions`, processingResult);
+        if (pulled) {
+          result.books_pulled_from_hardcover++;
+          pulledIds.add(absBook.id);
+        }
+      } catch (error) {
+        logger.error(`Error pulling Hardcover progress for ${title}`, {
+          error: error.message,
+          stack: error.stack,
+        });
+        result.errors.push(`${title}: two-way sync failed - ${error.message}`);
       }
+    }
+    return pulledIds;
+  }
 
-      return processingResult;
-    } catch (err) {
-      logger.error(`Error processing expired sessions: ${err.message}`);
-      return { processed: 0, errors: 1 };
+  /**
+   * Map Hardcover user book IDs to Audiobookshelf items: by cached match
+   * first, then by ASIN or ISBN against the loaded Hardcover library
+   * @param {Array} absItems - Audiobookshelf items
+   * @returns {Promise<Map>} - User book ID to Audiobookshelf item
+   * @private
+   */
+  async _matchAbsItemsToUserBooks(absItems) {
+    const identifierLookup = createIdentifierLookup(this.hardcoverBooks || []);
+    const matched = new Map();
+
+    for (const absBook of absItems) {
+      const title = extractTitle(absBook) || 'Unknown Title';
+      const author = extractAuthor(absBook) || 'Unknown Author';
+      let userBook = await this._findCachedUserBook(absBook, title, author);
+      if (!userBook) {
+        const { asin, isbn } = extractBookIdentifiers(absBook);
+        const key = [asin, ...(isbn ? getIsbnVariants(isbn) : [])].find(
+          identifier => identifier && identifierLookup[identifier],
+        );
+        userBook = key ? identifierLookup[key].userBook : null;
+      }
+      if (userBook && !matched.has(userBook.id)) {
+        matched.set(userBook.id, absBook);
+      }
     }
+    return matched;
   }
 
   /**
-   * Sync progress directly to Hardcover (used for expired sessions)
+   * Compare a single book against its latest Hardcover read and update
+   * Audiobookshelf when Hardcover wins the conflict resolution
+   * @param {Object} absBook - Audiobookshelf book
+   * @param {string} title - Book title
+   * @param {Object} progressInfo - { latest_read, user_book } from getLatestReads()
+   * @param {Object} twoWayConfig - two_way_sync configuration
+   * @returns {Promise<Object|null>} - Summary of the pulled progress, or null
    * @private
    */
-  async _syncToHardcover(
-    mockBook,
-    hardcoverMatch,
-    identifier,
-    title,
-    progressPercent,
-    identifierType,
-  ) {
-    try {
-      let result = null;
+  async _pullHardcoverProgress(absBook, title, progressInfo, twoWayConfig) {
+    const latestRead = progressInfo?.latest_read;
+    if (!latestRead) {
+      return null;
+    }
 
-      if (!this.dryRun) {
-        // Update reading progress on Hardcover
-        result = await this.hardcover.updateReadingProgress(
-          hardcoverMatch.userBookId,
-          progressPercent,
-          progressPercent,
-          hardcoverMatch.edition.id,
-          hardcoverMatch.useSeconds || false,
-          mockBook.started_at,
-          this.globalConfig.reread_detection,
-        );
+    const isFinished =
+      progressInfo.user_book?.status_id === 3 ||
+      Boolean(latestRead.finished_at);
 
-        if (result && result.id) {
-          logger.debug(
-            `Updated Hardcover progress for ${title}: ${progressPercent}%`,
-          );
+    const decision = ProgressManager.resolveProgressConflict(
+      {
+        progress: ProgressManager.extractProgressPercentage(absBook),
+        lastUpdated: this._getBookLastListenedAt(absBook),
+      },
+      {
+        progress: this._getHardcoverReadProgress(latestRead, title),
+        // When the read itself last changed, not the user book
+        lastUpdated: latestRead.updated_at ?? latestRead.finished_at ?? null,
+        isFinished,
+      },
+      {
+        strategy: twoWayConfig.conflict_strategy || 'newest',
+        minDifference: twoWayConfig.min_progress_difference ?? 1,
+        context: `book "${title}" two-way sync`,
+      },
+    );
+
+    if (!decision.pull) {
+      logger.debug(`Keeping Audiobookshelf progress for ${title}`, {
+        reason: decision.reason,
+      });
+      return null;
+    }
+
+    const update = {
+      progress: decision.hardcoverProgress / 100,
+      isFinished,
+    };
+    const duration = extractAudioDurationFromAudiobookshelf(absBook);
+    if (duration) {
+      update.currentTime = ProgressManager.calculateCurrentPosition(
+        decision.hardcoverProgress,
+        duration,
+        { type: 'seconds', context: `book "${title}" two-way sync position` },
+      );
+    }
+
+    const summary = {
+      title,
+      from: decision.absProgress,
+      to: decision.hardcoverProgress,
+      finished: isFinished,
+    };
+
+    if (this.dryRun) {
+      logger.info(`[DRY RUN] Would pull Hardcover progress for ${title}`, {
+        ...summary,
+        reason: decision.reason,
+      });
+      return summary;
+    }
+
+    const updated = await this.audiobookshelf.updateMediaProgress(
+      absBook.id,
+      update,
+    );
+    if (!updated) {
+      throw new Error('Audiobookshelf rejected the progress update');
+    }
+
+    logger.info(`Pulled Hardcover progress into Audiobookshelf for ${title}`, {
+      ...summary,
+      reason: decision.reason,
+    });
+    if (this.verbose) {
+      console.log(
+        `⬅️  ${title}: ${decision.absProgress.toFixed(1)}% → ${decision.hardcoverProgress.toFixed(1)}% (from Hardcover)`,
+      );
+    }
+    return summary;
+  }
+
+  /**
+   * Resolve the Hardcover user book for an Audiobookshelf book using cached matches
+   * @param {Object} absBook - Audiobookshelf book
+   * @param {string} title - Book title
+   * @param {string} author - Book author
+   * @returns {Promise<Object|null>} - Hardcover user book or null
+   * @private
+   */
+  async _findCachedUserBook(absBook, title, author) {
+    const identifiers = extractBookIdentifiers(absBook);
+    const cacheKeys = [
+      { key: identifiers.asin, type: 'asin' },
+      { key: identifiers.isbn, type: 'isbn' },
+      {
+        key: this.cache.generateTitleAuthorIdentifier(title, author),
+        type: 'title_author',
+      },
+    ].filter(({ key }) => key);
+
+    for (const { key, type } of cacheKeys) {
+      const cachedInfo = await this.cache.getCachedBookInfo(
+        this.userId,
+        key,
+        title,
+        type,
+      );
+      if (cachedInfo.exists && cachedInfo.edition_id) {
+        const userBook = this._findUserBookByEditionId(cachedInfo.edition_id);
+        if (userBook) {
+          return userBook;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculate the percentage stored on a Hardcover read record
+   * @param {Object} latestRead - user_book_read record with edition totals
+   * @param {string} title - Book title (for logging context)
+   * @returns {number|null} - Progress percentage or null if unknown
+   * @private
+   */
+  _getHardcoverReadProgress(latestRead, title) {
+    const edition = latestRead?.edition;
+    if (!edition) {
+      return null;
+    }
+
+    if (latestRead.progress_seconds && edition.audio_seconds) {
+      return ProgressManager.calculateProgressFromPosition(
+        latestRead.progress_seconds,
+        edition.audio_seconds,
+        { type: 'seconds', context: `book "${title}" Hardcover progress` },
+      );
+    }
+    if (latestRead.progress_pages && edition.pages) {
+      return ProgressManager.calculateProgressFromPosition(
+        latestRead.progress_pages,
+        edition.pages,
+        { type: 'pages', context: `book "${title}" Hardcover progress` },
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Apply the dnf_detection policy to books matched to the Hardcover library
+   *
+   * Currently Reading books that were abandoned in Audiobookshelf are marked
+   * Did Not Finish (or moved back to Want to Read). Books this policy marked
+   * DNF go back to Currently Reading once they are listened to again; a DNF
+   * set by hand on Hardcover is never touched.
+   * @param {Array} absBooks - Audiobookshelf books processed in this run
+   * @param {Object} result - Sync result object to update
+   * @private
+   */
+  async _detectAbandonedBooks(absBooks, result) {
+    const dnfConfig = this.globalConfig.dnf_detection || {};
+    const targetStatus = dnfConfig.action === 'want_to_read' ? 1 : 5;
+
+    for (const absBook of absBooks) {
+      const title = extractTitle(absBook) || 'Unknown Title';
+      const author = extractAuthor(absBook) || 'Unknown Author';
+
+      try {
+        const userBook = await this._findCachedUserBook(absBook, title, author);
+        if (!userBook) {
+          continue;
+        }
+
+        const reason = this._getAbandonReason(absBook, dnfConfig);
+        if (reason && userBook.status_id === 2) {
+          await this._setAbandonStatus(absBook, title, userBook, {
+            changeType: 'abandon',
+            statusId: targetStatus,
+            reason,
+          });
+          result.books_abandoned++;
+        } else if (
+          !reason &&
+          userBook.status_id === 5 &&
+          (await this._resumedSinceAbandoned(absBook, userBook))
+        ) {
+          await this._setAbandonStatus(absBook, title, userBook, {
+            changeType: 'resume',
+            statusId: 2,
+            reason: 'listened to again',
+          });
+          result.books_resumed++;
+        }
+      } catch (error) {
+        logger.error(`Error applying DNF detection for ${title}`, {
+          error: error.message,
+          stack: error.stack,
+        });
+        result.errors.push(`${title}: DNF detection failed - ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Decide whether an Audiobookshelf book counts as abandoned
+   * @param {Object} absBook - Audiobookshelf book
+   * @param {Object} dnfConfig - dnf_detection configuration
+   * @returns {string|null} - Why the book is abandoned, or null
+   * @private
+   */
+  _getAbandonReason(absBook, dnfConfig) {
+    if (absBook.is_finished) {
+      return null;
+    }
+    if (
+      dnfConfig.honor_hide_from_continue !== false &&
+      absBook.hide_from_continue_listening
+    ) {
+      return 'hidden from Continue Listening';
+    }
+
+    const progress = ProgressManager.extractProgressPercentage(absBook);
+    if (progress === null || progress >= (dnfConfig.max_progress ?? 50)) {
+      return null;
+    }
+
+    const inactiveDays = this._getDaysSinceLastListen(absBook);
+    if (
+      inactiveDays === null ||
+      inactiveDays < (dnfConfig.inactive_days ?? 90)
+    ) {
+      return null;
+    }
+    return `no listening for ${Math.floor(inactiveDays)} days at ${progress.toFixed(1)}%`;
+  }
+
+  _getDaysSinceLastListen(absBook) {
+    const lastListenedAt = this._getBookLastListenedAt(absBook);
+    const timestamp = lastListenedAt ? new Date(lastListenedAt).getTime() : NaN;
+    if (isNaN(timestamp)) {
+      return null;
+    }
+    return (Date.now() - timestamp) / (24 * 60 * 60 * 1000);
+  }
+
+  // Only books this policy marked DNF, and listened to since, are resumed
+  async _resumedSinceAbandoned(absBook, userBook) {
+    const abandoned = await this.cache.getLatestSyncChange(
+      this.userId,
+      userBook.id,
+      'abandon',
+    );
+    if (!abandoned || abandoned.new_status_id !== 5) {
+      return false;
+    }
+    const lastListenedAt = this._getBookLastListenedAt(absBook);
+    return (
+      Boolean(lastListenedAt) &&
+      new Date(lastListenedAt).getTime() >
+        new Date(abandoned.created_at).getTime()
+    );
+  }
+
+  async _setAbandonStatus(absBook, title, userBook, change) {
+    const label = { 1: 'Want to Read', 2: 'Currently Reading', 5: 'DNF' }[
+      change.statusId
+    ];
+
+    if (this.dryRun) {
+      logger.info(`[DRY RUN] Would move ${title} to ${label}`, {
+        userBookId: userBook.id,
+        reason: change.reason,
+      });
+      return;
+    }
+
+    // The loaded library already has the status this replaces
+    const priorState = { status_id: userBook.status_id ?? null, read: null };
+    const updated = await this._sendToHardcover(
+      'status',
+      [userBook.id, change.statusId],
+      { target: `user_book:${userBook.id}`, title },
+    );
+    if (!updated) {
+      throw new Error('Hardcover rejected the status update');
+    }
+    userBook.status_id = change.statusId;
+
+    await this._journalChange({
+      absId: absBook.id,
+      title,
+      changeType: change.changeType,
+      userBookId: userBook.id,
+      bookId: userBook.book?.id ?? null,
+      priorState,
+      newStatusId: change.statusId,
+    });
+
+    logger.info(`Moved ${title} to ${label} on Hardcover`, {
+      userBookId: userBook.id,
+      reason: change.reason,
+    });
+    if (this.verbose) {
+      console.log(`📕 ${title}: ${label} (${change.reason})`);
+    }
+  }
+
+  /**
+   * Add Audiobookshelf listening sessions to the Hardcover reading journal
+   *
+   * Each session becomes one entry (date, time listened, start and end
+   * position) on the matched Hardcover book. Journaled session IDs are kept
+   * in the cache so repeated syncs never write the same session twice.
+   * @param {Array} absBooks - Audiobookshelf books processed in this run
+   * @param {Object} result - Sync result object to update
+   * @private
+   */
+  async _journalListeningSessions(absBooks, result) {
+    const journalConfig = this.globalConfig.reading_journal || {};
+    const since =
+      Date.now() - (journalConfig.lookback_days ?? 30) * 24 * 60 * 60 * 1000;
+    const minSeconds = (journalConfig.min_session_minutes ?? 5) * 60;
+    // A session updated within the session timeout may still be playing and
+    // would be journaled with only part of its listening time
+    const openSince =
+      Date.now() -
+      (this.globalConfig.delayed_updates?.session_timeout ?? 900) * 1000;
+    const privacySettingId =
+      { public: 1, followers: 2, private: 3 }[journalConfig.privacy] || 1;
+
+    let sessions;
+    try {
+      sessions = await this.audiobookshelf.getListeningSessions(since);
+    } catch (error) {
+      logger.error('Could not fetch listening sessions', {
+        error: error.message,
+      });
+      result.errors.push(`Reading journal failed - ${error.message}`);
+      return;
+    }
+
+    const candidates = sessions.filter(
+      session =>
+        session.id &&
+        (session.timeListening || 0) >= minSeconds &&
+        (session.updatedAt || 0) < openSince,
+    );
+    if (candidates.length === 0) {
+      return;
+    }
+    const journaled = await this.cache.getJournaledSessionIds(
+      this.userId,
+      candidates.map(session => session.id),
+    );
+    const booksById = new Map(absBooks.map(absBook => [absBook.id, absBook]));
+
+    // Oldest first so the journal reads in listening order
+    for (const session of [...candidates].reverse()) {
+      const absBook = booksById.get(session.libraryItemId);
+      if (!absBook || journaled.has(String(session.id))) {
+        continue;
+      }
+
+      const title = extractTitle(absBook) || 'Unknown Title';
+      try {
+        const userBook = await this._findCachedUserBook(
+          absBook,
+          title,
+          extractAuthor(absBook) || 'Unknown Author',
+        );
+        if (!userBook?.book?.id) {
+          continue;
+        }
+
+        const entry = {
+          bookId: userBook.book.id,
+          text: this._formatListeningSession(session),
+          actionAt: this._getSessionDate(session),
+          privacySettingId,
+        };
+
+        if (this.dryRun) {
+          logger.info(`[DRY RUN] Would add journal entry for ${title}`, entry);
+          result.journal_entries_created++;
+          continue;
+        }
+
+        const created = await this.hardcover.createReadingJournalEntry(entry);
+        if (!created) {
+          throw new Error('Hardcover rejected the journal entry');
+        }
+        await this.cache.recordJournaledSession({
+          userId: this.userId,
+          sessionId: session.id,
+          absId: absBook.id,
+          userBookId: userBook.id,
+          journalId: created.id,
+          sessionDate: entry.actionAt,
+          listenedSeconds: Math.round(session.timeListening),
+        });
+        result.journal_entries_created++;
+        logger.debug(`Added journal entry for ${title}`, {
+          sessionId: session.id,
+          journalId: created.id,
+        });
+      } catch (error) {
+        logger.error(`Error adding journal entry for ${title}`, {
+          sessionId: session.id,
+          error: error.message,
+        });
+        result.errors.push(
+          `${title}: reading journal failed - ${error.message}`,
+        );
+      }
+    }
+  }
+
+  _formatListeningSession(session) {
+    const listened = formatDurationForLogging(
+      Math.round(session.timeListening),
+    );
+    const start = Math.floor(session.startTime || 0);
+    const end = Math.floor(session.currentTime || 0);
+    return `Listened for ${listened} (${formatDuration(start)} → ${formatDuration(end)})`;
+  }
+
+  // ABS stores the listening day as YYYY-MM-DD; older sessions only have timestamps
+  _getSessionDate(session) {
+    if (session.date) {
+      return session.date;
+    }
+    return DateTime.fromMillis(session.startedAt || session.updatedAt, {
+      zone: 'utc',
+    })
+      .setZone(this.timezone)
+      .toISODate();
+  }
+
+  /**
+   * Add unstarted books marked "to be read" in Audiobookshelf to Hardcover
+   *
+   * Items carrying one of the configured tags or sitting in one of the
+   * configured collections, and without progress above
+   * min_progress_threshold, are added as Want to Read. Books already in the
+   * Hardcover library are left alone. Once listening starts, the normal sync
+   * moves them to Currently Reading.
+   * @param {Array} absBooks - All Audiobookshelf books with progress
+   * @param {Object} result - Sync result object to update
+   * @private
+   */
+  async _addWantToReadBooks(absBooks, result) {
+    const config = this.globalConfig.want_to_read || {};
+
+    let items;
+    try {
+      items = await this._getWantToReadItems(config);
+    } catch (error) {
+      logger.error('Could not fetch Want to Read items', {
+        error: error.message,
+      });
+      result.errors.push(`Want to Read sync failed - ${error.message}`);
+      return;
+    }
+
+    const progressById = new Map(
+      absBooks.map(absBook => [
+        absBook.id,
+        ProgressManager.extractProgressPercentage(absBook),
+      ]),
+    );
+    for (const item of items) {
+      // Started books are synced as Currently Reading by the normal sync
+      if (!this._isZeroProgress(progressById.get(item.id) || 0)) {
+        continue;
+      }
+      await this._addWantToReadBook(item, result);
+    }
+  }
+
+  /**
+   * Library items carrying a configured tag or in a configured collection
+   * @private
+   */
+  async _getWantToReadItems(config) {
+    const items = new Map();
+    for (const tag of config.tags || []) {
+      for (const item of await this.audiobookshelf.getItemsWithTag(tag)) {
+        items.set(item.id, item);
+      }
+    }
+
+    const names = (config.collections || []).map(name =>
+      name.trim().toLowerCase(),
+    );
+    if (names.length > 0) {
+      for (const collection of await this.audiobookshelf.getCollections()) {
+        if (!names.includes(collection.name?.trim().toLowerCase())) {
+          continue;
+        }
+        for (const item of collection.books || []) {
+          items.set(item.id, item);
+        }
+      }
+    }
+    return [...items.values()];
+  }
+
+  async _addWantToReadBook(item, result) {
+    const title = extractTitle(item) || 'Unknown Title';
+    const author = extractAuthor(item) || 'Unknown Author';
+    const identifiers = extractBookIdentifiers(item);
+
+    try {
+      if (
+        await this._getFreshNegativeSyncSkip(
+          item,
+          title,
+          author,
+          identifiers,
+          0,
+        )
+      ) {
+        return;
+      }
+
+      const { match } = await this.bookMatcher.findMatch(item, this.userId);
+      if (match && !match._isSearchResult) {
+        logger.debug(`${title} is already in the Hardcover library`);
+        return;
+      }
+
+      const book = match ? await this._getMatchedBookIds(match) : null;
+      if (!book) {
+        await this._storeNegativeSyncSkip(
+          item,
+          title,
+          author,
+          identifiers,
+          0,
+          'Want to Read: no Hardcover match',
+        );
+        return;
+      }
+
+      if (this.dryRun) {
+        logger.info(`[DRY RUN] Would add ${title} as Want to Read`, book);
+        result.books_want_to_read++;
+        return;
+      }
+
+      const added = await this._sendToHardcover(
+        'add',
+        [book.bookId, 1, book.editionId],
+        { target: `book:${book.bookId}`, title },
+      );
+      if (!added?.id) {
+        throw new Error('Hardcover rejected the book');
+      }
+      await this._journalChange({
+        absId: item.id,
+        title,
+        changeType: 'add_book',
+        userBookId: added.id,
+        bookId: book.bookId,
+        editionId: book.editionId,
+        newStatusId: 1,
+      });
+      result.books_want_to_read++;
+      logger.info(`Added ${title} to Hardcover as Want to Read`, {
+        userBookId: added.id,
+        bookId: book.bookId,
+      });
+    } catch (error) {
+      logger.error(`Error adding ${title} as Want to Read`, {
+        error: error.message,
+      });
+      result.errors.push(`${title}: Want to Read failed - ${error.message}`);
+    }
+  }
+
+  _getListSyncNames() {
+    const listConfig = this.user?.list_sync || {};
+    return [...(listConfig.collections || []), ...(listConfig.playlists || [])];
+  }
+
+  /**
+   * Mirror Audiobookshelf collections and playlists to Hardcover lists
+   *
+   * Only collections/playlists named in the user's `list_sync` config are
+   * synced. Each gets its own Hardcover list, created on first sync and
+   * remembered in the cache. Books are added as they join the collection and
+   * removed when they leave it; entries added on Hardcover by hand are never
+   * removed.
+   * @param {Object} result - Sync result object to update
+   * @private
+   */
+  async _syncLists(result) {
+    const listConfig = this.user.list_sync || {};
+    const privacySettingId =
+      { public: 1, followers: 2, private: 3 }[listConfig.privacy] || 1;
+
+    let sources;
+    try {
+      sources = await this._getListSources(listConfig);
+    } catch (error) {
+      logger.error('Could not fetch collections and playlists', {
+        error: error.message,
+      });
+      result.errors.push(`List sync failed - ${error.message}`);
+      return;
+    }
+
+    for (const source of sources) {
+      try {
+        await this._syncList(source, privacySettingId, result);
+      } catch (error) {
+        logger.error(`Error syncing ${source.type} "${source.name}"`, {
+          sourceId: source.id,
+          error: error.message,
+        });
+        result.errors.push(
+          `${source.name}: list sync failed - ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Fetch the opted-in collections and playlists (names match case-insensitively)
+   * @param {Object} listConfig - The user's list_sync config
+   * @returns {Promise<Array>} - { type, id, name, description, items }
+   * @private
+   */
+  async _getListSources(listConfig) {
+    const sources = [];
+    const pick = (type, available, names, getItems) => {
+      for (const name of names) {
+        const matches = available.filter(
+          entry =>
+            entry.name?.trim().toLowerCase() === name.trim().toLowerCase(),
+        );
+        if (matches.length === 0) {
+          logger.warn(`No Audiobookshelf ${type} named "${name}" to sync`);
+        }
+        for (const entry of matches) {
+          sources.push({
+            type,
+            id: entry.id,
+            name: entry.name,
+            description: entry.description || null,
+            items: getItems(entry).filter(Boolean),
+          });
+        }
+      }
+    };
+
+    if (listConfig.collections?.length) {
+      pick(
+        'collection',
+        await this.audiobookshelf.getCollections(),
+        listConfig.collections,
+        collection => collection.books || [],
+      );
+    }
+    if (listConfig.playlists?.length) {
+      pick(
+        'playlist',
+        await this.audiobookshelf.getPlaylists(),
+        listConfig.playlists,
+        // Podcast episodes have no Hardcover equivalent
+        playlist =>
+          (playlist.items || [])
+            .filter(item => !item.episodeId)
+            .map(item => item.libraryItem),
+      );
+    }
+    return sources;
+  }
+
+  /**
+   * Bring one Hardcover list in line with its collection or playlist
+   * @private
+   */
+  async _syncList(source, privacySettingId, result) {
+    const mapping = await this.cache.getListMapping(
+      this.userId,
+      source.type,
+      source.id,
+    );
+    let list = mapping ? await this.hardcover.getList(mapping.list_id) : null;
+
+    if (!list) {
+      if (mapping) {
+        // Deleted on Hardcover - start over with a new list
+        await this.cache.removeListEntries(this.userId, mapping.list_id);
+      }
+      if (this.dryRun) {
+        logger.info(`[DRY RUN] Would create Hardcover list "${source.name}"`);
+        list = { id: null, list_books: [] };
+      } else {
+        const created = await this.hardcover.createList({
+          name: source.name,
+          description:
+            source.description ||
+            `Synced from the Audiobookshelf ${source.type} "${source.name}"`,
+          privacySettingId,
+        });
+        if (!created) {
+          throw new Error('Hardcover rejected the new list');
+        }
+        await this.cache.saveListMapping({
+          userId: this.userId,
+          sourceType: source.type,
+          sourceId: source.id,
+          sourceName: source.name,
+          listId: created.id,
+        });
+        list = { id: created.id, list_books: [] };
+        logger.info(`Created Hardcover list "${source.name}"`, {
+          listId: created.id,
+        });
+      }
+      result.lists_created++;
+    }
+
+    // Hardcover book for every item of the collection; null when the item
+    // could not be matched this time
+    const wanted = new Map();
+    const resolved = new Map();
+    for (const item of source.items) {
+      const book = await this._resolveListBook(item);
+      resolved.set(item.id, book?.bookId ?? null);
+      if (book && !wanted.has(book.bookId)) {
+        wanted.set(book.bookId, { ...book, absId: item.id });
+      }
+    }
+
+    const onList = new Map(
+      (list.list_books || []).map(entry => [entry.book_id, entry.id]),
+    );
+    const added = list.id
+      ? await this.cache.getListEntries(this.userId, list.id)
+      : [];
+
+    for (const [bookId, book] of wanted) {
+      if (onList.has(bookId)) {
+        continue;
+      }
+      if (this.dryRun) {
+        logger.info(
+          `[DRY RUN] Would add ${book.title} to list "${source.name}"`,
+        );
+        result.list_entries_added++;
+        continue;
+      }
+      const entry = await this.hardcover.addBookToList(
+        list.id,
+        bookId,
+        book.editionId,
+      );
+      if (!entry) {
+        result.errors.push(
+          `${book.title}: could not add to list "${source.name}"`,
+        );
+        continue;
+      }
+      await this.cache.recordListEntry({
+        userId: this.userId,
+        listId: list.id,
+        bookId,
+        absId: book.absId,
+        listBookId: entry.id,
+      });
+      result.list_entries_added++;
+    }
+
+    // Only entries ShelfBridge added are removed, once their item left the
+    // collection or now matches another book. A failed lookup keeps them.
+    for (const entry of added) {
+      if (
+        wanted.has(entry.book_id) ||
+        (resolved.has(entry.abs_id) && resolved.get(entry.abs_id) === null)
+      ) {
+        continue;
+      }
+      const listBookId = onList.get(entry.book_id);
+      if (this.dryRun) {
+        if (listBookId) {
+          logger.info(
+            `[DRY RUN] Would remove book ${entry.book_id} from list "${source.name}"`,
+          );
+          result.list_entries_removed++;
+        }
+        continue;
+      }
+      if (listBookId) {
+        if (!(await this.hardcover.removeBookFromList(listBookId))) {
+          result.errors.push(
+            `Could not remove book ${entry.book_id} from list "${source.name}"`,
+          );
+          continue;
+        }
+        result.list_entries_removed++;
+      }
+      await this.cache.removeListEntries(this.userId, list.id, entry.book_id);
+    }
+  }
+
+  /**
+   * Match a collection item to a Hardcover book
+   * @param {Object} item - Audiobookshelf library item
+   * @returns {Promise<Object|null>} - { bookId, editionId, title } or null if unmatched
+   * @private
+   */
+  async _resolveListBook(item) {
+    const title = extractTitle(item) || 'Unknown Title';
+    try {
+      const { match } = await this.bookMatcher.findMatch(item, this.userId);
+      if (!match) {
+        logger.debug(`No Hardcover match for list item ${title}`);
+        return null;
+      }
+
+      const ids = await this._getMatchedBookIds(match);
+      return ids ? { ...ids, title } : null;
+    } catch (error) {
+      logger.warn(`Could not match list item ${title}`, {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Hardcover book and edition of a match, including search results that
+   * only carry an edition
+   * @param {Object} match - Match from BookMatcher.findMatch()
+   * @returns {Promise<Object|null>} - { bookId, editionId } or null
+   * @private
+   */
+  async _getMatchedBookIds(match) {
+    let bookId = match.userBook?.book?.id || match.book?.id || null;
+    let editionId = match._needsEditionIdLookup
+      ? null
+      : match.edition?.id || null;
+    if (match._needsBookIdLookup && match.edition?.id) {
+      const lookup = await this.hardcover.getBookIdFromEdition(
+        match.edition.id,
+      );
+      bookId = lookup?.bookId || null;
+      editionId = match.edition.id;
+    }
+    return bookId ? { bookId, editionId } : null;
+  }
+
+  /**
+   * Correct the dates of reads that were already synced to Hardcover
+   *
+   * Used by the `backfill-dates` command. For every book matched to the
+   * Hardcover library, the latest read's started date (and finished date, for
+   * finished reads) is replaced with the one reconstructed from listening
+   * sessions. Changes are journaled so the backfill can be undone.
+   * Requires `_loadHardcoverLibrary()` and `_loadSessionDates()` first.
+   * @param {Array} absBooks - Audiobookshelf books to check
+   * @returns {Promise<Object>} - { updated, unchanged, skipped, failed, book_details }
+   */
+  async backfillReadDates(absBooks) {
+    const summary = {
+      updated: 0,
+      unchanged: 0,
+      skipped: 0,
+      failed: 0,
+      book_details: [],
+    };
+
+    for (const absBook of absBooks) {
+      const title = extractTitle(absBook) || 'Unknown Title';
+      const author = extractAuthor(absBook) || 'Unknown Author';
+      const detail = {
+        abs_id: absBook.id,
+        title,
+        author,
+        status: 'skipped',
+        reason: null,
+        actions: [],
+        errors: [],
+      };
+      summary.book_details.push(detail);
+
+      try {
+        const outcome = await this._backfillBookDates(absBook, title, author);
+        Object.assign(detail, outcome);
+      } catch (error) {
+        logger.error(`Error backfilling dates for ${title}`, {
+          error: error.message,
+        });
+        detail.status = 'error';
+        detail.errors.push(error.message);
+      }
+
+      if (detail.status === 'synced') {
+        summary.updated++;
+      } else if (detail.status === 'error') {
+        summary.failed++;
+      } else if (detail.reason === 'Dates already correct') {
+        summary.unchanged++;
+      } else {
+        summary.skipped++;
+      }
+    }
+    return summary;
+  }
+
+  async _backfillBookDates(absBook, title, author) {
+    if (!this.dateReconstructor?.getDates(absBook)) {
+      return { reason: 'No listening sessions' };
+    }
+    const userBook = await this._findCachedUserBook(absBook, title, author);
+    if (!userBook) {
+      return { reason: 'Not matched to the Hardcover library' };
+    }
+
+    const progressInfo = await this.hardcover.getBookCurrentProgress(
+      userBook.id,
+    );
+    const read = progressInfo?.latest_read;
+    if (!read) {
+      return { reason: 'No read on Hardcover' };
+    }
+
+    // Sessions of an earlier read must not move a re-read's dates back
+    const previousFinish = await this.hardcover.getPreviousReadFinishedAt(
+      userBook.id,
+      read.id,
+    );
+    const dates = this.dateReconstructor.getDates(absBook, {
+      after: previousFinish
+        ? DateTime.fromISO(previousFinish, { zone: this.timezone })
+            .endOf('day')
+            .toMillis()
+        : null,
+    });
+    if (!dates) {
+      return { reason: 'No listening sessions since the previous read' };
+    }
+
+    const before = {
+      startedAt: read.started_at || null,
+      finishedAt: read.finished_at || null,
+    };
+    const after = {
+      startedAt: this._formatDateForHardcover(dates.startedAt),
+      // Never finish a read here - only correct the date of finished ones
+      finishedAt:
+        before.finishedAt && dates.finishedAt
+          ? this._formatDateForHardcover(dates.finishedAt)
+          : before.finishedAt,
+    };
+    if (
+      before.startedAt === after.startedAt &&
+      before.finishedAt === after.finishedAt
+    ) {
+      return { reason: 'Dates already correct' };
+    }
+
+    const actions = [];
+    if (before.startedAt !== after.startedAt) {
+      actions.push(
+        `Started ${before.startedAt || 'unset'} → ${after.startedAt}`,
+      );
+    }
+    if (before.finishedAt !== after.finishedAt) {
+      actions.push(`Finished ${before.finishedAt} → ${after.finishedAt}`);
+    }
+
+    if (this.dryRun) {
+      return {
+        status: 'synced',
+        reason: 'Would correct read dates',
+        actions,
+      };
+    }
+
+    const updated = await this._sendToHardcover(
+      'read_dates',
+      [read.id, after],
+      {
+        target: `user_book:${userBook.id}`,
+        title,
+      },
+    );
+    if (!updated) {
+      throw new Error('Hardcover rejected the read dates');
+    }
+
+    await this._journalChange({
+      absId: absBook.id,
+      title,
+      changeType: 'dates',
+      userBookId: userBook.id,
+      bookId: userBook.book?.id ?? null,
+      editionId: read.edition_id ?? null,
+      priorState: {
+        status_id: progressInfo.user_book?.status_id ?? null,
+        read: {
+          id: read.id,
+          progress_pages: read.progress_pages ?? null,
+          progress_seconds: read.progress_seconds ?? null,
+          edition_id: read.edition_id ?? null,
+          started_at: read.started_at ?? null,
+          finished_at: read.finished_at ?? null,
+        },
+      },
+      newReadId: read.id,
+      newStatusId: progressInfo.user_book?.status_id ?? null,
+    });
+
+    return { status: 'synced', reason: 'Read dates corrected', actions };
+  }
+
+  /**
+   * Process expired sessions by syncing their final progress to Hardcover
+   * This runs at the beginning of each sync cycle
+   * @private
+   */
+  async _processExpiredSessions() {
+    try {
+      const processingResult = await this.sessionManager.processExpiredSessions(
+        this.userId,
+        async sessionData => {
+          // Callback to sync expired session progress to Hardcover
+          logger.info(`Processing expired session for ${sessionData.title}`, {
+            finalProgress: sessionData.finalProgress,
+            identifier: sessionData.identifier,
+            identifierType: sessionData.identifierType,
+          });
+
+          // Create a mock book object for the sync process
+          const mockBook = {
+            id: `expired-session-${sessionData.identifier}`,
+            progress_percentage: sessionData.finalProgress,
+            is_finished: sessionData.finalProgress >= 95,
+            last_listened_at: sessionData.sessionData.session_last_change,
+            started_at:
+              sessionData.sessionData.started_at ||
+              sessionData.sessionData.session_last_change,
+          };
+
+          // Find the book match using the stored identifier
+          const identifiers = {};
+          identifiers[sessionData.identifierType] = sessionData.identifier;
+
+          // Try to find existing Hardcover match using stored identifier
+          // For expired sessions, we should use a direct lookup since we have the exact identifier
+          let matchResult = null;
+
+          try {
+            // Create a minimal book object for matching
+            const sessionBook = {
+              id: mockBook.id,
+              media: {
+                metadata: {
+                  title: sessionData.title,
+                  authors: [{ name: 'Session Author' }], // We may not have author stored
+                  ...identifiers, // Add the stored identifier (isbn, asin, or title_author key)
+                },
+              },
+            };
+
+            // Use the standard findMatch flow but skip expensive operations if we have cached data
+            matchResult = await this.bookMatcher.findMatch(
+              sessionBook,
+              this.userId,
+            );
+          } catch (sessionMatchError) {
+            logger.warn(
+              `Session matching failed for ${sessionData.title}: ${sessionMatchError.message}`,
+            );
+            matchResult = null;
+          }
+
+          if (matchResult && matchResult.match) {
+            // Sync directly to Hardcover using the existing match
+            await this._syncToHardcover(
+              mockBook,
+              matchResult.match,
+              sessionData.identifier,
+              sessionData.title,
+              sessionData.finalProgress,
+              sessionData.identifierType,
+            );
+
+            logger.info(
+              `Successfully synced expired session for ${sessionData.title}`,
+            );
+          } else {
+            logger.warn(
+              `Could not find Hardcover match for expired session: ${sessionData.title}`,
+            );
+          }
+        },
+      );
+
+      if (processingResult.processed > 0) {
+        console.log(
+          `📋 Processed ${processingResult.processed} expired sessions`,
+        );
+        logger.info(`Processed expired sessions`, processingResult);
+      }
+
+      return processingResult;
+    } catch (err) {
+      logger.error(`Error processing expired sessions: ${err.message}`);
+      return { processed: 0, errors: 1 };
+    }
+  }
+
+  /**
+   * Sync progress directly to Hardcover (used for expired sessions)
+   * @private
+   */
+  async _syncToHardcover(
+    mockBook,
+    hardcoverMatch,
+    identifier,
+    title,
+    progressPercent,
+    identifierType,
+  ) {
+    try {
+      let result = null;
+
+      if (!this.dryRun) {
+        // Update reading progress on Hardcover
+        result = await this._sendToHardcover(
+          'progress',
+          [
+            hardcoverMatch.userBookId,
+            progressPercent,
+            progressPercent,
+            hardcoverMatch.edition.id,
+            hardcoverMatch.useSeconds || false,
+            mockBook.started_at,
+            this.globalConfig.reread_detection,
+          ],
+          { target: `user_book:${hardcoverMatch.userBookId}`, title },
+        );
+
+        if (result && result.id) {
+          logger.debug(
+            `Updated Hardcover progress for ${title}: ${progressPercent}%`,
+          );
+          await this._journalChange({
+            title,
+            identifier,
+            identifierType,
+            changeType: 'progress',
+            userBookId: hardcoverMatch.userBookId,
+            editionId: hardcoverMatch.edition.id,
+            priorState: result._priorState || null,
+            newReadId: result.id,
+            newStatusId: result._statusInfo?.currentStatusId || null,
+          });
         }
       } else {
         logger.info(
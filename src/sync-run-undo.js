@@ -0,0 +1,191 @@
+/**
+ * Sync run undo - reverts the Hardcover changes journaled during a sync run
+ *
+ * SyncManager journals every Hardcover mutation together with the state it
+ * replaced (status and latest read). Undoing a run walks that journal newest
+ * first: books the run added are removed from the library, reads it created
+ * are deleted, reads it updated are written back and statuses are restored.
+ */
+
+import logger from './logger.js';
+
+export class SyncRunUndo {
+  /**
+   * @param {Object} options - Undo options
+   * @param {BookCache} options.cache - Cache holding the run history and journal
+   * @param {HardcoverClient} options.hardcover - Client for the run's user
+   * @param {boolean} options.dryRun - Only plan, do not touch Hardcover
+   * @param {boolean} options.force - Also revert books a later run changed again
+   */
+  constructor({ cache, hardcover, dryRun = false, force = false }) {
+    this.cache = cache;
+    this.hardcover = hardcover;
+    this.dryRun = dryRun;
+    this.force = force;
+  }
+
+  /**
+   * Work out what undoing a run would do, without changing anything
+   * @param {number} runId - Recorded sync run ID
+   * @returns {Promise<Object>} - { run, steps } with one step per journaled change, newest first
+   */
+  async plan(runId) {
+    const run = await this.cache.getSyncRun(runId);
+    if (!run) {
+      throw new Error(`Sync run #${runId} not found`);
+    }
+
+    const changes = await this.cache.getSyncChanges(runId);
+    const addedBooks = new Set(
+      changes
+        .filter(change => change.change_type === 'add_book')
+        .map(change => change.user_book_id),
+    );
+
+    const steps = [];
+    for (const change of [...changes].reverse()) {
+      steps.push({ change, ...(await this._planChange(change, addedBooks)) });
+    }
+    return { run, steps };
+  }
+
+  /**
+   * Revert a run's journaled changes on Hardcover
+   * @param {number} runId - Recorded sync run ID
+   * @returns {Promise<Object>} - { run, steps, reverted, skipped, failed }
+   */
+  async undo(runId) {
+    const { run, steps } = await this.plan(runId);
+    const summary = { run, steps, reverted: 0, skipped: 0, failed: 0 };
+
+    for (const step of steps) {
+      if (step.skip) {
+        summary.skipped++;
+        continue;
+      }
+      if (this.dryRun) {
+        continue;
+      }
+
+      try {
+        for (const action of step.actions) {
+          await this._apply(step.change, action);
+        }
+        await this.cache.markSyncChangeUndone(step.change.id);
+        await this._clearCachedBook(step.change);
+        step.done = true;
+        summary.reverted++;
+      } catch (error) {
+        logger.error(`Failed to undo change for ${step.change.title}`, {
+          changeId: step.change.id,
+          error: error.message,
+        });
+        await this.cache.markSyncChangeUndone(step.change.id, error.message);
+        step.error = error.message;
+        summary.failed++;
+      }
+    }
+
+    if (!this.dryRun && summary.failed === 0 && summary.reverted > 0) {
+      await this.cache.markSyncRunUndone(run.id);
+    }
+    return summary;
+  }
+
+  async _planChange(change, addedBooks) {
+    if (change.undone_at) {
+      return { skip: 'already undone' };
+    }
+    if (
+      change.change_type !== 'add_book' &&
+      addedBooks.has(change.user_book_id)
+    ) {
+      return { skip: 'book is removed from the library instead' };
+    }
+    if (!this.force && (await this.cache.hasNewerSyncChange(change))) {
+      return { skip: 'changed again by a later run (use --force)' };
+    }
+    if (change.change_type === 'add_book') {
+      return { actions: ['remove_book'] };
+    }
+
+    const prior = change.prior_state;
+    if (!prior) {
+      return { skip: 'previous Hardcover state was not captured' };
+    }
+
+    const actions = [];
+    if (prior.read && prior.read.id === change.new_read_id) {
+      actions.push('restore_read');
+    } else if (change.new_read_id) {
+      actions.push('delete_read');
+    }
+    if (prior.status_id && prior.status_id !== change.new_status_id) {
+      actions.push('restore_status');
+    }
+    if (actions.length === 0) {
+      return { skip: 'nothing to revert' };
+    }
+    return { actions };
+  }
+
+  async _apply(change, action) {
+    const prior = change.prior_state;
+    let ok;
+    switch (action) {
+      case 'remove_book':
+        ok = await this.hardcover.removeBookFromLibrary(change.user_book_id);
+        if (ok) {
+          // Removals never show up in incremental library fetches
+          await this.cache.removeHardcoverLibraryBook(
+            change.user_id,
+            change.user_book_id,
+          );
+        }
+        break;
+      case 'delete_read':
+        ok = await this.hardcover.deleteUserBookRead(change.new_read_id);
+        break;
+      case 'restore_read':
+        ok = await this.hardcover.restoreUserBookRead(
+          prior.read.id,
+          prior.read,
+        );
+        break;
+      case 'restore_status':
+        ok = await this.hardcover.updateBookStatus(
+          change.user_book_id,
+          prior.status_id,
+        );
+        break;
+      default:
+        throw new Error(`Unknown undo action: ${action}`);
+    }
+
+    if (!ok) {
+      throw new Error(`Hardcover rejected ${action.replace('_', ' ')}`);
+    }
+    logger.debug(`Undo ${action} for ${change.title}`, {
+      userBookId: change.user_book_id,
+    });
+  }
+
+  // Drop the cached sync state so the next sync compares against Hardcover again
+  async _clearCachedBook(change) {
+    if (!change.identifier || !change.identifier_type) {
+      return;
+    }
+    try {
+      await this.cache.clearCachedBookInfo(
+        change.user_id,
+        change.identifier,
+        change.title,
+        change.identifier_type,
+      );
+    } catch (error) {
+      logger.debug(`Could not clear cache for ${change.title}`, {
+        error: error.message,
+      });
+    }
+  }
+}
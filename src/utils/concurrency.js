@@ -7,6 +7,7 @@
 import { RateLimiterMemory } from 'rate-limiter-flexible';
 import logger from '../logger.js';
 import { sleep } from './time.js';
+import { appMetrics } from './metrics.js';
 
 /**
  * Semaphore class for managing concurrent access to shared resources
@@ -107,6 +108,12 @@ export class RateLimiter {
           },
         );
 
+        appMetrics.rateLimiterWaits.inc({ limiter: identifier });
+        appMetrics.rateLimiterWaitSeconds.inc(
+          { limiter: identifier },
+          rateLimiterError.msBeforeNext / 1000,
+        );
+
         // Wait for the rate limiter to reset
         await sleep(rateLimiterError.msBeforeNext);
       } else {
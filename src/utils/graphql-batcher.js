@@ -0,0 +1,238 @@
+/**
+ * GraphQL batching utilities
+ *
+ * Hardcover allows 55 requests per minute and every book needs several
+ * queries and mutations. The batcher combines operations that are issued
+ * close together (e.g. by parallel sync workers) into one GraphQL document:
+ * every root field is aliased per operation and the response is split up
+ * again, so each caller gets the same data as if it had sent its own
+ * document. GraphQL errors are mapped back to the operation whose alias they
+ * name; operations a failed document did not execute (Hasura runs all
+ * mutations of a document in one transaction) are sent again on their own.
+ */
+
+const OPERATION_PATTERN =
+  /^\s*(query|mutation)\b\s*\w*\s*(?:\(([^)]*)\))?\s*\{([\s\S]*)\}\s*$/;
+const ALIAS_PATTERN = /\bb(\d+)_\w/;
+
+/**
+ * Split a GraphQL document into its operation type, variable declarations
+ * and selection set
+ * @param {string} document - Document with a single query or mutation
+ * @returns {Object} - { type, variables: { name: type }, body }
+ */
+export function parseOperation(document) {
+  const match = OPERATION_PATTERN.exec(document);
+  if (!match) {
+    throw new Error('Only single query or mutation documents can be batched');
+  }
+
+  const [, type, declarations = '', body] = match;
+  const variables = {};
+  for (const [, name, variableType] of declarations.matchAll(
+    /\$(\w+)\s*:\s*([\w!\][]+)/g,
+  )) {
+    variables[name] = variableType;
+  }
+  return { type, variables, body };
+}
+
+/**
+ * Prefix every root field of a selection set with an alias
+ * @param {string} body - Selection set without the outer braces
+ * @param {string} prefix - Alias prefix, e.g. `b0`
+ * @returns {Object} - { body, fields } with the original root field names
+ */
+function aliasRootFields(body, prefix) {
+  const fields = [];
+  let depth = 0;
+  let aliased = '';
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (
+      depth === 0 &&
+      /[A-Za-z_]/.test(char) &&
+      (i === 0 || !/\w/.test(body[i - 1]))
+    ) {
+      const [field] = /^\w+/.exec(body.slice(i));
+      fields.push(field);
+      aliased += `${prefix}_${field}: ${field}`;
+      i += field.length - 1;
+      continue;
+    }
+    if (char === '{' || char === '(') {
+      depth++;
+    } else if (char === '}' || char === ')') {
+      depth--;
+    }
+    aliased += char;
+  }
+  return { body: aliased, fields };
+}
+
+/**
+ * Build one document out of several operations of the same type
+ * @param {string} type - `query` or `mutation`
+ * @param {Array} operations - Queued operations ({ parsed, variables })
+ * @returns {Object} - { document, variables }; sets `fields` on each operation
+ */
+export function buildBatchDocument(type, operations) {
+  const declarations = [];
+  const selections = [];
+  const variables = {};
+
+  operations.forEach((operation, index) => {
+    const prefix = `b${index}`;
+    for (const [name, variableType] of Object.entries(
+      operation.parsed.variables,
+    )) {
+      declarations.push(`$${prefix}_${name}: ${variableType}`);
+    }
+    for (const [name, value] of Object.entries(operation.variables || {})) {
+      variables[`${prefix}_${name}`] = value;
+    }
+
+    const renamed = operation.parsed.body.replace(
+      /\$(\w+)/g,
+      (_, name) => `$${prefix}_${name}`,
+    );
+    const { body, fields } = aliasRootFields(renamed, prefix);
+    operation.fields = fields;
+    selections.push(body.trim());
+  });
+
+  const header = declarations.length > 0 ? `(${declarations.join(', ')})` : '';
+  return {
+    document: `${type} Batched${type === 'query' ? 'Query' : 'Mutation'}${header} {\n${selections.join('\n')}\n}`,
+    variables,
+  };
+}
+
+/**
+ * Collects GraphQL operations for a short window and sends them together
+ */
+export class GraphQLBatcher {
+  /**
+   * @param {Function} execute - (document, variables) => data; throws on
+   *   GraphQL errors with `graphQLErrors` and `partialData` attached
+   * @param {Object} options - { maxOperations, windowMs }
+   */
+  constructor(execute, { maxOperations = 10, windowMs = 50 } = {}) {
+    this.execute = execute;
+    this.maxOperations = maxOperations;
+    this.windowMs = windowMs;
+    this.queues = { query: [], mutation: [] };
+    this.timers = { query: null, mutation: null };
+  }
+
+  /**
+   * Queue an operation
+   * @param {string} document - Query or mutation document
+   * @param {Object} variables - Variables of the document
+   * @returns {Promise<Object>} - The operation's data, keyed by root field
+   */
+  add(document, variables = null) {
+    const parsed = parseOperation(document);
+    return new Promise((resolve, reject) => {
+      const queue = this.queues[parsed.type];
+      queue.push({ document, variables, parsed, resolve, reject });
+
+      if (queue.length >= this.maxOperations) {
+        this._flush(parsed.type);
+      } else if (!this.timers[parsed.type]) {
+        this.timers[parsed.type] = setTimeout(
+          () => this._flush(parsed.type),
+          this.windowMs,
+        );
+      }
+    });
+  }
+
+  _flush(type) {
+    clearTimeout(this.timers[type]);
+    this.timers[type] = null;
+
+    const operations = this.queues[type].splice(0, this.maxOperations);
+    if (this.queues[type].length > 0) {
+      this.timers[type] = setTimeout(() => this._flush(type), 0);
+    }
+    if (operations.length === 1) {
+      this._sendAlone(operations[0]);
+    } else if (operations.length > 1) {
+      this._sendBatch(type, operations);
+    }
+  }
+
+  async _sendAlone(operation) {
+    try {
+      operation.resolve(
+        await this.execute(operation.document, operation.variables),
+      );
+    } catch (error) {
+      operation.reject(error);
+    }
+  }
+
+  async _sendBatch(type, operations) {
+    const { document, variables } = buildBatchDocument(type, operations);
+
+    let data;
+    try {
+      data = await this.execute(document, variables);
+    } catch (error) {
+      if (!error.graphQLErrors) {
+        // Transport failures affect every operation alike
+        operations.forEach(operation => operation.reject(error));
+        return;
+      }
+      this._settleFailedBatch(operations, error);
+      return;
+    }
+
+    operations.forEach((operation, index) =>
+      operation.resolve(this._unalias(data, operation, index)),
+    );
+  }
+
+  _settleFailedBatch(operations, error) {
+    const errorsByOperation = new Map();
+    for (const graphQLError of error.graphQLErrors) {
+      const location = [
+        graphQLError.path?.[0],
+        graphQLError.extensions?.path,
+      ].join(' ');
+      const match = ALIAS_PATTERN.exec(location);
+      if (match) {
+        const index = Number(match[1]);
+        errorsByOperation.set(index, [
+          ...(errorsByOperation.get(index) || []),
+          graphQLError.message,
+        ]);
+      }
+    }
+
+    operations.forEach((operation, index) => {
+      const messages = errorsByOperation.get(index);
+      const executed =
+        error.partialData &&
+        operation.fields.every(
+          field => error.partialData[`b${index}_${field}`] !== undefined,
+        );
+
+      if (messages) {
+        operation.reject(new Error(`GraphQL errors: ${messages.join(', ')}`));
+      } else if (executed) {
+        operation.resolve(this._unalias(error.partialData, operation, index));
+      } else {
+        this._sendAlone(operation);
+      }
+    });
+  }
+
+  _unalias(data, operation, index) {
+    return Object.fromEntries(
+      operation.fields.map(field => [field, data[`b${index}_${field}`]]),
+    );
+  }
+}
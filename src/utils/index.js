@@ -23,8 +23,13 @@ export {
   normalizeApiToken,
   createHttpAgent,
   retryWithBackoff,
+  captureRequestErrors,
+  recordRequestError,
 } from './network.js';
 
+// GraphQL batching utilities
+export { GraphQLBatcher } from './graphql-batcher.js';
+
 // Retry management utilities
 export {
   RetryManager,
@@ -37,6 +42,14 @@ export {
 // Concurrency utilities
 export { Semaphore, RateLimiter } from './concurrency.js';
 
+// Metrics utilities
+export {
+  MetricsRegistry,
+  metrics,
+  appMetrics,
+  recordSyncRun,
+} from './metrics.js';
+
 // API testing utilities
 export { testApiConnections } from './api-testing.js';
 
@@ -0,0 +1,312 @@
+/**
+ * Metrics utilities - In-process metrics registry with Prometheus text output
+ *
+ * Provides counters, gauges and histograms with labels. A shared registry is
+ * exported with the metrics ShelfBridge records (sync outcomes, API latency,
+ * retries, rate-limiter waits and cache lookups) so any module can record
+ * values without extra wiring.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string} - Formatted labels (empty string when there are none)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class for a metric family keyed by label values
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  _labelsFor(labels = {}) {
+    const normalized = {};
+    for (const labelName of this.labelNames) {
+      normalized[labelName] =
+        labels[labelName] !== undefined && labels[labelName] !== null
+          ? String(labels[labelName])
+          : '';
+    }
+    return normalized;
+  }
+
+  _key(labels) {
+    return JSON.stringify(this.labelNames.map(name => labels[name]));
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+export class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+    const normalized = this._labelsFor(labels);
+    const key = this._key(normalized);
+    const entry = this.series.get(key) || { labels: normalized, value: 0 };
+    entry.value += value;
+    this.series.set(key, entry);
+  }
+
+  get(labels = {}) {
+    return this.series.get(this._key(this._labelsFor(labels)))?.value ?? 0;
+  }
+
+  collect() {
+    return Array.from(this.series.values()).map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`,
+    );
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels = {}, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const normalized = this._labelsFor(labels);
+    this.series.set(this._key(normalized), { labels: normalized, value });
+  }
+
+  get(labels = {}) {
+    return this.series.get(this._key(this._labelsFor(labels)))?.value ?? 0;
+  }
+
+  collect() {
+    return Array.from(this.series.values()).map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`,
+    );
+  }
+}
+
+/**
+ * Cumulative histogram of observed values
+ */
+export class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const normalized = this._labelsFor(labels);
+    const key = this._key(normalized);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = {
+        labels: normalized,
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      this.series.set(key, entry);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  get(labels = {}) {
+    const entry = this.series.get(this._key(this._labelsFor(labels)));
+    return entry
+      ? { count: entry.count, sum: entry.sum }
+      : { count: 0, sum: 0 };
+  }
+
+  collect() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`,
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      );
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Collection of named metrics
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  _register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format (v0.0.4)
+   * @returns {string} - Metrics text
+   */
+  toPrometheus() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.collect());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Clear all recorded values (metric definitions are kept)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+}
+
+export const PROMETHEUS_CONTENT_TYPE =
+  'text/plain; version=0.0.4; charset=utf-8';
+
+// Shared registry and the metrics recorded by ShelfBridge
+export const metrics = new MetricsRegistry();
+
+export const appMetrics = {
+  books: metrics.counter(
+    'shelfbridge_books_total',
+    'Books processed by sync, by user and outcome',
+    ['user', 'status'],
+  ),
+  runs: metrics.counter(
+    'shelfbridge_sync_runs_total',
+    'Sync runs by user and result',
+    ['user', 'status'],
+  ),
+  runDuration: metrics.gauge(
+    'shelfbridge_sync_duration_seconds',
+    'Duration of the last sync run',
+    ['user'],
+  ),
+  lastRun: metrics.gauge(
+    'shelfbridge_sync_last_run_timestamp_seconds',
+    'Unix time the last sync run finished',
+    ['user'],
+  ),
+  apiRequestDuration: metrics.histogram(
+    'shelfbridge_api_request_duration_seconds',
+    'Latency of Hardcover and Audiobookshelf API requests',
+    ['service', 'outcome'],
+  ),
+  apiRetries: metrics.counter(
+    'shelfbridge_api_retries_total',
+    'API request retries',
+    ['service'],
+  ),
+  rateLimiterWaits: metrics.counter(
+    'shelfbridge_rate_limiter_waits_total',
+    'Times a request had to wait for the rate limiter',
+    ['limiter'],
+  ),
+  rateLimiterWaitSeconds: metrics.counter(
+    'shelfbridge_rate_limiter_wait_seconds_total',
+    'Total time spent waiting for the rate limiter',
+    ['limiter'],
+  ),
+  cacheLookups: metrics.counter(
+    'shelfbridge_cache_lookups_total',
+    'Book cache lookups by result (hit or miss)',
+    ['result'],
+  ),
+};
+
+/**
+ * Record the outcome of a finished sync run
+ * @param {string} userId - User ID
+ * @param {Object} result - Sync result (errors array decides the status)
+ * @param {number} durationSeconds - Run duration in seconds
+ */
+export function recordSyncRun(userId, result, durationSeconds) {
+  const status = result?.errors?.length > 0 ? 'failed' : 'success';
+  appMetrics.runs.inc({ user: userId, status });
+  appMetrics.runDuration.set({ user: userId }, durationSeconds);
+  appMetrics.lastRun.set({ user: userId }, Math.floor(Date.now() / 1000));
+}
+
+export default metrics;
@@ -6,6 +6,7 @@
  */
 import { Agent } from 'https';
 import { Agent as HttpAgent } from 'http';
+import { AsyncLocalStorage } from 'async_hooks';
 import logger from '../logger.js';
 import { sleep } from './time.js';
 
@@ -82,3 +83,32 @@ export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
 
   throw lastError;
 }
+
+const requestErrorScope = new AsyncLocalStorage();
+
+/**
+ * Run a function and collect the API request errors recorded while it runs.
+ * The collection follows the async context, so concurrent callers (e.g. books
+ * synced in parallel) each get only the errors of their own requests.
+ * Errors are also passed on to an enclosing capture.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<Object>} - { result, errors }
+ */
+export async function captureRequestErrors(fn) {
+  const parent = requestErrorScope.getStore();
+  const errors = [];
+  try {
+    const result = await requestErrorScope.run(errors, fn);
+    return { result, errors };
+  } finally {
+    parent?.push(...errors);
+  }
+}
+
+/**
+ * Record a failed API request for the enclosing captureRequestErrors() call
+ * @param {Error} error - Request error
+ */
+export function recordRequestError(error) {
+  requestErrorScope.getStore()?.push(error);
+}
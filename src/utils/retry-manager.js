@@ -5,6 +5,7 @@
  * with configurable backoff strategies for different error types.
  */
 import logger from '../logger.js';
+import { appMetrics } from './metrics.js';
 
 /**
  * Retry strategies for different error types
@@ -206,6 +207,8 @@ export class RetryManager {
           },
         );
 
+        appMetrics.apiRetries.inc({ service: this.serviceName.toLowerCase() });
+
         // Call retry callback if provided
         if (onRetry) {
           await onRetry(error, attempt, backoffMs);
@@ -221,6 +224,39 @@ export class RetryManager {
     }
   }
 
+  /**
+   * Classify an error with the retry policies, e.g. to decide whether a
+   * write that failed after all retries is worth trying again later
+   * @param {Error} error - Error thrown by a request
+   * @returns {Object} - { category, strategy, transient } where transient
+   *   errors (network, 5xx, 429) are expected to go away on their own
+   */
+  classifyError(error) {
+    // Requests that resolve with a 4xx status carry it as statusCode
+    const candidate =
+      !error.response && error.statusCode
+        ? Object.assign(Object.create(error), {
+            response: { status: error.statusCode },
+          })
+        : error;
+    const { category, strategy } = getRetryConfig(candidate, this.retryConfig);
+    return {
+      category,
+      strategy,
+      transient: ['network', 'serverError', 'rateLimit'].includes(category),
+    };
+  }
+
+  /**
+   * Get the backoff delay of a retry strategy
+   * @param {string} strategy - One of RetryStrategy
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffDelay(strategy, attempt) {
+    return calculateBackoffDelay(strategy, attempt);
+  }
+
   /**
    * Update retry configuration for specific error categories
    * @param {Object} newConfig - New configuration to merge
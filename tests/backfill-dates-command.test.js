@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+
+import { BackfillDatesCommand } from '../src/cli/commands/BackfillDatesCommand.js';
+
+describe('Backfill-dates command', () => {
+  const createCommand = (globalConfig, users) => {
+    const command = new BackfillDatesCommand(() => () => {});
+    command.validateConfiguration = mock.fn(async () => {});
+    command.getConfiguration = () => ({
+      config: { getUser: id => users.find(user => user.id === id) },
+      globalConfig,
+      users,
+    });
+    command.backfillUser = mock.fn(async (user, _globalConfig, dryRun) => ({
+      user_id: user.id,
+      dryRun,
+    }));
+    return command;
+  };
+
+  it('honours dry_run from the configuration and user overrides', async () => {
+    const users = [{ id: 'alice' }, { id: 'bob', dry_run: true }];
+
+    const live = await createCommand({ dry_run: false }, users).execute({});
+    assert.deepEqual(
+      live.map(summary => [summary.user_id, summary.dryRun]),
+      [
+        ['alice', false],
+        ['bob', true],
+      ],
+    );
+
+    const configured = await createCommand({ dry_run: true }, [
+      { id: 'alice' },
+    ]).execute({});
+    assert.equal(configured[0].dryRun, true);
+  });
+
+  it('keeps --dry-run over a user that turned dry_run off', async () => {
+    const summaries = await createCommand({ dry_run: false }, [
+      { id: 'alice', dry_run: false },
+    ]).execute({ dryRun: true });
+
+    assert.equal(summaries[0].dryRun, true);
+  });
+});
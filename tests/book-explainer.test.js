@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import fs from 'fs';
+
+import { BookExplainer } from '../src/book-explainer.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { BookMatcher } from '../src/matching/index.js';
+import ProgressManager from '../src/progress-manager.js';
+import { ExplainTraceFormatter } from '../src/display/ExplainTraceFormatter.js';
+
+const user = {
+  id: 'alice',
+  abs_url: 'http://abs.invalid',
+  abs_token: 'abs-token',
+  hardcover_token: 'hc-token',
+};
+
+const globalConfig = {
+  min_progress_threshold: 5,
+  auto_add_books: false,
+  title_author_matching: { enabled: true, confidence_threshold: 0.7 },
+};
+
+const absBook = {
+  id: 'li_explain1',
+  progress_percentage: 42,
+  is_finished: false,
+  media: {
+    metadata: { title: 'The Quiet Harbor', authorName: 'Jane Doe' },
+  },
+};
+
+function createExplainer(books = [absBook]) {
+  const explainer = new BookExplainer(user, globalConfig, { fresh: true });
+
+  explainer._createSyncManager = cache => {
+    const syncManager = new SyncManager(
+      user,
+      explainer.globalConfig,
+      true,
+      false,
+      {
+        cache,
+      },
+    );
+    const hardcover = {
+      getUserBooks: async () => [],
+      _executeQuery: async () => ({ search: { results: [] } }),
+      async searchBooksForMatching(title) {
+        await this._executeQuery(
+          'query searchBooks($query: String!) { search }',
+          { query: title },
+        );
+        return [
+          {
+            id: 901,
+            title: 'An Unrelated Cookbook',
+            author_names: ['Someone Else'],
+          },
+        ];
+      },
+    };
+    syncManager.hardcover = hardcover;
+    syncManager.audiobookshelf = {
+      getLibraryItem: async id => books.find(book => book.id === id) || null,
+      getReadingProgress: async () => books,
+    };
+    syncManager.bookMatcher = new BookMatcher(
+      hardcover,
+      cache,
+      explainer.globalConfig,
+      syncManager.matchOverrides,
+    );
+    return syncManager;
+  };
+
+  return { explainer };
+}
+
+describe('BookExplainer', () => {
+  let explainer;
+
+  afterEach(() => {
+    explainer?.close();
+    explainer = null;
+  });
+
+  it('traces extraction, every matcher tier and the candidate scores', async () => {
+    const originalAnalyze = ProgressManager.analyzeProgressRegression;
+    ({ explainer } = createExplainer());
+
+    const trace = await explainer.explain('li_explain1');
+
+    assert.equal(trace.book.abs_id, 'li_explain1');
+    assert.equal(trace.book.title, 'The Quiet Harbor');
+    assert.deepEqual(trace.book.identifiers, { isbn: null, asin: null });
+    assert.deepEqual(
+      trace.tiers.map(tier => [tier.tier, tier.outcome]),
+      [
+        [1, 'no_match'],
+        [2, 'no_match'],
+        [3, 'no_match'],
+      ],
+    );
+    assert.equal(trace.searches.length, 1);
+    assert.equal(trace.candidates[0].book_id, 901);
+    assert.equal(trace.candidates[0].passes_threshold, false);
+    assert.ok(trace.candidates[0].components.title);
+    assert.ok(trace.candidates[0].components.author);
+    assert.equal(trace.match, null);
+    assert.equal(trace.result.status, 'skipped');
+    assert.deepEqual(
+      trace.queries.map(query => query.operation),
+      ['searchBooks'],
+    );
+
+    // Instrumentation is removed once the trace is taken
+    assert.equal(ProgressManager.analyzeProgressRegression, originalAnalyze);
+    assert.equal(
+      explainer.syncManager.hardcover.searchBooksForMatching.name,
+      'searchBooksForMatching',
+    );
+  });
+
+  it('finds books by title and rejects ambiguous titles', async () => {
+    const sequel = {
+      ...absBook,
+      id: 'li_explain2',
+      media: { metadata: { title: 'The Quiet Harbor Returns' } },
+    };
+    ({ explainer } = createExplainer([absBook, sequel]));
+    explainer.syncManager = explainer._createSyncManager(null);
+
+    assert.equal((await explainer.findBook('the quiet harbor')).id, absBook.id);
+    assert.equal((await explainer.findBook('Returns')).id, sequel.id);
+    await assert.rejects(explainer.findBook('Harbor'), /matches 2 books/);
+    await assert.rejects(explainer.findBook('Missing Book'), /No book/);
+  });
+
+  it('works on a scratch cache that is removed on close', async () => {
+    ({ explainer } = createExplainer());
+    await explainer.explain('The Quiet Harbor');
+    const scratchDir = explainer.scratchDir;
+
+    assert.ok(fs.existsSync(scratchDir));
+    explainer.close();
+    assert.equal(fs.existsSync(scratchDir), false);
+  });
+
+  it('formats a readable report', async () => {
+    ({ explainer } = createExplainer());
+    const trace = await explainer.explain('li_explain1');
+    const report = new ExplainTraceFormatter().format(trace);
+
+    assert.match(report, /EXPLAIN: The Quiet Harbor/);
+    assert.match(report, /Tier 3 .*no match/);
+    assert.match(report, /An Unrelated Cookbook .*\[book 901\]/);
+    assert.match(report, /query searchBooks/);
+    assert.match(report, /Status: skipped/);
+  });
+});
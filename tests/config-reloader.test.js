@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { Config } from '../src/config.js';
+import { ConfigReloader, diffConfig } from '../src/config-reloader.js';
+
+const configYaml = ({
+  schedule = '0 3 * * *',
+  threshold = 5,
+  hardcoverToken = 'alice-hardcover-token-1234',
+} = {}) => `
+global:
+  sync_schedule: "${schedule}"
+  min_progress_threshold: ${threshold}
+users:
+  - id: alice
+    abs_url: https://abs.home.arpa
+    abs_token: alice-abs-token-1234
+    hardcover_token: ${hardcoverToken}
+`;
+
+describe('Configuration reload', () => {
+  let originalEnv;
+  let tempDir;
+  let configPath;
+  let reloader;
+  let onReload;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('SHELFBRIDGE_')) {
+        delete process.env[key];
+      }
+    }
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-reload-'));
+    configPath = path.join(tempDir, 'config.yaml');
+    writeFileSync(configPath, configYaml());
+
+    onReload = mock.fn(async () => {});
+    reloader = new ConfigReloader({
+      config: new Config(configPath),
+      onReload,
+      configPath,
+    });
+  });
+
+  afterEach(() => {
+    reloader.stop();
+    process.env = originalEnv;
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('lists changed values with masked secrets', () => {
+    assert.deepEqual(
+      diffConfig(
+        { global: { workers: 3 }, users: [{ abs_token: '[REDACTED]' }] },
+        {
+          global: { workers: 5, parallel: true },
+          users: [{ abs_token: '[REDACTED]' }],
+        },
+      ),
+      ['global.workers: 3 → 5', 'global.parallel: (unset) → true'],
+    );
+  });
+
+  it('swaps in a valid configuration as a whole', async () => {
+    const previous = reloader.config;
+    writeFileSync(configPath, configYaml({ schedule: '0 * * * *' }));
+
+    assert.equal(await reloader.reload(), true);
+
+    assert.notEqual(reloader.config, previous);
+    assert.equal(reloader.config.getCronConfig().schedule, '0 * * * *');
+    // The running configuration is left untouched for a sync in progress
+    assert.equal(previous.getCronConfig().schedule, '0 3 * * *');
+    const [config, before, changes] = onReload.mock.calls[0].arguments;
+    assert.equal(config, reloader.config);
+    assert.equal(before, previous);
+    assert.deepEqual(changes, [
+      'global.sync_schedule: "0 3 * * *" → "0 * * * *"',
+    ]);
+  });
+
+  it('applies a rotated token without logging it', async () => {
+    writeFileSync(
+      configPath,
+      configYaml({ hardcoverToken: 'alice-rotated-token-5678' }),
+    );
+
+    assert.equal(await reloader.reload(), true);
+
+    assert.equal(
+      reloader.config.getUsers()[0].hardcover_token,
+      'alice-rotated-token-5678',
+    );
+    const [, , changes] = onReload.mock.calls[0].arguments;
+    assert.deepEqual(changes, ['users: changed (value hidden)']);
+  });
+
+  it('keeps the running configuration when an edit is invalid', async () => {
+    const previous = reloader.config;
+
+    writeFileSync(configPath, configYaml({ threshold: 250 }));
+    assert.equal(await reloader.reload(), false);
+
+    writeFileSync(configPath, 'global: [unterminated');
+    assert.equal(await reloader.reload(), false);
+
+    assert.equal(reloader.config, previous);
+    assert.equal(onReload.mock.callCount(), 0);
+  });
+
+  it('ignores reloads without changes and reloads on SIGHUP', async () => {
+    assert.equal(await reloader.reload(), false);
+
+    reloader.start();
+    writeFileSync(configPath, configYaml({ threshold: 10 }));
+    process.emit('SIGHUP');
+    await reloader.reloading;
+
+    assert.equal(onReload.mock.callCount(), 1);
+    assert.equal(reloader.config.getGlobal().min_progress_threshold, 10);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { readFileSync } from 'fs';
+
+import { generateJsonSchema } from '../src/config-schema.js';
+import { GLOBAL_ENV_MAPPING } from '../src/config.js';
+
+const collectEnvVars = schema =>
+  Object.values(schema.properties || {}).flatMap(property => [
+    ...(property['x-env-var'] ? [property['x-env-var']] : []),
+    ...collectEnvVars(property),
+  ]);
+
+describe('Configuration JSON Schema', () => {
+  const schema = generateJsonSchema();
+  const globalProperties = schema.properties.global.properties;
+  const userItems = schema.properties.users.items;
+
+  it('carries types, limits, enums, defaults and environment variables', () => {
+    assert.deepEqual(globalProperties.workers, {
+      type: 'number',
+      minimum: 1,
+      maximum: 10,
+      description:
+        'Number of parallel workers (1-10)\n\nEnvironment variable: SHELFBRIDGE_WORKERS',
+      default: 3,
+      'x-env-var': 'SHELFBRIDGE_WORKERS',
+    });
+    const conflictStrategy =
+      globalProperties.two_way_sync.properties.conflict_strategy;
+    assert.deepEqual(conflictStrategy.enum, ['newest', 'hardcover']);
+    assert.equal(
+      conflictStrategy['x-env-var'],
+      'SHELFBRIDGE_TWO_WAY_SYNC_CONFLICT_STRATEGY',
+    );
+    assert.deepEqual(globalProperties.want_to_read.properties.tags.items, {
+      type: 'string',
+      minLength: 1,
+    });
+  });
+
+  it('describes users with their overrides and secret references', () => {
+    assert.deepEqual(userItems.required, [
+      'id',
+      'abs_url',
+      'abs_token',
+      'hardcover_token',
+    ]);
+    assert.equal(userItems.properties.abs_url.format, 'uri');
+    assert.deepEqual(userItems.properties.abs_token.anyOf, [
+      { type: 'string', minLength: 10 },
+      { $ref: '#/definitions/secretReference' },
+    ]);
+    assert.equal(
+      userItems.properties.hardcover_token['x-env-var'],
+      'SHELFBRIDGE_USER_<N>_HARDCOVER_TOKEN',
+    );
+    assert.equal(userItems.properties.auto_add_books.type, 'boolean');
+    assert.equal(userItems.properties.server, undefined);
+  });
+
+  it('names every environment variable the configuration reads', () => {
+    const envVars = collectEnvVars(schema.properties.global);
+    assert.deepEqual(
+      envVars.sort(),
+      Object.keys(GLOBAL_ENV_MAPPING)
+        .map(key => `SHELFBRIDGE_${key}`)
+        .sort(),
+    );
+
+    // The reference table in the docs lists the same variables
+    const reference = readFileSync(
+      'wiki/admin/Configuration-Reference.md',
+      'utf8',
+    );
+    const table = reference
+      .split('### Complete Environment Variable Reference')[1]
+      .split('###')[0];
+    const documented = [...table.matchAll(/^\| `(SHELFBRIDGE_\w+)`/gm)].map(
+      match => match[1],
+    );
+    assert.deepEqual(documented.sort(), envVars.sort());
+  });
+
+  it('matches the committed config/config.schema.json', () => {
+    assert.deepEqual(
+      JSON.parse(readFileSync('config/config.schema.json', 'utf8')),
+      schema,
+      'Regenerate it with: node src/main.js config schema -o config/config.schema.json',
+    );
+  });
+});
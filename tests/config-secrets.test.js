@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { Config } from '../src/config.js';
+import { ConfigValidator } from '../src/config-validator.js';
+import {
+  isSecretReference,
+  resolveSecretReference,
+} from '../src/config-secrets.js';
+
+describe('Configuration secrets', () => {
+  let originalEnv;
+  let tempDir;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('SHELFBRIDGE_')) {
+        delete process.env[key];
+      }
+    }
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-secrets-'));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('recognises references with exactly one known key', () => {
+    assert.equal(isSecretReference({ file: '/run/secrets/abs' }), true);
+    assert.equal(isSecretReference({ env: 'A', file: 'b' }), false);
+    assert.equal(isSecretReference({ path: 'b' }), false);
+    assert.equal(isSecretReference('token'), false);
+  });
+
+  it('resolves file, env and command references in YAML', () => {
+    const absFile = writeFile('abs_token', 'abs-secret-from-file\n');
+    process.env.TEST_HARDCOVER_TOKEN = 'hardcover-secret-from-env';
+    const configPath = writeFile(
+      'config.yaml',
+      `
+global:
+  server:
+    api_token: { command: "echo '  api-secret-from-command  '" }
+users:
+  - id: alice
+    abs_url: https://abs.example.com
+    abs_token: { file: ${absFile} }
+    hardcover_token: { env: TEST_HARDCOVER_TOKEN }
+`,
+    );
+
+    const config = new Config(configPath);
+    const [user] = config.getUsers();
+
+    assert.equal(user.abs_token, 'abs-secret-from-file');
+    assert.equal(user.hardcover_token, 'hardcover-secret-from-env');
+    assert.equal(
+      config.getGlobal().server.api_token,
+      'api-secret-from-command',
+    );
+  });
+
+  it('reads _FILE environment variables, preferring the plain variable', () => {
+    process.env.SHELFBRIDGE_USER_0_ID = 'alice';
+    process.env.SHELFBRIDGE_USER_0_ABS_URL = 'https://abs.example.com';
+    process.env.SHELFBRIDGE_USER_0_ABS_TOKEN_FILE = writeFile(
+      'abs_token',
+      'abs-secret-from-file\n',
+    );
+    process.env.SHELFBRIDGE_USER_0_HARDCOVER_TOKEN = 'plain-hardcover-token';
+    process.env.SHELFBRIDGE_USER_0_HARDCOVER_TOKEN_FILE = path.join(
+      tempDir,
+      'missing',
+    );
+    process.env.SHELFBRIDGE_SERVER_API_TOKEN_FILE = writeFile(
+      'api_token',
+      'api-secret-from-file',
+    );
+
+    const config = new Config(path.join(tempDir, 'missing.yaml'));
+    const [user] = config.getUsers();
+
+    assert.equal(user.abs_token, 'abs-secret-from-file');
+    assert.equal(user.hardcover_token, 'plain-hardcover-token');
+    assert.equal(config.getGlobal().server.api_token, 'api-secret-from-file');
+  });
+
+  it('fails with the setting name but without the secret', () => {
+    const configPath = writeFile(
+      'config.yaml',
+      `
+users:
+  - id: alice
+    abs_url: https://abs.example.com
+    abs_token: { env: TEST_UNSET_TOKEN }
+    hardcover_token: { command: "echo hardcover-secret; exit 3" }
+`,
+    );
+    delete process.env.TEST_UNSET_TOKEN;
+
+    assert.throws(
+      () => new Config(configPath),
+      /users\[0\]\.abs_token from env TEST_UNSET_TOKEN: environment variable TEST_UNSET_TOKEN is not set/,
+    );
+    assert.throws(
+      () => resolveSecretReference({ command: 'echo secret-value; exit 3' }),
+      error =>
+        error.message === 'secret command exited with code 3' &&
+        !error.message.includes('secret-value'),
+    );
+    assert.throws(
+      () => resolveSecretReference({ file: writeFile('empty', '\n') }),
+      /is empty/,
+    );
+  });
+
+  it('masks resolved secrets and token settings when shown', async () => {
+    const configPath = writeFile(
+      'config.yaml',
+      `
+global:
+  notifications:
+    channels:
+      - type: smtp
+        password: smtp-password
+users:
+  - id: alice
+    abs_url: https://abs.example.com
+    abs_token: { file: ${writeFile('abs_token', 'your_abs_token')} }
+    hardcover_token: plain-hardcover-token
+`,
+    );
+    const config = new Config(configPath);
+
+    const display = config.toDisplayObject();
+    assert.match(display.users[0].abs_token, /^\[REDACTED\] \(from file /);
+    assert.equal(display.users[0].hardcover_token, '[REDACTED]');
+    assert.equal(
+      display.global.notifications.channels[0].password,
+      '[REDACTED]',
+    );
+    assert.doesNotMatch(config.toString(), /smtp-password/);
+
+    // Placeholder errors do not echo a value that came from a secret
+    const { errors } = await new ConfigValidator().validateConfiguration(
+      config,
+    );
+    const placeholderError = errors.find(error => error.includes('abs_token'));
+    assert.match(placeholderError, /placeholder value '\[REDACTED\]'/);
+  });
+});
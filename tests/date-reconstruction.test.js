@@ -0,0 +1,263 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { DateReconstructor } from '../src/date-reconstruction.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { SyncRunUndo } from '../src/sync-run-undo.js';
+
+const at = iso => new Date(iso).getTime();
+
+const sessions = [
+  {
+    id: 's3',
+    libraryItemId: 'li_dates',
+    startedAt: at('2026-03-20T20:00:00Z'),
+    updatedAt: at('2026-03-20T21:00:00Z'),
+  },
+  {
+    id: 's1',
+    libraryItemId: 'li_dates',
+    startedAt: at('2026-03-01T20:00:00Z'),
+    updatedAt: at('2026-03-01T21:00:00Z'),
+  },
+  {
+    id: 's2',
+    libraryItemId: 'li_dates',
+    startedAt: at('2026-03-10T20:00:00Z'),
+    updatedAt: at('2026-03-10T21:00:00Z'),
+  },
+  { id: 's-broken', libraryItemId: null, startedAt: at('2026-01-01') },
+];
+
+const absBook = (overrides = {}) => ({
+  id: 'li_dates',
+  is_finished: true,
+  progress_percentage: 100,
+  started_at: at('2026-06-01T10:00:00Z'), // re-import date
+  finished_at: at('2026-06-01T10:00:00Z'),
+  media: {
+    metadata: {
+      title: 'Dated Book',
+      authorName: 'Test Author',
+      asin: 'B00DATES01',
+    },
+  },
+  ...overrides,
+});
+
+describe('Date reconstruction from listening sessions', () => {
+  it('takes the first and last session of each item', async () => {
+    const reconstructor = new DateReconstructor({
+      getListeningSessions: mock.fn(async () => sessions),
+    });
+    assert.equal(await reconstructor.load(), 1);
+
+    assert.deepEqual(reconstructor.getDates(absBook()), {
+      startedAt: at('2026-03-01T20:00:00Z'),
+      finishedAt: at('2026-03-20T21:00:00Z'),
+      sessions: 3,
+    });
+    assert.equal(
+      reconstructor.getDates(absBook({ is_finished: false })).finishedAt,
+      null,
+    );
+    assert.equal(reconstructor.getDates(absBook({ id: 'li_other' })), null);
+  });
+
+  it('dates a re-read from the sessions after the previous finish', () => {
+    const reread = (id, start, overrides = {}) => ({
+      id,
+      libraryItemId: 'li_dates',
+      startedAt: at(start),
+      updatedAt: at(start) + 60 * 60 * 1000,
+      duration: 36000,
+      currentTime: 18000,
+      ...overrides,
+    });
+    const reconstructor = new DateReconstructor(null);
+    reconstructor.index([
+      reread('r1', '2025-01-05T20:00:00Z', { currentTime: 3600 }),
+      reread('r2', '2025-01-20T20:00:00Z', { currentTime: 35990 }),
+      reread('r3', '2026-05-01T20:00:00Z', { currentTime: 3600 }),
+    ]);
+
+    assert.deepEqual(reconstructor.getDates(absBook({ is_finished: false })), {
+      startedAt: at('2026-05-01T20:00:00Z'),
+      finishedAt: null,
+      sessions: 1,
+    });
+    // The finished first read keeps its own dates until the re-read ends
+    assert.deepEqual(reconstructor.getDates(absBook()), {
+      startedAt: at('2025-01-05T20:00:00Z'),
+      finishedAt: at('2025-01-20T21:00:00Z'),
+      sessions: 2,
+    });
+    assert.equal(
+      reconstructor.getDates(absBook(), { after: at('2026-06-01T00:00:00Z') }),
+      null,
+    );
+  });
+
+  it('replaces the progress record dates during sync', () => {
+    const manager = Object.create(SyncManager.prototype);
+    manager.dateReconstructor = new DateReconstructor(null);
+    manager.dateReconstructor.index(sessions);
+
+    const book = absBook();
+    manager._applySessionDates(book, 'Dated Book');
+    assert.equal(book.started_at, at('2026-03-01T20:00:00Z'));
+    assert.equal(book.finished_at, at('2026-03-20T21:00:00Z'));
+
+    const unknown = absBook({ id: 'li_other' });
+    manager._applySessionDates(unknown, 'Other Book');
+    assert.equal(unknown.started_at, at('2026-06-01T10:00:00Z'));
+  });
+
+  describe('backfill', () => {
+    let tempDir;
+    let cache;
+    let manager;
+    let read;
+
+    beforeEach(async () => {
+      tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-dates-'));
+      cache = new BookCache(path.join(tempDir, 'cache.db'));
+      await cache.init();
+      await cache.storeBookSyncData(
+        'alice',
+        'B00DATES01',
+        'Dated Book',
+        42,
+        'asin',
+        'Test Author',
+        100,
+      );
+
+      read = {
+        id: 700,
+        progress_pages: null,
+        progress_seconds: 7200,
+        edition_id: 42,
+        started_at: '2026-06-01',
+        finished_at: '2026-06-01',
+      };
+      manager = Object.create(SyncManager.prototype);
+      Object.assign(manager, {
+        userId: 'alice',
+        runKey: 'run-backfill',
+        dryRun: false,
+        timezone: 'UTC',
+        cache,
+        hardcoverBooks: [
+          { id: 10, status_id: 3, book: { id: 7, editions: [{ id: 42 }] } },
+        ],
+        dateReconstructor: new DateReconstructor(null),
+        hardcover: {
+          getBookCurrentProgress: mock.fn(async () => ({
+            latest_read: read,
+            user_book: { id: 10, status_id: 3 },
+            has_progress: true,
+          })),
+          getPreviousReadFinishedAt: mock.fn(async () => null),
+          updateUserBookReadDates: mock.fn(async () => ({ id: 700 })),
+          restoreUserBookRead: mock.fn(async () => ({ id: 700 })),
+        },
+      });
+      manager.dateReconstructor.index(sessions);
+    });
+
+    afterEach(() => {
+      cache.close();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('corrects synced reads and can be undone', async () => {
+      const summary = await manager.backfillReadDates([
+        absBook(),
+        absBook({ id: 'li_other' }),
+      ]);
+
+      assert.equal(summary.updated, 1);
+      assert.equal(summary.skipped, 1);
+      assert.deepEqual(
+        manager.hardcover.updateUserBookReadDates.mock.calls[0].arguments,
+        [700, { startedAt: '2026-03-01', finishedAt: '2026-03-20' }],
+      );
+      assert.deepEqual(summary.book_details[0].actions, [
+        'Started 2026-06-01 → 2026-03-01',
+        'Finished 2026-06-01 → 2026-03-20',
+      ]);
+
+      const runId = await cache.recordSyncRun({
+        user_id: 'alice',
+        trigger: 'backfill-dates',
+        started_at: new Date().toISOString(),
+        run_key: 'run-backfill',
+      });
+      const undo = await new SyncRunUndo({
+        cache,
+        hardcover: manager.hardcover,
+      }).undo(runId);
+      assert.deepEqual(undo.steps[0].actions, ['restore_read']);
+      assert.deepEqual(
+        manager.hardcover.restoreUserBookRead.mock.calls[0].arguments,
+        [700, read],
+      );
+    });
+
+    it('never finishes an unfinished read and skips correct dates', async () => {
+      read.finished_at = null;
+      read.started_at = '2026-03-01';
+      const summary = await manager.backfillReadDates([absBook()]);
+      assert.equal(summary.unchanged, 1);
+
+      read.started_at = '2026-06-01';
+      manager.dryRun = true;
+      const preview = await manager.backfillReadDates([absBook()]);
+      assert.equal(preview.updated, 1);
+      assert.deepEqual(preview.book_details[0].actions, [
+        'Started 2026-06-01 → 2026-03-01',
+      ]);
+      assert.equal(
+        manager.hardcover.updateUserBookReadDates.mock.callCount(),
+        0,
+      );
+    });
+
+    it('only dates a re-read from sessions after the previous read', async () => {
+      Object.assign(read, { id: 701, finished_at: null });
+      manager.hardcover.getPreviousReadFinishedAt = mock.fn(
+        async () => '2026-03-15',
+      );
+
+      const summary = await manager.backfillReadDates([
+        absBook({ is_finished: false }),
+      ]);
+
+      assert.deepEqual(
+        manager.hardcover.getPreviousReadFinishedAt.mock.calls[0].arguments,
+        [10, 701],
+      );
+      assert.deepEqual(
+        manager.hardcover.updateUserBookReadDates.mock.calls[0].arguments,
+        [701, { startedAt: '2026-03-20', finishedAt: null }],
+      );
+      assert.equal(summary.updated, 1);
+
+      manager.hardcover.getPreviousReadFinishedAt = mock.fn(
+        async () => '2026-03-25',
+      );
+      const untouched = await manager.backfillReadDates([
+        absBook({ is_finished: false }),
+      ]);
+      assert.equal(
+        untouched.book_details[0].reason,
+        'No listening sessions since the previous read',
+      );
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { SyncRunUndo } from '../src/sync-run-undo.js';
+import { ConfigValidator } from '../src/config-validator.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createAbsBook({ progress = 20, daysAgo = 120, ...overrides } = {}) {
+  return {
+    id: 'li_dnf',
+    progress_percentage: progress,
+    is_finished: false,
+    last_listened_at: Date.now() - daysAgo * DAY,
+    media: {
+      metadata: {
+        title: 'The Long Middle',
+        authorName: 'Test Author',
+        asin: 'B00DNF0001',
+      },
+    },
+    ...overrides,
+  };
+}
+
+describe('DNF detection', () => {
+  let tempDir;
+  let cache;
+  let manager;
+  let userBook;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-dnf-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+    await cache.storeBookSyncData(
+      'alice',
+      'B00DNF0001',
+      'The Long Middle',
+      42,
+      'asin',
+      'Test Author',
+      20,
+    );
+
+    userBook = {
+      id: 10,
+      status_id: 2,
+      book: { id: 7, editions: [{ id: 42 }] },
+    };
+    manager = Object.create(SyncManager.prototype);
+    Object.assign(manager, {
+      userId: 'alice',
+      runKey: 'run-dnf',
+      dryRun: false,
+      verbose: false,
+      cache,
+      globalConfig: { dnf_detection: { enabled: true } },
+      hardcoverBooks: [userBook],
+      hardcover: {
+        getBookCurrentProgress: mock.fn(async () => ({
+          latest_read: null,
+          user_book: { id: 10, status_id: userBook.status_id },
+        })),
+        updateBookStatus: mock.fn(async (id, statusId) => ({ id, statusId })),
+      },
+    });
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const newResult = () => ({
+    books_abandoned: 0,
+    books_resumed: 0,
+    errors: [],
+  });
+
+  it('only treats stalled or hidden unfinished books as abandoned', () => {
+    const config = { inactive_days: 90, max_progress: 50 };
+
+    assert.match(
+      manager._getAbandonReason(createAbsBook(), config),
+      /no listening for 120 days at 20\.0%/,
+    );
+    assert.equal(
+      manager._getAbandonReason(createAbsBook({ daysAgo: 10 }), config),
+      null,
+    );
+    assert.equal(
+      manager._getAbandonReason(createAbsBook({ progress: 75 }), config),
+      null,
+    );
+    assert.equal(
+      manager._getAbandonReason(createAbsBook({ is_finished: true }), config),
+      null,
+    );
+
+    const hidden = createAbsBook({
+      progress: 75,
+      daysAgo: 1,
+      hide_from_continue_listening: true,
+    });
+    assert.equal(
+      manager._getAbandonReason(hidden, config),
+      'hidden from Continue Listening',
+    );
+    assert.equal(
+      manager._getAbandonReason(hidden, {
+        ...config,
+        honor_hide_from_continue: false,
+      }),
+      null,
+    );
+  });
+
+  it('marks abandoned Currently Reading books DNF and journals the change', async () => {
+    const result = newResult();
+    await manager._detectAbandonedBooks([createAbsBook()], result);
+
+    assert.equal(result.books_abandoned, 1);
+    assert.deepEqual(
+      manager.hardcover.updateBookStatus.mock.calls[0].arguments,
+      [10, 5],
+    );
+    const journaled = await cache.getLatestSyncChange('alice', 10, 'abandon');
+    assert.equal(journaled.new_status_id, 5);
+    assert.equal(journaled.prior_state.status_id, 2);
+
+    // Undo puts the book back into Currently Reading
+    const runId = await cache.recordSyncRun({
+      user_id: 'alice',
+      started_at: new Date().toISOString(),
+      run_key: 'run-dnf',
+    });
+    const undo = await new SyncRunUndo({
+      cache,
+      hardcover: manager.hardcover,
+    }).undo(runId);
+    assert.deepEqual(undo.steps[0].actions, ['restore_status']);
+    assert.deepEqual(
+      manager.hardcover.updateBookStatus.mock.calls[1].arguments,
+      [10, 2],
+    );
+  });
+
+  it('moves books back to Want to Read and respects dry run', async () => {
+    manager.globalConfig.dnf_detection.action = 'want_to_read';
+    manager.dryRun = true;
+    const preview = newResult();
+    await manager._detectAbandonedBooks([createAbsBook()], preview);
+    assert.equal(preview.books_abandoned, 1);
+    assert.equal(manager.hardcover.updateBookStatus.mock.callCount(), 0);
+
+    manager.dryRun = false;
+    await manager._detectAbandonedBooks([createAbsBook()], newResult());
+    assert.deepEqual(
+      manager.hardcover.updateBookStatus.mock.calls[0].arguments,
+      [10, 1],
+    );
+  });
+
+  it('resumes only books it marked DNF once they are listened to again', async () => {
+    await manager._detectAbandonedBooks([createAbsBook()], newResult());
+    assert.equal(userBook.status_id, 5);
+
+    // Not listened to since - stays DNF
+    const idle = newResult();
+    await manager._detectAbandonedBooks(
+      [createAbsBook({ daysAgo: 1, last_listened_at: Date.now() - DAY })],
+      idle,
+    );
+    assert.equal(idle.books_resumed, 0);
+
+    const resumed = newResult();
+    await manager._detectAbandonedBooks(
+      [createAbsBook({ last_listened_at: Date.now() + 1000 })],
+      resumed,
+    );
+    assert.equal(resumed.books_resumed, 1);
+    assert.deepEqual(
+      manager.hardcover.updateBookStatus.mock.calls.at(-1).arguments,
+      [10, 2],
+    );
+
+    // A DNF set by hand on Hardcover is left alone
+    const other = { id: 11, status_id: 5, book: { id: 8 } };
+    assert.equal(
+      await manager._resumedSinceAbandoned(
+        createAbsBook({ last_listened_at: Date.now() }),
+        other,
+      ),
+      false,
+    );
+  });
+
+  it('validates the dnf_detection settings', () => {
+    const errors = new ConfigValidator().validateGlobalConfig({
+      dnf_detection: { enabled: true, action: 'shelve', inactive_days: 0 },
+    });
+
+    assert.ok(
+      errors.some(error =>
+        error.includes("'dnf_detection.action' must be one of"),
+      ),
+    );
+    assert.ok(
+      errors.some(error => error.includes('dnf_detection.inactive_days')),
+    );
+  });
+});
@@ -0,0 +1,242 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+
+import { HardcoverClient } from '../src/hardcover-client.js';
+import { SyncManager } from '../src/sync-manager.js';
+import {
+  GraphQLBatcher,
+  buildBatchDocument,
+  parseOperation,
+} from '../src/utils/graphql-batcher.js';
+import {
+  captureRequestErrors,
+  recordRequestError,
+} from '../src/utils/network.js';
+
+const statusMutation = `
+  mutation updateBookStatus($userBookId: Int!, $statusId: Int!) {
+    update_user_book(id: $userBookId, object: {status_id: $statusId}) {
+      error
+      user_book { id status_id }
+    }
+  }
+`;
+
+const progressQuery = `
+  query getBookProgress($userBookId: Int!) {
+    user_book_reads(where: {user_book_id: {_eq: $userBookId}}, limit: 1) {
+      id
+    }
+    user_books(where: {id: {_eq: $userBookId}}) {
+      id
+    }
+  }
+`;
+
+const graphQLError = (message, data, errors) =>
+  Object.assign(new Error(`GraphQL errors: ${message}`), {
+    graphQLErrors: errors,
+    partialData: data,
+  });
+
+describe('GraphQL batching', () => {
+  it('aliases the root fields and variables of every operation', () => {
+    const operations = [
+      { parsed: parseOperation(progressQuery), variables: { userBookId: 1 } },
+      { parsed: parseOperation(progressQuery), variables: { userBookId: 2 } },
+    ];
+    const { document, variables } = buildBatchDocument('query', operations);
+
+    assert.match(
+      document,
+      /^query BatchedQuery\(\$b0_userBookId: Int!, \$b1_userBookId: Int!\)/,
+    );
+    assert.match(
+      document,
+      /b1_user_book_reads: user_book_reads\(where: \{user_book_id: \{_eq: \$b1_userBookId\}\}/,
+    );
+    assert.match(document, /b0_user_books: user_books\(/);
+    assert.deepEqual(variables, { b0_userBookId: 1, b1_userBookId: 2 });
+    assert.deepEqual(operations[0].fields, ['user_book_reads', 'user_books']);
+  });
+
+  it('sends operations issued together as one request and splits the result', async () => {
+    const execute = mock.fn(async (document, variables) =>
+      Object.fromEntries(
+        Object.entries(variables)
+          .filter(([name]) => name.endsWith('_userBookId'))
+          .map(([name, id]) => [
+            `${name.split('_')[0]}_update_user_book`,
+            { error: null, user_book: { id, status_id: 3 } },
+          ]),
+      ),
+    );
+    const batcher = new GraphQLBatcher(execute, { windowMs: 5 });
+
+    const results = await Promise.all(
+      [1, 2, 3].map(id =>
+        batcher.add(statusMutation, { userBookId: id, statusId: 3 }),
+      ),
+    );
+
+    assert.equal(execute.mock.callCount(), 1);
+    assert.match(execute.mock.calls[0].arguments[0], /^mutation Batched/);
+    assert.deepEqual(
+      results.map(result => result.update_user_book.user_book.id),
+      [1, 2, 3],
+    );
+  });
+
+  it('flushes as soon as max_operations are queued', async () => {
+    const execute = mock.fn(async () => ({}));
+    const batcher = new GraphQLBatcher(execute, {
+      maxOperations: 2,
+      windowMs: 10000,
+    });
+
+    await Promise.all([
+      batcher.add(progressQuery, { userBookId: 1 }),
+      batcher.add(progressQuery, { userBookId: 2 }),
+    ]);
+    assert.equal(execute.mock.callCount(), 1);
+  });
+
+  it('maps GraphQL errors to their alias and resends operations that did not run', async () => {
+    const execute = mock.fn(async document => {
+      if (document.includes('Batched')) {
+        throw graphQLError('status is invalid', null, [
+          {
+            message: 'status is invalid',
+            extensions: { path: '$.selectionSet.b1_update_user_book' },
+          },
+        ]);
+      }
+      return { update_user_book: { error: null, user_book: { id: 1 } } };
+    });
+    const batcher = new GraphQLBatcher(execute, { windowMs: 5 });
+
+    const [first, second] = await Promise.allSettled([
+      batcher.add(statusMutation, { userBookId: 1, statusId: 3 }),
+      batcher.add(statusMutation, { userBookId: 2, statusId: 9 }),
+    ]);
+
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(first.value.update_user_book.user_book.id, 1);
+    assert.equal(second.status, 'rejected');
+    assert.equal(second.reason.message, 'GraphQL errors: status is invalid');
+    // Only the operation without an error is sent again
+    assert.equal(execute.mock.callCount(), 2);
+    assert.doesNotMatch(execute.mock.calls[1].arguments[0], /Batched/);
+  });
+
+  it('resolves executed operations from partial data', async () => {
+    const execute = mock.fn(async () => {
+      throw graphQLError(
+        'not found',
+        { b0_user_book_reads: [{ id: 5 }], b0_user_books: [{ id: 1 }] },
+        [{ message: 'not found', path: ['b1_user_books'] }],
+      );
+    });
+    const batcher = new GraphQLBatcher(execute, { windowMs: 5 });
+
+    const [first, second] = await Promise.allSettled([
+      batcher.add(progressQuery, { userBookId: 1 }),
+      batcher.add(progressQuery, { userBookId: 2 }),
+    ]);
+
+    assert.deepEqual(first.value, {
+      user_book_reads: [{ id: 5 }],
+      user_books: [{ id: 1 }],
+    });
+    assert.match(second.reason.message, /not found/);
+    assert.equal(execute.mock.callCount(), 1);
+  });
+
+  it('fails every operation on transport errors', async () => {
+    const outage = Object.assign(new Error('socket hang up'), {
+      code: 'ECONNRESET',
+    });
+    const batcher = new GraphQLBatcher(
+      async () => {
+        throw outage;
+      },
+      { windowMs: 5 },
+    );
+
+    const results = await Promise.allSettled([
+      batcher.add(progressQuery, { userBookId: 1 }),
+      batcher.add(progressQuery, { userBookId: 2 }),
+    ]);
+    assert.deepEqual(
+      results.map(result => result.reason),
+      [outage, outage],
+    );
+  });
+
+  it('keeps request errors of concurrent callers apart', async () => {
+    const failAfter = async (delay, message) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      recordRequestError(new Error(message));
+      return message;
+    };
+
+    const [slow, fast] = await Promise.all([
+      captureRequestErrors(() => failAfter(10, 'slow')),
+      captureRequestErrors(() => failAfter(1, 'fast')),
+    ]);
+
+    assert.deepEqual(
+      slow.errors.map(error => error.message),
+      ['slow'],
+    );
+    assert.deepEqual(
+      fast.errors.map(error => error.message),
+      ['fast'],
+    );
+  });
+
+  it('reports per-book Hardcover errors from a shared request', async () => {
+    const client = new HardcoverClient('token', 1, 55, {
+      batching: { enabled: true, window_ms: 5 },
+    });
+    client._executeQuery = mock.fn(async () => {
+      throw graphQLError('Status 9 does not exist', null, [
+        {
+          message: 'Status 9 does not exist',
+          extensions: { path: '$.selectionSet.b1_update_user_book' },
+        },
+        {
+          message: 'User book not found',
+          extensions: { path: '$.selectionSet.b0_update_user_book' },
+        },
+      ]);
+    });
+
+    const manager = Object.create(SyncManager.prototype);
+    manager._syncSingleBook = async absBook => {
+      const updated = await client.updateBookStatus(absBook.id, absBook.status);
+      return updated
+        ? { status: 'synced', title: absBook.id }
+        : {
+            status: 'error',
+            reason: 'Status update failed',
+            title: absBook.id,
+          };
+    };
+
+    const [first, second] = await Promise.all([
+      manager._syncBookCapturingErrors({ id: 1, status: 3 }, null, null),
+      manager._syncBookCapturingErrors({ id: 2, status: 9 }, null, null),
+    ]);
+    client.cleanup();
+
+    assert.equal(client._executeQuery.mock.callCount(), 1);
+    assert.equal(
+      first.reason,
+      'Status update failed (GraphQL errors: User book not found)',
+    );
+    assert.deepEqual(second.errors, [
+      'GraphQL errors: Status 9 does not exist',
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { HardcoverClient } from '../src/hardcover-client.js';
+import { SyncManager } from '../src/sync-manager.js';
+
+const userBook = (id, updatedAt, statusId = 2) => ({
+  id,
+  status_id: statusId,
+  updated_at: updatedAt,
+  book: { id: id * 10, title: `Book ${id}`, editions: [{ id: id * 100 }] },
+});
+
+describe('Stored Hardcover library', () => {
+  it('asks Hardcover only for user books updated after a timestamp', async () => {
+    const client = Object.create(HardcoverClient.prototype);
+    client._executeQuery = mock.fn(async () => ({
+      me: [{ user_books: [userBook(1, '2026-05-02T10:00:00+00:00')] }],
+    }));
+
+    const books = await client.getUserBooks({
+      updatedSince: '2026-05-01T10:00:00+00:00',
+    });
+
+    assert.equal(books.length, 1);
+    const [query, variables] = client._executeQuery.mock.calls[0].arguments;
+    assert.match(query, /where: \{updated_at: \{_gt: \$since\}\}/);
+    assert.deepEqual(variables, {
+      offset: 0,
+      limit: 100,
+      since: '2026-05-01T10:00:00+00:00',
+    });
+
+    await client.getUserBooks();
+    assert.doesNotMatch(client._executeQuery.mock.calls[1].arguments[0], /_gt/);
+  });
+
+  describe('library loading', () => {
+    let tempDir;
+    let cache;
+    let manager;
+    let remote;
+    let accountId;
+
+    beforeEach(async () => {
+      tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-hclibrary-'));
+      cache = new BookCache(path.join(tempDir, 'cache.db'));
+      await cache.init();
+      accountId = 7;
+      remote = [
+        userBook(1, '2026-05-01T10:00:00.123456+00:00'),
+        userBook(2, '2026-05-03T10:00:00+00:00'),
+      ];
+
+      manager = Object.create(SyncManager.prototype);
+      Object.assign(manager, {
+        userId: 'alice',
+        cache,
+        globalConfig: {
+          hardcover_library_cache: { enabled: true, full_refresh_hours: 24 },
+        },
+        hardcover: {
+          getCurrentUser: mock.fn(async () => [{ id: accountId }]),
+          getUserBooks: mock.fn(async ({ updatedSince = null } = {}) =>
+            remote.filter(
+              book =>
+                !updatedSince ||
+                Date.parse(book.updated_at) > Date.parse(updatedSince),
+            ),
+          ),
+        },
+        bookMatcher: { setUserLibrary: mock.fn() },
+      });
+    });
+
+    afterEach(() => {
+      cache.close();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const sinceOfCall = index =>
+      manager.hardcover.getUserBooks.mock.calls[index].arguments[0]
+        ?.updatedSince ?? null;
+
+    it('fetches the whole library once and then only changed books', async () => {
+      assert.equal((await manager._loadHardcoverLibrary()).length, 2);
+      assert.equal(sinceOfCall(0), null);
+
+      remote[0] = userBook(1, '2026-05-04T10:00:00+00:00', 3);
+      const library = await manager._loadHardcoverLibrary();
+
+      assert.equal(sinceOfCall(1), '2026-05-03T10:00:00+00:00');
+      assert.deepEqual(
+        library.map(book => [book.id, book.status_id]),
+        [
+          [1, 3],
+          [2, 2],
+        ],
+      );
+      assert.deepEqual(manager.hardcoverBooks, library);
+      assert.equal(
+        (await cache.getHardcoverLibraryState('alice')).last_updated_at,
+        '2026-05-04T10:00:00+00:00',
+      );
+    });
+
+    it('refreshes everything on schedule, account change or old format', async () => {
+      await manager._loadHardcoverLibrary();
+
+      // Removed on the Hardcover website: only a full fetch notices
+      remote = [remote[1]];
+      cache.db
+        .prepare('UPDATE hardcover_library_state SET last_full_refresh_at = ?')
+        .run(new Date(Date.now() - 25 * 3600 * 1000).toISOString());
+      assert.equal((await manager._loadHardcoverLibrary()).length, 1);
+      assert.equal(sinceOfCall(1), null);
+
+      accountId = 8;
+      await manager._loadHardcoverLibrary();
+      assert.equal(sinceOfCall(2), null);
+
+      cache.db
+        .prepare('UPDATE hardcover_library_state SET schema_version = 0')
+        .run();
+      await manager._loadHardcoverLibrary();
+      assert.equal(sinceOfCall(3), null);
+
+      await manager._loadHardcoverLibrary();
+      assert.equal(sinceOfCall(4), '2026-05-03T10:00:00+00:00');
+    });
+
+    it('drops removed books from the stored library', async () => {
+      await manager._loadHardcoverLibrary();
+
+      assert.equal(await cache.removeHardcoverLibraryBook('alice', 1), 1);
+      assert.deepEqual(
+        (await cache.getHardcoverLibrary('alice')).map(book => book.id),
+        [2],
+      );
+
+      await cache.clearCache();
+      assert.equal(await cache.getHardcoverLibraryState('alice'), null);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { HardcoverOutbox, OutboxQueuedError } from '../src/hardcover-outbox.js';
+import { RetryManager } from '../src/utils/retry-manager.js';
+import { recordRequestError } from '../src/utils/network.js';
+
+const networkError = () =>
+  Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+describe('Hardcover outbox', () => {
+  let tempDir;
+  let cache;
+  let hardcover;
+  let outbox;
+  let available;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-outbox-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+    available = true;
+
+    // Like HardcoverClient: failures are logged and reported as false
+    const write = result =>
+      mock.fn(async () => {
+        if (!available) {
+          recordRequestError(networkError());
+          return false;
+        }
+        return result;
+      });
+    hardcover = {
+      retryManager: new RetryManager('Hardcover'),
+      updateReadingProgress: write({ id: 70 }),
+      markBookCompleted: write({ id: 70, finished_at: '2026-05-01' }),
+      updateBookStatus: mock.fn(async () => {
+        recordRequestError(
+          Object.assign(
+            new Error(
+              'GraphQL API request failed with status 400: Bad Request',
+            ),
+            { statusCode: 400 },
+          ),
+        );
+        return false;
+      }),
+    };
+    outbox = new HardcoverOutbox({
+      cache,
+      hardcover,
+      userId: 'alice',
+      config: { enabled: true, max_attempts: 3 },
+    });
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const progress = percent => [5, percent, percent, 9, true, null, null];
+  const details = { target: 'user_book:5', title: 'Dune' };
+  const makeDue = () =>
+    cache.db
+      .prepare('UPDATE hardcover_outbox SET next_attempt_at = NULL')
+      .run();
+
+  it('queues writes during an outage and replays them in order', async () => {
+    available = false;
+    await assert.rejects(
+      outbox.send('progress', progress(40), details),
+      OutboxQueuedError,
+    );
+    // Later writes wait without hitting Hardcover again
+    await assert.rejects(
+      outbox.send(
+        'complete',
+        [5, 9, 3600, true, '2026-05-01', '2026-04-01'],
+        details,
+      ),
+      /behind #1 for the same book/,
+    );
+    assert.equal(hardcover.markBookCompleted.mock.callCount(), 0);
+
+    const [first, second] = await cache.getOutboxEntries({ userId: 'alice' });
+    assert.equal(first.status, 'pending');
+    assert.equal(first.attempts, 1);
+    assert.ok(first.next_attempt_at > new Date().toISOString());
+    assert.deepEqual(second.payload[4], '2026-05-01');
+
+    // Not due yet: the completion stays behind the progress update
+    available = true;
+    const replayer = new HardcoverOutbox({
+      cache,
+      hardcover,
+      userId: 'alice',
+      config: { enabled: true },
+    });
+    assert.deepEqual(await replayer.drain(), { sent: 0, dead: 0, pending: 2 });
+
+    makeDue();
+    assert.deepEqual(await replayer.drain(), { sent: 2, dead: 0, pending: 0 });
+    assert.deepEqual(hardcover.markBookCompleted.mock.calls[0].arguments, [
+      5,
+      9,
+      3600,
+      true,
+      '2026-05-01',
+      '2026-04-01',
+    ]);
+
+    // The sync pass that follows gets the replayed result without resending
+    const calls = hardcover.updateReadingProgress.mock.callCount();
+    assert.deepEqual(await replayer.send('progress', progress(40), details), {
+      id: 70,
+    });
+    assert.equal(hardcover.updateReadingProgress.mock.callCount(), calls);
+  });
+
+  it('keeps one entry per write and only the newest queued progress', async () => {
+    available = false;
+    await assert.rejects(outbox.send('progress', progress(40), details));
+    outbox.unavailableUntil = 0;
+    makeDue();
+    await assert.rejects(outbox.send('progress', progress(40), details));
+    await assert.rejects(outbox.send('progress', progress(55), details));
+
+    const entries = await cache.getOutboxEntries({ userId: 'alice' });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].payload[1], 55);
+  });
+
+  it('dead-letters rejected writes until they are retried', async () => {
+    assert.equal(
+      await outbox.send('status', [5, 3], { target: 'user_book:5' }),
+      false,
+    );
+    const [entry] = await cache.getOutboxEntries({ status: 'dead' });
+    assert.match(entry.last_error, /status 400/);
+
+    assert.equal(await cache.retryOutboxEntries({ userId: 'alice' }), 1);
+    const [retried] = await cache.getOutboxEntries({ ids: [entry.id] });
+    assert.equal(retried.status, 'pending');
+    assert.equal(retried.attempts, 0);
+
+    assert.equal(await cache.deleteOutboxEntries({ ids: [entry.id] }), 1);
+    assert.deepEqual(await cache.getOutboxEntries(), []);
+  });
+
+  it('gives up on writes that keep failing', async () => {
+    available = false;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      makeDue();
+      await outbox.drain();
+      if (attempt === 0) {
+        await assert.rejects(outbox.send('progress', progress(40), details));
+      }
+    }
+    const [entry] = await cache.getOutboxEntries({ userId: 'alice' });
+    assert.equal(entry.status, 'dead');
+    assert.equal(entry.attempts, 3);
+  });
+
+  it('sends directly and stores nothing when disabled', async () => {
+    outbox.enabled = false;
+    assert.deepEqual(await outbox.send('progress', progress(40), details), {
+      id: 70,
+    });
+    assert.deepEqual(await cache.getOutboxEntries(), []);
+  });
+
+  it('classifies outages apart from rejected requests', () => {
+    const retryManager = new RetryManager('Hardcover');
+    assert.equal(retryManager.classifyError(networkError()).transient, true);
+    assert.equal(
+      retryManager.classifyError({ message: 'x', statusCode: 429 }).category,
+      'rateLimit',
+    );
+    assert.equal(
+      retryManager.classifyError({ message: 'x', response: { status: 503 } })
+        .transient,
+      true,
+    );
+    assert.equal(
+      retryManager.classifyError({ message: 'x', statusCode: 400 }).transient,
+      false,
+    );
+    assert.equal(
+      retryManager.classifyError(new Error('GraphQL errors: invalid'))
+        .transient,
+      false,
+    );
+  });
+});
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { AudiobookshelfClient } from '../src/audiobookshelf-client.js';
+import { BookCache } from '../src/book-cache.js';
+import { SyncManager } from '../src/sync-manager.js';
+
+const HOUR = 3600 * 1000;
+
+const progress = (id, lastUpdate) => ({
+  id: `progress-${id}`,
+  libraryItemId: id,
+  episodeId: null,
+  progress: 0.5,
+  currentTime: 500,
+  isFinished: false,
+  lastUpdate,
+});
+
+describe('Incremental sync', () => {
+  it('fetches details only for items updated after the watermark', async () => {
+    const client = new AudiobookshelfClient('https://abs.example', 'token');
+    const requested = [];
+    client._getCurrentUser = async () => ({
+      mediaProgress: [
+        progress('li_old', 1000),
+        progress('li_new', 3000),
+        progress('li_edge', 2000),
+      ],
+    });
+    client.getLibraries = async () => [{ id: 'lib', name: 'Books' }];
+    client._makeRequest = async (_method, endpoint) => {
+      requested.push(endpoint);
+      return { id: endpoint.split('/').pop(), libraryId: 'lib' };
+    };
+
+    try {
+      const books = await client.getReadingProgress({ since: 2000 });
+
+      assert.deepEqual(
+        books.map(book => book.id),
+        ['li_new'],
+      );
+      assert.deepEqual(requested, ['/api/items/li_new']);
+      assert.deepEqual(client.lastProgressFetch, {
+        incremental: true,
+        latestUpdate: 3000,
+      });
+
+      // Servers without mediaProgress in /api/me always get a full fetch
+      client._getCurrentUser = async () => ({});
+      client._getItemsInProgress = async () => [];
+      client._getCompletedBooksFromLibraries = async () => [];
+      await client.getReadingProgress({ since: 2000 });
+      assert.deepEqual(client.lastProgressFetch, {
+        incremental: false,
+        latestUpdate: null,
+      });
+    } finally {
+      client.cleanup();
+    }
+  });
+
+  describe('sync runs', () => {
+    let tempDir;
+    let cache;
+    let manager;
+    let latestUpdate;
+    let syncStatus;
+
+    beforeEach(async () => {
+      tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-incremental-'));
+      cache = new BookCache(path.join(tempDir, 'cache.db'));
+      await cache.init();
+      latestUpdate = 5000;
+      syncStatus = 'synced';
+
+      manager = new SyncManager(
+        {
+          id: 'alice',
+          abs_url: 'https://abs.example',
+          abs_token: 'abs-token',
+          hardcover_token: 'hardcover-token',
+        },
+        {
+          parallel: false,
+          incremental_sync: { enabled: true, full_sync_interval_hours: 24 },
+          dnf_detection: { enabled: true },
+        },
+        false,
+        false,
+        { cache },
+      );
+      manager.audiobookshelf.cleanup();
+      manager.audiobookshelf = {
+        getReadingProgress: mock.fn(async ({ since }) => {
+          manager.audiobookshelf.lastProgressFetch = {
+            incremental: since !== null,
+            latestUpdate,
+          };
+          return [{ id: 'li_1', media: { metadata: { title: 'One' } } }];
+        }),
+        cleanup: () => {},
+      };
+      manager.hardcover.cleanup();
+      manager.hardcover = { getUserBooks: async () => [], cleanup: () => {} };
+      manager._syncSingleBook = mock.fn(async () => ({
+        title: 'One',
+        status: syncStatus,
+        reason: syncStatus === 'error' ? 'Hardcover failed' : null,
+      }));
+      manager._detectAbandonedBooks = mock.fn(async () => {});
+    });
+
+    afterEach(() => {
+      manager.cleanup();
+      cache.close();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const sinceOfCall = index =>
+      manager.audiobookshelf.getReadingProgress.mock.calls[index].arguments[0]
+        .since;
+
+    it('starts with a full sync and then only syncs changes', async () => {
+      const first = await manager.syncProgress();
+      assert.equal(first.sync_mode, 'full');
+      assert.equal(sinceOfCall(0), null);
+      assert.equal(manager._detectAbandonedBooks.mock.callCount(), 1);
+
+      latestUpdate = 7000;
+      const second = await manager.syncProgress();
+      assert.equal(second.sync_mode, 'incremental');
+      assert.equal(sinceOfCall(1), 5000);
+      // Passes that look at unchanged books wait for the next full sync
+      assert.equal(manager._detectAbandonedBooks.mock.callCount(), 1);
+
+      assert.equal(
+        (await cache.getSyncWatermark('alice')).last_progress_update,
+        7000,
+      );
+    });
+
+    it('keeps the watermark after errors and runs periodic full syncs', async () => {
+      await manager.syncProgress();
+
+      syncStatus = 'error';
+      latestUpdate = 7000;
+      await manager.syncProgress();
+      await manager.syncProgress();
+      assert.equal(sinceOfCall(2), 5000);
+
+      await cache.saveSyncWatermark('alice', {
+        lastFullSyncAt: new Date(Date.now() - 25 * HOUR).toISOString(),
+      });
+      syncStatus = 'synced';
+      const reconcile = await manager.syncProgress();
+      assert.equal(reconcile.sync_mode, 'full');
+      assert.equal(sinceOfCall(3), null);
+
+      manager.globalConfig.force_sync = true;
+      await manager.syncProgress();
+      assert.equal(sinceOfCall(4), null);
+    });
+
+    it('never moves the watermark in dry run', async () => {
+      manager.dryRun = true;
+      await manager.syncProgress();
+      assert.equal(await cache.getSyncWatermark('alice'), null);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import * as yaml from 'js-yaml';
+import inquirer from 'inquirer';
+
+import { InitCommand } from '../src/cli/commands/InitCommand.js';
+
+describe('Init command', () => {
+  let originalEnv;
+  let tempDir;
+  let configPath;
+  let command;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('SHELFBRIDGE_')) {
+        delete process.env[key];
+      }
+    }
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-init-'));
+    configPath = path.join(tempDir, 'config.yaml');
+
+    command = new InitCommand();
+    command.promptAudiobookshelf = mock.fn(async () => ({
+      url: 'https://abs.home.arpa',
+      token: 'bob-abs-token-1234',
+      username: 'bob',
+      libraries: [{ name: 'Audiobooks' }, { name: 'Podcasts' }],
+    }));
+    command.promptHardcover = mock.fn(async () => ({
+      token: 'bob-hardcover-token-1234',
+      username: 'bobreads',
+    }));
+    command.promptLibraryFilter = mock.fn(async () => ({
+      exclude: ['Podcasts'],
+    }));
+    command.promptUserId = mock.fn(async (_users, suggestion) => suggestion);
+    mock.method(console, 'log', () => {});
+    mock.method(process.stdout, 'write', () => true);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    process.env = originalEnv;
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('writes a commented configuration that passes validation', async () => {
+    await command.execute({ config: configPath });
+
+    const content = readFileSync(configPath, 'utf8');
+    assert.match(content, /^# yaml-language-server: \$schema=/);
+    assert.match(content, /^# global:$/m);
+    assert.deepEqual(yaml.load(content), {
+      users: [
+        {
+          id: 'bobreads',
+          abs_url: 'https://abs.home.arpa',
+          abs_token: 'bob-abs-token-1234',
+          hardcover_token: 'bob-hardcover-token-1234',
+          libraries: { exclude: ['Podcasts'] },
+        },
+      ],
+    });
+    assert.equal(await command.checkWrittenConfig(configPath), true);
+  });
+
+  it('keeps existing users and settings and drops example users', async () => {
+    const tokenFile = path.join(tempDir, 'alice_token');
+    writeFileSync(tokenFile, 'alice-abs-token-1234');
+    writeFileSync(
+      configPath,
+      `
+global:
+  auto_add_books: true
+users:
+  - id: your_username
+    abs_url: https://your-audiobookshelf-server.com
+    abs_token: your_audiobookshelf_api_token_here
+    hardcover_token: your_hardcover_api_token_here
+  - id: alice
+    abs_url: https://abs.home.arpa
+    abs_token: { file: ${tokenFile} }
+    hardcover_token: alice-hardcover-token-1234
+    sync_schedule: "0 * * * *"
+`,
+    );
+    mock.method(inquirer, 'prompt', async () => ({ remove: true }));
+
+    await command.execute({ config: configPath });
+
+    const written = yaml.load(readFileSync(configPath, 'utf8'));
+    assert.deepEqual(written.global, { auto_add_books: true });
+    assert.deepEqual(
+      written.users.map(user => user.id),
+      ['alice', 'bobreads'],
+    );
+    assert.deepEqual(written.users[0].abs_token, { file: tokenFile });
+    assert.equal(written.users[0].sync_schedule, '0 * * * *');
+    assert.deepEqual(
+      command.promptUserId.mock.calls[0].arguments[0].map(user => user.id),
+      ['alice'],
+    );
+    assert.match(readFileSync(`${configPath}.bak`, 'utf8'), /your_username/);
+  });
+
+  it('replaces a user that is set up again in place', async () => {
+    writeFileSync(
+      configPath,
+      yaml.dump({
+        users: [
+          { id: 'bobreads', abs_url: 'https://old.home.arpa' },
+          { id: 'carol', abs_url: 'https://abs.home.arpa' },
+        ],
+      }),
+    );
+
+    await command.execute({ config: configPath });
+
+    const { users } = yaml.load(readFileSync(configPath, 'utf8'));
+    assert.deepEqual(
+      users.map(user => [user.id, user.abs_url]),
+      [
+        ['bobreads', 'https://abs.home.arpa'],
+        ['carol', 'https://abs.home.arpa'],
+      ],
+    );
+  });
+
+  it('keeps the comments and layout of an existing file', async () => {
+    const existing = `# My ShelfBridge setup
+global:
+  # Run at night, the NAS is busy during the day
+  sync_schedule: "0 3 * * *"
+  auto_add_books: true # books I buy elsewhere
+
+users:
+  # Alice's account on the home server
+  - id: alice
+    abs_url: https://abs.home.arpa
+    abs_token: alice-abs-token-1234 # rotated in March
+    hardcover_token: alice-hardcover-token-1234
+`;
+    writeFileSync(configPath, existing, { mode: 0o644 });
+
+    await command.execute({ config: configPath });
+
+    const content = readFileSync(configPath, 'utf8');
+    assert.ok(
+      content.startsWith(existing),
+      `existing content was changed:\n${content}`,
+    );
+    assert.deepEqual(
+      yaml.load(content).users.map(user => user.id),
+      ['alice', 'bobreads'],
+    );
+    assert.match(content, /\n\n {2}- id: bobreads\n/);
+    assert.equal(statSync(configPath).mode & 0o777, 0o600);
+  });
+
+  it('fills an empty users list in block style', async () => {
+    writeFileSync(
+      configPath,
+      `global:
+  dry_run: true # until the first sync looks right
+users: []
+`,
+    );
+
+    await command.execute({ config: configPath });
+
+    const content = readFileSync(configPath, 'utf8');
+    assert.match(content, /dry_run: true # until the first sync looks right/);
+    assert.match(content, /^users:\n {2}- id: bobreads$/m);
+  });
+
+  it('builds include and exclude filters from the picked libraries', async () => {
+    const libraries = [
+      { name: 'Audiobooks', mediaType: 'book' },
+      { name: 'Podcasts', mediaType: 'podcast' },
+    ];
+    const answers = [{ mode: 'include' }, { names: ['Audiobooks'] }];
+    mock.method(inquirer, 'prompt', async () => answers.shift());
+
+    const filter = await InitCommand.prototype.promptLibraryFilter.call(
+      command,
+      libraries,
+    );
+
+    assert.deepEqual(filter, { include: ['Audiobooks'] });
+    assert.equal(
+      await InitCommand.prototype.promptLibraryFilter.call(command, [
+        libraries[0],
+      ]),
+      null,
+    );
+  });
+});
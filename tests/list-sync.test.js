@@ -0,0 +1,250 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { ConfigValidator } from '../src/config-validator.js';
+
+const item = (id, title) => ({ id, media: { metadata: { title } } });
+
+// Hardcover book IDs the matcher resolves each library item to
+const matches = {
+  li_1: { userBook: { id: 100, book: { id: 1 } }, edition: { id: 11 } },
+  li_2: { userBook: { id: 200, book: { id: 2 } }, edition: { id: 22 } },
+  li_3: {
+    userBook: { id: 3, book: { id: 3 } },
+    edition: { id: 3 },
+    _isSearchResult: true,
+    _needsEditionIdLookup: true,
+  },
+};
+
+const newResult = () => ({
+  lists_created: 0,
+  list_entries_added: 0,
+  list_entries_removed: 0,
+  errors: [],
+});
+
+describe('Collection and playlist list sync', () => {
+  let tempDir;
+  let cache;
+  let manager;
+  let collection;
+  let hardcoverList;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-lists-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+
+    collection = {
+      id: 'col_1',
+      name: 'Book Club 2026',
+      books: [
+        item('li_1', 'First'),
+        item('li_2', 'Second'),
+        item('li_x', 'Unmatched'),
+      ],
+    };
+    hardcoverList = null;
+    let nextEntryId = 500;
+
+    manager = Object.create(SyncManager.prototype);
+    Object.assign(manager, {
+      userId: 'alice',
+      user: { id: 'alice', list_sync: { collections: ['book club 2026'] } },
+      dryRun: false,
+      cache,
+      audiobookshelf: {
+        getCollections: mock.fn(async () => [
+          collection,
+          { id: 'col_2', name: 'Other', books: [item('li_3', 'Third')] },
+        ]),
+        getPlaylists: mock.fn(async () => []),
+      },
+      bookMatcher: {
+        findMatch: mock.fn(async absItem => ({
+          match: matches[absItem.id] || null,
+        })),
+      },
+      hardcover: {
+        getList: mock.fn(async id =>
+          hardcoverList?.id === id ? hardcoverList : null,
+        ),
+        createList: mock.fn(async () => {
+          hardcoverList = { id: 90 + (hardcoverList ? 1 : 0), list_books: [] };
+          return { id: hardcoverList.id };
+        }),
+        addBookToList: mock.fn(async (_listId, bookId) => {
+          const entry = { id: nextEntryId++, book_id: bookId };
+          hardcoverList.list_books.push(entry);
+          return { id: entry.id };
+        }),
+        removeBookFromList: mock.fn(async entryId => {
+          hardcoverList.list_books = hardcoverList.list_books.filter(
+            entry => entry.id !== entryId,
+          );
+          return true;
+        }),
+      },
+    });
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('creates a list for an opted-in collection and adds matched books', async () => {
+    const result = newResult();
+    await manager._syncLists(result);
+
+    assert.equal(result.lists_created, 1);
+    assert.equal(result.list_entries_added, 2);
+    assert.deepEqual(result.errors, []);
+    assert.equal(
+      manager.hardcover.createList.mock.calls[0].arguments[0].name,
+      'Book Club 2026',
+    );
+    assert.deepEqual(
+      manager.hardcover.addBookToList.mock.calls.map(call => call.arguments),
+      [
+        [90, 1, 11],
+        [90, 2, 22],
+      ],
+    );
+    assert.equal(
+      (await cache.getListMapping('alice', 'collection', 'col_1')).list_id,
+      90,
+    );
+
+    // Nothing changes on the next run
+    const again = newResult();
+    await manager._syncLists(again);
+    assert.equal(again.lists_created + again.list_entries_added, 0);
+  });
+
+  it('removes books that left the collection but keeps entries added by hand', async () => {
+    await manager._syncLists(newResult());
+    hardcoverList.list_books.push({ id: 999, book_id: 3 });
+
+    collection.books = [item('li_1', 'First')];
+    const result = newResult();
+    await manager._syncLists(result);
+
+    assert.equal(result.list_entries_removed, 1);
+    assert.deepEqual(
+      hardcoverList.list_books.map(entry => entry.book_id),
+      [1, 3],
+    );
+    assert.deepEqual(
+      (await cache.getListEntries('alice', 90)).map(entry => entry.book_id),
+      [1],
+    );
+  });
+
+  it('keeps entries of items that could not be matched this time', async () => {
+    await manager._syncLists(newResult());
+
+    // A transient Hardcover error makes the matcher give up on li_2
+    manager.bookMatcher.findMatch = mock.fn(async absItem => {
+      if (absItem.id === 'li_2') {
+        throw new Error('Hardcover request timed out');
+      }
+      return { match: matches[absItem.id] || null };
+    });
+    const result = newResult();
+    await manager._syncLists(result);
+
+    assert.equal(result.list_entries_removed, 0);
+    assert.equal(manager.hardcover.removeBookFromList.mock.callCount(), 0);
+    assert.deepEqual(
+      hardcoverList.list_books.map(entry => entry.book_id),
+      [1, 2],
+    );
+  });
+
+  it('recreates a list deleted on Hardcover and previews changes in dry run', async () => {
+    manager.dryRun = true;
+    const preview = newResult();
+    await manager._syncLists(preview);
+    assert.equal(preview.lists_created, 1);
+    assert.equal(preview.list_entries_added, 2);
+    assert.equal(manager.hardcover.createList.mock.callCount(), 0);
+    assert.equal(manager.hardcover.addBookToList.mock.callCount(), 0);
+
+    manager.dryRun = false;
+    await manager._syncLists(newResult());
+    hardcoverList = { id: 0, list_books: [] }; // list 90 deleted
+
+    const result = newResult();
+    await manager._syncLists(result);
+    assert.equal(result.lists_created, 1);
+    assert.equal(result.list_entries_added, 2);
+    assert.equal(
+      (await cache.getListMapping('alice', 'collection', 'col_1')).list_id,
+      91,
+    );
+    assert.equal((await cache.getListEntries('alice', 90)).length, 0);
+  });
+
+  it('syncs playlists without podcast episodes', async () => {
+    manager.user.list_sync = { playlists: ['To Listen'] };
+    manager.audiobookshelf.getPlaylists = mock.fn(async () => [
+      {
+        id: 'pl_1',
+        name: 'To Listen',
+        items: [
+          { libraryItemId: 'li_3', libraryItem: item('li_3', 'Third') },
+          {
+            libraryItemId: 'li_pod',
+            episodeId: 'ep_1',
+            libraryItem: item('li_pod', 'Podcast'),
+          },
+        ],
+      },
+    ]);
+
+    const sources = await manager._getListSources(manager.user.list_sync);
+    assert.deepEqual(
+      sources.map(source => [source.type, source.items.map(i => i.id)]),
+      [['playlist', ['li_3']]],
+    );
+    assert.equal(manager.audiobookshelf.getCollections.mock.callCount(), 0);
+
+    const result = newResult();
+    await manager._syncLists(result);
+    // Search results have no reliable edition yet
+    assert.deepEqual(manager.hardcover.addBookToList.mock.calls[0].arguments, [
+      90,
+      3,
+      null,
+    ]);
+  });
+
+  it('validates the list_sync settings', () => {
+    const { errors } = new ConfigValidator().validateUser(
+      {
+        id: 'alice',
+        abs_url: 'https://abs.example.com',
+        abs_token: 'abs-token-123456',
+        hardcover_token: 'hardcover-token-123456',
+        list_sync: { collections: ['Book Club', ''], privacy: 'secret' },
+      },
+      0,
+    );
+
+    assert.ok(
+      errors.some(error => error.includes("'list_sync.collections' must be")),
+    );
+    assert.ok(
+      errors.some(error =>
+        error.includes("'list_sync.privacy' must be one of"),
+      ),
+    );
+  });
+});
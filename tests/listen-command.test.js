@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { ListenCommand } from '../src/cli/commands/ListenCommand.js';
+import { BookCache } from '../src/book-cache.js';
+import { SyncManager } from '../src/sync-manager.js';
+
+const createConfig = (globalConfig, users) => ({
+  getGlobal: () => globalConfig,
+  getUsers: () => users,
+});
+
+describe('Listen command', () => {
+  const createCommand = () => {
+    const command = new ListenCommand(
+      async () => {},
+      async () => {},
+      () => () => {},
+    );
+    command.listeners = new Map();
+    command.listenUser = mock.fn((user, _globalConfig, dryRun) => ({
+      user_id: user.id,
+      token: user.abs_token,
+      dryRun,
+      stop: mock.fn(async () => {}),
+    }));
+    return command;
+  };
+
+  const alice = { id: 'alice', abs_token: 'alice-token-1' };
+  const bob = { id: 'bob', abs_token: 'bob-token-1' };
+
+  it('replaces only the listeners whose settings changed on reload', async () => {
+    const command = createCommand();
+    await command.updateListeners(
+      createConfig({ dry_run: false }, [alice, bob]),
+      null,
+      false,
+    );
+    const before = new Map(command.listeners);
+
+    await command.updateListeners(
+      createConfig({ dry_run: false }, [
+        { ...alice, abs_token: 'alice-token-2' },
+        { ...bob },
+      ]),
+      null,
+      false,
+    );
+
+    assert.equal(before.get('alice').stop.mock.callCount(), 1);
+    assert.equal(command.listeners.get('alice').token, 'alice-token-2');
+    assert.equal(before.get('bob').stop.mock.callCount(), 0);
+    assert.equal(command.listeners.get('bob'), before.get('bob'));
+  });
+
+  it('applies reloaded overrides and stops listeners of removed users', async () => {
+    const command = createCommand();
+    await command.updateListeners(createConfig({}, [alice, bob]), null, false);
+    const bobListener = command.listeners.get('bob');
+
+    await command.updateListeners(
+      createConfig({}, [{ ...alice, dry_run: true }]),
+      null,
+      false,
+    );
+
+    assert.deepEqual([...command.listeners.keys()], ['alice']);
+    assert.equal(command.listeners.get('alice').dryRun, true);
+    assert.equal(bobListener.stop.mock.callCount(), 1);
+  });
+
+  it('only listens for the selected user and keeps --dry-run', async () => {
+    const command = createCommand();
+    await command.updateListeners(
+      createConfig({}, [alice, { ...bob, dry_run: false }]),
+      'bob',
+      true,
+    );
+
+    assert.deepEqual([...command.listeners.keys()], ['bob']);
+    assert.equal(command.listeners.get('bob').dryRun, true);
+  });
+
+  it('records each event sync as a run that undo can find', async () => {
+    const tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-listen-'));
+    const cache = new BookCache(path.join(tempDir, 'cache.db'));
+    try {
+      const syncManager = Object.create(SyncManager.prototype);
+      Object.assign(syncManager, {
+        userId: 'alice',
+        cache,
+        globalConfig: {},
+      });
+      const command = createCommand();
+      const synced = {
+        ...syncManager._createSyncResult(),
+        books_processed: 1,
+        books_synced: 1,
+        book_details: [
+          { abs_id: 'li_1', title: 'The Quiet Harbor', status: 'synced' },
+        ],
+      };
+
+      const firstKey = syncManager.startRun();
+      await syncManager._journalChange({
+        title: 'The Quiet Harbor',
+        changeType: 'progress',
+        userBookId: 10,
+        priorState: null,
+      });
+      const firstRun = await command.recordRun(
+        syncManager,
+        alice,
+        false,
+        synced,
+        new Date(),
+      );
+      const secondKey = syncManager.startRun();
+      const skipped = await command.recordRun(
+        syncManager,
+        alice,
+        false,
+        {
+          ...syncManager._createSyncResult(),
+          books_processed: 1,
+          book_details: [{ title: 'Other', status: 'skipped' }],
+        },
+        new Date(),
+      );
+
+      assert.notEqual(firstKey, secondKey);
+      assert.equal(skipped, null);
+      const [run] = await cache.getSyncRuns({ userId: 'alice' });
+      assert.equal(run.id, firstRun);
+      assert.equal(run.trigger, 'listen');
+      assert.equal((await cache.getSyncChanges(firstRun)).length, 1);
+    } finally {
+      cache.close();
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,318 @@
+import assert from 'node:assert/strict';
+import { after, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import {
+  MatchOverrides,
+  loadOverridesFile,
+  validateOverrideEntry,
+} from '../src/matching/match-overrides.js';
+import { BookMatcher } from '../src/matching/book-matcher.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { ConfigValidator } from '../src/config-validator.js';
+
+function createAbsBook(overrides = {}) {
+  return {
+    id: 'li_pinned',
+    progress_percentage: 40,
+    is_finished: false,
+    media: {
+      metadata: {
+        title: 'The Wrong Match',
+        authors: [{ name: 'Jane Author' }],
+        asin: 'B000000001',
+      },
+    },
+    ...overrides,
+  };
+}
+
+function createLibrary() {
+  return [
+    {
+      id: 1,
+      book: {
+        id: 100,
+        title: 'The Wrong Match',
+        editions: [{ id: 1000, asin: 'B000000001', audio_seconds: 3600 }],
+      },
+    },
+    {
+      id: 2,
+      book: {
+        id: 200,
+        title: 'The Right Book',
+        editions: [
+          { id: 2000, isbn_13: '9780000000002', pages: 300 },
+          { id: 2001, asin: 'B000000002', audio_seconds: 7200 },
+        ],
+      },
+    },
+  ];
+}
+
+describe('MatchOverrides', () => {
+  const overrides = new MatchOverrides([
+    { abs_id: 'li_pinned', edition_id: 2001 },
+    { asin: 'b000000003', book_id: 300 },
+    { isbn: '0-306-40615-2', skip: true },
+    { title: 'Shared Title', author: 'Someone', book_id: 400, users: ['bob'] },
+    { title: 'Shared Title', book_id: 500 },
+    { title: 'missing action' },
+  ]);
+
+  it('ignores invalid entries', () => {
+    assert.equal(overrides.size, 5);
+  });
+
+  it('looks up by ABS item ID, ASIN, ISBN variants and title/author', () => {
+    assert.equal(overrides.find({ absId: 'li_pinned' }).edition_id, 2001);
+    assert.equal(
+      overrides.find({ identifiers: { asin: 'B000000003' } }).book_id,
+      300,
+    );
+    assert.equal(
+      overrides.find({ identifiers: { isbn: '9780306406157' } }).skip,
+      true,
+    );
+    assert.equal(
+      overrides.find({ title: 'shared title', author: 'Someone' }, 'bob')
+        .book_id,
+      400,
+    );
+    assert.equal(overrides.find({ title: 'Nothing here' }), null);
+  });
+
+  it('skips user-scoped entries for other users', () => {
+    assert.equal(
+      overrides.find({ title: 'Shared Title', author: 'Someone' }, 'alice')
+        .book_id,
+      500,
+    );
+  });
+
+  it('keeps user-scoped overrides that share an ASIN apart', () => {
+    const shared = new MatchOverrides([
+      { asin: 'B000000009', edition_id: 901, users: ['alice'] },
+      { asin: 'B000000009', edition_id: 902, users: ['bob'] },
+    ]);
+    const book = { identifiers: { asin: 'b000000009' } };
+
+    assert.equal(shared.find(book, 'alice').edition_id, 901);
+    assert.equal(shared.find(book, 'bob').edition_id, 902);
+    assert.equal(shared.find(book, 'carol'), null);
+  });
+
+  it('adds review decisions unless a configured override covers the user', () => {
+    const scoped = new MatchOverrides([
+      { abs_id: 'li_shared', book_id: 100, users: ['alice'] },
+    ]);
+
+    assert.equal(
+      scoped.addEntries([
+        { abs_id: 'li_shared', book_id: 200, users: ['alice'] },
+        { abs_id: 'li_shared', book_id: 300, users: ['bob'] },
+      ]),
+      1,
+    );
+    assert.equal(scoped.find({ absId: 'li_shared' }, 'alice').book_id, 100);
+    assert.equal(scoped.find({ absId: 'li_shared' }, 'bob').book_id, 300);
+  });
+
+  it('validates entries', () => {
+    assert.deepEqual(validateOverrideEntry({ abs_id: 'x', skip: true }), []);
+    assert.match(validateOverrideEntry({ book_id: 1 })[0], /needs one of/);
+    assert.match(
+      validateOverrideEntry({ asin: 'B1', skip: true, book_id: 2 })[0],
+      /cannot combine/,
+    );
+    assert.match(
+      validateOverrideEntry({ asin: 'B1', edition_id: 'abc' })[0],
+      /positive integer/,
+    );
+  });
+});
+
+describe('overrides file', () => {
+  const tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-overrides-'));
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('loads entries from an overrides list or a top-level list', () => {
+    const keyed = path.join(tempDir, 'keyed.yaml');
+    writeFileSync(keyed, 'overrides:\n  - abs_id: li_1\n    skip: true\n');
+    const list = path.join(tempDir, 'list.yaml');
+    writeFileSync(list, '- asin: B000000009\n  book_id: 9\n');
+
+    assert.deepEqual(loadOverridesFile(keyed), [
+      { abs_id: 'li_1', skip: true },
+    ]);
+    assert.deepEqual(loadOverridesFile(list), [
+      { asin: 'B000000009', book_id: 9 },
+    ]);
+    assert.deepEqual(loadOverridesFile(path.join(tempDir, 'none.yaml')), []);
+  });
+
+  it('combines the file with inline config entries and reports invalid ones', () => {
+    const file = path.join(tempDir, 'combined.yaml');
+    writeFileSync(file, 'overrides:\n  - abs_id: li_file\n    book_id: 1\n');
+
+    const overrides = MatchOverrides.fromConfig({
+      match_overrides_file: file,
+      match_overrides: [{ abs_id: 'li_inline', skip: true }],
+    });
+    assert.equal(overrides.size, 2);
+
+    const invalidFile = path.join(tempDir, 'invalid.yaml');
+    writeFileSync(invalidFile, 'overrides:\n  - abs_id: li_bad\n');
+    const errors = new ConfigValidator().validateGlobalConfig({
+      match_overrides_file: invalidFile,
+      match_overrides: [{ skip: true }],
+    });
+    assert.ok(errors.some(e => e.includes("'match_overrides[0]'")));
+    assert.ok(errors.some(e => e.includes('invalid.yaml: override #1')));
+  });
+});
+
+describe('BookMatcher with match overrides', () => {
+  function createMatcher(entries, hardcoverClient = null) {
+    const matcher = new BookMatcher(
+      hardcoverClient,
+      null,
+      {},
+      new MatchOverrides(entries),
+    );
+    matcher.setUserLibrary(createLibrary());
+    return matcher;
+  }
+
+  it('pins an edition from the library before the ASIN strategy runs', async () => {
+    const matcher = createMatcher([{ abs_id: 'li_pinned', edition_id: 2001 }]);
+
+    const { match, override } = await matcher.findMatch(createAbsBook(), 'u1');
+
+    assert.equal(override.edition_id, 2001);
+    assert.equal(match._matchType, 'override');
+    assert.equal(match.userBook.book.id, 200);
+    assert.equal(match.edition.id, 2001);
+  });
+
+  it('returns no match for never-sync overrides', async () => {
+    const matcher = createMatcher([{ asin: 'B000000001', skip: true }]);
+
+    const { match, override } = await matcher.findMatch(createAbsBook(), 'u1');
+
+    assert.equal(match, null);
+    assert.equal(override.skip, true);
+  });
+
+  it('turns a pin outside the library into a search result', async () => {
+    const hardcover = {
+      getBookEditions: mock.fn(async () => ({
+        bookId: 900,
+        title: 'Not Yet Added',
+        editions: [{ id: 9001, asin: 'B000000900', audio_seconds: 100 }],
+      })),
+    };
+    const matcher = createMatcher(
+      [{ abs_id: 'li_pinned', book_id: 900 }],
+      hardcover,
+    );
+
+    const { match } = await matcher.findMatch(createAbsBook(), 'u1');
+
+    assert.equal(hardcover.getBookEditions.mock.callCount(), 1);
+    assert.equal(match._isSearchResult, true);
+    assert.equal(match._matchType, 'override_search_result');
+    assert.equal(match.book.id, 900);
+    assert.equal(match.edition.id, 9001);
+  });
+
+  it('needs a book ID lookup for edition-only pins outside the library', async () => {
+    const matcher = createMatcher([{ abs_id: 'li_pinned', edition_id: 5555 }]);
+
+    const { match } = await matcher.findMatch(createAbsBook(), 'u1');
+
+    assert.equal(match._isSearchResult, true);
+    assert.equal(match._needsBookIdLookup, true);
+    assert.equal(match.edition.id, 5555);
+  });
+});
+
+describe('SyncManager with match overrides', () => {
+  function createManager(entries, cachedEditionId = null) {
+    const findMatch = mock.fn(async () => ({
+      match: null,
+      extractedMetadata: {},
+    }));
+    const manager = Object.create(SyncManager.prototype);
+    Object.assign(manager, {
+      userId: 'u1',
+      dryRun: false,
+      verbose: false,
+      timezone: 'UTC',
+      globalConfig: { auto_add_books: false, min_progress_threshold: 5 },
+      hardcoverBooks: createLibrary(),
+      matchOverrides: new MatchOverrides(entries),
+      bookMatcher: { findMatch },
+      cache: {
+        getCachedBookInfo: mock.fn(async () =>
+          cachedEditionId
+            ? {
+                exists: true,
+                edition_id: cachedEditionId,
+                progress_percent: 40,
+              }
+            : { exists: false },
+        ),
+        hasProgressChanged: mock.fn(async () => false),
+        generateTitleAuthorIdentifier: (title, author) => `${title}:${author}`,
+        db: { prepare: () => ({ all: () => [] }) },
+      },
+      _getFreshNegativeSyncSkip: mock.fn(async () => null),
+      _getCachedEditionRepairState: () => ({ requiresRepair: false }),
+      _storeNegativeSyncSkip: mock.fn(async () => {}),
+    });
+    return { manager, findMatch };
+  }
+
+  it('skips never-sync items before cache lookups and matching', async () => {
+    const { manager, findMatch } = createManager([
+      { abs_id: 'li_pinned', skip: true },
+    ]);
+
+    const result = await manager._syncSingleBook(createAbsBook(), null);
+
+    assert.equal(result.status, 'skipped');
+    assert.equal(result.reason, 'Never sync (match override)');
+    assert.equal(manager.cache.getCachedBookInfo.mock.callCount(), 0);
+    assert.equal(findMatch.mock.callCount(), 0);
+  });
+
+  it('ignores cached matches that disagree with a pinned edition', async () => {
+    const { manager, findMatch } = createManager(
+      [{ abs_id: 'li_pinned', edition_id: 2001 }],
+      1000,
+    );
+
+    await manager._syncSingleBook(createAbsBook(), null);
+
+    assert.equal(findMatch.mock.callCount(), 1);
+  });
+
+  it('still early-skips when the cached edition matches the pin', async () => {
+    const { manager, findMatch } = createManager(
+      [{ abs_id: 'li_pinned', book_id: 100 }],
+      1000,
+    );
+
+    const result = await manager._syncSingleBook(createAbsBook(), null);
+
+    assert.equal(result.reason, 'Progress unchanged (optimized early check)');
+    assert.equal(findMatch.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,219 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { MatchOverrides } from '../src/matching/match-overrides.js';
+import { TitleAuthorMatcher } from '../src/matching/strategies/title-author-matcher.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { ReviewCommand } from '../src/cli/commands/ReviewCommand.js';
+
+const absBook = {
+  id: 'li_review_1',
+  media: {
+    metadata: {
+      title: 'The Quiet Harbor',
+      authorName: 'Jane Doe',
+      asin: 'B00REVIEW1',
+    },
+  },
+};
+
+const candidate = (bookId, score) => ({
+  book_id: bookId,
+  title: `Candidate ${bookId}`,
+  author: 'Someone Else',
+  score,
+  confidence: 'low',
+  is_book_match: false,
+  breakdown: { title: { score: 40, weight: 0.35 } },
+});
+
+describe('Match review queue', () => {
+  let tempDir;
+  let cache;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-review-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('stores, refreshes and resolves reviews', async () => {
+    await cache.storeMatchReview({
+      userId: 'alice',
+      absId: 'li_1',
+      title: 'The Quiet Harbor',
+      author: 'Jane Doe',
+      identifiers: { asin: 'B00REVIEW1' },
+      reason: 'rejected',
+      bestScore: 52.5,
+      candidates: [candidate(10, 52.5)],
+    });
+    await cache.storeMatchReview({
+      userId: 'alice',
+      absId: 'li_1',
+      title: 'The Quiet Harbor',
+      reason: 'rejected',
+      bestScore: 60,
+      candidates: [candidate(11, 60), candidate(10, 52.5)],
+    });
+
+    const [review] = await cache.getMatchReviews({ userId: 'alice' });
+    assert.equal(review.best_score, 60);
+    assert.equal(review.candidates.length, 2);
+    assert.equal(review.candidates[0].breakdown.title.score, 40);
+
+    await cache.resolveMatchReview(review.id, {
+      status: 'accepted',
+      bookId: 11,
+    });
+    assert.equal((await cache.getMatchReviews({ userId: 'alice' })).length, 0);
+
+    // A later sync must not reset the decision
+    await cache.storeMatchReview({
+      userId: 'alice',
+      absId: 'li_1',
+      title: 'The Quiet Harbor',
+      reason: 'rejected',
+      candidates: [candidate(12, 30)],
+    });
+    const [accepted] = await cache.getMatchReviews({
+      userId: 'alice',
+      status: 'accepted',
+    });
+    assert.equal(accepted.book_id, 11);
+    assert.equal(accepted.candidates[0].book_id, 11);
+  });
+
+  it('turns decisions into per-user match overrides', async () => {
+    for (const absId of ['li_1', 'li_2', 'li_3']) {
+      await cache.storeMatchReview({
+        userId: 'alice',
+        absId,
+        title: `Book ${absId}`,
+        reason: 'rejected',
+        candidates: [candidate(10, 50)],
+      });
+    }
+    const [first, second] = await cache.getMatchReviews({ userId: 'alice' });
+    await cache.resolveMatchReview(first.id, {
+      status: 'accepted',
+      bookId: 10,
+    });
+    await cache.resolveMatchReview(second.id, { status: 'ignored' });
+
+    const entries = await cache.getMatchReviewOverrides('alice');
+    assert.deepEqual(entries, [
+      { abs_id: 'li_1', users: ['alice'], book_id: 10 },
+      { abs_id: 'li_2', users: ['alice'], skip: true },
+    ]);
+    assert.deepEqual(await cache.getMatchReviewOverrides('bob'), []);
+
+    await assert.rejects(
+      cache.resolveMatchReview(first.id, { status: 'accepted' }),
+      /requires a book or edition ID/,
+    );
+  });
+
+  it('queues rejected title/author candidates with their score breakdown', async () => {
+    const storeMatchReview = mock.fn(async () => {});
+    const matcher = new TitleAuthorMatcher(
+      {
+        searchBooksForMatching: mock.fn(async () => [
+          {
+            id: 501,
+            title: 'Completely Different Book',
+            author_names: ['Other Person'],
+          },
+        ]),
+      },
+      {
+        getCachedBookInfo: async () => null,
+        generateTitleAuthorIdentifier: (title, author) => `${title}|${author}`,
+        storeMatchReview,
+      },
+      { title_author_matching: { confidence_threshold: 0.7 } },
+    );
+
+    const match = await matcher.findMatch(absBook, 'alice');
+
+    assert.equal(match, null);
+    assert.equal(storeMatchReview.mock.callCount(), 1);
+    const review = storeMatchReview.mock.calls[0].arguments[0];
+    assert.equal(review.userId, 'alice');
+    assert.equal(review.absId, 'li_review_1');
+    assert.equal(review.reason, 'rejected');
+    assert.equal(review.identifiers.asin, 'B00REVIEW1');
+    assert.equal(review.candidates[0].book_id, 501);
+    assert.ok(review.candidates[0].breakdown.title);
+    assert.equal(review.bestScore, review.candidates[0].score);
+  });
+
+  it('keeps configured overrides ahead of review decisions', async () => {
+    const overrides = new MatchOverrides([{ abs_id: 'li_1', edition_id: 7 }]);
+    const syncManager = Object.create(SyncManager.prototype);
+    Object.assign(syncManager, {
+      userId: 'alice',
+      matchOverrides: overrides,
+      cache: {
+        getMatchReviewOverrides: async () => [
+          { abs_id: 'li_1', users: ['alice'], skip: true },
+          { abs_id: 'li_2', users: ['alice'], book_id: 20 },
+        ],
+      },
+    });
+
+    await syncManager._loadReviewDecisions();
+
+    assert.equal(overrides.find({ absId: 'li_1' }, 'alice').edition_id, 7);
+    assert.equal(overrides.find({ absId: 'li_2' }, 'alice').book_id, 20);
+    assert.equal(overrides.find({ absId: 'li_2' }, 'bob'), null);
+  });
+
+  it('saves decisions made while walking the queue', async () => {
+    for (const absId of ['li_1', 'li_2', 'li_3']) {
+      await cache.storeMatchReview({
+        userId: 'alice',
+        absId,
+        title: `Book ${absId}`,
+        reason: 'low_confidence',
+        candidates: [candidate(30, 72), candidate(31, 70)],
+      });
+    }
+
+    const command = new ReviewCommand(() => () => {});
+    const decisions = [
+      { action: 'accept', bookId: 31 },
+      { action: 'ignore' },
+      { action: 'skip' },
+    ];
+    command.promptDecision = mock.fn(async () => decisions.shift());
+    mock.method(console, 'log', () => {});
+
+    try {
+      const summary = await command.runReviewQueue(cache, null, 'alice');
+      assert.deepEqual(summary, { accepted: 1, ignored: 1, skipped: 1 });
+    } finally {
+      console.log.mock.restore();
+    }
+
+    const pending = await cache.getMatchReviews({ userId: 'alice' });
+    assert.deepEqual(
+      pending.map(review => review.abs_id),
+      ['li_3'],
+    );
+    const entries = await cache.getMatchReviewOverrides('alice');
+    assert.deepEqual(entries, [
+      { abs_id: 'li_1', users: ['alice'], book_id: 31 },
+      { abs_id: 'li_2', users: ['alice'], skip: true },
+    ]);
+  });
+});
@@ -0,0 +1,402 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it, mock } from 'node:test';
+import http from 'http';
+import net from 'net';
+
+import { NotificationManager } from '../src/notifications/notification-manager.js';
+import { buildNotificationMessage } from '../src/notifications/message-formatter.js';
+import { WebhookNotifier } from '../src/notifications/notifiers/webhook-notifier.js';
+import { NtfyNotifier } from '../src/notifications/notifiers/ntfy-notifier.js';
+import { DiscordNotifier } from '../src/notifications/notifiers/discord-notifier.js';
+import { SmtpNotifier } from '../src/notifications/notifiers/smtp-notifier.js';
+import { ConfigValidator } from '../src/config-validator.js';
+
+function createResult(overrides = {}) {
+  return {
+    books_processed: 4,
+    books_synced: 2,
+    books_completed: 0,
+    books_auto_added: 0,
+    books_skipped: 2,
+    errors: [],
+    failed_books: [],
+    ...overrides,
+  };
+}
+
+const failedBook = {
+  title: 'Lost Book',
+  author: 'Someone',
+  identifiers: {},
+  category: 'NOT_FOUND',
+  reason: 'Not found in Hardcover',
+};
+
+describe('NotificationManager', () => {
+  it('builds a report with totals, status and failed book highlights', () => {
+    const manager = new NotificationManager({ channels: [] });
+    const report = manager.buildReport(
+      [
+        { user: { id: 'alice' }, result: createResult(), duration: 2 },
+        {
+          user: { id: 'bob' },
+          result: createResult({ failed_books: [failedBook] }),
+          duration: 3,
+        },
+        { user: { id: 'carol' }, error: new Error('ABS down'), duration: 1 },
+      ],
+      { dry_run: false },
+    );
+
+    assert.equal(report.status, 'failure');
+    assert.equal(report.totals.books_synced, 4);
+    assert.equal(report.totals.books_failed, 1);
+    assert.equal(report.totals.errors, 1);
+    assert.deepEqual(
+      report.users.map(user => user.status),
+      ['success', 'success', 'failed'],
+    );
+    assert.equal(
+      manager.buildReport([
+        {
+          user: { id: 'bob' },
+          result: createResult({ failed_books: [failedBook] }),
+        },
+      ]).status,
+      'success',
+    );
+    assert.equal(report.users[1].failed_highlights.books[0].title, 'Lost Book');
+
+    const message = buildNotificationMessage(report);
+    assert.match(message.title, /finished with problems \(3 users\)/);
+    assert.match(message.text, /Lost Book by Someone \(not found\)/);
+    assert.match(message.text, /carol: sync failed/);
+    assert.match(message.text, /Error: ABS down/);
+  });
+
+  it('reports the dry_run each user synced with', () => {
+    const manager = new NotificationManager({ channels: [] });
+    const runs = [
+      { user: { id: 'alice', dry_run: true }, result: createResult() },
+      { user: { id: 'bob' }, result: createResult() },
+    ];
+
+    const report = manager.buildReport(runs, { dry_run: false });
+    assert.deepEqual(
+      report.users.map(user => user.dry_run),
+      [true, false],
+    );
+    assert.equal(report.dry_run, false);
+    const message = buildNotificationMessage(report);
+    assert.doesNotMatch(message.title, /DRY RUN/);
+    assert.match(message.text, /alice: .*\(0s, dry run\)/);
+    assert.match(message.text, /bob: .*\(0s\)/);
+
+    const allDry = manager.buildReport(runs, { dry_run: true });
+    assert.equal(allDry.dry_run, true);
+    assert.match(buildNotificationMessage(allDry).title, /^\[DRY RUN\] /);
+    assert.equal(
+      manager.buildReport(
+        [{ user: { id: 'carol', dry_run: false }, result: createResult() }],
+        { dry_run: true },
+      ).dry_run,
+      false,
+    );
+  });
+
+  it('routes channels by user and applies failure/completion filters', async () => {
+    const sent = [];
+    const manager = new NotificationManager(
+      {
+        channels: [
+          { type: 'webhook', name: 'all', url: 'http://x' },
+          { type: 'ntfy', name: 'failures', topic: 't', on: 'failure' },
+          {
+            type: 'discord',
+            name: 'alice-done',
+            url: 'http://x',
+            users: ['alice'],
+            on: 'completion',
+          },
+          {
+            type: 'webhook',
+            name: 'bob-only',
+            url: 'http://x',
+            users: ['bob'],
+          },
+        ],
+      },
+      {
+        notifierFactory: channel => ({
+          send: mock.fn(async report => sent.push({ channel, report })),
+        }),
+      },
+    );
+
+    const outcomes = await manager.notify(
+      [
+        {
+          user: { id: 'alice' },
+          result: createResult({ books_completed: 1 }),
+          duration: 1,
+        },
+      ],
+      {},
+    );
+
+    assert.deepEqual(
+      outcomes.map(outcome => [outcome.channel, outcome.sent]),
+      [
+        ['all', true],
+        ['failures', false],
+        ['alice-done', true],
+        ['bob-only', false],
+      ],
+    );
+    assert.equal(sent.length, 2);
+    assert.deepEqual(
+      sent[1].report.users.map(user => user.user_id),
+      ['alice'],
+    );
+  });
+
+  it('logs delivery errors instead of throwing and honours enabled: false', async () => {
+    const failing = new NotificationManager(
+      { channels: [{ type: 'webhook', url: 'http://x' }] },
+      {
+        notifierFactory: () => ({
+          send: async () => {
+            throw new Error('connection refused');
+          },
+        }),
+      },
+    );
+    const outcomes = await failing.notify(
+      [{ user: { id: 'alice' }, result: createResult(), duration: 1 }],
+      {},
+    );
+    assert.equal(outcomes[0].sent, false);
+    assert.equal(outcomes[0].error, 'connection refused');
+
+    const factory = mock.fn();
+    const disabled = new NotificationManager(
+      { enabled: false, channels: [{ type: 'webhook', url: 'http://x' }] },
+      { notifierFactory: factory },
+    );
+    assert.deepEqual(
+      await disabled.notify(
+        [{ user: { id: 'alice' }, result: createResult(), duration: 1 }],
+        {},
+      ),
+      [],
+    );
+    assert.equal(factory.mock.callCount(), 0);
+  });
+});
+
+describe('HTTP notifiers', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const manager = new NotificationManager({ channels: [] });
+  const report = manager.buildReport(
+    [
+      {
+        user: { id: 'alice' },
+        result: createResult({
+          failed_books: [failedBook],
+          errors: ['Hardcover rate limit'],
+        }),
+        duration: 2,
+      },
+    ],
+    {},
+  );
+  const message = buildNotificationMessage(report);
+
+  it('posts the JSON report to a generic webhook with custom headers', async () => {
+    requests.length = 0;
+    await new WebhookNotifier({
+      url: `${baseUrl}/hook`,
+      headers: { 'X-Api-Key': 'abc' },
+    }).send(report, message);
+
+    assert.equal(requests[0].url, '/hook');
+    assert.equal(requests[0].headers['x-api-key'], 'abc');
+    const payload = JSON.parse(requests[0].body);
+    assert.equal(payload.event, 'sync.completed');
+    assert.equal(payload.status, 'failure');
+    assert.equal(payload.users[0].user_id, 'alice');
+  });
+
+  it('publishes to an ntfy topic with priority and auth', async () => {
+    requests.length = 0;
+    await new NtfyNotifier({
+      url: `${baseUrl}/`,
+      topic: 'shelfbridge',
+      token: 'tk_123',
+    }).send(report, message);
+
+    assert.equal(requests[0].url, '/shelfbridge');
+    assert.equal(requests[0].headers.priority, 'high');
+    assert.equal(requests[0].headers.authorization, 'Bearer tk_123');
+    assert.equal(requests[0].body, message.text);
+  });
+
+  it('sends a Discord embed', async () => {
+    requests.length = 0;
+    await new DiscordNotifier({ url: `${baseUrl}/discord` }).send(
+      report,
+      message,
+    );
+
+    const payload = JSON.parse(requests[0].body);
+    assert.equal(payload.username, 'ShelfBridge');
+    assert.equal(payload.embeds[0].title, message.title);
+    assert.equal(payload.embeds[0].fields[2].value, '1');
+  });
+});
+
+describe('SmtpNotifier', () => {
+  let server;
+  let port;
+  const session = { commands: [], data: '' };
+
+  before(async () => {
+    server = net.createServer(socket => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 fake.smtp ESMTP\r\n');
+      socket.on('data', chunk => {
+        buffer += chunk.toString();
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            } else {
+              session.data += `${line}\n`;
+            }
+            continue;
+          }
+          session.commands.push(line);
+          if (line.startsWith('EHLO')) {
+            socket.write('250-fake.smtp\r\n250 AUTH PLAIN LOGIN\r\n');
+          } else if (line === 'STARTTLS') {
+            // Like servers without TLS support
+            socket.write('502 5.5.1 STARTTLS not supported\r\n');
+          } else if (line.startsWith('AUTH PLAIN')) {
+            socket.write('235 ok\r\n');
+          } else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 bye\r\n');
+          } else {
+            socket.write('250 ok\r\n');
+          }
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('refuses to send the password without TLS', async () => {
+    const report = new NotificationManager({}).buildReport(
+      [{ user: { id: 'alice' }, result: createResult(), duration: 2 }],
+      {},
+    );
+    session.commands = [];
+    await assert.rejects(
+      new SmtpNotifier({
+        host: '127.0.0.1',
+        port,
+        username: 'user',
+        password: 'pass',
+        from: 'bot@example.com',
+        to: 'me@example.com',
+      }).send(report, buildNotificationMessage(report)),
+      /refusing to send the password unencrypted/,
+    );
+    assert.ok(!session.commands.some(line => line.startsWith('AUTH')));
+  });
+
+  it('delivers the summary over SMTP with AUTH PLAIN', async () => {
+    const report = new NotificationManager({}).buildReport(
+      [{ user: { id: 'alice' }, result: createResult(), duration: 2 }],
+      {},
+    );
+    await new SmtpNotifier({
+      host: '127.0.0.1',
+      port,
+      username: 'user',
+      password: 'pass',
+      allow_insecure_auth: true,
+      from: 'bot@example.com',
+      to: 'me@example.com',
+    }).send(report, buildNotificationMessage(report));
+
+    assert.ok(session.commands.includes('MAIL FROM:<bot@example.com>'));
+    assert.ok(session.commands.includes('RCPT TO:<me@example.com>'));
+    assert.ok(
+      session.commands.includes(
+        `AUTH PLAIN ${Buffer.from('\0user\0pass').toString('base64')}`,
+      ),
+    );
+    assert.match(session.data, /Subject: ShelfBridge sync complete \(alice\)/);
+    assert.match(session.data, /alice: 2 synced, 0 completed/);
+  });
+});
+
+describe('notifications configuration', () => {
+  it('validates channel types, required fields and filters', () => {
+    const validator = new ConfigValidator();
+    const errors = validator.validateGlobalConfig({
+      notifications: {
+        on: 'sometimes',
+        channels: [
+          { type: 'pager' },
+          { type: 'ntfy' },
+          { type: 'discord', url: 'not a url', on: 'never' },
+          { type: 'smtp', host: 'smtp', from: 'a@b', to: ['c@d'] },
+        ],
+      },
+    });
+
+    assert.ok(
+      errors.some(e => e.includes("'notifications.on' must be one of")),
+    );
+    assert.ok(errors.some(e => e.includes("channels[0]'.type must be one of")));
+    assert.ok(errors.some(e => e.includes("channels[1]'.topic is required")));
+    assert.ok(errors.some(e => e.includes('channels[2].url')));
+    assert.ok(errors.some(e => e.includes("channels[2]'.on must be one of")));
+    assert.ok(!errors.some(e => e.includes('channels[3]')));
+  });
+});
@@ -0,0 +1,231 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+
+import { AudiobookshelfClient } from '../src/audiobookshelf-client.js';
+import { SyncManager } from '../src/sync-manager.js';
+
+const TOKEN = 'abs-token-123456';
+
+const progressEvent = (libraryItemId, progress, extra = {}) => ({
+  id: `progress-${libraryItemId}`,
+  sessionId: 'play-1',
+  data: {
+    libraryItemId,
+    progress,
+    currentTime: progress * 3600,
+    isFinished: false,
+    lastUpdate: Date.now(),
+    ...extra,
+  },
+});
+
+const waitFor = async (condition, timeout = 3000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Audiobookshelf progress listener', () => {
+  let httpServer;
+  let io;
+  let baseUrl;
+  let connections;
+  let client;
+  let listener;
+
+  beforeEach(async () => {
+    connections = 0;
+    httpServer = createServer();
+    // Mirrors the Audiobookshelf handshake: `auth` with the token, then `init`
+    io = new Server(httpServer, { path: '/abs/socket.io' });
+    io.on('connection', socket => {
+      connections++;
+      socket.on('auth', token => {
+        if (token === TOKEN) {
+          socket.emit('init', { userId: 'root' });
+        } else {
+          socket.emit('auth_failed');
+        }
+      });
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}/abs/`;
+    client = new AudiobookshelfClient(baseUrl, TOKEN);
+  });
+
+  afterEach(async () => {
+    listener?.close();
+    listener = null;
+    client.cleanup();
+    await new Promise(resolve => io.close(resolve));
+  });
+
+  it('delivers progress updates once authenticated', async () => {
+    const received = [];
+    const states = [];
+    listener = client.listenForProgressUpdates(
+      progress => received.push(progress),
+      { onStateChange: state => states.push(state) },
+    );
+    await waitFor(() => states.includes('connected'));
+
+    io.emit('user_item_progress_updated', progressEvent('li_1', 0.25));
+    io.emit('user_item_progress_updated', { id: 'broken', data: {} });
+    await waitFor(() => received.length === 1);
+
+    assert.equal(received[0].libraryItemId, 'li_1');
+    assert.equal(received[0].progress, 0.25);
+  });
+
+  it('reconnects after the server drops the connection', async () => {
+    const states = [];
+    listener = client.listenForProgressUpdates(() => {}, {
+      reconnectDelay: 20,
+      onStateChange: state => states.push(state),
+    });
+    await waitFor(() => states.includes('connected'));
+
+    io.disconnectSockets();
+    await waitFor(() => states.filter(s => s === 'connected').length === 2);
+
+    assert.equal(connections, 2);
+    assert.ok(states.includes('disconnected'));
+  });
+
+  it('stops listening when the token is rejected', async () => {
+    client = new AudiobookshelfClient(baseUrl, 'wrong-token-123456');
+    const states = [];
+    listener = client.listenForProgressUpdates(() => {}, {
+      reconnectDelay: 20,
+      onStateChange: state => states.push(state),
+    });
+    await waitFor(() => states.includes('auth_failed'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal(connections, 1);
+    assert.ok(!states.includes('reconnecting'));
+  });
+});
+
+describe('Single item sync from progress events', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = Object.create(SyncManager.prototype);
+    Object.assign(manager, {
+      userId: 'alice',
+      audiobookshelf: {
+        getLibraryItem: mock.fn(async (id, progress) => ({
+          id,
+          libraryId: id === 'li_other' ? 'lib_excluded' : 'lib_books',
+          progress_percentage: progress.progress * 100,
+        })),
+        getLibraries: mock.fn(async () => [
+          { id: 'lib_books', name: 'Books' },
+          { id: 'lib_excluded', name: 'Excluded' },
+        ]),
+        filterLibraries: libraries => ({
+          libraries: libraries.filter(library => library.name === 'Books'),
+        }),
+      },
+      _loadHardcoverLibrary: mock.fn(async () => {
+        manager.hardcoverBooks = [];
+      }),
+      _syncSingleBook: mock.fn(async absBook => ({
+        title: absBook.id,
+        status: 'delayed',
+        reason: 'Session-based delay: active_session_detected',
+      })),
+    });
+  });
+
+  it('syncs only the updated item with the event progress applied', async () => {
+    const event = progressEvent('li_1', 0.4).data;
+    const result = await manager.syncItemProgress(event);
+    await manager.syncItemProgress(progressEvent('li_2', 0.1).data);
+
+    assert.deepEqual(
+      manager.audiobookshelf.getLibraryItem.mock.calls[0].arguments,
+      ['li_1', event],
+    );
+    assert.equal(
+      manager._syncSingleBook.mock.calls[0].arguments[0].progress_percentage,
+      40,
+    );
+    assert.equal(result.books_processed, 1);
+    assert.equal(result.books_delayed, 1);
+    assert.equal(manager._loadHardcoverLibrary.mock.callCount(), 1);
+    assert.equal(manager.audiobookshelf.getLibraries.mock.callCount(), 1);
+  });
+
+  it('finds a book auto-added by the previous event in the loaded library', async () => {
+    manager.bookMatcher = { setUserLibrary: mock.fn() };
+    manager._syncSingleBook = mock.fn(async absBook => {
+      if (manager._findUserBookByEditionId(42)) {
+        return { title: absBook.id, status: 'synced' };
+      }
+      manager._rememberAddedUserBook(
+        700,
+        { id: 7, title: 'Added Book' },
+        { id: 42, asin: 'B00ADDED01', book: { id: 7 } },
+        2,
+      );
+      return { title: absBook.id, status: 'auto_added' };
+    });
+
+    const first = await manager.syncItemProgress(
+      progressEvent('li_1', 0.2).data,
+    );
+    const second = await manager.syncItemProgress(
+      progressEvent('li_1', 0.3).data,
+    );
+
+    assert.equal(first.books_auto_added, 1);
+    assert.equal(second.books_auto_added, 0);
+    assert.equal(second.books_synced, 1);
+    assert.deepEqual(manager.hardcoverBooks, [
+      {
+        id: 700,
+        status_id: 2,
+        book: {
+          id: 7,
+          title: 'Added Book',
+          editions: [{ id: 42, asin: 'B00ADDED01' }],
+        },
+      },
+    ]);
+    assert.equal(manager.bookMatcher.setUserLibrary.mock.callCount(), 1);
+    assert.equal(manager._loadHardcoverLibrary.mock.callCount(), 1);
+  });
+
+  it('reloads the Hardcover library once it is stale', async () => {
+    await manager.syncItemProgress(progressEvent('li_1', 0.2).data);
+    await manager.syncItemProgress(progressEvent('li_1', 0.3).data);
+    assert.equal(manager._loadHardcoverLibrary.mock.callCount(), 1);
+
+    manager._hardcoverLibraryLoadedAt = Date.now() - 31 * 60 * 1000;
+    await manager.syncItemProgress(progressEvent('li_1', 0.4).data);
+    assert.equal(manager._loadHardcoverLibrary.mock.callCount(), 2);
+  });
+
+  it('ignores podcast episodes and excluded libraries', async () => {
+    assert.equal(
+      await manager.syncItemProgress(
+        progressEvent('li_pod', 0.5, { episodeId: 'ep_1' }).data,
+      ),
+      null,
+    );
+    assert.equal(
+      await manager.syncItemProgress(progressEvent('li_other', 0.5).data),
+      null,
+    );
+    assert.equal(manager.audiobookshelf.getLibraryItem.mock.callCount(), 1);
+    assert.equal(manager._syncSingleBook.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { AudiobookshelfClient } from '../src/audiobookshelf-client.js';
+import { BookCache } from '../src/book-cache.js';
+import { SyncManager } from '../src/sync-manager.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const absBook = {
+  id: 'li_journal',
+  progress_percentage: 30,
+  media: {
+    metadata: {
+      title: 'Listening Days',
+      authorName: 'Test Author',
+      asin: 'B00JOURNAL',
+    },
+  },
+};
+
+const session = (id, overrides = {}) => ({
+  id,
+  libraryItemId: 'li_journal',
+  timeListening: 1800,
+  startTime: 3600,
+  currentTime: 5400,
+  date: '2026-10-10',
+  updatedAt: Date.now() - DAY,
+  ...overrides,
+});
+
+describe('Reading journal from listening sessions', () => {
+  let tempDir;
+  let cache;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-journal-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+    await cache.storeBookSyncData(
+      'alice',
+      'B00JOURNAL',
+      'Listening Days',
+      42,
+      'asin',
+      'Test Author',
+      30,
+    );
+
+    manager = Object.create(SyncManager.prototype);
+    Object.assign(manager, {
+      userId: 'alice',
+      dryRun: false,
+      timezone: 'UTC',
+      cache,
+      globalConfig: { reading_journal: { enabled: true } },
+      hardcoverBooks: [{ id: 10, book: { id: 7, editions: [{ id: 42 }] } }],
+      audiobookshelf: {
+        getListeningSessions: mock.fn(async () => [
+          session('s2', { date: '2026-10-11' }),
+          session('s-short', { timeListening: 60 }),
+          session('s1'),
+          session('s-other', { libraryItemId: 'li_unmatched' }),
+        ]),
+      },
+      hardcover: {
+        createReadingJournalEntry: mock.fn(async () => ({ id: 900 })),
+      },
+    });
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('adds one entry per session, oldest first, and never repeats a session', async () => {
+    const result = { journal_entries_created: 0, errors: [] };
+    await manager._journalListeningSessions([absBook], result);
+
+    assert.equal(result.journal_entries_created, 2);
+    assert.deepEqual(result.errors, []);
+    const calls = manager.hardcover.createReadingJournalEntry.mock.calls;
+    assert.deepEqual(calls[0].arguments[0], {
+      bookId: 7,
+      text: 'Listened for 30m (01:00:00 → 01:30:00)',
+      actionAt: '2026-10-10',
+      privacySettingId: 1,
+    });
+    assert.equal(calls[1].arguments[0].actionAt, '2026-10-11');
+
+    const again = { journal_entries_created: 0, errors: [] };
+    await manager._journalListeningSessions([absBook], again);
+    assert.equal(again.journal_entries_created, 0);
+    assert.equal(calls.length, 2);
+  });
+
+  it('leaves failed and dry-run sessions to be journaled later', async () => {
+    manager.dryRun = true;
+    const preview = { journal_entries_created: 0, errors: [] };
+    await manager._journalListeningSessions([absBook], preview);
+    assert.equal(preview.journal_entries_created, 2);
+    assert.equal(
+      manager.hardcover.createReadingJournalEntry.mock.callCount(),
+      0,
+    );
+
+    manager.dryRun = false;
+    manager.hardcover.createReadingJournalEntry = mock.fn(async () => false);
+    const failed = { journal_entries_created: 0, errors: [] };
+    await manager._journalListeningSessions([absBook], failed);
+    assert.equal(failed.errors.length, 2);
+    assert.equal(
+      (await cache.getJournaledSessionIds('alice', ['s1', 's2'])).size,
+      0,
+    );
+  });
+
+  it('waits for open sessions to end before journaling them', async () => {
+    manager.globalConfig.delayed_updates = { session_timeout: 600 };
+    const playing = session('s-playing', { updatedAt: Date.now() - 60_000 });
+    manager.audiobookshelf.getListeningSessions = mock.fn(async () => [
+      playing,
+    ]);
+
+    const early = { journal_entries_created: 0, errors: [] };
+    await manager._journalListeningSessions([absBook], early);
+    assert.equal(early.journal_entries_created, 0);
+    assert.equal(
+      (await cache.getJournaledSessionIds('alice', ['s-playing'])).size,
+      0,
+    );
+
+    // Once the session is idle for longer than the timeout it is journaled
+    // with its full listening time
+    Object.assign(playing, {
+      timeListening: 3600,
+      updatedAt: Date.now() - 601_000,
+    });
+    const later = { journal_entries_created: 0, errors: [] };
+    await manager._journalListeningSessions([absBook], later);
+    assert.equal(later.journal_entries_created, 1);
+    assert.match(
+      manager.hardcover.createReadingJournalEntry.mock.calls[0].arguments[0]
+        .text,
+      /^Listened for 1h/,
+    );
+  });
+
+  it('stops paging once sessions are older than the lookback window', async () => {
+    const client = Object.create(AudiobookshelfClient.prototype);
+    const since = Date.now() - 7 * DAY;
+    client._makeRequest = mock.fn(async (_method, endpoint) => {
+      const page = Number(
+        new URL(endpoint, 'http://abs').searchParams.get('page'),
+      );
+      return {
+        total: 300,
+        itemsPerPage: 100,
+        sessions: [
+          { id: `p${page}-new`, updatedAt: Date.now() - (page + 1) * DAY },
+          { id: `p${page}-old`, updatedAt: Date.now() - (page * 2 + 6) * DAY },
+        ],
+      };
+    });
+
+    const sessions = await client.getListeningSessions(since);
+
+    assert.equal(client._makeRequest.mock.callCount(), 2);
+    assert.match(
+      client._makeRequest.mock.calls[0].arguments[1],
+      /^\/api\/me\/listening-sessions\?page=0&itemsPerPage=100$/,
+    );
+    assert.deepEqual(
+      sessions.map(entry => entry.id),
+      ['p0-new', 'p0-old', 'p1-new'],
+    );
+  });
+});
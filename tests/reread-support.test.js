@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { HardcoverClient } from '../src/hardcover-client.js';
+import { SyncManager } from '../src/sync-manager.js';
+
+const finishedRead = {
+  id: 800,
+  progress_seconds: 3600,
+  started_at: '2026-01-02',
+  finished_at: '2026-01-20',
+  edition: { audio_seconds: 3600 },
+};
+
+const absBook = (overrides = {}) => ({
+  id: 'li_reread',
+  progress_percentage: 5,
+  is_finished: false,
+  started_at: new Date('2026-01-02T10:00:00Z').getTime(),
+  media: {
+    metadata: {
+      title: 'Twice Told',
+      authorName: 'Test Author',
+      asin: 'B00REREAD1',
+    },
+  },
+  ...overrides,
+});
+
+describe('Re-read support', () => {
+  it('syncs a restarted finished book instead of blocking it as a regression', async () => {
+    const edition = { id: 42, audio_seconds: 3600 };
+    const handleProgressStatus = mock.fn(async () => ({ status: 'synced' }));
+    const manager = {
+      userId: 'alice',
+      globalConfig: { prevent_progress_regression: true },
+      cache: { getSyncTracking: mock.fn(async () => ({ total_syncs: 5 })) },
+      hardcover: {
+        getBookCurrentProgress: mock.fn(async () => ({
+          has_progress: true,
+          latest_read: finishedRead,
+        })),
+      },
+      _selectEditionWithCache: mock.fn(async () => edition),
+      _handleProgressStatus: handleProgressStatus,
+    };
+    const match = { userBook: { id: 10, book: { title: 'Twice Told' } } };
+
+    const result = await SyncManager.prototype._syncExistingBook.call(
+      manager,
+      absBook(),
+      match,
+      'asin',
+      'B00REREAD1',
+      'Twice Told',
+      'Test Author',
+    );
+    assert.equal(result.status, 'synced');
+    assert.equal(handleProgressStatus.mock.callCount(), 1);
+
+    // A big drop on a book that was never finished is still blocked
+    manager.hardcover.getBookCurrentProgress = mock.fn(async () => ({
+      has_progress: true,
+      latest_read: { ...finishedRead, finished_at: null },
+    }));
+    const blocked = await SyncManager.prototype._syncExistingBook.call(
+      manager,
+      absBook(),
+      match,
+      'asin',
+      'B00REREAD1',
+      'Twice Told',
+      'Test Author',
+    );
+    assert.equal(blocked.status, 'skipped');
+  });
+
+  it('adds a new read dated today and moves the book back to reading', async () => {
+    const client = Object.create(HardcoverClient.prototype);
+    client.getBookCurrentProgress = mock.fn(async () => ({
+      has_progress: true,
+      latest_read: finishedRead,
+      user_book: { id: 10, status_id: 3 },
+    }));
+    client.insertUserBookRead = mock.fn(async () => ({ id: 801 }));
+    client.updateBookStatus = mock.fn(async () => ({ id: 10 }));
+
+    const result = await client.updateReadingProgress(
+      10,
+      180,
+      5,
+      42,
+      true,
+      '2026-01-02T10:00:00.000Z',
+    );
+
+    const today = new Date().toISOString().slice(0, 10);
+    assert.deepEqual(client.insertUserBookRead.mock.calls[0].arguments, [
+      10,
+      180,
+      42,
+      today,
+      true,
+    ]);
+    assert.deepEqual(client.updateBookStatus.mock.calls[0].arguments, [10, 2]);
+    assert.equal(result.id, 801);
+    assert.deepEqual(result._statusInfo, {
+      currentStatusId: 2,
+      statusWasUpdated: true,
+      startedReread: true,
+    });
+  });
+
+  describe('read counts', () => {
+    let tempDir;
+    let cache;
+
+    beforeEach(async () => {
+      tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-reread-'));
+      cache = new BookCache(path.join(tempDir, 'cache.db'));
+      await cache.init();
+    });
+
+    afterEach(() => {
+      cache.close();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('clears the cached completion on re-read and counts each finished read once', async () => {
+      const manager = Object.create(SyncManager.prototype);
+      let latestRead = { ...finishedRead, finished_at: null };
+      Object.assign(manager, {
+        userId: 'alice',
+        runKey: 'run-reread',
+        dryRun: false,
+        cache,
+        hardcover: {
+          // The client reports the read it found before completing it
+          markBookCompleted: mock.fn(async () => ({
+            id: latestRead.id,
+            _priorState: { status_id: 2, read: latestRead },
+          })),
+        },
+      });
+      const edition = { id: 42, audio_seconds: 3600 };
+      const finished = absBook({
+        progress_percentage: 100,
+        is_finished: true,
+        finished_at: new Date('2026-01-20T10:00:00Z').getTime(),
+      });
+      const info = () =>
+        cache.getCachedBookInfo('alice', 'B00REREAD1', 'Twice Told', 'asin');
+
+      await manager._handleCompletionStatus(
+        10,
+        edition,
+        'Twice Told',
+        100,
+        finished,
+        true,
+      );
+      assert.equal((await info()).read_count, 1);
+
+      // Re-processing the same completed read does not count it again
+      latestRead = finishedRead;
+      await manager._handleCompletionStatus(
+        10,
+        edition,
+        'Twice Told',
+        100,
+        finished,
+        true,
+      );
+      assert.equal((await info()).read_count, 1);
+
+      assert.equal(
+        await cache.startReread('alice', 'B00REREAD1', 'Twice Told', 'asin'),
+        1,
+      );
+      assert.equal((await info()).finished_at, null);
+
+      // The re-read finishes on a new read record
+      latestRead = { ...finishedRead, id: 801, finished_at: null };
+      await manager._handleCompletionStatus(
+        10,
+        edition,
+        'Twice Told',
+        100,
+        finished,
+        true,
+      );
+      assert.equal((await info()).read_count, 2);
+    });
+
+    it('counts the earlier read of books finished before counts were tracked', async () => {
+      await cache.storeBookCompletionData(
+        'alice',
+        'B00REREAD1',
+        'Twice Told',
+        'asin',
+        null,
+        null,
+        '2026-01-20',
+      );
+
+      assert.equal(
+        await cache.startReread('alice', 'B00REREAD1', 'Twice Told', 'asin'),
+        1,
+      );
+      assert.equal(
+        await cache.recordCompletedRead(
+          'alice',
+          'B00REREAD1',
+          'Twice Told',
+          'asin',
+        ),
+        2,
+      );
+    });
+  });
+});
@@ -0,0 +1,213 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { HistoryCommand } from '../src/cli/commands/HistoryCommand.js';
+
+const run = (overrides = {}) => ({
+  user_id: 'alice',
+  trigger: 'schedule',
+  dry_run: false,
+  version: '1.2.3',
+  started_at: '2026-10-01T03:00:00.000Z',
+  finished_at: '2026-10-01T03:00:12.000Z',
+  duration_seconds: 12,
+  books_processed: 2,
+  books_synced: 1,
+  books_completed: 1,
+  errors: [],
+  ...overrides,
+});
+
+const book = (absId, title, status, before, after, extra = {}) => ({
+  abs_id: absId,
+  title,
+  author: 'Jane Doe',
+  status,
+  reason: null,
+  progress: { before, after, changed: before !== after },
+  hardcover_info: { edition_id: 77 },
+  actions: [],
+  errors: [],
+  ...extra,
+});
+
+describe('Sync run history', () => {
+  let tempDir;
+  let cache;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-history-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('records runs with their per-book actions', async () => {
+    const runId = await cache.recordSyncRun(run(), [
+      book('li_1', 'The Quiet Harbor', 'completed', 97, 100, {
+        reason: 'Book completed',
+        actions: ['Marked as completed (100%)'],
+      }),
+      book('li_2', 'Another Book', 'synced', 10, 25),
+    ]);
+
+    const [listed] = await cache.getSyncRuns({ userId: 'alice' });
+    assert.equal(listed.id, runId);
+    assert.equal(listed.dry_run, false);
+    assert.equal(listed.version, '1.2.3');
+    assert.deepEqual(listed.errors, []);
+
+    const stored = await cache.getSyncRun(runId);
+    assert.equal(stored.books.length, 2);
+    const harbor = stored.books.find(entry => entry.abs_id === 'li_1');
+    assert.equal(harbor.status, 'completed');
+    assert.equal(harbor.progress_after, 100);
+    assert.equal(harbor.edition_id, 77);
+    assert.deepEqual(harbor.actions, ['Marked as completed (100%)']);
+
+    assert.equal(await cache.getSyncRun(999), null);
+    assert.deepEqual(await cache.getSyncRuns({ userId: 'bob' }), []);
+  });
+
+  it('finds one book across runs by item ID or title', async () => {
+    await cache.recordSyncRun(run(), [
+      book('li_1', 'The Quiet Harbor', 'synced', 50, 97),
+    ]);
+    await cache.recordSyncRun(
+      run({ started_at: '2026-10-02T03:00:00.000Z', dry_run: true }),
+      [
+        book('li_1', 'The Quiet Harbor', 'completed', 97, 100, {
+          reason: 'Book completed',
+        }),
+      ],
+    );
+
+    const byId = await cache.getBookSyncHistory('alice', 'li_1');
+    assert.deepEqual(
+      byId.map(entry => [entry.status, entry.dry_run]),
+      [
+        ['completed', true],
+        ['synced', false],
+      ],
+    );
+    const byTitle = await cache.getBookSyncHistory('alice', 'the quiet harbor');
+    assert.equal(byTitle.length, 2);
+    assert.equal(byTitle[0].reason, 'Book completed');
+  });
+
+  it('prunes runs older than the retention period', async () => {
+    const oldRunId = await cache.recordSyncRun(
+      run({ started_at: '2020-01-01T03:00:00.000Z' }),
+      [book('li_1', 'The Quiet Harbor', 'synced', 1, 2)],
+    );
+    const recentRunId = await cache.recordSyncRun(
+      run({ started_at: new Date().toISOString() }),
+    );
+
+    assert.equal(await cache.pruneSyncRuns(90), 1);
+    assert.equal(await cache.getSyncRun(oldRunId), null);
+    assert.ok(await cache.getSyncRun(recentRunId));
+    assert.deepEqual(await cache.getBookSyncHistory('alice', 'li_1'), []);
+  });
+
+  it('prunes old journal entries of runs that were never recorded', async () => {
+    const journal = runKey =>
+      cache.recordSyncChange({
+        runKey,
+        userId: 'alice',
+        title: 'The Quiet Harbor',
+        changeType: 'progress',
+        userBookId: 10,
+        priorState: null,
+      });
+    await journal('run-lost');
+    await journal('run-current');
+    cache.db
+      .prepare('UPDATE sync_changes SET created_at = ? WHERE run_key = ?')
+      .run('2020-01-01T03:00:00.000Z', 'run-lost');
+
+    await cache.pruneSyncRuns(90);
+
+    assert.deepEqual(
+      cache.db
+        .prepare('SELECT run_key FROM sync_changes')
+        .all()
+        .map(row => row.run_key),
+      ['run-current'],
+    );
+  });
+
+  it('keeps the ABS item ID in book details', () => {
+    const syncManager = Object.create(SyncManager.prototype);
+    syncManager.userId = 'alice';
+    const result = {
+      books_processed: 0,
+      books_synced: 0,
+      book_details: [],
+      errors: [],
+    };
+
+    syncManager._updateResult(result, {
+      abs_id: 'li_1',
+      title: 'The Quiet Harbor',
+      status: 'synced',
+    });
+
+    assert.equal(result.book_details[0].abs_id, 'li_1');
+  });
+
+  it('diffs the book outcomes of two runs', async () => {
+    const first = await cache.recordSyncRun(run(), [
+      book('li_1', 'The Quiet Harbor', 'synced', 50, 97),
+      book('li_2', 'Another Book', 'skipped', 10, 10),
+      book('li_3', 'Dropped Book', 'synced', 5, 6),
+    ]);
+    const second = await cache.recordSyncRun(
+      run({ started_at: '2026-10-02T03:00:00.000Z' }),
+      [
+        book('li_1', 'The Quiet Harbor', 'completed', 97, 100, {
+          reason: 'Book completed',
+        }),
+        book('li_2', 'Another Book', 'skipped', 10, 10),
+        book('li_4', 'New Book', 'auto_added', 0, 3),
+      ],
+    );
+
+    const command = new HistoryCommand(() => () => {});
+    const { data, text } = await command.diffRuns(cache, [
+      String(first),
+      String(second),
+    ]);
+
+    assert.deepEqual(data.changed, [
+      {
+        abs_id: 'li_1',
+        title: 'The Quiet Harbor',
+        before: { status: 'synced', progress: 97, reason: null },
+        after: { status: 'completed', progress: 100, reason: 'Book completed' },
+      },
+    ]);
+    assert.deepEqual(
+      data.added.map(entry => entry.abs_id),
+      ['li_4'],
+    );
+    assert.deepEqual(
+      data.removed.map(entry => entry.abs_id),
+      ['li_3'],
+    );
+    assert.equal(data.unchanged, 1);
+    assert.match(text, /~ The Quiet Harbor: synced → completed \(97% → 100%\)/);
+
+    await assert.rejects(command.diffRuns(cache, ['1']), /exactly two/);
+    await assert.rejects(command.diffRuns(cache, ['1', '42']), /not found/);
+  });
+});
@@ -0,0 +1,312 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { BookCache } from '../src/book-cache.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { SyncRunUndo } from '../src/sync-run-undo.js';
+import { HardcoverClient } from '../src/hardcover-client.js';
+import { RetryManager } from '../src/utils/retry-manager.js';
+import { recordRequestError } from '../src/utils/network.js';
+
+const priorRead = {
+  id: 700,
+  progress_pages: null,
+  progress_seconds: 3600,
+  edition_id: 42,
+  started_at: '2026-09-01',
+  finished_at: null,
+};
+
+const change = (runKey, overrides = {}) => ({
+  runKey,
+  userId: 'alice',
+  title: 'The Quiet Harbor',
+  identifier: 'B00UNDO001',
+  identifierType: 'asin',
+  changeType: 'progress',
+  userBookId: 10,
+  editionId: 42,
+  priorState: { status_id: 2, read: priorRead },
+  newReadId: 700,
+  newStatusId: 2,
+  ...overrides,
+});
+
+function fakeHardcover() {
+  return {
+    removeBookFromLibrary: mock.fn(async () => true),
+    deleteUserBookRead: mock.fn(async () => true),
+    restoreUserBookRead: mock.fn(async () => ({ id: 700 })),
+    updateBookStatus: mock.fn(async () => ({ id: 10, status_id: 2 })),
+  };
+}
+
+describe('Sync run undo', () => {
+  let tempDir;
+  let cache;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-undo-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function recordRun(runKey, startedAt = '2026-10-01T03:00:00.000Z') {
+    return cache.recordSyncRun({
+      user_id: 'alice',
+      started_at: startedAt,
+      run_key: runKey,
+    });
+  }
+
+  it('journals the prior Hardcover state the completion replaced', async () => {
+    const hardcover = {
+      getBookCurrentProgress: mock.fn(async () => null),
+      markBookCompleted: mock.fn(async () => ({
+        id: 700,
+        _priorState: { status_id: 2, read: priorRead },
+      })),
+    };
+    const syncManager = Object.create(SyncManager.prototype);
+    Object.assign(syncManager, {
+      userId: 'alice',
+      runKey: 'run-complete',
+      dryRun: false,
+      cache,
+      hardcover,
+    });
+
+    const result = await syncManager._handleCompletionStatus(
+      10,
+      { id: 42, audio_seconds: 7200 },
+      'The Quiet Harbor',
+      100,
+      {
+        id: 'li_1',
+        media: { metadata: { title: 'The Quiet Harbor', asin: 'B00UNDO001' } },
+      },
+      true,
+    );
+    assert.equal(result.status, 'completed');
+
+    const runId = await recordRun('run-complete');
+    const [journaled] = await cache.getSyncChanges(runId);
+    assert.equal(journaled.change_type, 'complete');
+    assert.equal(journaled.abs_id, 'li_1');
+    assert.equal(journaled.identifier, 'B00UNDO001');
+    assert.equal(journaled.new_status_id, 3);
+    assert.deepEqual(journaled.prior_state, { status_id: 2, read: priorRead });
+    // The client fetched that state itself; no extra round trip
+    assert.equal(hardcover.getBookCurrentProgress.mock.callCount(), 0);
+  });
+
+  it('journals replayed outbox writes with the state before the replay', async () => {
+    let available = false;
+    let statusId = 2;
+    const hardcover = {
+      retryManager: new RetryManager('Hardcover'),
+      _describePriorState: HardcoverClient.prototype._describePriorState,
+      getBookCurrentProgress: mock.fn(async () => ({
+        user_book: { id: 10, status_id: statusId },
+        latest_read: null,
+      })),
+      updateBookStatus: mock.fn(async (id, status) => {
+        if (!available) {
+          recordRequestError(
+            Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }),
+          );
+          return false;
+        }
+        return { id, status_id: status };
+      }),
+    };
+    const syncManager = Object.create(SyncManager.prototype);
+    Object.assign(syncManager, {
+      userId: 'alice',
+      runKey: 'run-queued',
+      dryRun: false,
+      cache,
+      hardcover,
+      globalConfig: { hardcover_outbox: { enabled: true } },
+    });
+    const details = { target: 'user_book:10', title: 'The Quiet Harbor' };
+
+    await assert.rejects(
+      syncManager._sendToHardcover('status', [10, 5], details),
+      /queued in the outbox/,
+    );
+    // The book moved on while the write waited
+    statusId = 1;
+    available = true;
+    cache.db
+      .prepare('UPDATE hardcover_outbox SET next_attempt_at = NULL')
+      .run();
+
+    syncManager.startRun();
+    const { sent } = await syncManager._getOutbox().drain();
+    assert.equal(sent, 1);
+    // The sync pass makes the same write and gets the replayed result
+    assert.deepEqual(
+      await syncManager._sendToHardcover('status', [10, 5], details),
+      { id: 10, status_id: 5 },
+    );
+    await syncManager._journalChange({
+      title: 'The Quiet Harbor',
+      changeType: 'abandon',
+      userBookId: 10,
+      priorState: { status_id: 2, read: null },
+      newStatusId: 5,
+    });
+
+    const runId = await recordRun(syncManager.runKey);
+    const journaled = await cache.getSyncChanges(runId);
+    assert.equal(journaled.length, 1);
+    assert.equal(journaled[0].change_type, 'abandon');
+    assert.equal(journaled[0].new_status_id, 5);
+    assert.deepEqual(journaled[0].prior_state, { status_id: 1, read: null });
+
+    const undoClient = fakeHardcover();
+    const summary = await new SyncRunUndo({
+      cache,
+      hardcover: undoClient,
+    }).undo(runId);
+    assert.equal(summary.reverted, 1);
+    assert.deepEqual(
+      undoClient.updateBookStatus.mock.calls[0].arguments,
+      [10, 1],
+    );
+  });
+
+  it('reverts a run newest first and marks it undone', async () => {
+    // Book 10 was added by the run, so only the removal is needed
+    await cache.recordSyncChange(
+      change('run-a', {
+        changeType: 'add_book',
+        priorState: null,
+        newReadId: null,
+      }),
+    );
+    await cache.recordSyncChange(change('run-a', { newReadId: 701 }));
+    // Book 20 had its existing read moved forward
+    await cache.recordSyncChange(change('run-a', { userBookId: 20 }));
+    // Book 30 was marked read, creating a new read
+    await cache.recordSyncChange(
+      change('run-a', {
+        userBookId: 30,
+        changeType: 'complete',
+        newReadId: 702,
+        newStatusId: 3,
+      }),
+    );
+    const runId = await recordRun('run-a');
+
+    const hardcover = fakeHardcover();
+    const undo = new SyncRunUndo({ cache, hardcover });
+    const summary = await undo.undo(runId);
+
+    assert.equal(summary.reverted, 3);
+    assert.equal(summary.skipped, 1);
+    assert.equal(summary.failed, 0);
+    assert.deepEqual(
+      summary.steps.map(step => step.actions || step.skip),
+      [
+        ['delete_read', 'restore_status'],
+        ['restore_read'],
+        'book is removed from the library instead',
+        ['remove_book'],
+      ],
+    );
+    assert.deepEqual(
+      hardcover.deleteUserBookRead.mock.calls[0].arguments,
+      [702],
+    );
+    assert.deepEqual(hardcover.restoreUserBookRead.mock.calls[0].arguments, [
+      700,
+      priorRead,
+    ]);
+    assert.deepEqual(
+      hardcover.updateBookStatus.mock.calls[0].arguments,
+      [30, 2],
+    );
+    assert.deepEqual(
+      hardcover.removeBookFromLibrary.mock.calls[0].arguments,
+      [10],
+    );
+    assert.ok((await cache.getSyncRun(runId)).undone_at);
+
+    const again = await undo.undo(runId);
+    assert.equal(again.reverted, 0);
+    assert.equal(again.skipped, 4);
+  });
+
+  it('deletes reads the run created and plans without changing anything on dry run', async () => {
+    await cache.recordSyncChange(
+      change('run-b', {
+        priorState: { status_id: 2, read: null },
+        newReadId: 800,
+      }),
+    );
+    const runId = await recordRun('run-b');
+
+    const hardcover = fakeHardcover();
+    const preview = await new SyncRunUndo({
+      cache,
+      hardcover,
+      dryRun: true,
+    }).undo(runId);
+    assert.deepEqual(preview.steps[0].actions, ['delete_read']);
+    assert.equal(hardcover.deleteUserBookRead.mock.callCount(), 0);
+    assert.equal((await cache.getSyncChanges(runId))[0].undone_at, null);
+
+    await new SyncRunUndo({ cache, hardcover }).undo(runId);
+    assert.deepEqual(
+      hardcover.deleteUserBookRead.mock.calls[0].arguments,
+      [800],
+    );
+  });
+
+  it('leaves books a later run changed again unless forced', async () => {
+    await cache.recordSyncChange(change('run-old'));
+    const oldRunId = await recordRun('run-old');
+    await cache.recordSyncChange(change('run-new'));
+    await recordRun('run-new', '2026-10-02T03:00:00.000Z');
+
+    const hardcover = fakeHardcover();
+    const summary = await new SyncRunUndo({ cache, hardcover }).undo(oldRunId);
+    assert.equal(summary.skipped, 1);
+    assert.match(summary.steps[0].skip, /later run/);
+    assert.equal((await cache.getSyncRun(oldRunId)).undone_at, null);
+
+    const forced = await new SyncRunUndo({
+      cache,
+      hardcover,
+      force: true,
+    }).undo(oldRunId);
+    assert.equal(forced.reverted, 1);
+  });
+
+  it('keeps a change active when Hardcover rejects the revert', async () => {
+    await cache.recordSyncChange(
+      change('run-c', { changeType: 'add_book', priorState: null }),
+    );
+    const runId = await recordRun('run-c');
+    const hardcover = fakeHardcover();
+    hardcover.removeBookFromLibrary = mock.fn(async () => false);
+
+    const summary = await new SyncRunUndo({ cache, hardcover }).undo(runId);
+
+    assert.equal(summary.failed, 1);
+    const [journaled] = await cache.getSyncChanges(runId);
+    assert.equal(journaled.undone_at, null);
+    assert.match(journaled.undo_error, /rejected remove book/);
+    assert.equal((await cache.getSyncRun(runId)).undone_at, null);
+  });
+});
@@ -0,0 +1,301 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+
+import ProgressManager from '../src/progress-manager.js';
+import { SyncManager } from '../src/sync-manager.js';
+import { ConfigValidator } from '../src/config-validator.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function createManager({
+  dryRun = false,
+  progressInfo,
+  twoWaySync = {},
+  libraryItems = [],
+}) {
+  const manager = Object.create(SyncManager.prototype);
+  manager.userId = 'test-user';
+  manager.dryRun = dryRun;
+  manager.verbose = false;
+  manager.globalConfig = { two_way_sync: { enabled: true, ...twoWaySync } };
+  manager.hardcoverBooks = [
+    {
+      id: 'user-book-1',
+      book: { id: 'book-1', editions: [{ id: 'edition-1' }] },
+    },
+    {
+      id: 'user-book-2',
+      book: {
+        id: 'book-2',
+        editions: [{ id: 'edition-2', asin: 'B000000002' }],
+      },
+    },
+  ];
+  manager.cache = {
+    generateTitleAuthorIdentifier: () => 'two way book:test author',
+    getCachedBookInfo: mock.fn(async (_userId, identifier) =>
+      identifier === 'B000000001'
+        ? { exists: true, edition_id: 'edition-1' }
+        : { exists: false },
+    ),
+  };
+  manager.hardcover = {
+    getLatestReads: mock.fn(async () => [progressInfo]),
+  };
+  manager.audiobookshelf = {
+    updateMediaProgress: mock.fn(async () => true),
+    getAllLibraryItems: mock.fn(async () => libraryItems),
+  };
+  return manager;
+}
+
+function createAbsBook(lastListenedAt) {
+  return {
+    id: 'li_123',
+    progress_percentage: 20,
+    last_listened_at: lastListenedAt,
+    media: {
+      duration: 36000,
+      metadata: {
+        title: 'Two Way Book',
+        authorName: 'Test Author',
+        asin: 'B000000001',
+      },
+    },
+  };
+}
+
+function createProgressInfo(
+  updatedAt,
+  progressSeconds = 1800,
+  userBookId = 'user-book-1',
+) {
+  return {
+    has_progress: true,
+    latest_read: {
+      id: 'read-1',
+      progress_seconds: progressSeconds,
+      finished_at: null,
+      updated_at: updatedAt,
+      edition: { id: 'edition-1', audio_seconds: 3600 },
+    },
+    // Any edit of the book (rating, list) moves this, so it is not used
+    user_book: {
+      id: userBookId,
+      status_id: 2,
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
+
+describe('ProgressManager.resolveProgressConflict', () => {
+  it('pulls when Hardcover is ahead and updated more recently', () => {
+    const now = Date.now();
+    const decision = ProgressManager.resolveProgressConflict(
+      { progress: 20, lastUpdated: now - 2 * HOUR },
+      { progress: 50, lastUpdated: new Date(now - HOUR).toISOString() },
+    );
+
+    assert.equal(decision.pull, true);
+    assert.equal(decision.hardcoverProgress, 50);
+  });
+
+  it('keeps Audiobookshelf when it was updated more recently', () => {
+    const now = Date.now();
+    const decision = ProgressManager.resolveProgressConflict(
+      { progress: 20, lastUpdated: now },
+      { progress: 50, lastUpdated: new Date(now - HOUR).toISOString() },
+    );
+
+    assert.equal(decision.pull, false);
+    assert.match(decision.reason, /more recently/);
+  });
+
+  it('prefers Hardcover regardless of timestamps with the hardcover strategy', () => {
+    const decision = ProgressManager.resolveProgressConflict(
+      { progress: 20, lastUpdated: Date.now() },
+      { progress: 50, lastUpdated: null },
+      { strategy: 'hardcover' },
+    );
+
+    assert.equal(decision.pull, true);
+  });
+
+  it('never moves Audiobookshelf backwards or within the minimum difference', () => {
+    const later = new Date(Date.now() + HOUR).toISOString();
+
+    assert.equal(
+      ProgressManager.resolveProgressConflict(
+        { progress: 60, lastUpdated: Date.now() },
+        { progress: 40, lastUpdated: later },
+      ).pull,
+      false,
+    );
+    assert.equal(
+      ProgressManager.resolveProgressConflict(
+        { progress: 40, lastUpdated: Date.now() },
+        { progress: 42, lastUpdated: later },
+        { minDifference: 5 },
+      ).pull,
+      false,
+    );
+  });
+
+  it('treats a finished Hardcover read as 100%', () => {
+    const decision = ProgressManager.resolveProgressConflict(
+      { progress: 80, lastUpdated: 0 },
+      { progress: null, isFinished: true, lastUpdated: '2024-01-01' },
+    );
+
+    assert.equal(decision.pull, true);
+    assert.equal(decision.hardcoverProgress, 100);
+  });
+});
+
+describe('SyncManager two-way sync', () => {
+  it('patches Audiobookshelf progress when Hardcover is newer and ahead', async () => {
+    const now = Date.now();
+    const progressInfo = createProgressInfo(new Date(now - HOUR).toISOString());
+    const manager = createManager({ progressInfo });
+
+    const pulled = await manager._pullHardcoverProgress(
+      createAbsBook(now - 2 * HOUR),
+      'Two Way Book',
+      progressInfo,
+      manager.globalConfig.two_way_sync,
+    );
+
+    assert.equal(pulled.to, 50);
+    const calls = manager.audiobookshelf.updateMediaProgress.mock.calls;
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].arguments[0], 'li_123');
+    assert.deepEqual(calls[0].arguments[1], {
+      progress: 0.5,
+      isFinished: false,
+      currentTime: 18000,
+    });
+  });
+
+  it('does not patch Audiobookshelf in dry-run mode', async () => {
+    const now = Date.now();
+    const progressInfo = createProgressInfo(new Date(now - HOUR).toISOString());
+    const manager = createManager({ dryRun: true, progressInfo });
+
+    const pulled = await manager._pullHardcoverProgress(
+      createAbsBook(now - 2 * HOUR),
+      'Two Way Book',
+      progressInfo,
+      manager.globalConfig.two_way_sync,
+    );
+
+    assert.ok(pulled);
+    assert.equal(
+      manager.audiobookshelf.updateMediaProgress.mock.callCount(),
+      0,
+    );
+  });
+
+  it("compares the read's own timestamp, not the user book's", async () => {
+    const now = Date.now();
+    // The user book was edited just now, but the read moved 3 hours ago
+    const progressInfo = createProgressInfo(
+      new Date(now - 3 * HOUR).toISOString(),
+    );
+    const manager = createManager({ progressInfo });
+
+    const pulled = await manager._pullHardcoverProgress(
+      createAbsBook(now - 2 * HOUR),
+      'Two Way Book',
+      progressInfo,
+      manager.globalConfig.two_way_sync,
+    );
+
+    assert.equal(pulled, null);
+    assert.equal(
+      manager.audiobookshelf.updateMediaProgress.mock.callCount(),
+      0,
+    );
+  });
+
+  it('pulls books started on Hardcover that have no Audiobookshelf progress', async () => {
+    const now = Date.now();
+    const libraryItem = {
+      id: 'li_789',
+      media: {
+        duration: 36000,
+        metadata: {
+          title: 'Paper Book',
+          authorName: 'Other Author',
+          asin: 'B000000002',
+        },
+      },
+    };
+    const manager = createManager({
+      progressInfo: createProgressInfo(
+        new Date(now - HOUR).toISOString(),
+        900,
+        'user-book-2',
+      ),
+      libraryItems: [libraryItem],
+    });
+    const result = {
+      books_pulled_from_hardcover: 0,
+      errors: [],
+      book_details: [],
+    };
+
+    const pulledIds = await manager._syncFromHardcover(
+      [createAbsBook(now - 2 * HOUR)],
+      result,
+    );
+
+    assert.deepEqual([...pulledIds], ['li_789']);
+    assert.equal(result.books_pulled_from_hardcover, 1);
+    const calls = manager.audiobookshelf.updateMediaProgress.mock.calls;
+    assert.equal(calls[0].arguments[0], 'li_789');
+    assert.equal(calls[0].arguments[1].progress, 0.25);
+  });
+
+  it('counts pulled books and ignores books without a match', async () => {
+    const now = Date.now();
+    const manager = createManager({
+      progressInfo: createProgressInfo(new Date(now - HOUR).toISOString()),
+    });
+    const unmatched = createAbsBook(now - 2 * HOUR);
+    unmatched.id = 'li_456';
+    unmatched.media.metadata = { title: 'Unmatched', authorName: 'Nobody' };
+    const result = {
+      books_pulled_from_hardcover: 0,
+      errors: [],
+      book_details: [],
+    };
+
+    const pulledIds = await manager._syncFromHardcover(
+      [createAbsBook(now - 2 * HOUR), unmatched],
+      result,
+    );
+
+    // Pulled books are left out of the push that follows
+    assert.deepEqual([...pulledIds], ['li_123']);
+    assert.equal(result.books_pulled_from_hardcover, 1);
+    assert.equal(manager.hardcover.getLatestReads.mock.callCount(), 1);
+    // Every read matched a book with progress, so the library is not listed
+    assert.equal(manager.audiobookshelf.getAllLibraryItems.mock.callCount(), 0);
+    assert.deepEqual(result.errors, []);
+  });
+});
+
+describe('two_way_sync configuration', () => {
+  it('rejects an unknown conflict strategy', () => {
+    const validator = new ConfigValidator();
+    const errors = validator.validateGlobalConfig({
+      two_way_sync: { enabled: true, conflict_strategy: 'oldest' },
+    });
+
+    assert.ok(
+      errors.some(error =>
+        error.includes("'two_way_sync.conflict_strategy' must be one of"),
+      ),
+    );
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { Config, applyUserOverrides } from '../src/config.js';
+import { ConfigValidator } from '../src/config-validator.js';
+
+const user = (id, settings = '') => `
+  - id: ${id}
+    abs_url: https://abs.home.arpa
+    abs_token: ${id}-abs-token-1234
+    hardcover_token: ${id}-hardcover-token-1234${settings}`;
+
+describe('Per-user settings', () => {
+  let originalEnv;
+  let tempDir;
+
+  const loadConfig = yamlText => {
+    const configPath = path.join(tempDir, 'config.yaml');
+    writeFileSync(configPath, yamlText);
+    return new Config(configPath);
+  };
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('SHELFBRIDGE_')) {
+        delete process.env[key];
+      }
+    }
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-overrides-'));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('lets a user entry override global settings', () => {
+    const settings = applyUserOverrides(
+      {
+        auto_add_books: false,
+        min_progress_threshold: 5,
+        delayed_updates: { enabled: false, session_timeout: 900 },
+        notifications: { enabled: true },
+      },
+      {
+        id: 'alice',
+        abs_token: 'token',
+        auto_add_books: true,
+        delayed_updates: { enabled: true },
+        notifications: { enabled: false },
+      },
+    );
+
+    assert.equal(settings.auto_add_books, true);
+    assert.equal(settings.min_progress_threshold, 5);
+    assert.deepEqual(settings.delayed_updates, {
+      enabled: true,
+      session_timeout: 900,
+    });
+    // Process-wide and user-only keys are left alone
+    assert.deepEqual(settings.notifications, { enabled: true });
+    assert.equal(settings.abs_token, undefined);
+  });
+
+  it('groups users by their sync schedule', () => {
+    const config = loadConfig(`
+global:
+  sync_schedule: "0 3 * * *"
+users:${user('alice', '\n    sync_schedule: "0 * * * *"\n    auto_add_books: true')}${user('bob')}${user('carol')}
+`);
+
+    assert.deepEqual(config.getCronConfig('alice').schedule, '0 * * * *');
+    assert.equal(config.getUserConfig('alice').auto_add_books, true);
+    assert.equal(config.getUserConfig('bob').auto_add_books, false);
+    assert.deepEqual(
+      config.getSchedules().map(({ schedule, userIds }) => [schedule, userIds]),
+      [
+        ['0 * * * *', ['alice']],
+        ['0 3 * * *', ['bob', 'carol']],
+      ],
+    );
+  });
+
+  it('validates overrides with the global rules', async () => {
+    const config = loadConfig(`
+users:${user('alice', '\n    min_progress_threshold: 150\n    sync_schedule: "not a schedule"\n    server: { port: 9000 }\n    auto_add_book: true')}${user('bob', '\n    auto_add_books: true\n    delayed_updates: { enabled: true }')}
+`);
+
+    const { errors, warnings } =
+      await new ConfigValidator().validateConfiguration(config);
+
+    const userErrors = errors.filter(error => error.startsWith('User'));
+    assert.equal(userErrors.length, 3);
+    assert.equal(
+      userErrors[0],
+      "User 0: 'min_progress_threshold' must be at most 100 (got: 150)",
+    );
+    assert.match(userErrors[1], /^User 0: 'sync_schedule'/);
+    assert.equal(
+      userErrors[2],
+      "User 0: 'server' applies to all users and can only be set under global",
+    );
+    assert.deepEqual(warnings, [
+      "User 0: unknown setting 'auto_add_book' is ignored",
+    ]);
+  });
+});
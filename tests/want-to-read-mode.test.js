@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+import { AudiobookshelfClient } from '../src/audiobookshelf-client.js';
+import { BookCache } from '../src/book-cache.js';
+import { Config } from '../src/config.js';
+import { SyncManager } from '../src/sync-manager.js';
+
+const item = (id, title) => ({
+  id,
+  media: { metadata: { title, authorName: 'Test Author' } },
+});
+
+const matches = {
+  li_tbr: {
+    userBook: null,
+    edition: { id: 11, book: { id: 1 } },
+    book: { id: 1 },
+    _isSearchResult: true,
+  },
+  li_low: {
+    userBook: { id: 2, book: { id: 2 } },
+    edition: { id: 2 },
+    _isSearchResult: true,
+    _needsEditionIdLookup: true,
+  },
+  li_owned: { userBook: { id: 300, book: { id: 3 } }, edition: { id: 33 } },
+};
+
+describe('Want to Read mode', () => {
+  let tempDir;
+  let cache;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'shelfbridge-tbr-'));
+    cache = new BookCache(path.join(tempDir, 'cache.db'));
+    await cache.init();
+
+    manager = Object.create(SyncManager.prototype);
+    Object.assign(manager, {
+      userId: 'alice',
+      runKey: 'run-tbr',
+      dryRun: false,
+      cache,
+      hardcoverBooks: [],
+      globalConfig: {
+        min_progress_threshold: 5,
+        want_to_read: {
+          enabled: true,
+          tags: ['TBR'],
+          collections: ['to listen'],
+        },
+      },
+      audiobookshelf: {
+        getItemsWithTag: mock.fn(async () => [
+          item('li_tbr', 'Someday'),
+          item('li_started', 'Already Going'),
+          item('li_none', 'Nowhere'),
+        ]),
+        getCollections: mock.fn(async () => [
+          {
+            name: 'To Listen',
+            books: [
+              item('li_tbr', 'Someday'),
+              item('li_low', 'Barely Begun'),
+              item('li_owned', 'On The Shelf'),
+            ],
+          },
+          { name: 'Finished', books: [item('li_done', 'Done')] },
+        ]),
+      },
+      bookMatcher: {
+        findMatch: mock.fn(async absItem => ({
+          match: matches[absItem.id] || null,
+        })),
+      },
+      hardcover: {
+        addBookToLibrary: mock.fn(async bookId => ({ id: bookId * 100 })),
+      },
+    });
+  });
+
+  afterEach(() => {
+    cache.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const absBooks = [
+    { id: 'li_started', progress_percentage: 40 },
+    { id: 'li_low', progress_percentage: 2 },
+  ];
+
+  it('adds unstarted tagged and collected books as Want to Read', async () => {
+    const result = { books_want_to_read: 0, errors: [] };
+    await manager._addWantToReadBooks(absBooks, result);
+
+    assert.equal(result.books_want_to_read, 2);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(
+      manager.hardcover.addBookToLibrary.mock.calls.map(call => call.arguments),
+      [
+        [1, 1, 11],
+        [2, 1, null],
+      ],
+    );
+    const matched = manager.bookMatcher.findMatch.mock.calls.map(
+      call => call.arguments[0].id,
+    );
+    assert.ok(!matched.includes('li_started'));
+    assert.ok(!matched.includes('li_done'));
+
+    // Journaled so `undo` removes the book again
+    const journaled = await cache.getLatestSyncChange('alice', 100, 'add_book');
+    assert.equal(journaled.new_status_id, 1);
+  });
+
+  it('remembers unmatched items and previews in dry run', async () => {
+    await manager._addWantToReadBooks(absBooks, {
+      books_want_to_read: 0,
+      errors: [],
+    });
+    const lookups = manager.bookMatcher.findMatch.mock.calls.filter(
+      call => call.arguments[0].id === 'li_none',
+    ).length;
+
+    manager.dryRun = true;
+    manager.hardcover.addBookToLibrary = mock.fn();
+    const preview = { books_want_to_read: 0, errors: [] };
+    await manager._addWantToReadBooks(absBooks, preview);
+
+    assert.equal(preview.books_want_to_read, 2);
+    assert.equal(manager.hardcover.addBookToLibrary.mock.callCount(), 0);
+    assert.equal(
+      manager.bookMatcher.findMatch.mock.calls.filter(
+        call => call.arguments[0].id === 'li_none',
+      ).length,
+      lookups,
+    );
+  });
+
+  it('queries Audiobookshelf with an encoded tag filter', async () => {
+    const client = Object.create(AudiobookshelfClient.prototype);
+    client.libraryConfig = null;
+    client.getLibraries = mock.fn(async () => [{ id: 'lib1', name: 'Books' }]);
+    client._makeRequest = mock.fn(async () => ({
+      results: [item('li_tbr', 'Someday')],
+    }));
+
+    const items = await client.getItemsWithTag('TBR');
+
+    assert.equal(items.length, 1);
+    assert.equal(
+      client._makeRequest.mock.calls[0].arguments[1],
+      '/api/libraries/lib1/items?filter=tags.VEJS&limit=0',
+    );
+  });
+
+  describe('environment variables', () => {
+    let originalEnv;
+
+    beforeEach(() => {
+      originalEnv = { ...process.env };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    it('reads comma-separated tags and collections', () => {
+      process.env.SHELFBRIDGE_WANT_TO_READ_ENABLED = 'true';
+      process.env.SHELFBRIDGE_WANT_TO_READ_TAGS = ' TBR, Someday ,';
+      process.env.SHELFBRIDGE_WANT_TO_READ_COLLECTIONS = 'To Listen';
+
+      const global = new Config('non-existent-config.yaml').getGlobal();
+
+      assert.deepEqual(global.want_to_read, {
+        enabled: true,
+        tags: ['TBR', 'Someday'],
+        collections: ['To Listen'],
+      });
+    });
+  });
+});
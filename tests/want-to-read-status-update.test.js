@@ -147,7 +147,7 @@ describe('HardcoverClient - Want to Read Status Update', () => {
       }));
 
       // Execute the test
-      await client.updateReadingProgress(
+      const result = await client.updateReadingProgress(
         mockUserBookId,
         mockCurrentProgress,
         mockProgressPercentage,
@@ -167,6 +167,19 @@ describe('HardcoverClient - Want to Read Status Update', () => {
         [mockUserBookId, 2],
         'updateBookStatus should be called with status_id = 2',
       );
+
+      // The state before any change is returned for the undo journal
+      assert.deepStrictEqual(result._priorState, {
+        status_id: 1,
+        read: {
+          id: mockReadId,
+          progress_pages: 10,
+          progress_seconds: null,
+          edition_id: null,
+          started_at: null,
+          finished_at: null,
+        },
+      });
     });
 
     it('should NOT update status when already Currently Reading (2)', async () => {